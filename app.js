@@ -0,0 +1,50 @@
+const express = require('express');
+const cors = require('cors');
+
+const mounts = require('./routes');
+const { describeRoutes, endpointIndex, buildSpec, renderDocsPage } = require('./docs');
+const { requestId } = require('./middleware/requestId');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
+
+// The Express app with every route mounted. server.js connects to MongoDB,
+// starts the background workers and listens; tests use the app directly.
+const app = express();
+
+// Behind a reverse proxy, take the client IP from X-Forwarded-For so
+// per-IP rate limits see real clients (e.g. TRUST_PROXY=1 for one proxy)
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+// Middleware
+app.use(requestId);
+app.use(cors());
+
+// JSON bodies up to the default 100kb, except on routers that parse their
+// own (e.g. imports, which take whole CSV files)
+const ownBodyPaths = mounts.filter(mount => mount.parsesBody).map(mount => mount.path);
+const parseJson = express.json();
+app.use((req, res, next) => {
+    const parsesOwn = ownBodyPaths.some(path => req.path === path || req.path.startsWith(`${path}/`));
+    return parsesOwn ? next() : parseJson(req, res, next);
+});
+
+// Add the API routes (see routes/index.js)
+mounts.forEach(({ path, router }) => {
+    app.use(path, router);
+});
+
+// The API described from the route schemas (see docs/), served by routes/Meta.js
+const routes = describeRoutes(mounts);
+app.locals.endpoints = endpointIndex(routes);
+app.locals.spec = buildSpec(routes);
+app.locals.docsPage = renderDocsPage(app.locals.spec);
+
+// 404 for unknown routes
+app.use(notFound);
+
+// Every error response is sent from here (see middleware/errorHandler.js)
+app.use(errorHandler);
+
+module.exports = app;
@@ -0,0 +1,250 @@
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const Service = require('../models/Service');
+const { MAX_AMOUNT, PAYMENT_TERMS_DAYS } = require('../config/billing');
+const dateTime = require('../utils/dateTime');
+const { sum, percentOf, toBasisPoints } = require('../utils/money');
+const { ERROR_CODES, ValidationError, ConflictError } = require('../errors');
+
+// Statuses that still expect money
+const PAYABLE_STATUSES = ['issued', 'partially_paid'];
+
+// Work out every total of an invoice from its parts.
+// Percentage discounts apply to the subtotal; discounts and insurance are
+// capped so the patient never owes less than nothing.
+const computeTotals = ({ lineItems, discounts = [], insuranceAmount = 0, amountPaid = 0 }) => {
+    const subtotal = sum(lineItems.map(item => item.amount));
+
+    const pricedDiscounts = discounts.map(discount => ({
+        ...discount,
+        amount: discount.basisPoints !== null && discount.basisPoints !== undefined
+            ? percentOf(subtotal, discount.basisPoints)
+            : discount.amount
+    }));
+
+    const discountTotal = Math.min(sum(pricedDiscounts.map(discount => discount.amount)), subtotal);
+    const insuranceTotal = Math.min(insuranceAmount, subtotal - discountTotal);
+    const total = subtotal - discountTotal - insuranceTotal;
+
+    return {
+        discounts: pricedDiscounts,
+        subtotal,
+        discountTotal,
+        insuranceTotal,
+        total,
+        balance: total - amountPaid
+    };
+};
+
+const statusFor = ({ total, amountPaid }) => {
+    if (amountPaid >= total) return 'paid';
+    return amountPaid > 0 ? 'partially_paid' : 'issued';
+};
+
+// Build the input of a create-invoice request whose shape the route schema
+// has checked. Returns { errors: [{ location, field, message }], input }.
+const validateInvoiceRequest = (body) => {
+    const errors = [];
+    const { appointmentIds, discounts = [], insurance = null, extraItems = [], dueDate, notes = '' } = body;
+
+    const input = {
+        appointmentIds: [...new Set(appointmentIds)],
+        discounts: discounts.map((discount, index) => {
+            const hasPercent = discount.percent !== undefined;
+
+            if (hasPercent && toBasisPoints(discount.percent) === null) {
+                errors.push({
+                    location: 'body',
+                    field: `discounts[${index}].percent`,
+                    message: 'Percent must be between 0 and 100 with at most two decimals'
+                });
+            }
+
+            return {
+                description: discount.description,
+                basisPoints: hasPercent ? toBasisPoints(discount.percent) : null,
+                amount: hasPercent ? 0 : discount.amount
+            };
+        }),
+        extraItems: extraItems.map((item, index) => {
+            const quantity = item.quantity === undefined ? 1 : item.quantity;
+
+            if (item.unitPrice * quantity > MAX_AMOUNT) {
+                errors.push({
+                    location: 'body',
+                    field: `extraItems[${index}]`,
+                    message: `Unit price times quantity cannot be more than ${MAX_AMOUNT}`
+                });
+            }
+
+            return { description: item.description, unitPrice: item.unitPrice, quantity };
+        }),
+        insurance: insurance
+            ? { provider: insurance.provider || '', claimNumber: insurance.claimNumber || '', amount: insurance.amount }
+            : { provider: '', claimNumber: '', amount: 0 },
+        dueDate: dueDate || null,
+        notes
+    };
+
+    return { errors, input };
+};
+
+// Next invoice number, e.g. INV-2025-000042
+const nextInvoiceNumber = async () => {
+    const year = dateTime.today().slice(0, 4);
+    const sequence = await Counter.next(`invoice-${year}`);
+    return `INV-${year}-${String(sequence).padStart(6, '0')}`;
+};
+
+// Build and save an invoice for completed appointments of one patient.
+// Each appointment becomes a line item priced from its service. A service
+// that is gone or has no price (e.g. one created before prices were kept)
+// is a validation error rather than a free line item.
+const createInvoice = async ({ appointments, input, actor }) => {
+    const services = await Service.find({ _id: { $in: appointments.map(appointment => appointment.service) } });
+    const pricesById = {};
+    services.forEach(service => {
+        pricesById[service._id] = service.price;
+    });
+
+    const unpriced = appointments.filter(appointment => !(pricesById[appointment.service] > 0));
+    if (unpriced.length > 0) {
+        throw new ValidationError(unpriced.map(appointment => ({
+            location: 'body',
+            field: 'appointmentIds',
+            message: `No price is set for the ${appointment.serviceName} service of appointment ${appointment.appointmentId}`
+        })));
+    }
+
+    const lineItems = [
+        ...appointments.map(appointment => {
+            const unitPrice = pricesById[appointment.service];
+            return {
+                appointmentId: appointment.appointmentId,
+                service: appointment.service,
+                description: `${appointment.serviceName} with ${appointment.dentistName}`,
+                date: appointment.date,
+                quantity: 1,
+                unitPrice,
+                amount: unitPrice
+            };
+        }),
+        ...input.extraItems.map(item => ({
+            description: item.description,
+            quantity: item.quantity,
+            unitPrice: item.unitPrice,
+            amount: item.unitPrice * item.quantity
+        }))
+    ];
+
+    const totals = computeTotals({
+        lineItems,
+        discounts: input.discounts,
+        insuranceAmount: input.insurance.amount
+    });
+
+    const [patient] = appointments;
+
+    const invoice = new Invoice({
+        invoiceNumber: await nextInvoiceNumber(),
+        userId: patient.userId,
+        userName: patient.userName,
+        userEmail: patient.userEmail,
+        appointmentIds: appointments.map(appointment => appointment.appointmentId),
+        lineItems,
+        discounts: totals.discounts,
+        insurance: input.insurance,
+        subtotal: totals.subtotal,
+        discountTotal: totals.discountTotal,
+        insuranceTotal: totals.insuranceTotal,
+        total: totals.total,
+        amountPaid: 0,
+        balance: totals.balance,
+        status: statusFor({ total: totals.total, amountPaid: 0 }),
+        dueDate: input.dueDate || dateTime.addDays(dateTime.today(), PAYMENT_TERMS_DAYS),
+        notes: input.notes,
+        issuedBy: { userId: String(actor._id), name: actor.name }
+    });
+
+    try {
+        await invoice.save();
+    } catch (error) {
+        // Another request billed one of the appointments since the route checked
+        if (error.code === 11000 && error.keyPattern && error.keyPattern.appointmentIds) {
+            throw new ConflictError('Appointment is already on another invoice', ERROR_CODES.ALREADY_INVOICED);
+        }
+        throw error;
+    }
+
+    return invoice;
+};
+
+// Record a payment against an invoice. The balance check, the update and
+// the new status happen in one conditional update: a payment that settles
+// the balance exactly marks the invoice paid, a smaller one partially paid.
+// Concurrent payments therefore cannot overpay or leave a stale status.
+// Returns the updated invoice, or null if it is not payable for that amount.
+const recordPayment = async (invoiceNumber, { amount, method, reference = '', actor }) => {
+    const now = new Date();
+    const payable = { invoiceNumber, status: { $in: PAYABLE_STATUSES } };
+
+    const update = (status) => ({
+        $push: {
+            payments: {
+                amount,
+                method,
+                reference,
+                receivedAt: now,
+                recordedBy: { userId: String(actor._id), name: actor.name }
+            }
+        },
+        $inc: { amountPaid: amount, balance: -amount },
+        $set: { status, updatedAt: now }
+    });
+
+    const settled = await Invoice.findOneAndUpdate({ ...payable, balance: amount }, update('paid'), { new: true });
+    if (settled) return settled;
+
+    return Invoice.findOneAndUpdate({ ...payable, balance: { $gt: amount } }, update('partially_paid'), { new: true });
+};
+
+// Unpaid balances per patient, largest first. `match` narrows the invoices,
+// e.g. { userId } for one patient.
+const outstandingBalances = async (match = {}) => {
+    const rows = await Invoice.aggregate([
+        { $match: { ...match, status: { $in: PAYABLE_STATUSES }, balance: { $gt: 0 } } },
+        {
+            $group: {
+                _id: '$userId',
+                userName: { $last: '$userName' },
+                userEmail: { $last: '$userEmail' },
+                invoices: { $sum: 1 },
+                balance: { $sum: '$balance' },
+                oldestDueDate: { $min: '$dueDate' }
+            }
+        },
+        { $sort: { balance: -1 } }
+    ]);
+
+    const today = dateTime.today();
+
+    return rows.map(row => ({
+        userId: row._id,
+        userName: row.userName,
+        userEmail: row.userEmail,
+        invoices: row.invoices,
+        balance: row.balance,
+        oldestDueDate: row.oldestDueDate,
+        overdue: row.oldestDueDate < today
+    }));
+};
+
+module.exports = {
+    PAYABLE_STATUSES,
+    computeTotals,
+    statusFor,
+    validateInvoiceRequest,
+    createInvoice,
+    recordPayment,
+    outstandingBalances
+};
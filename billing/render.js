@@ -0,0 +1,156 @@
+const PDFDocument = require('pdfkit');
+const { CLINIC_NAME } = require('../config/billing');
+const { escapeHtml } = require('../notifications/templates');
+const { formatMoney } = require('../utils/money');
+
+const STATUS_LABELS = {
+    issued: 'Unpaid',
+    partially_paid: 'Partially paid',
+    paid: 'Paid',
+    void: 'Void'
+};
+
+// The rows every format prints: line items, then the totals block
+const invoiceRows = (invoice, currencyDisplay = 'symbol') => {
+    const money = (amount) => formatMoney(amount, invoice.currency, currencyDisplay);
+
+    const items = invoice.lineItems.map(item => ({
+        description: item.date ? `${item.description} (${item.date})` : item.description,
+        quantity: item.quantity,
+        unitPrice: money(item.unitPrice),
+        amount: money(item.amount)
+    }));
+
+    const totals = [
+        { label: 'Subtotal', value: money(invoice.subtotal) },
+        ...invoice.discounts.map(discount => ({
+            label: discount.basisPoints !== null
+                ? `${discount.description} (${discount.basisPoints / 100}%)`
+                : discount.description,
+            value: `-${money(discount.amount)}`
+        })),
+        ...(invoice.insuranceTotal > 0
+            ? [{ label: `Insurance${invoice.insurance.provider ? ` (${invoice.insurance.provider})` : ''}`, value: `-${money(invoice.insuranceTotal)}` }]
+            : []),
+        { label: 'Total due', value: money(invoice.total) },
+        { label: 'Paid', value: money(invoice.amountPaid) },
+        { label: 'Balance', value: money(invoice.balance) }
+    ];
+
+    return { items, totals };
+};
+
+const renderHtml = (invoice) => {
+    const { items, totals } = invoiceRows(invoice);
+
+    const itemRows = items.map(item => [
+        '<tr>',
+        `<td>${escapeHtml(item.description)}</td>`,
+        `<td class="num">${item.quantity}</td>`,
+        `<td class="num">${escapeHtml(item.unitPrice)}</td>`,
+        `<td class="num">${escapeHtml(item.amount)}</td>`,
+        '</tr>'
+    ].join('')).join('\n');
+
+    const totalRows = totals.map(row =>
+        `<tr><td colspan="3" class="num">${escapeHtml(row.label)}</td><td class="num">${escapeHtml(row.value)}</td></tr>`
+    ).join('\n');
+
+    const paymentRows = invoice.payments.map(payment =>
+        `<li>${escapeHtml(payment.receivedAt.toISOString().slice(0, 10))} - ${escapeHtml(formatMoney(payment.amount, invoice.currency))} (${escapeHtml(payment.method)}${payment.reference ? `, ${escapeHtml(payment.reference)}` : ''})</li>`
+    ).join('\n');
+
+    return [
+        '<!DOCTYPE html>',
+        '<html><head><meta charset="utf-8">',
+        `<title>Invoice ${escapeHtml(invoice.invoiceNumber)}</title>`,
+        '<style>',
+        'body{font-family:Helvetica,Arial,sans-serif;color:#222;max-width:800px;margin:2em auto}',
+        'table{width:100%;border-collapse:collapse}th,td{padding:6px;border-bottom:1px solid #ddd;text-align:left}',
+        '.num{text-align:right}',
+        '</style></head><body>',
+        `<h1>${escapeHtml(CLINIC_NAME)}</h1>`,
+        `<h2>Invoice ${escapeHtml(invoice.invoiceNumber)}</h2>`,
+        `<p>Billed to: ${escapeHtml(invoice.userName)} &lt;${escapeHtml(invoice.userEmail)}&gt;<br>`,
+        `Issued: ${escapeHtml(invoice.createdAt.toISOString().slice(0, 10))}<br>`,
+        `Due: ${escapeHtml(invoice.dueDate)}<br>`,
+        `Status: ${escapeHtml(STATUS_LABELS[invoice.status])}</p>`,
+        '<table>',
+        '<tr><th>Description</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Amount</th></tr>',
+        itemRows,
+        totalRows,
+        '</table>',
+        ...(paymentRows ? ['<h3>Payments</h3>', `<ul>${paymentRows}</ul>`] : []),
+        ...(invoice.notes ? [`<p>${escapeHtml(invoice.notes)}</p>`] : []),
+        '</body></html>'
+    ].join('\n');
+};
+
+// Render an invoice as a PDF. Resolves to a Buffer.
+const renderPdf = (invoice) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // The built-in PDF fonts have no glyph for every currency symbol
+    const { items, totals } = invoiceRows(invoice, 'code');
+    const columns = { description: 50, quantity: 330, unitPrice: 380, amount: 470 };
+    const right = (text, x, y, width = 75) => doc.text(text, x, y, { width, align: 'right' });
+
+    doc.fontSize(20).text(CLINIC_NAME);
+    doc.fontSize(14).text(`Invoice ${invoice.invoiceNumber}`);
+    doc.moveDown();
+
+    doc.fontSize(10)
+        .text(`Billed to: ${invoice.userName} <${invoice.userEmail}>`)
+        .text(`Issued: ${invoice.createdAt.toISOString().slice(0, 10)}`)
+        .text(`Due: ${invoice.dueDate}`)
+        .text(`Status: ${STATUS_LABELS[invoice.status]}`);
+    doc.moveDown();
+
+    let y = doc.y;
+    doc.font('Helvetica-Bold');
+    doc.text('Description', columns.description, y);
+    right('Qty', columns.quantity, y, 40);
+    right('Unit price', columns.unitPrice, y);
+    right('Amount', columns.amount, y);
+    doc.font('Helvetica');
+
+    items.forEach(item => {
+        y = doc.y + 6;
+        doc.text(item.description, columns.description, y, { width: 270 });
+        const rowBottom = doc.y;
+        right(String(item.quantity), columns.quantity, y, 40);
+        right(item.unitPrice, columns.unitPrice, y);
+        right(item.amount, columns.amount, y);
+        doc.y = Math.max(rowBottom, doc.y);
+    });
+
+    doc.moveDown();
+    totals.forEach(row => {
+        y = doc.y;
+        right(row.label, columns.description, y, 400);
+        right(row.value, columns.amount, y);
+    });
+
+    if (invoice.payments.length > 0) {
+        doc.moveDown().font('Helvetica-Bold').text('Payments', columns.description).font('Helvetica');
+        invoice.payments.forEach(payment => {
+            doc.text(`${payment.receivedAt.toISOString().slice(0, 10)}  ${formatMoney(payment.amount, invoice.currency, 'code')}  ${payment.method}${payment.reference ? `  ${payment.reference}` : ''}`);
+        });
+    }
+
+    if (invoice.notes) {
+        doc.moveDown().text(invoice.notes, columns.description);
+    }
+
+    doc.end();
+});
+
+module.exports = {
+    renderHtml,
+    renderPdf
+};
@@ -0,0 +1,23 @@
+const { PUBLIC_URL } = require('./clinic');
+
+// Lifetime of the JWT sent with every request. Clients get a new one from
+// the refresh endpoint.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// Refresh tokens (and so sessions) last this long from login
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// How long emailed links stay valid
+const EMAIL_VERIFICATION_HOURS = 48;
+const PASSWORD_RESET_MINUTES = 60;
+
+// Base URL of the web app that emailed links open
+const APP_URL = process.env.APP_URL || PUBLIC_URL || 'http://localhost:5173';
+
+module.exports = {
+    ACCESS_TOKEN_TTL,
+    REFRESH_TOKEN_DAYS,
+    EMAIL_VERIFICATION_HOURS,
+    PASSWORD_RESET_MINUTES,
+    APP_URL
+};
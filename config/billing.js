@@ -0,0 +1,29 @@
+// ISO 4217 code every price and invoice is in. Amounts are stored as
+// integers in the currency's minor unit (centavos for PHP).
+const CURRENCY = process.env.CURRENCY || 'PHP';
+
+// Minor units per major unit, e.g. 100 centavos to the peso
+const MINOR_UNITS = 100;
+
+// Largest single amount the API takes (a price, a line item, a discount,
+// a payment): 10,000,000.00 in the major unit. An invoice has at most
+// MAX_LINE_ITEMS appointments plus as many extra items, so its subtotal
+// times 10,000 basis points (utils/money.js percentOf) stays well below
+// Number.MAX_SAFE_INTEGER and percentage discounts stay exact.
+const MAX_AMOUNT = 1000000000;
+const MAX_LINE_ITEMS = 100;
+
+// Days after issue an invoice falls due when no due date is given
+const PAYMENT_TERMS_DAYS = Number(process.env.PAYMENT_TERMS_DAYS) || 30;
+
+// Shown on rendered invoices
+const CLINIC_NAME = process.env.CLINIC_NAME || 'Dental Bliss';
+
+module.exports = {
+    CURRENCY,
+    MINOR_UNITS,
+    MAX_AMOUNT,
+    MAX_LINE_ITEMS,
+    PAYMENT_TERMS_DAYS,
+    CLINIC_NAME
+};
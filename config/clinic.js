@@ -0,0 +1,24 @@
+// IANA timezone the clinic operates in. Appointment dates and times are
+// wall-clock values in this zone.
+const TIMEZONE = process.env.CLINIC_TIMEZONE || 'Asia/Manila';
+
+// Base URL the API is reachable at, used for links handed to patients
+// (e.g. calendar subscriptions). Falls back to the request's own host.
+const PUBLIC_URL = process.env.PUBLIC_URL || null;
+
+// Weekday numbers follow Date#getDay(): 0 = Sunday ... 6 = Saturday
+const WEEKDAYS = [1, 2, 3, 4, 5];
+
+// Hours used for any dentist without their own weekly schedule
+const DEFAULT_WEEKLY_HOURS = WEEKDAYS.map(day => ({
+    day,
+    start: '08:00',
+    end: '17:30',
+    breaks: [{ start: '12:00', end: '13:00' }]
+}));
+
+module.exports = {
+    TIMEZONE,
+    PUBLIC_URL,
+    DEFAULT_WEEKLY_HOURS
+};
\ No newline at end of file
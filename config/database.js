@@ -0,0 +1,25 @@
+// MongoDB Connection with better configuration
+// The connection string holds credentials, so it only ever comes from the
+// environment (e.g. .env). Starting without one is a configuration error.
+const MONGODB_URI = process.env.MONGODB_URI;
+
+if (!MONGODB_URI) {
+    throw new Error('MONGODB_URI is not set. Add it to the environment or to .env');
+}
+
+// Connection options
+const mongooseOptions = {
+    serverSelectionTimeoutMS: 10000,
+    socketTimeoutMS: 45000,
+    maxPoolSize: 10,
+    minPoolSize: 5,
+    connectTimeoutMS: 10000,
+    family: 4,
+    retryWrites: true,
+    w: 'majority'
+};
+
+module.exports = {
+    MONGODB_URI,
+    mongooseOptions
+};
\ No newline at end of file
@@ -0,0 +1,36 @@
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+
+// Which transport sends email: 'console', 'file', 'smtp' or 'none'.
+// Emails carry sign-in links, so production does not fall back to printing
+// them: without a configured transport every send fails ('none') and stays
+// visible in the queue.
+const TRANSPORT = process.env.NOTIFICATION_TRANSPORT || (IS_PRODUCTION ? 'none' : 'console');
+
+// Hide tokens in links the console transport prints
+const REDACT_CONSOLE_LINKS = IS_PRODUCTION;
+
+const FROM_ADDRESS = process.env.NOTIFICATION_FROM || 'Dental Bliss <no-reply@dentalbliss.local>';
+
+// Directory the file transport writes .eml files to
+const FILE_DIRECTORY = process.env.NOTIFICATION_FILE_DIR || 'tmp/mail';
+
+const SMTP = {
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+};
+
+// Give up on a notification after this many failed sends
+const MAX_ATTEMPTS = 3;
+
+module.exports = {
+    TRANSPORT,
+    REDACT_CONSOLE_LINKS,
+    FROM_ADDRESS,
+    FILE_DIRECTORY,
+    SMTP,
+    MAX_ATTEMPTS
+};
\ No newline at end of file
@@ -0,0 +1,33 @@
+// Where rate limit counters live: 'memory' (default, one process only) or
+// 'mongo' (shared by every instance behind a load balancer)
+const STORE = process.env.RATE_LIMIT_STORE || 'memory';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Requests allowed per window
+const LIMITS = {
+    // Per IP address
+    login: { windowMs: 15 * MINUTE, max: 20 },
+    register: { windowMs: HOUR, max: 10 },
+    passwordForgot: { windowMs: HOUR, max: 5 },
+    // Per signed-in user
+    booking: { windowMs: HOUR, max: 10 }
+};
+
+// Per-account login lockout. After `maxFailures` wrong passwords within
+// `failureWindowMs` the account is locked for `baseLockMs`, doubling with
+// each further lockout in `lockoutMemoryMs`, up to `maxLockMs`.
+const LOGIN_LOCKOUT = {
+    maxFailures: 5,
+    failureWindowMs: 15 * MINUTE,
+    baseLockMs: MINUTE,
+    maxLockMs: HOUR,
+    lockoutMemoryMs: 24 * HOUR
+};
+
+module.exports = {
+    STORE,
+    LIMITS,
+    LOGIN_LOCKOUT
+};
@@ -0,0 +1,77 @@
+const { requireAuth } = require('../middleware/auth');
+const { buildSpec } = require('./openapi');
+const { renderDocsPage } = require('./page');
+
+// Describe the API from the mounted routers: every route with its method,
+// full path, access rules and the schema given to validate().
+
+const joinPath = (base, path) => {
+    if (path === '/') return base;
+    return base === '/' ? path : `${base}${path}`;
+};
+
+// The roles allowed by the last authorize() among the handlers, if any
+const rolesOf = (handlers) => {
+    const restricted = handlers.filter(handler => handler.roles);
+    return restricted.length > 0 ? restricted[restricted.length - 1].roles : null;
+};
+
+// The limits set by rateLimit() among the handlers
+const rateLimitsOf = (handlers) => handlers.filter(handler => handler.rateLimit).map(handler => handler.rateLimit);
+
+// [{ method, path, tag, name, summary, auth, roles, rateLimits, params,
+//    query, body, responses, errors }]
+const describeRoutes = (mounts) => {
+    const routes = [];
+
+    mounts.forEach(({ path: base, router, tag }) => {
+        // router.use() middleware applies to the routes declared after it
+        const shared = [];
+
+        router.stack.forEach(layer => {
+            if (!layer.route) {
+                shared.push(layer.handle);
+                return;
+            }
+
+            const handlers = [...shared, ...layer.route.stack.map(routeLayer => routeLayer.handle)];
+            const schema = handlers.map(handler => handler.schema).find(Boolean) || {};
+
+            Object.keys(layer.route.methods).forEach(method => {
+                routes.push({
+                    method: method.toUpperCase(),
+                    path: joinPath(base, layer.route.path),
+                    tag: tag || null,
+                    name: schema.name || null,
+                    summary: schema.summary || '',
+                    auth: handlers.includes(requireAuth),
+                    roles: rolesOf(handlers),
+                    rateLimits: rateLimitsOf(handlers),
+                    params: schema.params || null,
+                    query: schema.query || null,
+                    body: schema.body || null,
+                    responses: schema.responses || null,
+                    errors: schema.errors || {}
+                });
+            });
+        });
+    });
+
+    return routes;
+};
+
+// { bookAppointment: 'POST /api/appointments/book', ... } for the index route
+const endpointIndex = (routes) => {
+    const index = {};
+    routes.forEach(route => {
+        index[route.name || `${route.method} ${route.path}`] = `${route.method} ${route.path}`;
+    });
+    return index;
+};
+
+module.exports = {
+    describeRoutes,
+    endpointIndex,
+    buildSpec,
+    renderDocsPage
+};
@@ -0,0 +1,232 @@
+const { version } = require('../package.json');
+const components = require('../schemas/components');
+const { ref, object } = require('../schemas/types');
+
+// OpenAPI 3.1 document built from describeRoutes(). The route schemas are
+// plain JSON Schema, which OpenAPI 3.1 takes as is.
+
+// Responses every route can give, depending on how it is guarded, as
+// { status: { CODE: description } }
+const DEFAULT_ERRORS = {
+    400: { VALIDATION_FAILED: 'The request failed validation' },
+    401: {
+        TOKEN_MISSING: 'No token was sent',
+        TOKEN_INVALID: 'The token is invalid or has expired',
+        SESSION_ENDED: 'The token belongs to an ended session',
+        ACCOUNT_NOT_FOUND: 'The account no longer exists'
+    },
+    403: { FORBIDDEN: 'Your role cannot use this endpoint' },
+    429: { RATE_LIMITED: 'Too many requests. Please try again later' },
+    500: { INTERNAL_ERROR: 'Server error' }
+};
+
+const SAMPLE_VALUES = {
+    'date-time': '2025-03-14T09:30:00.000Z',
+    uri: 'https://api.example.com/resource',
+    uuid: '3f2b8c1e-6d4a-4f7b-9a2e-1c5d8e7f6a90'
+};
+
+// Express ":appointmentId" (also in ":token.ics") to OpenAPI "{appointmentId}"
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+// Sample value for a schema: its own example where it has one, otherwise
+// one assembled from its properties
+const exampleOf = (schema, depth = 0) => {
+    if (!schema || depth > 8) return null;
+    if (schema.example !== undefined) return schema.example;
+
+    if (schema.$ref) {
+        return exampleOf(components[schema.$ref.split('/').pop()], depth + 1);
+    }
+    if (schema.anyOf || schema.oneOf) return exampleOf((schema.anyOf || schema.oneOf)[0], depth + 1);
+    if (schema.enum) return schema.enum[0];
+
+    const type = [].concat(schema.type).find(value => value !== 'null');
+
+    if (type === 'object') {
+        const example = {};
+        Object.entries(schema.properties || {}).forEach(([name, property]) => {
+            example[name] = exampleOf(property, depth + 1);
+        });
+        return example;
+    }
+    if (type === 'array') return [exampleOf(schema.items, depth + 1)];
+    if (type === 'string') return SAMPLE_VALUES[schema.format] || 'string';
+    if (type === 'integer' || type === 'number') return schema.minimum || 0;
+    if (type === 'boolean') return true;
+
+    return null;
+};
+
+const jsonContent = (schema, example = exampleOf(schema)) => ({
+    'application/json': { schema, example }
+});
+
+const parameters = (location, schema) => {
+    if (!schema) return [];
+
+    const required = schema.required || [];
+    return Object.entries(schema.properties).map(([name, property]) => ({
+        name,
+        in: location,
+        required: location === 'path' || required.includes(name),
+        ...(property.description ? { description: property.description } : {}),
+        schema: property
+    }));
+};
+
+// A body that may be raw text (the CSV imports) is offered as text/csv
+// next to JSON
+const requestBody = (schema) => {
+    if (!schema) return null;
+
+    const variants = schema.anyOf || [schema];
+    const textVariant = variants.find(variant => variant.type === 'string');
+    const jsonVariant = variants.find(variant => variant.type !== 'string');
+
+    return {
+        required: Boolean(schema.anyOf || schema.required),
+        content: {
+            ...(jsonVariant ? jsonContent(jsonVariant) : {}),
+            ...(textVariant ? { 'text/csv': { schema: textVariant } } : {})
+        }
+    };
+};
+
+const successResponse = ({ description, schema, contentType }) => {
+    if (contentType) {
+        const binary = !contentType.startsWith('text/');
+        return {
+            description,
+            content: { [contentType]: { schema: { type: 'string', ...(binary ? { format: 'binary' } : {}) } } }
+        };
+    }
+
+    return { description, content: jsonContent(schema) };
+};
+
+const errorExample = (status, codes) => {
+    const [code, message] = Object.entries(codes)[0];
+    const errors = code === 'VALIDATION_FAILED'
+        ? [{ location: 'body', field: 'date', message: 'Invalid date format. Use YYYY-MM-DD' }]
+        : [];
+
+    return {
+        success: false,
+        code,
+        status: Number(status),
+        message: errors.length > 0 ? errors[0].message : message.split('; ')[0],
+        errors,
+        ...(status === '429' ? { retryAfter: 60 } : {}),
+        requestId: SAMPLE_VALUES.uuid
+    };
+};
+
+// Error responses for a route: the defaults that apply to it plus the
+// codes its schema lists. Each response names its codes in x-error-codes.
+const errorResponses = (route) => {
+    const hasInput = Boolean(route.params || route.query || route.body);
+    const rateLimited = route.rateLimits.length > 0
+        ? { RATE_LIMITED: route.rateLimits.map(limit => limit.message || DEFAULT_ERRORS[429].RATE_LIMITED).join('; ') }
+        : null;
+
+    const defaults = {
+        ...(hasInput ? { 400: DEFAULT_ERRORS[400] } : {}),
+        ...(route.auth ? { 401: DEFAULT_ERRORS[401] } : {}),
+        ...(route.roles ? { 403: DEFAULT_ERRORS[403] } : {}),
+        ...(rateLimited ? { 429: rateLimited } : {}),
+        500: DEFAULT_ERRORS[500]
+    };
+
+    const statuses = [...new Set([...Object.keys(defaults), ...Object.keys(route.errors || {})])]
+        .sort((a, b) => a - b);
+
+    const responses = {};
+    statuses.forEach(status => {
+        const own = (route.errors || {})[status] || {};
+        const codes = { ...defaults[status], ...(own.codes || own) };
+
+        let schema = ref(status === '429' ? 'RateLimited' : 'Error');
+        let example = errorExample(status, codes);
+        if (own.properties) {
+            schema = { allOf: [schema, object(own.properties)] };
+            example = { ...example, ...exampleOf(object(own.properties)) };
+        }
+
+        responses[status] = {
+            description: Object.values(codes).join('; '),
+            'x-error-codes': codes,
+            content: jsonContent(schema, example)
+        };
+    });
+
+    return responses;
+};
+
+// Who may call the route, for the operation description
+const accessNote = (route) => {
+    if (!route.auth) return 'No sign-in required.';
+    if (!route.roles) return 'Requires sign-in.';
+    return `Requires sign-in as: ${route.roles.join(', ')}.`;
+};
+
+const operation = (route) => {
+    const successes = {};
+    Object.entries(route.responses || {}).forEach(([status, response]) => {
+        successes[status] = successResponse(response);
+    });
+
+    const body = requestBody(route.body);
+
+    return {
+        ...(route.tag ? { tags: [route.tag] } : {}),
+        ...(route.name ? { operationId: route.name } : {}),
+        summary: route.summary,
+        description: accessNote(route),
+        ...(route.roles ? { 'x-roles': route.roles } : {}),
+        security: route.auth ? [{ bearerAuth: [] }] : [],
+        parameters: [...parameters('path', route.params), ...parameters('query', route.query)],
+        ...(body ? { requestBody: body } : {}),
+        responses: { ...successes, ...errorResponses(route) }
+    };
+};
+
+// routes: the output of describeRoutes()
+const buildSpec = (routes) => {
+    const paths = {};
+    const tags = [];
+
+    routes.forEach(route => {
+        const path = toOpenApiPath(route.path);
+        paths[path] = paths[path] || {};
+        paths[path][route.method.toLowerCase()] = operation(route);
+
+        if (route.tag && !tags.includes(route.tag)) tags.push(route.tag);
+    });
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Dental Bliss API',
+            version,
+            description: 'Appointment booking, clinical records and billing for the Dental Bliss clinic. ' +
+                'Errors are { success: false, code, status, message, errors, requestId }; ' +
+                'code is stable and lists the possible values per response in x-error-codes.'
+        },
+        servers: [{ url: '/' }],
+        tags: tags.map(name => ({ name })),
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+            },
+            schemas: components
+        }
+    };
+};
+
+module.exports = {
+    toOpenApiPath,
+    exampleOf,
+    buildSpec
+};
@@ -0,0 +1,151 @@
+const { escapeHtml } = require('../notifications/templates');
+
+// Browsable HTML reference for the OpenAPI document. Nothing is loaded
+// from elsewhere, so it also works offline.
+
+// Anchor for a tag, e.g. "Appointment series" -> "appointment-series"
+const anchor = (tag) => tag.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+
+const json = (value) => `<pre>${escapeHtml(JSON.stringify(value, null, 2))}</pre>`;
+
+// Short type label for a parameter or property schema
+const typeLabel = (schema) => {
+    if (schema.$ref) return schema.$ref.split('/').pop();
+    if (schema.enum) return schema.enum.filter(value => value !== null).join(' | ');
+
+    const type = [].concat(schema.type).filter(value => value !== 'null').join(' | ');
+    return schema.format ? `${type} (${schema.format})` : type;
+};
+
+const parameterTable = (parameters) => {
+    if (parameters.length === 0) return '';
+
+    const rows = parameters.map(parameter => [
+        '<tr>',
+        `<td><code>${escapeHtml(parameter.name)}</code>${parameter.required ? ' *' : ''}</td>`,
+        `<td>${escapeHtml(parameter.in)}</td>`,
+        `<td>${escapeHtml(typeLabel(parameter.schema))}</td>`,
+        `<td>${escapeHtml(parameter.description || '')}</td>`,
+        '</tr>'
+    ].join('')).join('\n');
+
+    return [
+        '<h4>Parameters</h4>',
+        '<table><tr><th>Name</th><th>In</th><th>Type</th><th>Description</th></tr>',
+        rows,
+        '</table>'
+    ].join('\n');
+};
+
+const mediaBlock = (content) => Object.entries(content).map(([type, media]) => [
+    `<p class="media">${escapeHtml(type)}</p>`,
+    media.example !== undefined ? json(media.example) : ''
+].join('\n')).join('\n');
+
+const requestBlock = (requestBody) => {
+    if (!requestBody) return '';
+    return [
+        `<h4>Request body${requestBody.required ? ' *' : ''}</h4>`,
+        mediaBlock(requestBody.content)
+    ].join('\n');
+};
+
+// The error codes a response can carry, with what each means
+const codeTable = (codes) => {
+    if (!codes) return '';
+
+    const rows = Object.entries(codes)
+        .map(([code, description]) => `<tr><td><code>${escapeHtml(code)}</code></td><td>${escapeHtml(description)}</td></tr>`)
+        .join('\n');
+
+    return ['<table><tr><th>Code</th><th>Meaning</th></tr>', rows, '</table>'].join('\n');
+};
+
+const responsesBlock = (responses) => {
+    const items = Object.entries(responses).map(([status, response]) => {
+        const codes = response['x-error-codes'];
+        const title = codes ? Object.keys(codes).join(', ') : response.description;
+
+        return [
+            '<details>',
+            `<summary><span class="status s${status[0]}">${escapeHtml(status)}</span> ${escapeHtml(title)}</summary>`,
+            codeTable(codes),
+            response.content ? mediaBlock(response.content) : '',
+            '</details>'
+        ].join('\n');
+    });
+
+    return ['<h4>Responses</h4>', ...items].join('\n');
+};
+
+const operationBlock = (path, method, operation) => [
+    `<details class="operation" id="${escapeHtml(operation.operationId || `${method}-${path}`)}">`,
+    '<summary>',
+    `<span class="method ${escapeHtml(method)}">${escapeHtml(method.toUpperCase())}</span>`,
+    `<code>${escapeHtml(path)}</code> ${escapeHtml(operation.summary)}`,
+    '</summary>',
+    `<p>${escapeHtml(operation.description)}</p>`,
+    parameterTable(operation.parameters),
+    requestBlock(operation.requestBody),
+    responsesBlock(operation.responses),
+    '</details>'
+].join('\n');
+
+const renderDocsPage = (spec) => {
+    const byTag = new Map(spec.tags.map(tag => [tag.name, []]));
+
+    Object.entries(spec.paths).forEach(([path, operations]) => {
+        Object.entries(operations).forEach(([method, operation]) => {
+            const tag = (operation.tags || ['Other'])[0];
+            if (!byTag.has(tag)) byTag.set(tag, []);
+            byTag.get(tag).push(operationBlock(path, method, operation));
+        });
+    });
+
+    const sections = [...byTag.entries()].map(([tag, blocks]) => [
+        `<h2 id="${anchor(tag)}">${escapeHtml(tag)}</h2>`,
+        ...blocks
+    ].join('\n'));
+
+    const contents = [...byTag.keys()]
+        .map(tag => `<a href="#${anchor(tag)}">${escapeHtml(tag)}</a>`)
+        .join(' · ');
+
+    const schemas = Object.entries(spec.components.schemas).map(([name, schema]) => [
+        `<details id="schema-${escapeHtml(name)}">`,
+        `<summary><code>${escapeHtml(name)}</code></summary>`,
+        json(schema),
+        '</details>'
+    ].join('\n'));
+
+    return [
+        '<!DOCTYPE html>',
+        '<html><head><meta charset="utf-8">',
+        `<title>${escapeHtml(spec.info.title)} reference</title>`,
+        '<style>',
+        'body{font-family:Helvetica,Arial,sans-serif;color:#222;max-width:1000px;margin:2em auto;padding:0 1em}',
+        'details{margin:.4em 0}.operation{border:1px solid #ddd;border-radius:4px;padding:.5em}',
+        'summary{cursor:pointer}.method{color:#fff;background:#555;border-radius:3px;padding:2px 6px;font-size:.8em;margin-right:.5em}',
+        '.get{background:#2f7d32}.post{background:#1565c0}.put{background:#b26a00}.delete{background:#c62828}',
+        'pre{background:#f6f8fa;padding:.75em;overflow:auto;font-size:.85em}',
+        'table{width:100%;border-collapse:collapse}th,td{padding:4px 6px;border-bottom:1px solid #eee;text-align:left}',
+        '.media{color:#666;font-size:.85em;margin:.5em 0 0}.status{font-weight:bold}',
+        '.s2{color:#2f7d32}.s4{color:#b26a00}.s5{color:#c62828}',
+        '</style></head><body>',
+        `<h1>${escapeHtml(spec.info.title)} <small>${escapeHtml(spec.info.version)}</small></h1>`,
+        `<p>${escapeHtml(spec.info.description)}</p>`,
+        '<p>Send the access token from login as <code>Authorization: Bearer &lt;token&gt;</code>. ',
+        'The machine-readable document is at <a href="/api/openapi.json">/api/openapi.json</a>.</p>',
+        '<p>Errors carry a stable <code>code</code> next to the message; check the code, not the wording. ',
+        'Quote the <code>requestId</code> when reporting a problem.</p>',
+        `<p>${contents}</p>`,
+        ...sections,
+        '<h2 id="schemas">Schemas</h2>',
+        ...schemas,
+        '</body></html>'
+    ].join('\n');
+};
+
+module.exports = {
+    renderDocsPage
+};
@@ -0,0 +1,88 @@
+// Stable, machine-readable error codes sent as `code` in every error
+// response. Clients should branch on these, never on the message text.
+// Codes are part of the API: add new ones, but do not rename or reuse them.
+const ERROR_CODES = {
+    // Generic, one per kind of error
+    VALIDATION_FAILED: 'VALIDATION_FAILED',
+    BAD_REQUEST: 'BAD_REQUEST',
+    INVALID_JSON: 'INVALID_JSON',
+    PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+    UNAUTHORIZED: 'UNAUTHORIZED',
+    FORBIDDEN: 'FORBIDDEN',
+    NOT_FOUND: 'NOT_FOUND',
+    ROUTE_NOT_FOUND: 'ROUTE_NOT_FOUND',
+    CONFLICT: 'CONFLICT',
+    ALREADY_EXISTS: 'ALREADY_EXISTS',
+    RATE_LIMITED: 'RATE_LIMITED',
+    INTERNAL_ERROR: 'INTERNAL_ERROR',
+
+    // Sign-in and accounts
+    TOKEN_MISSING: 'TOKEN_MISSING',
+    TOKEN_INVALID: 'TOKEN_INVALID',
+    SESSION_ENDED: 'SESSION_ENDED',
+    ACCOUNT_NOT_FOUND: 'ACCOUNT_NOT_FOUND',
+    INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+    ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+    EMAIL_ALREADY_VERIFIED: 'EMAIL_ALREADY_VERIFIED',
+    LINK_INVALID: 'LINK_INVALID',
+
+    // Records that do not exist
+    APPOINTMENT_NOT_FOUND: 'APPOINTMENT_NOT_FOUND',
+    SERIES_NOT_FOUND: 'SERIES_NOT_FOUND',
+    DENTIST_NOT_FOUND: 'DENTIST_NOT_FOUND',
+    SERVICE_NOT_FOUND: 'SERVICE_NOT_FOUND',
+    PATIENT_NOT_FOUND: 'PATIENT_NOT_FOUND',
+    HOLIDAY_NOT_FOUND: 'HOLIDAY_NOT_FOUND',
+    TIME_OFF_NOT_FOUND: 'TIME_OFF_NOT_FOUND',
+    WAITLIST_ENTRY_NOT_FOUND: 'WAITLIST_ENTRY_NOT_FOUND',
+    VISIT_RECORD_NOT_FOUND: 'VISIT_RECORD_NOT_FOUND',
+    INVOICE_NOT_FOUND: 'INVOICE_NOT_FOUND',
+    CALENDAR_FEED_NOT_FOUND: 'CALENDAR_FEED_NOT_FOUND',
+
+    // Booking and scheduling
+    DENTIST_UNAVAILABLE: 'DENTIST_UNAVAILABLE',
+    SERVICE_UNAVAILABLE: 'SERVICE_UNAVAILABLE',
+    SERVICE_NOT_OFFERED: 'SERVICE_NOT_OFFERED',
+    DATE_IN_PAST: 'DATE_IN_PAST',
+    DAY_UNAVAILABLE: 'DAY_UNAVAILABLE',
+    OUTSIDE_WORKING_HOURS: 'OUTSIDE_WORKING_HOURS',
+    INVALID_SLOT_TIME: 'INVALID_SLOT_TIME',
+    SLOT_TAKEN: 'SLOT_TAKEN',
+    SERIES_CONFLICT: 'SERIES_CONFLICT',
+    INVALID_DATE_RANGE: 'INVALID_DATE_RANGE',
+    INVALID_STATUS_TRANSITION: 'INVALID_STATUS_TRANSITION',
+    APPOINTMENT_CHANGED: 'APPOINTMENT_CHANGED',
+    APPOINTMENT_NOT_ACTIVE: 'APPOINTMENT_NOT_ACTIVE',
+    APPOINTMENT_NOT_STARTED: 'APPOINTMENT_NOT_STARTED',
+    CANCELLATION_WINDOW_PASSED: 'CANCELLATION_WINDOW_PASSED',
+    NOTHING_TO_CHANGE: 'NOTHING_TO_CHANGE',
+    NO_ACTIVE_HOLD: 'NO_ACTIVE_HOLD',
+    WAITLIST_ENTRY_CLOSED: 'WAITLIST_ENTRY_CLOSED',
+
+    // Clinic setup
+    INVALID_DOCTOR_ACCOUNT: 'INVALID_DOCTOR_ACCOUNT',
+    INVALID_DENTISTS: 'INVALID_DENTISTS',
+    INVALID_WORKING_HOURS: 'INVALID_WORKING_HOURS',
+    HAS_APPOINTMENTS: 'HAS_APPOINTMENTS',
+    SERVICE_NAME_TAKEN: 'SERVICE_NAME_TAKEN',
+    HOLIDAY_EXISTS: 'HOLIDAY_EXISTS',
+
+    // Clinical records
+    APPOINTMENT_NOT_COMPLETED: 'APPOINTMENT_NOT_COMPLETED',
+    PROFILE_VERSION_CONFLICT: 'PROFILE_VERSION_CONFLICT',
+    VISIT_VERSION_CONFLICT: 'VISIT_VERSION_CONFLICT',
+
+    // Billing
+    MIXED_PATIENTS: 'MIXED_PATIENTS',
+    ALREADY_INVOICED: 'ALREADY_INVOICED',
+    INVOICE_NOT_PAYABLE: 'INVOICE_NOT_PAYABLE',
+    OVERPAYMENT: 'OVERPAYMENT',
+    INVOICE_NOT_VOIDABLE: 'INVOICE_NOT_VOIDABLE',
+
+    // Imports
+    INVALID_CSV: 'INVALID_CSV'
+};
+
+module.exports = {
+    ERROR_CODES
+};
@@ -0,0 +1,80 @@
+const { ERROR_CODES } = require('./codes');
+
+// Application errors. Throw one from a route handler or middleware and the
+// error handler (middleware/errorHandler.js) sends it as
+// { success: false, code, status, message, errors, requestId }.
+// Anything that is not an AppError is logged and answered with a plain 500,
+// so internal details never reach the client.
+
+class AppError extends Error {
+    // details: field problems, [{ location, field, message }]
+    // extra: more fields for the response body, e.g. { conflicts }
+    constructor(message, { status = 500, code = ERROR_CODES.INTERNAL_ERROR, details = [], extra = {} } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+        this.extra = extra;
+    }
+}
+
+// Input that fails the route schema or a semantic check. `message` repeats
+// the first problem so simple clients can show it as is.
+class ValidationError extends AppError {
+    constructor(details, message = details[0].message) {
+        super(message, { status: 400, code: ERROR_CODES.VALIDATION_FAILED, details });
+    }
+}
+
+class BadRequestError extends AppError {
+    constructor(message, code = ERROR_CODES.BAD_REQUEST, options = {}) {
+        super(message, { ...options, status: 400, code });
+    }
+}
+
+class UnauthorizedError extends AppError {
+    constructor(message = 'Authentication required', code = ERROR_CODES.UNAUTHORIZED) {
+        super(message, { status: 401, code });
+    }
+}
+
+class ForbiddenError extends AppError {
+    constructor(message = 'You do not have permission to perform this action', code = ERROR_CODES.FORBIDDEN) {
+        super(message, { status: 403, code });
+    }
+}
+
+class NotFoundError extends AppError {
+    constructor(message, code = ERROR_CODES.NOT_FOUND) {
+        super(message, { status: 404, code });
+    }
+}
+
+class ConflictError extends AppError {
+    constructor(message, code = ERROR_CODES.CONFLICT, options = {}) {
+        super(message, { ...options, status: 409, code });
+    }
+}
+
+// `retryAfterMs` becomes the Retry-After header and `retryAfter` in the
+// body, in whole seconds
+class TooManyRequestsError extends AppError {
+    constructor(message = 'Too many requests. Please try again later', retryAfterMs = 0, code = ERROR_CODES.RATE_LIMITED) {
+        const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+        super(message, { status: 429, code, extra: { retryAfter } });
+        this.retryAfter = retryAfter;
+    }
+}
+
+module.exports = {
+    ERROR_CODES,
+    AppError,
+    ValidationError,
+    BadRequestError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    TooManyRequestsError
+};
@@ -0,0 +1,222 @@
+const { v4: uuidv4 } = require('uuid');
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const Dentist = require('../models/Dentist');
+const Service = require('../models/Service');
+const { ROLES } = require('../middleware/permissions');
+const schedule = require('../utils/schedule');
+const dateTime = require('../utils/dateTime');
+const { checkSlot } = require('../utils/booking');
+const { reserveSlots, releaseSlots } = require('../utils/reservations');
+const { STATUSES, isActive } = require('../utils/appointmentStatus');
+const { recordEvent } = require('../utils/appointmentHistory');
+const { replanReminders } = require('../jobs/reminders');
+const {
+    BATCH_SIZE,
+    createResult,
+    addError,
+    markFailed,
+    chunk,
+    readFile,
+    summarize
+} = require('./common');
+
+// Columns: email (the patient's), dentist and service (name or ID), date,
+// time (required), status, notes.
+// Status defaults to Pending. Pending and Confirmed rows hold a slot, so
+// they go through the same checks as POST /book: a future date, within the
+// dentist's hours and free of other appointments, including earlier rows of
+// the same file. Rows in any other status are history and only need valid
+// fields.
+const REQUIRED_COLUMNS = ['email', 'dentist', 'service', 'date', 'time'];
+
+const IMPORT_REASON = 'Imported from CSV';
+
+// Look up records by ID or by case-insensitive name
+const buildLookup = (records) => {
+    const byKey = new Map();
+    records.forEach(record => {
+        byKey.set(String(record._id), record);
+        byKey.set(record.name.toLowerCase(), record);
+    });
+    return (value) => byKey.get(value) || byKey.get(value.toLowerCase()) || null;
+};
+
+// Check one row's fields and build the appointment it describes.
+// Returns null if invalid.
+const validateRow = (values, result, { patients, findDentist, findService }) => {
+    const patient = values.email ? patients.get(values.email.toLowerCase()) : null;
+    const dentist = values.dentist ? findDentist(values.dentist) : null;
+    const service = values.service ? findService(values.service) : null;
+    const time = dateTime.normalizeTime(values.time);
+    const status = values.status || STATUSES.PENDING;
+
+    if (!values.email) {
+        addError(result, 'email', 'Patient email is required');
+    } else if (!patient) {
+        addError(result, 'email', 'No patient account with this email');
+    }
+
+    if (!dentist) addError(result, 'dentist', 'Dentist not found');
+    if (!service) addError(result, 'service', 'Service not found');
+
+    if (!dateTime.isValidDate(values.date)) {
+        addError(result, 'date', 'Invalid date format. Use YYYY-MM-DD');
+    }
+
+    if (!time) addError(result, 'time', 'Invalid time format. Use HH:mm (24-hour)');
+
+    if (!Object.values(STATUSES).includes(status)) {
+        addError(result, 'status', `Status must be one of: ${Object.values(STATUSES).join(', ')}`);
+    }
+
+    if (result.status === 'invalid') return null;
+
+    if (isActive(status)) {
+        if (!dentist.active) addError(result, 'dentist', 'Selected dentist is not available');
+        if (!service.active) addError(result, 'service', 'Selected service is not available');
+        if (!service.isPerformedBy(dentist._id)) {
+            addError(result, 'service', 'Selected dentist does not perform this service');
+        }
+        if (result.status === 'invalid') return null;
+    }
+
+    return {
+        dentist,
+        appointment: new Appointment({
+            appointmentId: uuidv4(),
+            userId: String(patient._id),
+            userName: patient.name,
+            userEmail: patient.email,
+            service: service._id,
+            serviceName: service.name,
+            duration: service.duration,
+            dentist: dentist._id,
+            dentistName: dentist.name,
+            date: values.date,
+            time,
+            notes: values.notes || '',
+            status
+        })
+    };
+};
+
+// Slot checks for a row that will hold a slot. `fileBookings` collects the
+// file's earlier active rows per dentist and day.
+const checkRowSlot = async ({ dentist, appointment }, result, fileBookings) => {
+    const { date, time, duration } = appointment;
+
+    const slotCheck = await checkSlot({ dentist, duration, date, time });
+    if (!slotCheck.ok) {
+        addError(result, slotCheck.error.status === 409 ? 'time' : 'date', slotCheck.error.message);
+        return false;
+    }
+
+    const key = `${dentist._id}|${date}`;
+    const sameDay = fileBookings.get(key) || [];
+    const clash = schedule.findOverlap({ time, duration }, sameDay);
+    if (clash) {
+        addError(result, 'time', `This time slot is already booked on row ${clash.row}`);
+        return false;
+    }
+
+    sameDay.push({ time, duration, row: result.row });
+    fileBookings.set(key, sameDay);
+    return true;
+};
+
+// Write one batch of valid rows. Active rows reserve their slots first,
+// exactly like a live booking; a row that loses its slot or fails to insert
+// is marked failed and anything it reserved is released.
+const commitBatch = async (batch, actor) => {
+    const reserved = [];
+    for (const entry of batch) {
+        if (!isActive(entry.appointment.status) || await reserveSlots(entry.appointment)) {
+            reserved.push(entry);
+        } else {
+            markFailed(entry.result, 'This time slot is already booked');
+        }
+    }
+
+    if (reserved.length === 0) return;
+
+    try {
+        await Appointment.insertMany(reserved.map(({ appointment }) => appointment), { ordered: false });
+    } catch (error) {
+        if (!Array.isArray(error.writeErrors)) throw error;
+    }
+
+    const inserted = await Appointment.find({
+        appointmentId: { $in: reserved.map(({ appointment }) => appointment.appointmentId) }
+    }).select('appointmentId');
+    const insertedIds = new Set(inserted.map(appointment => appointment.appointmentId));
+
+    for (const { appointment, result } of reserved) {
+        if (!insertedIds.has(appointment.appointmentId)) {
+            await releaseSlots(appointment.appointmentId);
+            markFailed(result, 'Could not save appointment');
+            continue;
+        }
+
+        result.status = 'imported';
+        result.appointmentId = appointment.appointmentId;
+
+        await recordEvent(appointment, 'created', { user: actor, reason: IMPORT_REASON });
+        if (isActive(appointment.status)) await replanReminders(appointment);
+    }
+};
+
+// Import appointments from CSV on behalf of `actor` (the admin). Returns
+// { ok: true, summary, rows } or { ok: false, error } when the
+// file itself is unusable. No notifications are sent for imported rows.
+const importAppointments = async ({ csv, dryRun = false, actor }) => {
+    const file = readFile(csv, REQUIRED_COLUMNS);
+    if (!file.ok) return file;
+
+    // Every patient, dentist and service the file refers to, in one query each
+    const emails = [...new Set(file.rows.map(({ values }) => (values.email || '').toLowerCase()).filter(Boolean))];
+    const [users, dentists, services] = await Promise.all([
+        User.find({ email: { $in: emails }, role: ROLES.PATIENT }).select('-password'),
+        Dentist.find(),
+        Service.find()
+    ]);
+
+    const lookups = {
+        patients: new Map(users.map(user => [user.email, user])),
+        findDentist: buildLookup(dentists),
+        findService: buildLookup(services)
+    };
+
+    const fileBookings = new Map();
+    const results = [];
+    const valid = [];
+
+    for (const { line, values } of file.rows) {
+        const result = createResult(line);
+        results.push(result);
+
+        const entry = validateRow(values, result, lookups);
+        if (!entry) continue;
+
+        if (isActive(entry.appointment.status) && !await checkRowSlot(entry, result, fileBookings)) continue;
+
+        valid.push({ ...entry, result });
+    }
+
+    if (!dryRun) {
+        for (const batch of chunk(valid, BATCH_SIZE)) {
+            await commitBatch(batch, actor);
+        }
+    }
+
+    return {
+        ok: true,
+        summary: summarize(results, dryRun),
+        rows: results
+    };
+};
+
+module.exports = {
+    REQUIRED_COLUMNS,
+    importAppointments
+};
@@ -0,0 +1,87 @@
+const { parseCsv } = require('../utils/csv');
+const { ERROR_CODES, BadRequestError } = require('../errors');
+
+// Helpers shared by the CSV importers
+
+// Rows written per database round trip
+const BATCH_SIZE = 100;
+
+// Largest file accepted in one request
+const MAX_ROWS = 5000;
+
+// Row report entry. `row` is the CSV line the record starts on (the header
+// is line 1), so it matches what a spreadsheet shows.
+const createResult = (line) => ({
+    row: line,
+    status: 'valid',
+    errors: []
+});
+
+const addError = (result, field, message) => {
+    result.status = 'invalid';
+    result.errors.push({ field, message });
+};
+
+const markFailed = (result, message) => {
+    result.status = 'failed';
+    result.errors.push({ field: null, message });
+};
+
+const chunk = (items, size) => {
+    const chunks = [];
+    for (let index = 0; index < items.length; index += size) {
+        chunks.push(items.slice(index, index + size));
+    }
+    return chunks;
+};
+
+const invalidCsv = (message) => new BadRequestError(message, ERROR_CODES.INVALID_CSV);
+
+// Parse an uploaded file and check it has the required columns.
+// Returns { ok: true, rows } or { ok: false, error }.
+const readFile = (csv, requiredColumns) => {
+    if (typeof csv !== 'string' || csv.trim() === '') {
+        return { ok: false, error: invalidCsv('CSV content is required') };
+    }
+
+    const { headers, rows } = parseCsv(csv);
+
+    const missing = requiredColumns.filter(column => !headers.includes(column));
+    if (missing.length > 0) {
+        return { ok: false, error: invalidCsv(`Missing required columns: ${missing.join(', ')}`) };
+    }
+
+    if (rows.length === 0) {
+        return { ok: false, error: invalidCsv('CSV has no data rows') };
+    }
+
+    if (rows.length > MAX_ROWS) {
+        return { ok: false, error: invalidCsv(`CSV cannot have more than ${MAX_ROWS} rows`) };
+    }
+
+    return { ok: true, rows };
+};
+
+const summarize = (results, dryRun) => {
+    const count = (status) => results.filter(result => result.status === status).length;
+
+    return {
+        dryRun,
+        total: results.length,
+        valid: count('valid'),
+        invalid: count('invalid'),
+        imported: count('imported'),
+        failed: count('failed')
+    };
+};
+
+module.exports = {
+    BATCH_SIZE,
+    MAX_ROWS,
+    createResult,
+    addError,
+    markFailed,
+    chunk,
+    readFile,
+    summarize
+};
@@ -0,0 +1,15 @@
+// Bulk CSV import of legacy records.
+//
+// Each importer validates every row first, using the same rules as the live
+// routes, and reports the problems per row. Unless it is a dry run, the
+// valid rows are then written in batches; a row that fails at write time
+// (e.g. someone else took the slot in the meantime) is reported as failed
+// without affecting the rest of its batch.
+
+const { importUsers } = require('./users');
+const { importAppointments } = require('./appointments');
+
+module.exports = {
+    importUsers,
+    importAppointments
+};
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const { ROLES } = require('../middleware/permissions');
+const { generateToken } = require('../utils/tokens');
+const {
+    BATCH_SIZE,
+    createResult,
+    addError,
+    markFailed,
+    chunk,
+    readFile,
+    summarize
+} = require('./common');
+
+// Columns: name, email (required), phone, role, password.
+// Role defaults to patient. Rows without a password get a random one the
+// user never sees, so they have to reset it before signing in.
+const REQUIRED_COLUMNS = ['name', 'email'];
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Check one row and build the user it describes. Returns null if invalid.
+const validateRow = (values, result, seenEmails) => {
+    const name = values.name;
+    const email = (values.email || '').toLowerCase();
+    const role = (values.role || ROLES.PATIENT).toLowerCase();
+
+    if (!name) addError(result, 'name', 'Name is required');
+
+    if (!email) {
+        addError(result, 'email', 'Email is required');
+    } else if (!EMAIL_REGEX.test(email)) {
+        addError(result, 'email', 'Invalid email address');
+    } else if (seenEmails.has(email)) {
+        addError(result, 'email', `Email is already used on row ${seenEmails.get(email)}`);
+    } else {
+        seenEmails.set(email, result.row);
+    }
+
+    if (values.password && values.password.length < 6) {
+        addError(result, 'password', 'Password must be at least 6 characters');
+    }
+
+    if (!Object.values(ROLES).includes(role)) {
+        addError(result, 'role', `Role must be one of: ${Object.values(ROLES).join(', ')}`);
+    }
+
+    if (result.status === 'invalid') return null;
+
+    return {
+        _id: new mongoose.Types.ObjectId(),
+        name,
+        email,
+        phone: values.phone || '',
+        role,
+        password: values.password || null
+    };
+};
+
+// insertMany skips the save hook, so hash here the same way it does
+const hashPassword = async (password) => {
+    const salt = await bcrypt.genSalt(10);
+    return bcrypt.hash(password || generateToken(), salt);
+};
+
+// Write one batch of valid rows. Rows that do not make it in (e.g. the
+// email was registered after validation) are marked failed.
+const commitBatch = async (batch) => {
+    const docs = [];
+    for (const { user } of batch) {
+        docs.push({ ...user, password: await hashPassword(user.password) });
+    }
+
+    try {
+        await User.insertMany(docs, { ordered: false });
+    } catch (error) {
+        if (!Array.isArray(error.writeErrors)) throw error;
+    }
+
+    const inserted = await User.find({ _id: { $in: docs.map(doc => doc._id) } }).select('_id');
+    const insertedIds = new Set(inserted.map(user => String(user._id)));
+
+    batch.forEach(({ user, result }) => {
+        if (insertedIds.has(String(user._id))) {
+            result.status = 'imported';
+            result.id = user._id;
+        } else {
+            markFailed(result, 'User already exists with this email');
+        }
+    });
+};
+
+// Import user accounts from CSV. Returns { ok: true, summary, rows } or
+// { ok: false, error } when the file itself is unusable.
+const importUsers = async ({ csv, dryRun = false }) => {
+    const file = readFile(csv, REQUIRED_COLUMNS);
+    if (!file.ok) return file;
+
+    const seenEmails = new Map();
+    const results = [];
+    const valid = [];
+
+    file.rows.forEach(({ line, values }) => {
+        const result = createResult(line);
+        const user = validateRow(values, result, seenEmails);
+        results.push(result);
+        if (user) valid.push({ user, result });
+    });
+
+    // Email uniqueness against existing accounts, in one query
+    const existing = await User.find({ email: { $in: valid.map(({ user }) => user.email) } }).select('email');
+    const existingEmails = new Set(existing.map(user => user.email));
+
+    const toImport = valid.filter(({ user, result }) => {
+        if (!existingEmails.has(user.email)) return true;
+        addError(result, 'email', 'User already exists with this email');
+        return false;
+    });
+
+    if (!dryRun) {
+        for (const batch of chunk(toImport, BATCH_SIZE)) {
+            await commitBatch(batch);
+        }
+    }
+
+    return {
+        ok: true,
+        summary: summarize(results, dryRun),
+        rows: results
+    };
+};
+
+module.exports = {
+    REQUIRED_COLUMNS,
+    importUsers
+};
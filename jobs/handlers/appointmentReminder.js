@@ -0,0 +1,16 @@
+const Appointment = require('../../models/Appointment');
+const { isActive } = require('../../utils/appointmentStatus');
+const { notifyAppointment } = require('../../notifications');
+
+// Send a reminder email, unless the appointment was cancelled or moved
+// since the reminder was planned
+const appointmentReminder = async ({ appointmentId, hoursBefore, startsAt }) => {
+    const appointment = await Appointment.findOne({ appointmentId });
+
+    if (!appointment || !isActive(appointment.status)) return;
+    if (appointment.startsAt !== startsAt) return;
+
+    await notifyAppointment('reminder', appointment, { hoursBefore });
+};
+
+module.exports = appointmentReminder;
\ No newline at end of file
@@ -0,0 +1,39 @@
+const Appointment = require('../../models/Appointment');
+const dateTime = require('../../utils/dateTime');
+const { STATUSES, SYSTEM_ACTOR } = require('../../utils/appointmentStatus');
+const { snapshot, recordEvent } = require('../../utils/appointmentHistory');
+const { releaseSlots } = require('../../utils/reservations');
+
+const EXPIRED_REASON = 'Not confirmed before the appointment time';
+
+// Mark pending appointments whose start time has passed as expired
+const expireAppointments = async () => {
+    const now = dateTime.clinicNow();
+
+    const appointments = await Appointment.find({
+        status: STATUSES.PENDING,
+        $or: [
+            { date: { $lt: now.date } },
+            { date: now.date, time: { $lte: now.time } }
+        ]
+    });
+
+    let expiredCount = 0;
+    for (const appointment of appointments) {
+        const before = snapshot(appointment);
+
+        // Skipped when it was confirmed or cancelled since the query ran
+        const expired = await appointment.transitionTo(STATUSES.EXPIRED, { user: SYSTEM_ACTOR, reason: EXPIRED_REASON });
+        if (!expired) continue;
+
+        await releaseSlots(expired.appointmentId);
+        await recordEvent(expired, 'status_changed', { user: SYSTEM_ACTOR, before, reason: EXPIRED_REASON });
+        expiredCount += 1;
+    }
+
+    if (expiredCount > 0) {
+        console.log(`⏰ Expired ${expiredCount} unconfirmed appointment(s)`);
+    }
+};
+
+module.exports = expireAppointments;
\ No newline at end of file
@@ -0,0 +1,28 @@
+const scheduler = require('./scheduler');
+const appointmentReminder = require('./handlers/appointmentReminder');
+const expireAppointments = require('./handlers/expireAppointments');
+const waitlist = require('../waitlist');
+
+const EXPIRE_EVERY_MS = 15 * 60 * 1000;
+const WAITLIST_CLEANUP_EVERY_MS = 60 * 60 * 1000;
+
+scheduler.registerHandler('appointment-reminder', appointmentReminder);
+scheduler.registerHandler('expire-appointments', expireAppointments);
+scheduler.registerHandler('waitlist-hold-expiry', waitlist.expireHold);
+scheduler.registerHandler('expire-waitlist', waitlist.expireEntries);
+
+// Start running background jobs inside the API process
+const startJobs = async () => {
+    try {
+        await scheduler.scheduleRecurring('expire-appointments', 'expire-appointments', EXPIRE_EVERY_MS);
+        await scheduler.scheduleRecurring('expire-waitlist', 'expire-waitlist', WAITLIST_CLEANUP_EVERY_MS);
+    } catch (error) {
+        console.error('Schedule recurring jobs error:', error);
+    }
+
+    return scheduler.start();
+};
+
+module.exports = {
+    startJobs
+};
\ No newline at end of file
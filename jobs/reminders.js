@@ -0,0 +1,51 @@
+const scheduler = require('./scheduler');
+const { isActive } = require('../utils/appointmentStatus');
+
+// Reminders go out this many hours before an appointment starts
+const REMINDER_HOURS = [48, 2];
+
+const reminderKeyPrefix = (appointmentId) => `reminder:${appointmentId}:`;
+
+// Cancel an appointment's pending reminders
+const cancelReminders = async (appointmentId) => {
+    await scheduler.cancel(reminderKeyPrefix(appointmentId));
+};
+
+// (Re-)plan reminders for an appointment from its current date and time.
+// Reminders whose time has already passed are skipped.
+const planReminders = async (appointment) => {
+    await cancelReminders(appointment.appointmentId);
+
+    if (!isActive(appointment.status) || !appointment.startsAt) return;
+
+    const startsAt = new Date(appointment.startsAt);
+
+    for (const hoursBefore of REMINDER_HOURS) {
+        const runAt = new Date(startsAt.getTime() - hoursBefore * 60 * 60 * 1000);
+        if (runAt <= new Date()) continue;
+
+        await scheduler.schedule(
+            'appointment-reminder',
+            `${reminderKeyPrefix(appointment.appointmentId)}${hoursBefore}h`,
+            runAt,
+            { appointmentId: appointment.appointmentId, hoursBefore, startsAt: appointment.startsAt }
+        );
+    }
+};
+
+// Reminder planning runs after the appointment is saved. A failure is
+// logged but never fails the request.
+const replanReminders = async (appointment) => {
+    try {
+        await planReminders(appointment);
+    } catch (error) {
+        console.error('Plan reminders error:', error);
+    }
+};
+
+module.exports = {
+    REMINDER_HOURS,
+    planReminders,
+    cancelReminders,
+    replanReminders
+};
\ No newline at end of file
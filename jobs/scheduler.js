@@ -0,0 +1,131 @@
+const Job = require('../models/Job');
+
+// How often the runner looks for due jobs
+const POLL_INTERVAL_MS = 30 * 1000;
+
+// A job running longer than this was interrupted by a crash or restart
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+// Failed jobs are retried this many times, waiting longer each time
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 5 * 60 * 1000;
+
+const handlers = {};
+let running = false;
+
+// Register the function that runs jobs of a type. It receives the job's
+// payload and the job itself.
+const registerHandler = (type, handler) => {
+    handlers[type] = handler;
+};
+
+// Create or re-plan a one-off job
+const schedule = async (type, key, runAt, payload = {}) => {
+    return Job.findOneAndUpdate(
+        { key },
+        {
+            $set: { type, payload, runAt, status: 'scheduled', attempts: 0, lastError: '' },
+            $unset: { lockedAt: 1, completedAt: 1 }
+        },
+        { upsert: true, new: true }
+    );
+};
+
+// Make sure a recurring job exists. An existing job keeps its next run time.
+const scheduleRecurring = async (type, key, repeatEveryMs, payload = {}) => {
+    return Job.findOneAndUpdate(
+        { key },
+        {
+            $set: { type, payload, repeatEveryMs },
+            $setOnInsert: { runAt: new Date(), status: 'scheduled' }
+        },
+        { upsert: true, new: true }
+    );
+};
+
+// Cancel scheduled jobs whose key starts with the given prefix
+const cancel = async (keyPrefix) => {
+    const escaped = keyPrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    await Job.deleteMany({ key: new RegExp(`^${escaped}`), status: 'scheduled' });
+};
+
+const runJob = async (job) => {
+    const handler = handlers[job.type];
+
+    try {
+        if (!handler) throw new Error(`No handler registered for job type "${job.type}"`);
+
+        await handler(job.payload, job);
+
+        if (job.repeatEveryMs) {
+            job.status = 'scheduled';
+            job.runAt = new Date(Date.now() + job.repeatEveryMs);
+            job.attempts = 0;
+        } else {
+            job.status = 'done';
+            job.completedAt = new Date();
+        }
+        job.lastError = '';
+    } catch (error) {
+        console.error(`Job ${job.key} error:`, error.message);
+        job.lastError = error.message;
+
+        if (job.attempts < MAX_ATTEMPTS) {
+            job.status = 'scheduled';
+            job.runAt = new Date(Date.now() + RETRY_DELAY_MS * job.attempts);
+        } else if (job.repeatEveryMs) {
+            // Recurring jobs never give up - try again next period
+            job.status = 'scheduled';
+            job.runAt = new Date(Date.now() + job.repeatEveryMs);
+            job.attempts = 0;
+        } else {
+            job.status = 'failed';
+        }
+    }
+
+    job.lockedAt = undefined;
+    await job.save();
+};
+
+// Run every job that is due
+const runDueJobs = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+        await Job.updateMany(
+            { status: 'running', lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) } },
+            { $set: { status: 'scheduled' } }
+        );
+
+        let job;
+        // Claim one at a time so several API instances never run the same job
+        while ((job = await Job.findOneAndUpdate(
+            { status: 'scheduled', runAt: { $lte: new Date() } },
+            { $set: { status: 'running', lockedAt: new Date() }, $inc: { attempts: 1 } },
+            { sort: { runAt: 1 }, new: true }
+        ))) {
+            await runJob(job);
+        }
+    } catch (error) {
+        console.error('Job runner error:', error);
+    } finally {
+        running = false;
+    }
+};
+
+const start = () => {
+    const timer = setInterval(runDueJobs, POLL_INTERVAL_MS);
+    timer.unref();
+    setImmediate(runDueJobs);
+    return timer;
+};
+
+module.exports = {
+    registerHandler,
+    schedule,
+    scheduleRecurring,
+    cancel,
+    runDueJobs,
+    start
+};
\ No newline at end of file
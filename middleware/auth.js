@@ -0,0 +1,67 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { ACCESS_TOKEN_TTL } = require('../config/auth');
+const { isSessionActive } = require('../utils/sessions');
+const { ERROR_CODES, UnauthorizedError } = require('../errors');
+
+// JWT Secret Key
+// Tokens signed with a known fallback could be forged by anyone, so
+// starting without a secret is a configuration error.
+const JWT_SECRET = process.env.JWT_SECRET;
+
+if (!JWT_SECRET) {
+    throw new Error('JWT_SECRET is not set. Add it to the environment or to .env');
+}
+
+// Create a signed access token for a user's session
+const signToken = (user, session) => {
+    return jwt.sign(
+        { userId: user._id, role: user.role, sid: String(session._id) },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+};
+
+// Require a valid Bearer token from a session that has not been logged out,
+// and attach the user to req.user and the session ID to req.sessionId
+const requireAuth = async (req, res, next) => {
+    // Get token from header
+    const token = req.headers.authorization?.split(' ')[1];
+
+    if (!token) {
+        throw new UnauthorizedError('No token provided', ERROR_CODES.TOKEN_MISSING);
+    }
+
+    // Verify token
+    let decoded;
+    try {
+        decoded = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+        if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+            throw new UnauthorizedError('Invalid token', ERROR_CODES.TOKEN_INVALID);
+        }
+        throw error;
+    }
+
+    // Tokens issued before sessions existed cannot be revoked, so they
+    // are no longer accepted
+    if (!decoded.sid || !await isSessionActive(decoded.sid, decoded.userId)) {
+        throw new UnauthorizedError('Session has ended. Please log in again', ERROR_CODES.SESSION_ENDED);
+    }
+
+    // Find user
+    const user = await User.findById(decoded.userId).select('-password');
+    if (!user) {
+        throw new UnauthorizedError('User not found', ERROR_CODES.ACCOUNT_NOT_FOUND);
+    }
+
+    req.user = user;
+    req.sessionId = decoded.sid;
+    next();
+};
+
+module.exports = {
+    JWT_SECRET,
+    signToken,
+    requireAuth
+};
\ No newline at end of file
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const {
+    ERROR_CODES,
+    AppError,
+    ValidationError,
+    BadRequestError,
+    NotFoundError,
+    ConflictError
+} = require('../errors');
+
+// Message for one failed Mongoose validator. Messages we wrote ourselves
+// (custom validators) are kept; Mongoose's own ones name internals.
+const describeValidatorError = (error) => {
+    if (error.kind === 'required') return `${error.path} is required`;
+    if (error.kind === 'enum') return `${error.path} must be one of: ${error.properties.enumValues.join(', ')}`;
+    if (error.kind === 'user defined') return error.message;
+    return `${error.path} is invalid`;
+};
+
+// Turn errors raised outside our own code into AppErrors.
+// Returns null for anything unexpected.
+const toAppError = (error) => {
+    if (error instanceof AppError) return error;
+
+    // A document failed its schema on save
+    if (error instanceof mongoose.Error.ValidationError) {
+        return new ValidationError(Object.values(error.errors).map(item => ({
+            location: 'body',
+            field: item.path,
+            message: item instanceof mongoose.Error.CastError ? `${item.path} is invalid` : describeValidatorError(item)
+        })));
+    }
+
+    // A value that does not fit the schema type, e.g. a malformed ID in a query
+    if (error instanceof mongoose.Error.CastError) {
+        return new ValidationError([{ location: 'query', field: error.path, message: `${error.path} is invalid` }]);
+    }
+
+    // A unique index was violated, e.g. two requests creating the same record
+    if (error.code === 11000) {
+        const field = Object.keys(error.keyValue || error.keyPattern || {})[0] || null;
+        return new ConflictError(
+            field ? `A record with this ${field} already exists` : 'This record already exists',
+            ERROR_CODES.ALREADY_EXISTS,
+            { details: field ? [{ location: 'body', field, message: `${field} is already in use` }] : [] }
+        );
+    }
+
+    // Body parser failures from express.json() and express.text()
+    if (error.type === 'entity.parse.failed') {
+        return new BadRequestError('Request body is not valid JSON', ERROR_CODES.INVALID_JSON);
+    }
+    if (error.type === 'entity.too.large') {
+        return new AppError('Request body is too large', { status: 413, code: ERROR_CODES.PAYLOAD_TOO_LARGE });
+    }
+
+    return null;
+};
+
+// Catch-all for unknown routes, mounted after every router
+const notFound = (req, res, next) => {
+    next(new NotFoundError('Route not found', ERROR_CODES.ROUTE_NOT_FOUND));
+};
+
+// Central error handler: every error response goes through here.
+// Unexpected errors are logged with the request ID and answered with a
+// generic 500 so no internals (stack traces, database messages) leak.
+const errorHandler = (err, req, res, next) => {
+    if (res.headersSent) return next(err);
+
+    let error = toAppError(err);
+    if (!error || error.status >= 500) {
+        console.error(`[${req.id}] ${req.method} ${req.originalUrl} error:`, err);
+        error = new AppError('Server error');
+    }
+
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+
+    res.status(error.status).json({
+        success: false,
+        code: error.code,
+        status: error.status,
+        message: error.message,
+        errors: error.details,
+        ...error.extra,
+        requestId: req.id
+    });
+};
+
+module.exports = {
+    toAppError,
+    notFound,
+    errorHandler
+};
@@ -0,0 +1,28 @@
+const { UnauthorizedError, ForbiddenError } = require('../errors');
+
+// Roles defined on the User model
+const ROLES = {
+    PATIENT: 'patient',
+    DOCTOR: 'doctor',
+    ADMIN: 'admin'
+};
+
+// Allow only the given roles through. Must run after requireAuth.
+const authorize = (...roles) => {
+    const middleware = (req, res, next) => {
+        if (!req.user) throw new UnauthorizedError();
+
+        if (!roles.includes(req.user.role)) throw new ForbiddenError();
+
+        next();
+    };
+
+    // Read by docs/ to describe who may call a route
+    middleware.roles = roles;
+    return middleware;
+};
+
+module.exports = {
+    ROLES,
+    authorize
+};
\ No newline at end of file
@@ -0,0 +1,46 @@
+const { getStore } = require('../rateLimit');
+const { TooManyRequestsError } = require('../errors');
+
+// Allow at most `max` requests per `windowMs` for each key. `keyBy` picks
+// the key from the request (the client IP by default); returning null skips
+// the limit. Counters are namespaced by `name`.
+// If the store fails the request is let through: an outage of the counter
+// store should not take the API down with it.
+const rateLimit = ({ name, windowMs, max, keyBy = (req) => req.ip, message }) => {
+    const middleware = async (req, res, next) => {
+        const id = keyBy(req);
+        if (!id) return next();
+
+        let hit;
+        try {
+            hit = await getStore().increment(`${name}:${id}`, windowMs);
+        } catch (error) {
+            console.error(`Rate limit (${name}) store error:`, error);
+            return next();
+        }
+
+        const retryAfterMs = new Date(hit.resetAt).getTime() - Date.now();
+
+        res.set('RateLimit-Limit', String(max));
+        res.set('RateLimit-Remaining', String(Math.max(0, max - hit.count)));
+        res.set('RateLimit-Reset', String(Math.max(0, Math.ceil(retryAfterMs / 1000))));
+
+        if (hit.count > max) {
+            throw new TooManyRequestsError(message, retryAfterMs);
+        }
+
+        next();
+    };
+
+    // Read by docs/ to list the 429 response
+    middleware.rateLimit = { name, message };
+    return middleware;
+};
+
+// Key by the signed-in user. Must run after requireAuth.
+const byUser = (req) => (req.user ? String(req.user._id) : null);
+
+module.exports = {
+    rateLimit,
+    byUser
+};
@@ -0,0 +1,19 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Reuse an X-Request-Id set by a proxy or the client so log lines can be
+// matched across services; anything unusual is replaced
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Give every request an ID (req.id), echoed in the X-Request-Id response
+// header and in error responses, and logged with server errors
+const requestId = (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : uuidv4();
+
+    res.set('X-Request-Id', req.id);
+    next();
+};
+
+module.exports = {
+    requestId
+};
@@ -0,0 +1,130 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { ValidationError } = require('../errors');
+
+// Request validation against declarative JSON Schemas (see schemas/).
+//
+// A route declares what it accepts with validate({ body, query, params })
+// and the handler can rely on the shape of its input. The same schema
+// objects are read back by docs/ to describe the API, so they also carry
+// `name` and `summary` for the route.
+
+const createAjv = (options) => {
+    const ajv = new Ajv({ allErrors: true, verbose: true, ...options });
+    addFormats(ajv, ['date', 'date-time', 'email', 'uri']);
+
+    // Annotations: a friendlier error message for a field, and an example
+    // value for the docs
+    ajv.addKeyword('x-message');
+    ajv.addKeyword('example');
+
+    return ajv;
+};
+
+// Bodies are JSON and must have the right types. Query strings and path
+// parameters are always text, so they are checked after coercion ("5" is
+// accepted as an integer).
+const bodyAjv = createAjv();
+const textAjv = createAjv({ coerceTypes: 'array' });
+
+// "/procedures/0/tooth" -> "procedures[0].tooth"
+const fieldName = (instancePath, missingProperty) => {
+    const parts = instancePath.split('/').filter(Boolean);
+    if (missingProperty) parts.push(missingProperty);
+
+    return parts.reduce((name, part) => {
+        if (/^\d+$/.test(part)) return `${name}[${part}]`;
+        return name ? `${name}.${part}` : part;
+    }, '');
+};
+
+const describeError = (error, field) => {
+    const label = field || 'Value';
+    const custom = error.parentSchema && error.parentSchema['x-message'];
+
+    switch (error.keyword) {
+        case 'required':
+            return `${label} is required`;
+        case 'type':
+            return `${label} must be ${error.params.type === 'integer' || error.params.type === 'array' || error.params.type === 'object' ? 'an' : 'a'} ${error.params.type}`;
+        case 'enum':
+            return custom || `${label} must be one of: ${error.params.allowedValues.join(', ')}`;
+        case 'format':
+        case 'pattern':
+            return custom || `${label} has an invalid format`;
+        case 'minLength':
+            if (custom) return custom;
+            return error.params.limit === 1
+                ? `${label} cannot be empty`
+                : `${label} must be at least ${error.params.limit} characters`;
+        case 'maxLength':
+            return custom || `${label} must be at most ${error.params.limit} characters`;
+        case 'minimum':
+            return custom || `${label} must be at least ${error.params.limit}`;
+        case 'maximum':
+            return custom || `${label} must be at most ${error.params.limit}`;
+        case 'minItems':
+            return custom || `${label} must have at least ${error.params.limit} item${error.params.limit === 1 ? '' : 's'}`;
+        case 'anyOf':
+        case 'oneOf':
+            return custom || `${label} does not match any of the accepted forms`;
+        default:
+            return custom || `${label} ${error.message}`;
+    }
+};
+
+// Turn Ajv errors into [{ location, field, message }], one per field
+const formatErrors = (errors, location) => {
+    const byField = new Map();
+
+    // When no alternative of an anyOf/oneOf matches, report that once rather
+    // than every alternative's own complaints
+    const alternatives = errors
+        .filter(error => error.keyword === 'anyOf' || error.keyword === 'oneOf')
+        .map(error => `${error.schemaPath}/`);
+
+    errors.forEach(error => {
+        if (alternatives.some(prefix => error.schemaPath.startsWith(prefix))) return;
+
+        const field = fieldName(error.instancePath, error.params.missingProperty);
+        if (!byField.has(field)) {
+            byField.set(field, { location, field: field || null, message: describeError(error, field) });
+        }
+    });
+
+    return [...byField.values()];
+};
+
+// Middleware checking req.params, req.query and req.body against a route
+// schema { name, summary, params, query, body }
+const validate = (schema) => {
+    const validators = [];
+
+    if (schema.params) validators.push(['params', textAjv.compile(schema.params)]);
+    if (schema.query) validators.push(['query', textAjv.compile(schema.query)]);
+    if (schema.body) validators.push(['body', bodyAjv.compile(schema.body)]);
+
+    const middleware = (req, res, next) => {
+        const errors = [];
+
+        validators.forEach(([location, check]) => {
+            // Coercion works on a copy; handlers keep reading the raw values
+            const value = location === 'body'
+                ? (req.body === undefined ? {} : req.body)
+                : { ...req[location] };
+
+            if (!check(value)) errors.push(...formatErrors(check.errors, location));
+        });
+
+        if (errors.length > 0) throw new ValidationError(errors);
+        next();
+    };
+
+    middleware.schema = schema;
+    return middleware;
+};
+
+module.exports = {
+    validate,
+    formatErrors
+};
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const dateTime = require('../utils/dateTime');
+const { STATUSES, TRANSITIONS, canTransition, statusChange } = require('../utils/appointmentStatus');
 
 const appointmentSchema = new mongoose.Schema({
     appointmentId: {
@@ -19,27 +21,30 @@ const appointmentSchema = new mongoose.Schema({
         required: true
     },
     service: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Service',
+        required: true
+    },
+    // Service name at booking time, kept for display
+    serviceName: {
         type: String,
+        required: true
+    },
+    // Length in minutes, copied from the service when booked
+    duration: {
+        type: Number,
         required: true,
-        enum: [
-            'Teeth Cleaning',
-            'Tooth Extraction',
-            'Root Canal',
-            'Dental Checkup',
-            'Braces',
-            'Adjust'
-        ]
+        default: 30
     },
     dentist: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Dentist',
+        required: true
+    },
+    // Dentist's name at booking time, kept for display
+    dentistName: {
         type: String,
-        required: true,
-        enum: [
-            'Dra. Villaflor',
-            'Dr. Smith',
-            'Dr. Cruz',
-            'Dr. Lee',
-            'Dr. Santos'
-        ]
+        required: true
     },
     date: {
         type: String, // Format: YYYY-MM-DD
@@ -49,15 +54,34 @@ const appointmentSchema = new mongoose.Schema({
         type: String, // Format: HH:mm (24-hour)
         required: true
     },
+    // Set when the appointment is one occurrence of a recurring series
+    seriesId: {
+        type: String,
+        default: null
+    },
+    seriesIndex: {
+        type: Number,
+        default: null
+    },
     notes: {
         type: String,
         default: ''
     },
     status: {
         type: String,
-        enum: ['Pending', 'Confirmed', 'Cancelled', 'Completed'],
-        default: 'Pending'
+        enum: Object.keys(TRANSITIONS),
+        default: STATUSES.PENDING
     },
+    // Every status change, oldest first
+    statusHistory: [{
+        _id: false,
+        from: { type: String, required: true },
+        to: { type: String, required: true },
+        changedBy: { type: String, required: true }, // User ID
+        changedByRole: { type: String, required: true },
+        changedAt: { type: Date, default: Date.now },
+        reason: { type: String, default: '' }
+    }],
     createdAt: {
         type: Date,
         default: Date.now
@@ -68,10 +92,43 @@ const appointmentSchema = new mongoose.Schema({
     }
 });
 
+// ISO instants of the appointment's start and end, from the clinic-local
+// date and time
+appointmentSchema.virtual('startsAt').get(function() {
+    return dateTime.appointmentWindow(this).startsAt;
+});
+
+appointmentSchema.virtual('endsAt').get(function() {
+    return dateTime.appointmentWindow(this).endsAt;
+});
+
+appointmentSchema.set('toJSON', { virtuals: true });
+
+// Move the appointment to a new status and record who did it and why.
+// The update only matches while the appointment still has the status it
+// was read with, so two concurrent changes cannot both apply.
+// Resolves to the updated appointment, or null when the move is not
+// allowed or another change got there first.
+appointmentSchema.methods.transitionTo = async function(to, { user, reason = '' }) {
+    const from = this.status;
+    if (!canTransition(from, to)) return null;
+
+    const now = new Date();
+    return this.constructor.findOneAndUpdate(
+        { _id: this._id, status: from },
+        {
+            $set: { status: to, updatedAt: now },
+            $push: { statusHistory: statusChange(from, to, { user, reason, at: now }) }
+        },
+        { new: true }
+    );
+};
+
 // Create index for faster queries
 appointmentSchema.index({ userId: 1, date: 1 });
 appointmentSchema.index({ date: 1, time: 1 });
 appointmentSchema.index({ dentist: 1, date: 1 });
+appointmentSchema.index({ seriesId: 1, seriesIndex: 1 });
 
 const Appointment = mongoose.model('Appointment', appointmentSchema);
 
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Append-only history of changes to an appointment
+const appointmentEventSchema = new mongoose.Schema({
+    appointmentId: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: ['created', 'updated', 'cancelled', 'status_changed']
+    },
+    actor: {
+        userId: { type: String, required: true },
+        name: { type: String, default: '' },
+        role: { type: String, required: true }
+    },
+    // Field-level diff: what each changed field was before and after
+    changes: [{
+        _id: false,
+        field: { type: String, required: true },
+        from: { type: mongoose.Schema.Types.Mixed, default: null },
+        to: { type: mongoose.Schema.Types.Mixed, default: null }
+    }],
+    reason: {
+        type: String,
+        default: ''
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+appointmentEventSchema.index({ appointmentId: 1, createdAt: 1 });
+
+// Events are never changed or removed once written
+appointmentEventSchema.pre('save', function() {
+    if (!this.isNew) {
+        throw new Error('Appointment events are append-only');
+    }
+});
+
+[
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete'
+].forEach(operation => {
+    appointmentEventSchema.pre(operation, function() {
+        throw new Error('Appointment events are append-only');
+    });
+});
+
+const AppointmentEvent = mongoose.model('AppointmentEvent', appointmentEventSchema);
+
+module.exports = AppointmentEvent;
\ No newline at end of file
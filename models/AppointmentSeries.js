@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// A recurring set of appointments, e.g. every 4 weeks for 12 visits.
+// Each occurrence is a normal Appointment carrying the seriesId.
+const appointmentSeriesSchema = new mongoose.Schema({
+    seriesId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    userId: {
+        type: String,
+        required: true
+    },
+    userName: {
+        type: String,
+        required: true
+    },
+    userEmail: {
+        type: String,
+        required: true
+    },
+    service: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Service',
+        required: true
+    },
+    dentist: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Dentist',
+        required: true
+    },
+    startDate: {
+        type: String, // Format: YYYY-MM-DD
+        required: true
+    },
+    time: {
+        type: String, // Format: HH:mm (24-hour)
+        required: true
+    },
+    intervalWeeks: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    count: {
+        type: Number,
+        required: true,
+        min: 2
+    },
+    status: {
+        type: String,
+        enum: ['active', 'cancelled'],
+        default: 'active'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+appointmentSeriesSchema.index({ userId: 1, createdAt: -1 });
+
+const AppointmentSeries = mongoose.model('AppointmentSeries', appointmentSeriesSchema);
+
+module.exports = AppointmentSeries;
\ No newline at end of file
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const TOKEN_TYPES = ['email_verification', 'password_reset'];
+
+// Single-use token sent by email. Only its hash is stored; it is spent by
+// setting usedAt and removed by MongoDB once expired.
+const authTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: TOKEN_TYPES,
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+authTokenSchema.index({ user: 1, type: 1 });
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+authTokenSchema.statics.TOKEN_TYPES = TOKEN_TYPES;
+
+const AuthToken = mongoose.model('AuthToken', authTokenSchema);
+
+module.exports = AuthToken;
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// A patient's personal calendar subscription. The feed URL carries a random
+// token; only its hash is stored. Revoking the feed deletes the document,
+// rotating it replaces the hash, and either way old URLs stop working.
+const calendarFeedSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    lastAccessedAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const CalendarFeed = mongoose.model('CalendarFeed', calendarFeedSchema);
+
+module.exports = CalendarFeed;
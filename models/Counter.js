@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Named sequences, e.g. invoice numbers. Incremented atomically, so two
+// requests never get the same value.
+const counterSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        required: true
+    },
+    value: {
+        type: Number,
+        default: 0
+    }
+});
+
+// Next value of a sequence, starting at 1
+counterSchema.statics.next = async function(name) {
+    const counter = await this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { value: 1 } },
+        { new: true, upsert: true }
+    );
+    return counter.value;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const dentistSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    specialties: {
+        type: [String],
+        default: []
+    },
+    // Weekly schedule. Empty means the clinic default hours apply.
+    weeklyHours: [{
+        _id: false,
+        day: {
+            type: Number, // 0 = Sunday ... 6 = Saturday
+            required: true,
+            min: 0,
+            max: 6
+        },
+        start: {
+            type: String, // Format: HH:mm
+            required: true
+        },
+        end: {
+            type: String, // Format: HH:mm
+            required: true
+        },
+        breaks: [{
+            _id: false,
+            start: { type: String, required: true },
+            end: { type: String, required: true }
+        }]
+    }],
+    active: {
+        type: Boolean,
+        default: true
+    },
+    // Linked doctor account, used to show a doctor their own appointments
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+dentistSchema.index({ active: 1, name: 1 });
+dentistSchema.index({ user: 1 });
+
+// Find a dentist that can currently take appointments
+dentistSchema.statics.findActiveById = function(id) {
+    if (!mongoose.isValidObjectId(id)) return Promise.resolve(null);
+    return this.findOne({ _id: id, active: true });
+};
+
+const Dentist = mongoose.model('Dentist', dentistSchema);
+
+module.exports = Dentist;
\ No newline at end of file
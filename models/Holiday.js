@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Clinic-wide closure - no dentist takes appointments on this date
+const holidaySchema = new mongoose.Schema({
+    date: {
+        type: String, // Format: YYYY-MM-DD
+        required: true,
+        unique: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const Holiday = mongoose.model('Holiday', holidaySchema);
+
+module.exports = Holiday;
\ No newline at end of file
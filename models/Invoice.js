@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const { CURRENCY } = require('../config/billing');
+
+// Every amount on an invoice is an integer in minor currency units
+const amountField = {
+    type: Number,
+    required: true,
+    min: 0,
+    validate: {
+        validator: Number.isSafeInteger,
+        message: 'Amounts must be integers in minor units'
+    }
+};
+
+const INVOICE_STATUSES = ['issued', 'partially_paid', 'paid', 'void'];
+
+// Statuses under which an invoice bills its appointments
+const BILLED_STATUSES = ['issued', 'partially_paid', 'paid'];
+
+const PAYMENT_METHODS = ['cash', 'card', 'bank_transfer', 'e_wallet', 'insurance', 'other'];
+
+const invoiceSchema = new mongoose.Schema({
+    invoiceNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    userId: {
+        type: String,
+        required: true
+    },
+    userName: {
+        type: String,
+        required: true
+    },
+    userEmail: {
+        type: String,
+        required: true
+    },
+    currency: {
+        type: String,
+        default: CURRENCY
+    },
+    // Completed appointments billed on this invoice
+    appointmentIds: [{
+        type: String
+    }],
+    lineItems: [{
+        _id: false,
+        appointmentId: { type: String, default: null },
+        service: { type: mongoose.Schema.Types.ObjectId, ref: 'Service', default: null },
+        description: { type: String, required: true },
+        date: { type: String, default: null }, // Format: YYYY-MM-DD
+        quantity: { type: Number, default: 1, min: 1 },
+        unitPrice: amountField,
+        amount: amountField
+    }],
+    // A discount is either a fixed amount or a percentage of the subtotal
+    // (basisPoints: 1000 = 10%); `amount` is what it came to
+    discounts: [{
+        _id: false,
+        description: { type: String, required: true },
+        basisPoints: { type: Number, default: null },
+        amount: amountField
+    }],
+    insurance: {
+        provider: { type: String, default: '' },
+        claimNumber: { type: String, default: '' },
+        amount: { ...amountField, required: false, default: 0 }
+    },
+    payments: [{
+        amount: amountField,
+        method: { type: String, enum: PAYMENT_METHODS, required: true },
+        reference: { type: String, default: '' },
+        receivedAt: { type: Date, default: Date.now },
+        recordedBy: {
+            userId: { type: String, required: true },
+            name: { type: String, default: '' }
+        }
+    }],
+    subtotal: amountField,
+    discountTotal: amountField,
+    insuranceTotal: amountField,
+    // What the patient owes before payments
+    total: amountField,
+    amountPaid: { ...amountField, default: 0 },
+    balance: amountField,
+    status: {
+        type: String,
+        enum: INVOICE_STATUSES,
+        default: 'issued'
+    },
+    dueDate: {
+        type: String, // Format: YYYY-MM-DD
+        required: true
+    },
+    notes: {
+        type: String,
+        default: ''
+    },
+    issuedBy: {
+        userId: { type: String, required: true },
+        name: { type: String, default: '' }
+    },
+    voidReason: {
+        type: String,
+        default: ''
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+invoiceSchema.index({ userId: 1, status: 1 });
+
+// An appointment can be on only one invoice that is not void. Enforced by
+// the database so two concurrent requests cannot both bill it.
+invoiceSchema.index({ appointmentIds: 1 }, {
+    name: 'appointmentIds_billed_unique',
+    unique: true,
+    partialFilterExpression: { status: { $in: BILLED_STATUSES } }
+});
+
+invoiceSchema.statics.INVOICE_STATUSES = INVOICE_STATUSES;
+invoiceSchema.statics.BILLED_STATUSES = BILLED_STATUSES;
+invoiceSchema.statics.PAYMENT_METHODS = PAYMENT_METHODS;
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+module.exports = Invoice;
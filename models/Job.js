@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Background job, persisted so the schedule survives restarts
+const jobSchema = new mongoose.Schema({
+    // Handler that runs the job, e.g. 'appointment-reminder'
+    type: {
+        type: String,
+        required: true
+    },
+    // Unique name so a job can be re-planned or cancelled,
+    // e.g. 'reminder:<appointmentId>:48h'
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    runAt: {
+        type: Date,
+        required: true
+    },
+    // Recurring jobs run again this many milliseconds after each run
+    repeatEveryMs: {
+        type: Number,
+        default: null
+    },
+    status: {
+        type: String,
+        enum: ['scheduled', 'running', 'done', 'failed'],
+        default: 'scheduled'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lockedAt: {
+        type: Date
+    },
+    lastError: {
+        type: String,
+        default: ''
+    },
+    completedAt: {
+        type: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = Job;
\ No newline at end of file
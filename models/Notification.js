@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Outgoing email, queued here before the transport sends it
+const notificationSchema = new mongoose.Schema({
+    to: {
+        type: String,
+        required: true
+    },
+    subject: {
+        type: String,
+        required: true
+    },
+    text: {
+        type: String,
+        required: true
+    },
+    html: {
+        type: String,
+        default: ''
+    },
+    // What triggered the email, e.g. 'booked' or 'cancelled'
+    event: {
+        type: String,
+        required: true
+    },
+    appointmentId: {
+        type: String,
+        default: null
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'sending', 'sent', 'failed'],
+        default: 'queued'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lastError: {
+        type: String,
+        default: ''
+    },
+    // When a sender last claimed it, to recover sends interrupted by a crash
+    claimedAt: {
+        type: Date
+    },
+    sentAt: {
+        type: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+notificationSchema.index({ status: 1, createdAt: 1 });
+notificationSchema.index({ appointmentId: 1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
\ No newline at end of file
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+// Medical details a patient keeps up to date before treatment.
+//
+// Every medical field is `select: false`, so any query that does not ask
+// for them explicitly (lists in particular) leaves them out. Use
+// findFullByUser when the whole profile is needed.
+const SENSITIVE_FIELDS = [
+    'dateOfBirth',
+    'allergies',
+    'medications',
+    'medicalConditions',
+    'insurance',
+    'emergencyContact'
+];
+
+const patientProfileSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    dateOfBirth: {
+        type: String, // Format: YYYY-MM-DD
+        default: null,
+        select: false
+    },
+    allergies: {
+        type: [{ type: String, trim: true }],
+        default: [],
+        select: false
+    },
+    medications: {
+        type: [{
+            _id: false,
+            name: { type: String, required: true, trim: true },
+            dosage: { type: String, default: '', trim: true },
+            frequency: { type: String, default: '', trim: true }
+        }],
+        default: [],
+        select: false
+    },
+    medicalConditions: {
+        type: [{ type: String, trim: true }],
+        default: [],
+        select: false
+    },
+    insurance: {
+        type: {
+            _id: false,
+            provider: { type: String, default: '', trim: true },
+            policyNumber: { type: String, default: '', trim: true },
+            groupNumber: { type: String, default: '', trim: true },
+            holderName: { type: String, default: '', trim: true }
+        },
+        default: null,
+        select: false
+    },
+    emergencyContact: {
+        type: {
+            _id: false,
+            name: { type: String, default: '', trim: true },
+            relationship: { type: String, default: '', trim: true },
+            phone: { type: String, default: '', trim: true }
+        },
+        default: null,
+        select: false
+    },
+    // Bumped on every change; clients send back the version they edited
+    version: {
+        type: Number,
+        default: 0
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+patientProfileSchema.statics.SENSITIVE_FIELDS = SENSITIVE_FIELDS;
+
+// The profile including every medical field
+patientProfileSchema.statics.findFullByUser = function(userId) {
+    if (!mongoose.isValidObjectId(userId)) return Promise.resolve(null);
+    return this.findOne({ user: userId }).select(SENSITIVE_FIELDS.map(field => `+${field}`).join(' '));
+};
+
+const PatientProfile = mongoose.model('PatientProfile', patientProfileSchema);
+
+module.exports = PatientProfile;
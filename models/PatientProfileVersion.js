@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Append-only record of each saved version of a patient profile: the full
+// medical data as it stood after the change, and who made it
+const patientProfileVersionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    version: {
+        type: Number,
+        required: true
+    },
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    changedFields: [{
+        type: String
+    }],
+    changedBy: {
+        userId: { type: String, required: true },
+        name: { type: String, default: '' },
+        role: { type: String, required: true }
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+patientProfileVersionSchema.index({ user: 1, version: 1 }, { unique: true });
+
+// Versions are never changed or removed once written
+patientProfileVersionSchema.pre('save', function() {
+    if (!this.isNew) {
+        throw new Error('Patient profile versions are append-only');
+    }
+});
+
+[
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete'
+].forEach(operation => {
+    patientProfileVersionSchema.pre(operation, function() {
+        throw new Error('Patient profile versions are append-only');
+    });
+});
+
+const PatientProfileVersion = mongoose.model('PatientProfileVersion', patientProfileVersionSchema);
+
+module.exports = PatientProfileVersion;
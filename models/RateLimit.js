@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// One rate limit counter, keyed by e.g. "login:203.0.113.7". Used by the
+// Mongo rate limit store so every API instance shares the same counts.
+const rateLimitSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        required: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    resetAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// Finished windows are removed by MongoDB
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = mongoose.model('RateLimit', rateLimitSchema);
+
+module.exports = RateLimit;
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const serviceSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    // Default length of the procedure in minutes
+    duration: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // Price in minor currency units (centavos)
+    price: {
+        type: Number,
+        required: true,
+        min: 0,
+        validate: {
+            validator: Number.isInteger,
+            message: 'Price must be an integer amount in minor units'
+        }
+    },
+    // Dentists allowed to perform this service. Empty means any dentist.
+    dentists: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Dentist'
+    }],
+    active: {
+        type: Boolean,
+        default: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+serviceSchema.index({ active: 1, name: 1 });
+
+// Find a service that can currently be booked
+serviceSchema.statics.findActiveById = function(id) {
+    if (!mongoose.isValidObjectId(id)) return Promise.resolve(null);
+    return this.findOne({ _id: id, active: true });
+};
+
+// Whether the given dentist may perform this service
+serviceSchema.methods.isPerformedBy = function(dentistId) {
+    if (this.dentists.length === 0) return true;
+    return this.dentists.some(id => String(id) === String(dentistId));
+};
+
+const Service = mongoose.model('Service', serviceSchema);
+
+module.exports = Service;
\ No newline at end of file
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. The client holds a refresh token whose hash is stored
+// here; every refresh swaps it for a new one. Access tokens carry the
+// session ID, so revoking the session logs that device out immediately.
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Hashes of refresh tokens already swapped out. Seeing one again means
+    // the token was copied, so the session is revoked.
+    rotatedTokenHashes: [{
+        type: String
+    }],
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    ip: {
+        type: String,
+        default: ''
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        default: ''
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ rotatedTokenHashes: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// One document per 30-minute slot held by an active appointment.
+// The unique index is what makes booking race-free: two requests trying to
+// hold the same slot cannot both insert it.
+const slotReservationSchema = new mongoose.Schema({
+    dentist: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Dentist',
+        required: true
+    },
+    date: {
+        type: String, // Format: YYYY-MM-DD
+        required: true
+    },
+    time: {
+        type: String, // Format: HH:mm (24-hour), start of the slot
+        required: true
+    },
+    appointmentId: {
+        type: String,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+slotReservationSchema.index({ dentist: 1, date: 1, time: 1 }, { unique: true });
+slotReservationSchema.index({ appointmentId: 1 });
+
+const SlotReservation = mongoose.model('SlotReservation', slotReservationSchema);
+
+module.exports = SlotReservation;
\ No newline at end of file
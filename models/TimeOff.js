@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// A dentist's leave, covering every day from startDate to endDate inclusive
+const timeOffSchema = new mongoose.Schema({
+    dentist: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Dentist',
+        required: true
+    },
+    startDate: {
+        type: String, // Format: YYYY-MM-DD
+        required: true
+    },
+    endDate: {
+        type: String, // Format: YYYY-MM-DD
+        required: true
+    },
+    reason: {
+        type: String,
+        default: ''
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+timeOffSchema.index({ dentist: 1, startDate: 1, endDate: 1 });
+
+const TimeOff = mongoose.model('TimeOff', timeOffSchema);
+
+module.exports = TimeOff;
\ No newline at end of file
@@ -34,24 +34,49 @@ const userSchema = new mongoose.Schema({
     },
     lastLogin: {
         type: Date
+    },
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerifiedAt: {
+        type: Date,
+        default: null
     }
 });
 
+// bcrypt hashes look like $2a$10$..., $2b$10$... or $2y$10$...
+const BCRYPT_HASH_REGEX = /^\$2[aby]\$\d{2}\$/;
+
 // Hash password before saving
-userSchema.pre('save', async function(next) {
-    if (!this.isModified('password')) return next();
-    
-    try {
-        const salt = await bcrypt.genSalt(10);
-        this.password = await bcrypt.hash(this.password, salt);
-        next();
-    } catch (error) {
-        next(error);
-    }
+userSchema.pre('save', async function() {
+    if (!this.isModified('password')) return;
+
+    const salt = await bcrypt.genSalt(10);
+    this.password = await bcrypt.hash(this.password, salt);
 });
 
+// Accounts created before bcrypt was introduced still hold plaintext passwords
+userSchema.methods.isPasswordHashed = function() {
+    return BCRYPT_HASH_REGEX.test(this.password);
+};
+
+// Check a password against a throwaway hash, for logins with an unknown
+// email. It takes as long as a real check, so response times do not
+// reveal which addresses have accounts.
+const DUMMY_HASH = bcrypt.hashSync('no-account-has-this-password', 10);
+
+userSchema.statics.compareDummyPassword = async function(password) {
+    await bcrypt.compare(password, DUMMY_HASH);
+    return false;
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function(password) {
+    if (!this.isPasswordHashed()) {
+        return password === this.password;
+    }
+
     return await bcrypt.compare(password, this.password);
 };
 
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const { SURFACES, TOOTH_STATES, isValidTooth } = require('../utils/toothChart');
+
+const toothField = {
+    type: Number,
+    validate: {
+        validator: (tooth) => tooth === null || isValidTooth(tooth),
+        message: 'Tooth must be an FDI tooth number'
+    }
+};
+
+// What the dentist did and found at a completed appointment.
+// One record per appointment; patient, dentist, date and time are copied
+// from the appointment so tooth charts can be built without joining.
+// Every save is also kept in VisitRecordVersion.
+const visitRecordSchema = new mongoose.Schema({
+    appointmentId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    userId: {
+        type: String,
+        required: true
+    },
+    dentist: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Dentist',
+        required: true
+    },
+    dentistName: {
+        type: String,
+        default: ''
+    },
+    date: {
+        type: String, // Format: YYYY-MM-DD
+        required: true
+    },
+    time: {
+        type: String, // Format: HH:mm (24-hour)
+        required: true
+    },
+    procedures: [{
+        _id: false,
+        tooth: { ...toothField, required: true },
+        surfaces: [{ type: String, enum: SURFACES }],
+        name: { type: String, required: true, trim: true },
+        // State the tooth is left in, e.g. 'filled' after a filling
+        resultingState: { type: String, enum: TOOTH_STATES, default: null },
+        notes: { type: String, default: '', trim: true }
+    }],
+    findings: [{
+        _id: false,
+        // Empty for findings about the mouth as a whole
+        tooth: { ...toothField, default: null },
+        condition: { type: String, enum: TOOTH_STATES, default: null },
+        notes: { type: String, default: '', trim: true }
+    }],
+    followUps: [{
+        _id: false,
+        recommendation: { type: String, required: true, trim: true },
+        dueDate: { type: String, default: null } // Format: YYYY-MM-DD
+    }],
+    summary: {
+        type: String,
+        default: '',
+        trim: true
+    },
+    author: {
+        userId: { type: String, required: true },
+        name: { type: String, default: '' }
+    },
+    // Bumped on every save; clients send back the version they edited
+    version: {
+        type: Number,
+        default: 0
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+visitRecordSchema.index({ userId: 1, date: 1 });
+
+const VisitRecord = mongoose.model('VisitRecord', visitRecordSchema);
+
+module.exports = VisitRecord;
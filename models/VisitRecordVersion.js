@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Append-only record of each saved version of a visit record: the clinical
+// content as it stood after the save, and who wrote it
+const visitRecordVersionSchema = new mongoose.Schema({
+    appointmentId: {
+        type: String,
+        required: true
+    },
+    userId: {
+        type: String,
+        required: true
+    },
+    version: {
+        type: Number,
+        required: true
+    },
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    author: {
+        userId: { type: String, required: true },
+        name: { type: String, default: '' }
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+visitRecordVersionSchema.index({ appointmentId: 1, version: 1 }, { unique: true });
+
+// Versions are never changed or removed once written
+visitRecordVersionSchema.pre('save', function() {
+    if (!this.isNew) {
+        throw new Error('Visit record versions are append-only');
+    }
+});
+
+[
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete'
+].forEach(operation => {
+    visitRecordVersionSchema.pre(operation, function() {
+        throw new Error('Visit record versions are append-only');
+    });
+});
+
+const VisitRecordVersion = mongoose.model('VisitRecordVersion', visitRecordVersionSchema);
+
+module.exports = VisitRecordVersion;
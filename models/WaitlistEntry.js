@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// A patient waiting for a slot with a dentist between two dates
+const ENTRY_STATUSES = ['waiting', 'offered', 'booked', 'cancelled', 'expired'];
+
+const waitlistEntrySchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true
+    },
+    userName: {
+        type: String,
+        required: true
+    },
+    userEmail: {
+        type: String,
+        required: true
+    },
+    dentist: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Dentist',
+        required: true
+    },
+    service: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Service',
+        required: true
+    },
+    dateFrom: {
+        type: String, // Format: YYYY-MM-DD
+        required: true
+    },
+    dateTo: {
+        type: String, // Format: YYYY-MM-DD
+        required: true
+    },
+    // waiting -> offered -> booked, or back to waiting if the hold lapses
+    status: {
+        type: String,
+        enum: ENTRY_STATUSES,
+        default: 'waiting'
+    },
+    // Slot currently held for this patient while status is 'offered'
+    hold: {
+        date: { type: String },
+        time: { type: String },
+        expiresAt: { type: Date }
+    },
+    // Slots already offered and not claimed - never offered again
+    passedSlots: [{
+        _id: false,
+        date: { type: String, required: true },
+        time: { type: String, required: true }
+    }],
+    appointmentId: {
+        type: String,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+waitlistEntrySchema.index({ dentist: 1, status: 1, dateFrom: 1, dateTo: 1, createdAt: 1 });
+waitlistEntrySchema.index({ userId: 1, status: 1 });
+
+// Reservation ID under which this entry's held slot is reserved
+waitlistEntrySchema.virtual('holdId').get(function() {
+    return `hold:${this._id}`;
+});
+
+waitlistEntrySchema.statics.ENTRY_STATUSES = ENTRY_STATUSES;
+
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+
+module.exports = WaitlistEntry;
\ No newline at end of file
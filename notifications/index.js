@@ -0,0 +1,157 @@
+const Notification = require('../models/Notification');
+const Dentist = require('../models/Dentist');
+const User = require('../models/User');
+const config = require('../config/notifications');
+const { render } = require('./templates');
+const { getTransport } = require('./transports');
+
+// A notification claimed longer ago than this was interrupted mid-send
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+
+// How often the background worker retries queued notifications
+const RETRY_INTERVAL_MS = 60 * 1000;
+
+let processing = false;
+
+// Patient and dentist who should hear about an appointment
+const findRecipients = async (appointment) => {
+    const recipients = [{
+        role: 'patient',
+        name: appointment.userName,
+        email: appointment.userEmail
+    }];
+
+    const dentist = await Dentist.findById(appointment.dentist).select('name user');
+    if (dentist && dentist.user) {
+        const doctor = await User.findById(dentist.user).select('email');
+        if (doctor) {
+            recipients.push({ role: 'dentist', name: dentist.name, email: doctor.email });
+        }
+    }
+
+    return recipients;
+};
+
+// Send every queued notification through the transport
+const processQueue = async () => {
+    if (processing) return;
+    processing = true;
+
+    try {
+        const transport = getTransport();
+
+        await Notification.updateMany(
+            { status: 'sending', claimedAt: { $lt: new Date(Date.now() - STALE_CLAIM_MS) } },
+            { $set: { status: 'queued' } }
+        );
+
+        let notification;
+        // Claim one at a time so several API instances never send the same email
+        while ((notification = await Notification.findOneAndUpdate(
+            { status: 'queued', attempts: { $lt: config.MAX_ATTEMPTS } },
+            { $set: { status: 'sending', claimedAt: new Date() }, $inc: { attempts: 1 } },
+            { sort: { createdAt: 1 }, new: true }
+        ))) {
+            try {
+                await transport.send({
+                    from: config.FROM_ADDRESS,
+                    to: notification.to,
+                    subject: notification.subject,
+                    text: notification.text,
+                    html: notification.html
+                });
+
+                notification.status = 'sent';
+                notification.sentAt = new Date();
+                notification.lastError = '';
+            } catch (error) {
+                console.error(`Send notification ${notification._id} error:`, error.message);
+                notification.status = notification.attempts >= config.MAX_ATTEMPTS ? 'failed' : 'queued';
+                notification.lastError = error.message;
+            }
+
+            await notification.save();
+
+            // A notification sent back to the queue waits for the next run
+            if (notification.status === 'queued') break;
+        }
+    } catch (error) {
+        console.error('Process notification queue error:', error);
+    } finally {
+        processing = false;
+    }
+};
+
+// Render and queue one email per recipient, then start sending in the
+// background. Recipients are { role, name, email }.
+const queueEmails = async (event, recipients, context) => {
+    const notifications = recipients
+        .map(recipient => {
+            const email = render(event, recipient.role, {
+                ...context,
+                recipientName: recipient.name
+            });
+
+            return email && {
+                ...email,
+                to: recipient.email,
+                event,
+                appointmentId: (context.appointment && context.appointment.appointmentId) || null
+            };
+        })
+        .filter(Boolean);
+
+    if (notifications.length === 0) return;
+
+    await Notification.insertMany(notifications);
+    setImmediate(processQueue);
+};
+
+// Queue emails about an appointment event ('booked', 'rescheduled',
+// 'cancelled', 'confirmed' or 'reminder') to its patient and dentist.
+// `context` carries extra template values such as `previous`.
+// Never throws - a notification problem must not fail the HTTP request.
+const notifyAppointment = async (event, appointment, context = {}) => {
+    try {
+        const recipients = await findRecipients(appointment);
+        await queueEmails(event, recipients, { ...context, appointment });
+    } catch (error) {
+        console.error(`Queue ${event} notification error:`, error);
+    }
+};
+
+// Queue an email to a single patient, e.g. a waitlist offer.
+// Never throws, like notifyAppointment.
+const notifyPatient = async (event, { name, email }, context) => {
+    try {
+        await queueEmails(event, [{ role: 'patient', name, email }], context);
+    } catch (error) {
+        console.error(`Queue ${event} notification error:`, error);
+    }
+};
+
+// Queue an account email ('verify-email' or 'password-reset') to a user of
+// any role. Never throws, like notifyAppointment.
+const notifyAccount = async (event, { name, email }, context) => {
+    try {
+        await queueEmails(event, [{ role: 'account', name, email }], context);
+    } catch (error) {
+        console.error(`Queue ${event} notification error:`, error);
+    }
+};
+
+// Periodically retry queued notifications (e.g. after a transport outage)
+const startQueueWorker = () => {
+    const timer = setInterval(processQueue, RETRY_INTERVAL_MS);
+    timer.unref();
+    setImmediate(processQueue);
+    return timer;
+};
+
+module.exports = {
+    notifyAppointment,
+    notifyPatient,
+    notifyAccount,
+    processQueue,
+    startQueueWorker
+};
\ No newline at end of file
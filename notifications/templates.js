@@ -0,0 +1,124 @@
+// Email templates for appointment events. Each template receives
+// { appointment, recipientName, previous, hoursBefore } and returns
+// { subject, intro }. `previous` holds the old date and time for a
+// reschedule, `hoursBefore` how far ahead a reminder is sent.
+// Account emails use the 'account' role and get { link, expiresIn } instead
+// of an appointment.
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const describe = (appointment) => `${appointment.serviceName} with ${appointment.dentistName} on ${appointment.date} at ${appointment.time}`;
+
+const TEMPLATES = {
+    booked: {
+        patient: ({ appointment }) => ({
+            subject: 'We received your appointment request',
+            intro: `Your appointment request for ${describe(appointment)} has been received. We will let you know once it is confirmed.`
+        }),
+        dentist: ({ appointment }) => ({
+            subject: `New appointment: ${appointment.date} ${appointment.time}`,
+            intro: `${appointment.userName} booked ${appointment.serviceName} on ${appointment.date} at ${appointment.time}. Please confirm or reject it.`
+        })
+    },
+    rescheduled: {
+        patient: ({ appointment, previous }) => ({
+            subject: 'Your appointment has been rescheduled',
+            intro: `Your appointment on ${previous.date} at ${previous.time} has been moved. It is now ${describe(appointment)}.`
+        }),
+        dentist: ({ appointment, previous }) => ({
+            subject: `Appointment rescheduled: ${appointment.date} ${appointment.time}`,
+            intro: `${appointment.userName}'s appointment on ${previous.date} at ${previous.time} is now ${appointment.serviceName} on ${appointment.date} at ${appointment.time}.`
+        })
+    },
+    cancelled: {
+        patient: ({ appointment }) => ({
+            subject: 'Your appointment has been cancelled',
+            intro: `Your appointment for ${describe(appointment)} has been cancelled.`
+        }),
+        dentist: ({ appointment }) => ({
+            subject: `Appointment cancelled: ${appointment.date} ${appointment.time}`,
+            intro: `${appointment.userName}'s appointment for ${appointment.serviceName} on ${appointment.date} at ${appointment.time} has been cancelled.`
+        })
+    },
+    confirmed: {
+        patient: ({ appointment }) => ({
+            subject: 'Your appointment is confirmed',
+            intro: `Good news! Your appointment for ${describe(appointment)} is confirmed. See you then.`
+        })
+    },
+    // `occurrences` lists every booked { date, time } of the series
+    'series-booked': {
+        patient: ({ appointment, occurrences }) => ({
+            subject: `We received your request for ${occurrences.length} recurring appointments`,
+            intro: `Your recurring ${appointment.serviceName} appointments with ${appointment.dentistName} have been requested for: ${occurrences.map(occurrence => `${occurrence.date} at ${occurrence.time}`).join(', ')}.`
+        })
+    },
+    reminder: {
+        patient: ({ appointment, hoursBefore }) => ({
+            subject: `Reminder: your appointment is in ${hoursBefore} hours`,
+            intro: `This is a reminder of your appointment for ${describe(appointment)}. If you can no longer make it, please cancel or reschedule so another patient can take the slot.`
+        })
+    },
+    // `appointment` here is the held slot, not yet a booked appointment
+    'waitlist-offer': {
+        patient: ({ appointment, holdMinutes }) => ({
+            subject: 'A slot you are waiting for is available',
+            intro: `A slot opened up for ${describe(appointment)}. We are holding it for you for ${holdMinutes} minutes - claim it in the app before it is offered to the next patient.`
+        })
+    },
+    'verify-email': {
+        account: ({ link, expiresIn }) => ({
+            subject: 'Confirm your email address',
+            intro: `Please confirm your email address by opening this link within ${expiresIn}: ${link}`
+        })
+    },
+    'password-reset': {
+        account: ({ link, expiresIn }) => ({
+            subject: 'Reset your password',
+            intro: `We received a request to reset your password. Open this link within ${expiresIn} to choose a new one: ${link} If you did not ask for this, you can ignore this email.`
+        })
+    },
+    // Sent instead of a verification email when someone registers with an
+    // address that already has an account
+    'account-exists': {
+        account: ({ loginLink, resetLink }) => ({
+            subject: 'You already have an account',
+            intro: `Someone tried to register with this email address, but it already has an account. If it was you, log in at ${loginLink} or choose a new password at ${resetLink}. If not, you can ignore this email.`
+        })
+    }
+};
+
+// Render the email for an event and recipient role ('patient' or 'dentist').
+// Returns null when that role gets no email for the event.
+const render = (event, role, context) => {
+    const template = TEMPLATES[event] && TEMPLATES[event][role];
+    if (!template) return null;
+
+    const { subject, intro } = template(context);
+    const greeting = `Hi ${context.recipientName},`;
+    const signature = 'Dental Bliss';
+    const reference = context.appointment && context.appointment.appointmentId
+        ? `Appointment reference: ${context.appointment.appointmentId}`
+        : null;
+
+    const text = [greeting, '', intro, '', ...(reference ? [reference, ''] : []), signature].join('\n');
+    const html = [
+        `<p>${escapeHtml(greeting)}</p>`,
+        `<p>${escapeHtml(intro)}</p>`,
+        ...(reference ? [`<p style="color:#666;font-size:12px">${escapeHtml(reference)}</p>`] : []),
+        `<p>${escapeHtml(signature)}</p>`
+    ].join('\n');
+
+    return { subject, text, html };
+};
+
+module.exports = {
+    TEMPLATES,
+    escapeHtml,
+    render
+};
\ No newline at end of file
@@ -0,0 +1,15 @@
+// Token query parameters in emailed links, e.g. ?token=...
+const TOKEN_PARAM = /([?&]token=)[^\s&]+/g;
+
+// Prints emails to the server log instead of sending them (local development).
+// With redactLinks the tokens in emailed links are left out, so the log
+// cannot be used to verify an address or reset a password.
+const createConsoleTransport = ({ redactLinks = false } = {}) => ({
+    name: 'console',
+    send: async ({ from, to, subject, text }) => {
+        const body = redactLinks ? text.replace(TOKEN_PARAM, '$1[redacted]') : text;
+        console.log(`📧 Email to ${to} from ${from}\n   Subject: ${subject}\n${body.replace(/^/gm, '   ')}`);
+    }
+});
+
+module.exports = createConsoleTransport;
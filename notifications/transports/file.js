@@ -0,0 +1,21 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { v4: uuidv4 } = require('uuid');
+
+// Writes every email as an .eml file into a directory (local testing)
+const createFileTransport = ({ directory }) => {
+    const mailer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+    return {
+        name: 'file',
+        send: async (message) => {
+            const info = await mailer.sendMail(message);
+
+            await fs.mkdir(directory, { recursive: true });
+            await fs.writeFile(path.join(directory, `${Date.now()}-${uuidv4()}.eml`), info.message);
+        }
+    };
+};
+
+module.exports = createFileTransport;
\ No newline at end of file
@@ -0,0 +1,36 @@
+const config = require('../../config/notifications');
+const createConsoleTransport = require('./console');
+const createFileTransport = require('./file');
+const createSmtpTransport = require('./smtp');
+const createNoTransport = require('./none');
+
+// A transport is any object with an async send({ from, to, subject, text, html })
+const factories = {
+    console: () => createConsoleTransport({ redactLinks: config.REDACT_CONSOLE_LINKS }),
+    file: () => createFileTransport({ directory: config.FILE_DIRECTORY }),
+    smtp: () => createSmtpTransport(config.SMTP),
+    none: () => createNoTransport()
+};
+
+let transport = null;
+
+const getTransport = () => {
+    if (!transport) {
+        const factory = factories[config.TRANSPORT];
+        if (!factory) {
+            throw new Error(`Unknown notification transport "${config.TRANSPORT}"`);
+        }
+        transport = factory();
+    }
+    return transport;
+};
+
+// Swap the transport at runtime, e.g. for a custom provider
+const setTransport = (customTransport) => {
+    transport = customTransport;
+};
+
+module.exports = {
+    getTransport,
+    setTransport
+};
\ No newline at end of file
@@ -0,0 +1,10 @@
+// Refuses every email. The production default until a real transport is
+// configured, so notifications fail visibly instead of being dropped.
+const createNoTransport = () => ({
+    name: 'none',
+    send: async () => {
+        throw new Error('No notification transport is configured. Set NOTIFICATION_TRANSPORT (e.g. smtp)');
+    }
+});
+
+module.exports = createNoTransport;
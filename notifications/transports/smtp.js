@@ -0,0 +1,15 @@
+const nodemailer = require('nodemailer');
+
+// Sends email through an SMTP server
+const createSmtpTransport = (smtpOptions) => {
+    const mailer = nodemailer.createTransport(smtpOptions);
+
+    return {
+        name: 'smtp',
+        send: async (message) => {
+            await mailer.sendMail(message);
+        }
+    };
+};
+
+module.exports = createSmtpTransport;
\ No newline at end of file
@@ -0,0 +1,65 @@
+const Dentist = require('../models/Dentist');
+const { ROLES } = require('../middleware/permissions');
+
+const isAdmin = (user) => user.role === ROLES.ADMIN;
+
+const isOwner = (user, appointment) => {
+    return user.role === ROLES.PATIENT && appointment.userId === String(user._id);
+};
+
+// Dentist records linked to a doctor account
+const getDentistIds = async (user) => {
+    if (user.role !== ROLES.DOCTOR) return [];
+
+    const dentists = await Dentist.find({ user: user._id }).select('_id');
+    return dentists.map(dentist => String(dentist._id));
+};
+
+const isAssignedDentist = async (user, appointment) => {
+    if (user.role !== ROLES.DOCTOR) return false;
+
+    const dentistIds = await getDentistIds(user);
+    return dentistIds.includes(String(appointment.dentist));
+};
+
+// Query filter limiting an appointment search to what the user may see
+const scope = async (user) => {
+    if (isAdmin(user)) return {};
+    if (user.role === ROLES.DOCTOR) return { dentist: { $in: await getDentistIds(user) } };
+    return { userId: String(user._id) };
+};
+
+const canView = async (user, appointment) => {
+    return isAdmin(user) || isOwner(user, appointment) || await isAssignedDentist(user, appointment);
+};
+
+const canModify = (user, appointment) => {
+    return isAdmin(user) || isOwner(user, appointment);
+};
+
+const canCancel = (user, appointment) => {
+    return isAdmin(user) || isOwner(user, appointment);
+};
+
+// Staff actions such as confirming or completing: the assigned doctor or an admin
+const canManageStatus = async (user, appointment) => {
+    return isAdmin(user) || await isAssignedDentist(user, appointment);
+};
+
+// Patients may only list their own appointments, admins may list anyone's
+const canListForUser = (user, userId) => {
+    return isAdmin(user) || (user.role === ROLES.PATIENT && userId === String(user._id));
+};
+
+module.exports = {
+    isAdmin,
+    isOwner,
+    getDentistIds,
+    isAssignedDentist,
+    scope,
+    canView,
+    canModify,
+    canCancel,
+    canManageStatus,
+    canListForUser
+};
\ No newline at end of file
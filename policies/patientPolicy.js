@@ -0,0 +1,58 @@
+const Appointment = require('../models/Appointment');
+const { ROLES } = require('../middleware/permissions');
+const { STATUSES } = require('../utils/appointmentStatus');
+const { isAdmin, getDentistIds } = require('./appointmentPolicy');
+
+// Appointments that make a doctor one of the patient's doctors: booked or
+// attended, but not ones that were cancelled, rejected or never confirmed
+const ASSIGNING_STATUSES = [STATUSES.PENDING, STATUSES.CONFIRMED, STATUSES.COMPLETED, STATUSES.NO_SHOW];
+
+const isSelf = (user, patientId) => {
+    return user.role === ROLES.PATIENT && String(user._id) === String(patientId);
+};
+
+// A doctor is assigned to a patient once the patient has an appointment
+// with one of the doctor's dentists that has not been called off
+const isAssignedDoctor = async (user, patientId) => {
+    if (user.role !== ROLES.DOCTOR) return false;
+
+    const dentistIds = await getDentistIds(user);
+    if (dentistIds.length === 0) return false;
+
+    return !!await Appointment.exists({
+        userId: String(patientId),
+        dentist: { $in: dentistIds },
+        status: { $in: ASSIGNING_STATUSES }
+    });
+};
+
+// Query filter limiting a patient search to the patients the user may see
+const scopePatients = async (user) => {
+    if (isAdmin(user)) return { role: ROLES.PATIENT };
+
+    if (user.role === ROLES.DOCTOR) {
+        const patientIds = await Appointment.distinct('userId', {
+            dentist: { $in: await getDentistIds(user) },
+            status: { $in: ASSIGNING_STATUSES }
+        });
+        return { role: ROLES.PATIENT, _id: { $in: patientIds } };
+    }
+
+    return { role: ROLES.PATIENT, _id: user._id };
+};
+
+const canViewProfile = async (user, patientId) => {
+    return isAdmin(user) || isSelf(user, patientId) || await isAssignedDoctor(user, patientId);
+};
+
+const canEditProfile = (user, patientId) => {
+    return isAdmin(user) || isSelf(user, patientId);
+};
+
+module.exports = {
+    isSelf,
+    isAssignedDoctor,
+    scopePatients,
+    canViewProfile,
+    canEditProfile
+};
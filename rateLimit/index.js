@@ -0,0 +1,37 @@
+const config = require('../config/rateLimit');
+const createMemoryStore = require('./stores/memory');
+const createMongoStore = require('./stores/mongo');
+
+// A store is any object with async
+//   increment(key, windowMs) -> { count, resetAt }
+//   get(key) -> { count, resetAt } | null
+//   set(key, { count, resetAt })
+//   reset(key)
+// where a key's count starts again at 1 once resetAt has passed.
+const factories = {
+    memory: () => createMemoryStore(),
+    mongo: () => createMongoStore()
+};
+
+let store = null;
+
+const getStore = () => {
+    if (!store) {
+        const factory = factories[config.STORE];
+        if (!factory) {
+            throw new Error(`Unknown rate limit store "${config.STORE}"`);
+        }
+        store = factory();
+    }
+    return store;
+};
+
+// Swap the store at runtime, e.g. for Redis
+const setStore = (customStore) => {
+    store = customStore;
+};
+
+module.exports = {
+    getStore,
+    setStore
+};
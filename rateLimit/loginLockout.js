@@ -0,0 +1,67 @@
+const { getStore } = require('./index');
+const { LOGIN_LOCKOUT } = require('../config/rateLimit');
+
+// Per-account protection against password guessing. Keys are the email as
+// typed (lowercased), whether or not an account exists, so lockouts do not
+// reveal which addresses are registered.
+// Like the rateLimit middleware these fail open: if the store is down,
+// logins go on without lockouts rather than failing.
+
+const failOpen = (name, fn, fallback) => async (email) => {
+    try {
+        return await fn(email);
+    } catch (error) {
+        console.error(`Login lockout (${name}) store error:`, error);
+        return fallback;
+    }
+};
+
+const failuresKey = (email) => `login-failures:${email}`;
+const lockKey = (email) => `login-lock:${email}`;
+const lockoutsKey = (email) => `login-lockouts:${email}`;
+
+// Milliseconds until the account unlocks, or 0 if it is not locked
+const lockedFor = failOpen('check', async (email) => {
+    const lock = await getStore().get(lockKey(email));
+    return lock ? Math.max(0, new Date(lock.resetAt).getTime() - Date.now()) : 0;
+}, 0);
+
+// Count a wrong password. Once there are too many, lock the account for
+// baseLockMs, doubled for every earlier lockout still remembered.
+// Returns how long the account is now locked for (0 if not locked).
+const recordFailure = failOpen('failure', async (email) => {
+    const store = getStore();
+    const {
+        maxFailures,
+        failureWindowMs,
+        baseLockMs,
+        maxLockMs,
+        lockoutMemoryMs
+    } = LOGIN_LOCKOUT;
+
+    const failures = await store.increment(failuresKey(email), failureWindowMs);
+    if (failures.count < maxFailures) return 0;
+
+    const lockouts = await store.increment(lockoutsKey(email), lockoutMemoryMs);
+    const lockMs = Math.min(baseLockMs * 2 ** (lockouts.count - 1), maxLockMs);
+
+    await store.set(lockKey(email), { count: 1, resetAt: new Date(Date.now() + lockMs) });
+    await store.reset(failuresKey(email));
+
+    return lockMs;
+}, 0);
+
+// A successful login clears the failure and lockout history
+const recordSuccess = failOpen('success', async (email) => {
+    const store = getStore();
+    await Promise.all([
+        store.reset(failuresKey(email)),
+        store.reset(lockoutsKey(email))
+    ]);
+}, undefined);
+
+module.exports = {
+    lockedFor,
+    recordFailure,
+    recordSuccess
+};
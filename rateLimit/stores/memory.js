@@ -0,0 +1,45 @@
+// Keeps counters in this process. Fine for a single instance; counts are
+// lost on restart and not shared between instances.
+const createMemoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+    const entries = new Map();
+
+    const live = (key) => {
+        const entry = entries.get(key);
+        if (entry && entry.resetAt <= new Date()) {
+            entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    };
+
+    // Drop expired entries now and then so the map does not grow forever
+    const sweeper = setInterval(() => {
+        const now = new Date();
+        entries.forEach((entry, key) => {
+            if (entry.resetAt <= now) entries.delete(key);
+        });
+    }, sweepIntervalMs);
+    sweeper.unref();
+
+    return {
+        name: 'memory',
+        increment: async (key, windowMs) => {
+            const entry = live(key) || { count: 0, resetAt: new Date(Date.now() + windowMs) };
+            entry.count += 1;
+            entries.set(key, entry);
+            return { ...entry };
+        },
+        get: async (key) => {
+            const entry = live(key);
+            return entry ? { ...entry } : null;
+        },
+        set: async (key, { count, resetAt }) => {
+            entries.set(key, { count, resetAt });
+        },
+        reset: async (key) => {
+            entries.delete(key);
+        }
+    };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,34 @@
+const RateLimit = require('../../models/RateLimit');
+
+// Keeps counters in MongoDB so several API instances share them.
+const createMongoStore = () => ({
+    name: 'mongo',
+    // One atomic update either bumps the current window or, if there is no
+    // live window, starts a new one at 1
+    increment: async (key, windowMs) => {
+        const now = new Date();
+        const isLive = { $gt: ['$resetAt', now] };
+
+        return RateLimit.findOneAndUpdate(
+            { _id: key },
+            [{
+                $set: {
+                    count: { $cond: [isLive, { $add: ['$count', 1] }, 1] },
+                    resetAt: { $cond: [isLive, '$resetAt', new Date(now.getTime() + windowMs)] }
+                }
+            }],
+            { new: true, upsert: true, updatePipeline: true, lean: true }
+        );
+    },
+    get: async (key) => {
+        return RateLimit.findOne({ _id: key, resetAt: { $gt: new Date() } }).lean();
+    },
+    set: async (key, { count, resetAt }) => {
+        await RateLimit.updateOne({ _id: key }, { $set: { count, resetAt } }, { upsert: true });
+    },
+    reset: async (key) => {
+        await RateLimit.deleteOne({ _id: key });
+    }
+});
+
+module.exports = createMongoStore;
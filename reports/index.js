@@ -0,0 +1,257 @@
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const Dentist = require('../models/Dentist');
+const Holiday = require('../models/Holiday');
+const TimeOff = require('../models/TimeOff');
+const { TIMEZONE } = require('../config/clinic');
+const schedule = require('../utils/schedule');
+const dateTime = require('../utils/dateTime');
+const { resolveWorkingDay } = require('../utils/availability');
+const { STATUSES } = require('../utils/appointmentStatus');
+
+// Statuses that kept a chair busy, whether or not the patient turned up
+const CHAIR_STATUSES = [STATUSES.PENDING, STATUSES.CONFIRMED, STATUSES.COMPLETED, STATUSES.NO_SHOW];
+
+// Share of `part` in `whole`, rounded to four decimal places (0 if empty)
+const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 10000 : 0);
+
+// $group accumulators counting appointments in each status, e.g.
+// { Pending: { $sum: ... }, Confirmed: { $sum: ... }, ... }
+const statusCounters = () => {
+    const counters = {};
+    Object.values(STATUSES).forEach(status => {
+        counters[status] = { $sum: { $cond: [{ $eq: ['$status', status] }, 1, 0] } };
+    });
+    return counters;
+};
+
+// Minutes of chair time an appointment blocks, rounded up to whole slots
+// the same way schedule.blockedMinutes does
+const blockedMinutesExpression = {
+    $multiply: [
+        { $max: [1, { $ceil: { $divide: [{ $ifNull: ['$duration', schedule.SLOT_MINUTES] }, schedule.SLOT_MINUTES] } }] },
+        schedule.SLOT_MINUTES
+    ]
+};
+
+// Turn a grouped row into { total, statuses: {...}, cancellationRate, noShowRate }.
+// The no-show rate is measured against appointments that actually came due
+// (completed or no-show), so future bookings do not dilute it.
+const withRates = (row) => {
+    const statuses = {};
+    Object.values(STATUSES).forEach(status => {
+        statuses[status] = row[status] || 0;
+    });
+
+    const attended = statuses[STATUSES.COMPLETED] + statuses[STATUSES.NO_SHOW];
+
+    return {
+        total: row.total || 0,
+        statuses,
+        cancellationRate: rate(statuses[STATUSES.CANCELLED], row.total),
+        noShowRate: rate(statuses[STATUSES.NO_SHOW], attended)
+    };
+};
+
+const dateRangeMatch = ({ from, to }) => ({ date: { $gte: from, $lte: to } });
+
+// Appointment totals and rates for the whole clinic
+const appointmentSummary = async (range) => {
+    const [row] = await Appointment.aggregate([
+        { $match: dateRangeMatch(range) },
+        {
+            $group: {
+                _id: null,
+                total: { $sum: 1 },
+                ...statusCounters()
+            }
+        }
+    ]);
+
+    return withRates(row || {});
+};
+
+// Appointment counts per dentist, busiest first
+const appointmentsByDentist = async (range) => {
+    const rows = await Appointment.aggregate([
+        { $match: dateRangeMatch(range) },
+        {
+            $group: {
+                _id: '$dentist',
+                dentistName: { $last: '$dentistName' },
+                total: { $sum: 1 },
+                ...statusCounters()
+            }
+        },
+        { $sort: { total: -1, dentistName: 1 } }
+    ]);
+
+    return rows.map(row => ({
+        dentist: row._id,
+        dentistName: row.dentistName,
+        ...withRates(row)
+    }));
+};
+
+// Appointment counts and booked minutes per service, busiest first
+const appointmentsByService = async (range) => {
+    const rows = await Appointment.aggregate([
+        { $match: dateRangeMatch(range) },
+        {
+            $group: {
+                _id: '$service',
+                serviceName: { $last: '$serviceName' },
+                total: { $sum: 1 },
+                bookedMinutes: {
+                    $sum: { $cond: [{ $in: ['$status', CHAIR_STATUSES] }, blockedMinutesExpression, 0] }
+                },
+                ...statusCounters()
+            }
+        },
+        { $sort: { total: -1, serviceName: 1 } }
+    ]);
+
+    return rows.map(row => ({
+        service: row._id,
+        serviceName: row.serviceName,
+        bookedMinutes: row.bookedMinutes,
+        ...withRates(row)
+    }));
+};
+
+// Bookable chair minutes per dentist over the range, from their weekly
+// hours minus breaks, clinic holidays and time off
+const availableMinutesByDentist = async (dentists, { from, to }) => {
+    const dentistIds = dentists.map(dentist => dentist._id);
+
+    const [holidays, timeOffs] = await Promise.all([
+        Holiday.find({ date: { $gte: from, $lte: to } }),
+        TimeOff.find({
+            dentist: { $in: dentistIds },
+            startDate: { $lte: to },
+            endDate: { $gte: from }
+        })
+    ]);
+
+    const holidaysByDate = {};
+    holidays.forEach(holiday => {
+        holidaysByDate[holiday.date] = holiday;
+    });
+
+    const minutes = {};
+    const dates = dateTime.datesBetween(from, to);
+
+    dentists.forEach(dentist => {
+        minutes[dentist._id] = dates.reduce((sum, date) => {
+            const timeOff = timeOffs.find(entry =>
+                String(entry.dentist) === String(dentist._id) && entry.startDate <= date && entry.endDate >= date);
+
+            const workingDay = resolveWorkingDay(dentist, date, { holiday: holidaysByDate[date], timeOff });
+            return sum + schedule.allSlotTimes(workingDay.intervals).length * schedule.SLOT_MINUTES;
+        }, 0);
+    });
+
+    return minutes;
+};
+
+// Chair utilization per dentist: booked minutes against bookable minutes.
+// Cancelled, rejected and expired appointments do not count as booked.
+const chairUtilization = async (range) => {
+    const [dentists, rows] = await Promise.all([
+        Dentist.find({ active: true }).sort({ name: 1 }),
+        Appointment.aggregate([
+            {
+                $match: {
+                    ...dateRangeMatch(range),
+                    status: { $in: CHAIR_STATUSES }
+                }
+            },
+            {
+                $group: {
+                    _id: '$dentist',
+                    bookedMinutes: { $sum: blockedMinutesExpression },
+                    appointments: { $sum: 1 }
+                }
+            }
+        ])
+    ]);
+
+    const available = await availableMinutesByDentist(dentists, range);
+
+    const booked = {};
+    rows.forEach(row => {
+        booked[row._id] = row;
+    });
+
+    const byDentist = dentists.map(dentist => {
+        const row = booked[dentist._id] || { bookedMinutes: 0, appointments: 0 };
+        return {
+            dentist: dentist._id,
+            dentistName: dentist.name,
+            appointments: row.appointments,
+            bookedMinutes: row.bookedMinutes,
+            availableMinutes: available[dentist._id],
+            utilization: rate(row.bookedMinutes, available[dentist._id])
+        };
+    });
+
+    const bookedMinutes = byDentist.reduce((sum, row) => sum + row.bookedMinutes, 0);
+    const availableMinutes = byDentist.reduce((sum, row) => sum + row.availableMinutes, 0);
+
+    return {
+        bookedMinutes,
+        availableMinutes,
+        utilization: rate(bookedMinutes, availableMinutes),
+        byDentist
+    };
+};
+
+// New patient accounts per clinic-local day
+const patientRegistrations = async ({ from, to }) => {
+    const rows = await User.aggregate([
+        {
+            $match: {
+                role: 'patient',
+                createdAt: {
+                    $gte: dateTime.toInstant(from),
+                    $lt: dateTime.toInstant(dateTime.addDays(to, 1))
+                }
+            }
+        },
+        {
+            $group: {
+                _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: TIMEZONE } },
+                count: { $sum: 1 }
+            }
+        },
+        { $sort: { _id: 1 } }
+    ]);
+
+    return {
+        total: rows.reduce((sum, row) => sum + row.count, 0),
+        byDate: rows.map(row => ({ date: row._id, count: row.count }))
+    };
+};
+
+// Everything on the admin dashboard in one go
+const dashboard = async (range) => {
+    const [appointments, byDentist, byService, utilization, registrations] = await Promise.all([
+        appointmentSummary(range),
+        appointmentsByDentist(range),
+        appointmentsByService(range),
+        chairUtilization(range),
+        patientRegistrations(range)
+    ]);
+
+    return { appointments, byDentist, byService, utilization, registrations };
+};
+
+module.exports = {
+    CHAIR_STATUSES,
+    appointmentSummary,
+    appointmentsByDentist,
+    appointmentsByService,
+    chairUtilization,
+    patientRegistrations,
+    dashboard
+};
@@ -1,382 +1,630 @@
 const express = require('express');
 const router = express.Router();
 const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const Dentist = require('../models/Dentist');
+const Service = require('../models/Service');
 const { v4: uuidv4 } = require('uuid');
+const { requireAuth } = require('../middleware/auth');
+const { ROLES, authorize } = require('../middleware/permissions');
+const { rateLimit, byUser } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/appointments');
+const { LIMITS } = require('../config/rateLimit');
+const AppointmentEvent = require('../models/AppointmentEvent');
+const SlotReservation = require('../models/SlotReservation');
+const appointmentPolicy = require('../policies/appointmentPolicy');
+const schedule = require('../utils/schedule');
+const { getWorkingDay } = require('../utils/availability');
+const { checkSlot } = require('../utils/booking');
+const { searchSlots } = require('../utils/slotSearch');
+const { reserveSlots, trimSlots, releaseSlots } = require('../utils/reservations');
+const dateTime = require('../utils/dateTime');
+const { STATUSES, ACTIVE_STATUSES, isActive, canTransition } = require('../utils/appointmentStatus');
+const { snapshot, recordEvent } = require('../utils/appointmentHistory');
+const { notifyAppointment } = require('../notifications');
+const { replanReminders } = require('../jobs/reminders');
+const { offerFreedSlot } = require('../waitlist');
+const { ERROR_CODES, BadRequestError, ForbiddenError, NotFoundError, ConflictError } = require('../errors');
+
+// Every appointment route acts on behalf of the authenticated user
+router.use(requireAuth);
+
+// Cap how many bookings one account can make
+const bookingLimit = rateLimit({
+    name: 'booking',
+    ...LIMITS.booking,
+    keyBy: byUser,
+    message: 'Too many bookings. Please try again later'
+});
 
 // Book a new appointment
-router.post('/book', async (req, res) => {
-    try {
-        const {
-            userId,
-            userName,
-            userEmail,
-            service,
-            dentist,
-            date,
-            time,
-            notes = ''
-        } = req.body;
-
-        // Validation
-        if (!userId || !userName || !userEmail || !service || !dentist || !date || !time) {
-            return res.status(400).json({
-                success: false,
-                message: 'Please provide all required fields'
-            });
+router.post('/book', authorize(ROLES.PATIENT, ROLES.ADMIN), validate(schemas.book), bookingLimit, async (req, res) => {
+    const {
+        service,
+        dentist,
+        date,
+        notes = ''
+    } = req.body;
+    const time = dateTime.normalizeTime(req.body.time);
+
+    // Patient identity comes from the verified token. Only admins may
+    // book on behalf of another patient by passing their userId.
+    let patient = req.user;
+    if (appointmentPolicy.isAdmin(req.user) && req.body.userId) {
+        patient = await User.findById(req.body.userId).select('-password');
+
+        if (!patient || patient.role !== ROLES.PATIENT) {
+            throw new NotFoundError('Patient not found', ERROR_CODES.PATIENT_NOT_FOUND);
         }
+    }
 
-        // Validate date format (YYYY-MM-DD)
-        const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-        if (!dateRegex.test(date)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid date format. Use YYYY-MM-DD'
-            });
-        }
+    const userId = String(patient._id);
+    const userName = patient.name;
+    const userEmail = patient.email;
 
-        // Validate time format (HH:mm)
-        const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
-        if (!timeRegex.test(time)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid time format. Use HH:mm (24-hour)'
-            });
-        }
+    const selectedDentist = await Dentist.findActiveById(dentist);
+    if (!selectedDentist) {
+        throw new BadRequestError('Selected dentist is not available', ERROR_CODES.DENTIST_UNAVAILABLE);
+    }
 
-        // Check if appointment slot is available
-        const existingAppointment = await Appointment.findOne({
-            dentist,
-            date,
-            time,
-            status: { $in: ['Pending', 'Confirmed'] }
-        });
+    const selectedService = await Service.findActiveById(service);
+    if (!selectedService) {
+        throw new BadRequestError('Selected service is not available', ERROR_CODES.SERVICE_UNAVAILABLE);
+    }
 
-        if (existingAppointment) {
-            return res.status(400).json({
-                success: false,
-                message: 'This time slot is already booked'
-            });
-        }
+    if (!selectedService.isPerformedBy(selectedDentist._id)) {
+        throw new BadRequestError('Selected dentist does not perform this service', ERROR_CODES.SERVICE_NOT_OFFERED);
+    }
 
-        // Check if dentist is available during working hours (8 AM - 5 PM)
-        const hour = parseInt(time.split(':')[0]);
-        if (hour < 8 || hour > 17 || (hour === 17 && parseInt(time.split(':')[1]) > 0)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Appointments can only be booked between 8:00 AM and 5:00 PM'
-            });
-        }
+    const duration = selectedService.duration;
+
+    const slotCheck = await checkSlot({ dentist: selectedDentist, duration, date, time });
+    if (!slotCheck.ok) throw slotCheck.error;
+
+    // Create new appointment
+    const appointment = new Appointment({
+        appointmentId: uuidv4(),
+        userId,
+        userName,
+        userEmail,
+        service: selectedService._id,
+        serviceName: selectedService.name,
+        duration,
+        dentist: selectedDentist._id,
+        dentistName: selectedDentist.name,
+        date,
+        time,
+        notes,
+        status: STATUSES.PENDING
+    });
+
+    // Atomically hold the slots - only one concurrent request can win them
+    const reserved = await reserveSlots(appointment);
+    if (!reserved) {
+        throw new ConflictError('This time slot is already booked', ERROR_CODES.SLOT_TAKEN);
+    }
 
-        // Check if date is in the past
-        const selectedDate = new Date(date);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        
-        if (selectedDate < today) {
-            return res.status(400).json({
-                success: false,
-                message: 'Cannot book appointments for past dates'
-            });
-        }
+    try {
+        await appointment.save();
+    } catch (error) {
+        await releaseSlots(appointment.appointmentId);
+        throw error;
+    }
 
-        // Check if it's today and time is in the past
-        if (selectedDate.toDateString() === today.toDateString()) {
-            const currentTime = new Date();
-            const appointmentTime = new Date(`${date}T${time}:00`);
-            
-            if (appointmentTime < currentTime) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Cannot book appointments for past times today'
-                });
-            }
+    await recordEvent(appointment, 'created', { user: req.user });
+    await replanReminders(appointment);
+    notifyAppointment('booked', appointment);
+
+    res.status(201).json({
+        success: true,
+        message: 'Appointment booked successfully',
+        appointment: {
+            appointmentId: appointment.appointmentId,
+            userId: appointment.userId,
+            userName: appointment.userName,
+            userEmail: appointment.userEmail,
+            service: appointment.service,
+            serviceName: appointment.serviceName,
+            duration: appointment.duration,
+            dentist: appointment.dentist,
+            dentistName: appointment.dentistName,
+            date: appointment.date,
+            time: appointment.time,
+            notes: appointment.notes,
+            status: appointment.status,
+            startsAt: appointment.startsAt,
+            endsAt: appointment.endsAt,
+            createdAt: appointment.createdAt
         }
+    });
+});
 
-        // Create new appointment
-        const appointment = new Appointment({
-            appointmentId: uuidv4(),
-            userId,
-            userName,
-            userEmail,
-            service,
-            dentist,
-            date,
-            time,
-            notes,
-            status: 'Pending'
-        });
+// List appointments visible to the current user
+// Admins see all, doctors see those assigned to them, patients see their own
+router.get('/', validate(schemas.list), async (req, res) => {
+    const { status, date, dentist } = req.query;
 
-        await appointment.save();
+    const query = await appointmentPolicy.scope(req.user);
 
-        res.status(201).json({
-            success: true,
-            message: 'Appointment booked successfully',
-            appointment: {
-                appointmentId: appointment.appointmentId,
-                userId: appointment.userId,
-                userName: appointment.userName,
-                userEmail: appointment.userEmail,
-                service: appointment.service,
-                dentist: appointment.dentist,
-                date: appointment.date,
-                time: appointment.time,
-                notes: appointment.notes,
-                status: appointment.status,
-                createdAt: appointment.createdAt
-            }
-        });
+    if (status) query.status = status;
+    if (date) query.date = date;
+    if (dentist && appointmentPolicy.isAdmin(req.user)) query.dentist = dentist;
 
-    } catch (error) {
-        console.error('Book appointment error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error: ' + error.message
-        });
-    }
+    const appointments = await Appointment.find(query)
+        .sort({ date: -1, time: -1 });
+
+    res.status(200).json({
+        success: true,
+        count: appointments.length,
+        appointments
+    });
 });
 
 // Get user's appointments
-router.get('/user/:userId', async (req, res) => {
-    try {
-        const { userId } = req.params;
-        const { status } = req.query;
-
-        let query = { userId };
-        
-        // Filter by status if provided
-        if (status) {
-            query.status = status;
-        }
+router.get('/user/:userId', authorize(ROLES.PATIENT, ROLES.ADMIN), validate(schemas.listForUser), async (req, res) => {
+    const { userId } = req.params;
+    const { status } = req.query;
 
-        const appointments = await Appointment.find(query)
-            .sort({ date: -1, time: -1 });
+    if (!appointmentPolicy.canListForUser(req.user, userId)) {
+        throw new ForbiddenError('You can only view your own appointments');
+    }
 
-        res.status(200).json({
-            success: true,
-            count: appointments.length,
-            appointments
-        });
+    let query = { userId };
 
-    } catch (error) {
-        console.error('Get appointments error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error'
-        });
+    // Filter by status if provided
+    if (status) {
+        query.status = status;
     }
+
+    const appointments = await Appointment.find(query)
+        .sort({ date: -1, time: -1 });
+
+    res.status(200).json({
+        success: true,
+        count: appointments.length,
+        appointments
+    });
 });
 
 // Get appointments by date and dentist
-router.get('/availability', async (req, res) => {
-    try {
-        const { date, dentist } = req.query;
+router.get('/availability', validate(schemas.availability), async (req, res) => {
+    const { date, dentist, service } = req.query;
+
+    const selectedDentist = await Dentist.findActiveById(dentist);
+    if (!selectedDentist) {
+        throw new NotFoundError('Dentist not found', ERROR_CODES.DENTIST_NOT_FOUND);
+    }
 
-        if (!date || !dentist) {
-            return res.status(400).json({
-                success: false,
-                message: 'Date and dentist are required'
-            });
+    // Without a service, report single-slot availability
+    let selectedService = null;
+    if (service) {
+        selectedService = await Service.findActiveById(service);
+        if (!selectedService) {
+            throw new NotFoundError('Service not found', ERROR_CODES.SERVICE_NOT_FOUND);
         }
 
-        // Get all appointments for the given date and dentist
-        const appointments = await Appointment.find({
-            date,
-            dentist,
-            status: { $in: ['Pending', 'Confirmed'] }
-        }).select('time');
-
-        // Generate all possible time slots (8:00 AM to 5:00 PM, every 30 minutes)
-        const allSlots = [];
-        for (let hour = 8; hour <= 17; hour++) {
-            for (let minute = 0; minute < 60; minute += 30) {
-                if (hour === 17 && minute > 0) break; // No slots after 5:00 PM
-                
-                const timeSlot = `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
-                allSlots.push(timeSlot);
-            }
+        if (!selectedService.isPerformedBy(selectedDentist._id)) {
+            throw new BadRequestError('Selected dentist does not perform this service', ERROR_CODES.SERVICE_NOT_OFFERED);
         }
+    }
+    const duration = selectedService ? selectedService.duration : schedule.SLOT_MINUTES;
+
+    // Get all appointments for the given date and dentist, and the reserved
+    // slots, which also cover waitlist holds that have no appointment yet
+    const [appointments, reservations] = await Promise.all([
+        Appointment.find({
+            date,
+            dentist: selectedDentist._id,
+            status: { $in: ACTIVE_STATUSES }
+        }).select('time duration'),
+        SlotReservation.find({ date, dentist: selectedDentist._id }).select('time')
+    ]);
+    const busy = [
+        ...appointments,
+        ...reservations.map(reservation => ({ time: reservation.time, duration: schedule.SLOT_MINUTES }))
+    ];
+
+    const workingDay = await getWorkingDay(selectedDentist, date);
+
+    // All 30-minute working slots in the day, and the start times that can fit the service
+    const allSlots = schedule.allSlotTimes(workingDay.intervals);
+    const bookedSlots = appointments.reduce((total, app) => total + schedule.slotsNeeded(app.duration), 0);
+
+    // Check if date is in the past (in the clinic's timezone).
+    // Past dates have no slots, and today only has slots still to come.
+    const isPastDate = dateTime.isPastDate(date);
+    const availableSlots = isPastDate
+        ? []
+        : schedule.availableStartTimes(duration, busy, workingDay.intervals)
+            .filter(slot => !dateTime.isPast(date, slot));
+
+    res.status(200).json({
+        success: true,
+        date,
+        dentist,
+        dentistName: selectedDentist.name,
+        service: selectedService ? selectedService._id : null,
+        duration,
+        availableSlots,
+        totalSlots: allSlots.length,
+        bookedSlots,
+        isPastDate,
+        isOpen: workingDay.isOpen,
+        closedReason: workingDay.reason
+    });
+});
 
-        // Filter out booked slots
-        const bookedTimes = appointments.map(app => app.time);
-        const availableSlots = allSlots.filter(slot => !bookedTimes.includes(slot));
+// Longest date range a slot search may cover
+const MAX_SEARCH_DAYS = 62;
 
-        // Check if date is in the past
-        const selectedDate = new Date(date);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
+// Default and cross-check the query shared by the slot search endpoints
+// (its shape is checked by the route schema).
+// Throws a BadRequestError when the query is invalid.
+const parseSearchQuery = async (req, defaultDays) => {
+    const { service, dentist, specialty, timeOfDay } = req.query;
+    const from = req.query.from || dateTime.today();
+    const to = req.query.to || dateTime.addDays(from, defaultDays - 1);
 
-        let isPastDate = false;
-        if (selectedDate < today) {
-            isPastDate = true;
-            // If date is in the past, no slots are available
-            availableSlots.length = 0;
-        }
+    if (to < from) {
+        throw new BadRequestError('"to" cannot be before "from"', ERROR_CODES.INVALID_DATE_RANGE);
+    }
 
-        res.status(200).json({
-            success: true,
-            date,
-            dentist,
-            availableSlots,
-            totalSlots: allSlots.length,
-            bookedSlots: bookedTimes.length,
-            isPastDate
-        });
+    if (to > dateTime.addDays(from, MAX_SEARCH_DAYS - 1)) {
+        throw new BadRequestError(`Search range cannot be longer than ${MAX_SEARCH_DAYS} days`, ERROR_CODES.INVALID_DATE_RANGE);
+    }
 
-    } catch (error) {
-        console.error('Availability check error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error'
-        });
+    const selectedService = await Service.findActiveById(service);
+    if (!selectedService) {
+        throw new BadRequestError('Selected service is not available', ERROR_CODES.SERVICE_UNAVAILABLE);
     }
+
+    return {
+        service: selectedService,
+        dentistId: dentist || null,
+        specialty: specialty || null,
+        from,
+        to,
+        timeOfDay: timeOfDay || null
+    };
+};
+
+// Search open slots for a service across all eligible dentists
+router.get('/availability/search', validate(schemas.search), async (req, res) => {
+    const search = await parseSearchQuery(req, 14);
+
+    const limit = req.query.limit ? Number(req.query.limit) : 20;
+    const slots = await searchSlots({ ...search, limit });
+
+    res.status(200).json({
+        success: true,
+        service: search.service._id,
+        serviceName: search.service.name,
+        duration: search.service.duration,
+        from: search.from,
+        to: search.to,
+        count: slots.length,
+        slots
+    });
+});
+
+// Next available slot for a service across all eligible dentists
+router.get('/availability/next', validate(schemas.next), async (req, res) => {
+    const search = await parseSearchQuery(req, MAX_SEARCH_DAYS);
+
+    const [slot] = await searchSlots({ ...search, limit: 1 });
+
+    res.status(200).json({
+        success: true,
+        service: search.service._id,
+        serviceName: search.service.name,
+        duration: search.service.duration,
+        slot: slot || null
+    });
 });
 
+// A status change lost the race against another change to the same appointment
+const changedMeanwhile = () => new ConflictError(
+    'Appointment was changed by someone else. Reload it and try again',
+    ERROR_CODES.APPOINTMENT_CHANGED
+);
+
 // Cancel an appointment
-router.put('/cancel/:appointmentId', async (req, res) => {
-    try {
+router.put('/cancel/:appointmentId', authorize(ROLES.PATIENT, ROLES.ADMIN), validate(schemas.cancel), async (req, res) => {
+    const { appointmentId } = req.params;
+
+    const appointment = await Appointment.findOne({ appointmentId });
+
+    if (!appointment) {
+        throw new NotFoundError('Appointment not found', ERROR_CODES.APPOINTMENT_NOT_FOUND);
+    }
+
+    if (!appointmentPolicy.canCancel(req.user, appointment)) {
+        throw new ForbiddenError('You do not have permission to cancel this appointment');
+    }
+
+    if (!canTransition(appointment.status, STATUSES.CANCELLED)) {
+        throw new BadRequestError(`${appointment.status} appointments cannot be cancelled`, ERROR_CODES.INVALID_STATUS_TRANSITION);
+    }
+
+    // Check if appointment can be cancelled (at least 24 hours before)
+    // Admins may cancel at any time
+    const hoursDifference = dateTime.hoursUntil(appointment.date, appointment.time);
+
+    if (hoursDifference < 24 && !appointmentPolicy.isAdmin(req.user)) {
+        throw new BadRequestError('Appointments can only be cancelled at least 24 hours in advance', ERROR_CODES.CANCELLATION_WINDOW_PASSED);
+    }
+
+    // Update appointment status
+    const { reason = '' } = req.body || {};
+    const before = snapshot(appointment);
+    const cancelled = await appointment.transitionTo(STATUSES.CANCELLED, { user: req.user, reason });
+    if (!cancelled) throw changedMeanwhile();
+    await releaseSlots(cancelled.appointmentId);
+
+    await recordEvent(cancelled, 'cancelled', { user: req.user, before, reason });
+    await replanReminders(cancelled);
+    notifyAppointment('cancelled', cancelled);
+    offerFreedSlot(cancelled);
+
+    res.status(200).json({
+        success: true,
+        message: 'Appointment cancelled successfully'
+    });
+});
+
+// Staff status change handler shared by confirm, complete, no-show and reject.
+// `requireStarted` refuses the change until the appointment's start time.
+const changeStatus = (targetStatus, successMessage, { requireStarted = false } = {}) => {
+    return async (req, res) => {
         const { appointmentId } = req.params;
-        const { userId } = req.body;
+        const { reason = '' } = req.body || {};
+
+        const appointment = await Appointment.findOne({ appointmentId });
+
+        if (!appointment) {
+            throw new NotFoundError('Appointment not found', ERROR_CODES.APPOINTMENT_NOT_FOUND);
+        }
 
-        if (!userId) {
-            return res.status(400).json({
-                success: false,
-                message: 'User ID is required'
-            });
+        if (!await appointmentPolicy.canManageStatus(req.user, appointment)) {
+            throw new ForbiddenError('You do not have permission to change this appointment\'s status');
         }
 
-        const appointment = await Appointment.findOne({ appointmentId, userId });
+        if (!canTransition(appointment.status, targetStatus)) {
+            throw new BadRequestError(`Cannot change appointment status from ${appointment.status} to ${targetStatus}`, ERROR_CODES.INVALID_STATUS_TRANSITION);
+        }
 
-        if (!appointment) {
-            return res.status(404).json({
-                success: false,
-                message: 'Appointment not found or you do not have permission to cancel it'
-            });
+        if (requireStarted && !dateTime.isPast(appointment.date, appointment.time)) {
+            throw new BadRequestError(`Appointment cannot be marked ${targetStatus} before it starts`, ERROR_CODES.APPOINTMENT_NOT_STARTED);
         }
 
-        // Check if appointment can be cancelled (at least 24 hours before)
-        const appointmentDate = new Date(appointment.date);
-        const appointmentTime = appointment.time.split(':');
-        appointmentDate.setHours(parseInt(appointmentTime[0]), parseInt(appointmentTime[1]));
-        
-        const now = new Date();
-        const hoursDifference = (appointmentDate - now) / (1000 * 60 * 60);
-        
-        if (hoursDifference < 24) {
-            return res.status(400).json({
-                success: false,
-                message: 'Appointments can only be cancelled at least 24 hours in advance'
-            });
+        const before = snapshot(appointment);
+        const changed = await appointment.transitionTo(targetStatus, { user: req.user, reason });
+        if (!changed) throw changedMeanwhile();
+
+        if (!isActive(targetStatus)) {
+            await releaseSlots(changed.appointmentId);
+            await replanReminders(changed);
+            offerFreedSlot(changed);
         }
 
-        // Update appointment status
-        appointment.status = 'Cancelled';
-        appointment.updatedAt = new Date();
-        await appointment.save();
+        await recordEvent(changed, 'status_changed', { user: req.user, before, reason });
+
+        if (targetStatus === STATUSES.CONFIRMED) {
+            notifyAppointment('confirmed', changed);
+        }
 
         res.status(200).json({
             success: true,
-            message: 'Appointment cancelled successfully'
+            message: successMessage,
+            appointment: changed
         });
+    };
+};
 
-    } catch (error) {
-        console.error('Cancel appointment error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error'
-        });
-    }
-});
+// Confirm a pending appointment (assigned doctor or admin)
+router.put('/confirm/:appointmentId', authorize(ROLES.DOCTOR, ROLES.ADMIN), validate(schemas.confirm),
+    changeStatus(STATUSES.CONFIRMED, 'Appointment confirmed successfully'));
+
+// Reject a pending appointment (assigned doctor or admin)
+router.put('/reject/:appointmentId', authorize(ROLES.DOCTOR, ROLES.ADMIN), validate(schemas.reject),
+    changeStatus(STATUSES.REJECTED, 'Appointment rejected successfully'));
+
+// Mark a confirmed appointment as completed (assigned doctor or admin)
+router.put('/complete/:appointmentId', authorize(ROLES.DOCTOR, ROLES.ADMIN), validate(schemas.complete),
+    changeStatus(STATUSES.COMPLETED, 'Appointment marked as completed', { requireStarted: true }));
+
+// Mark a confirmed appointment as a no-show (assigned doctor or admin)
+router.put('/no-show/:appointmentId', authorize(ROLES.DOCTOR, ROLES.ADMIN), validate(schemas.noShow),
+    changeStatus(STATUSES.NO_SHOW, 'Appointment marked as no-show', { requireStarted: true }));
 
 // Update appointment
-router.put('/:appointmentId', async (req, res) => {
-    try {
-        const { appointmentId } = req.params;
-        const { userId, date, time, service, dentist, notes } = req.body;
+router.put('/:appointmentId', authorize(ROLES.PATIENT, ROLES.ADMIN), validate(schemas.update), async (req, res) => {
+    const { appointmentId } = req.params;
+    const { date, service, dentist, notes } = req.body;
+    const time = req.body.time ? dateTime.normalizeTime(req.body.time) : undefined;
 
-        const appointment = await Appointment.findOne({ appointmentId, userId });
+    const appointment = await Appointment.findOne({ appointmentId });
 
-        if (!appointment) {
-            return res.status(404).json({
-                success: false,
-                message: 'Appointment not found'
-            });
+    if (!appointment) {
+        throw new NotFoundError('Appointment not found', ERROR_CODES.APPOINTMENT_NOT_FOUND);
+    }
+
+    if (!appointmentPolicy.canModify(req.user, appointment)) {
+        throw new ForbiddenError('You do not have permission to update this appointment');
+    }
+
+    // Only pending and confirmed appointments can be changed
+    if (!isActive(appointment.status)) {
+        throw new ConflictError(`${appointment.status} appointments cannot be changed`, ERROR_CODES.APPOINTMENT_NOT_ACTIVE);
+    }
+
+    let newDentist = null;
+    if (dentist && dentist !== String(appointment.dentist)) {
+        newDentist = await Dentist.findActiveById(dentist);
+
+        if (!newDentist) {
+            throw new BadRequestError('Selected dentist is not available', ERROR_CODES.DENTIST_UNAVAILABLE);
         }
+    }
 
-        // Check if new time slot is available (if date/time is being changed)
-        if ((date && date !== appointment.date) || (time && time !== appointment.time) || 
-            (dentist && dentist !== appointment.dentist)) {
-            
-            const checkDate = date || appointment.date;
-            const checkTime = time || appointment.time;
-            const checkDentist = dentist || appointment.dentist;
-
-            const existingAppointment = await Appointment.findOne({
-                dentist: checkDentist,
-                date: checkDate,
-                time: checkTime,
-                appointmentId: { $ne: appointmentId }, // Exclude current appointment
-                status: { $in: ['Pending', 'Confirmed'] }
-            });
-
-            if (existingAppointment) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'New time slot is already booked'
-                });
-            }
+    let newService = null;
+    if (service && service !== String(appointment.service)) {
+        newService = await Service.findActiveById(service);
+
+        if (!newService) {
+            throw new BadRequestError('Selected service is not available', ERROR_CODES.SERVICE_UNAVAILABLE);
         }
+    }
 
-        // Update appointment
-        if (date) appointment.date = date;
-        if (time) appointment.time = time;
-        if (service) appointment.service = service;
-        if (dentist) appointment.dentist = dentist;
-        if (notes !== undefined) appointment.notes = notes;
-        
-        appointment.updatedAt = new Date();
-        await appointment.save();
+    // Check if new time slot is available (if date/time/dentist/service is being changed)
+    if ((date && date !== appointment.date) || (time && time !== appointment.time) ||
+        newDentist || newService) {
 
-        res.status(200).json({
-            success: true,
-            message: 'Appointment updated successfully',
-            appointment
+        const checkDate = date || appointment.date;
+        const checkTime = time || appointment.time;
+        const checkDentist = newDentist ? newDentist._id : appointment.dentist;
+        const checkDuration = newService ? newService.duration : appointment.duration;
+
+        const checkService = newService || await Service.findById(appointment.service);
+        if (checkService && !checkService.isPerformedBy(checkDentist)) {
+            throw new BadRequestError('Selected dentist does not perform this service', ERROR_CODES.SERVICE_NOT_OFFERED);
+        }
+
+        const checkDentistDoc = newDentist || await Dentist.findById(checkDentist);
+        const slotCheck = await checkSlot({
+            dentist: checkDentistDoc,
+            duration: checkDuration,
+            date: checkDate,
+            time: checkTime,
+            excludeAppointmentIds: [appointmentId]
         });
 
+        if (!slotCheck.ok) {
+            if (slotCheck.error.code === ERROR_CODES.SLOT_TAKEN) {
+                throw new ConflictError('New time slot is already booked', ERROR_CODES.SLOT_TAKEN);
+            }
+            throw slotCheck.error;
+        }
+    }
+
+    const before = snapshot(appointment);
+    const previousSlot = {
+        appointmentId: appointment.appointmentId,
+        dentist: appointment.dentist,
+        date: appointment.date,
+        time: appointment.time,
+        duration: appointment.duration
+    };
+
+    // Update appointment
+    const update = { updatedAt: new Date() };
+    if (date) update.date = date;
+    if (time) update.time = time;
+    if (newService) {
+        update.service = newService._id;
+        update.serviceName = newService.name;
+        update.duration = newService.duration;
+    }
+    if (newDentist) {
+        update.dentist = newDentist._id;
+        update.dentistName = newDentist.name;
+    }
+    if (notes !== undefined) update.notes = notes;
+
+    const nextSlot = { ...previousSlot };
+    ['dentist', 'date', 'time', 'duration'].forEach(field => {
+        if (update[field] !== undefined) nextSlot[field] = update[field];
+    });
+    const slotChanged = ['dentist', 'date', 'time', 'duration']
+        .some(field => String(nextSlot[field]) !== String(previousSlot[field]));
+
+    // Hold the new slots before saving, keeping the old ones until the move
+    // is saved so a failed save can give the new ones back
+    if (slotChanged && !await reserveSlots(nextSlot, { release: false })) {
+        throw new ConflictError('New time slot is already booked', ERROR_CODES.SLOT_TAKEN);
+    }
+
+    // Only applies while the appointment is still active, so a concurrent
+    // cancel or rejection is not overwritten
+    let updated;
+    try {
+        updated = await Appointment.findOneAndUpdate(
+            { appointmentId, status: { $in: ACTIVE_STATUSES } },
+            { $set: update },
+            { new: true, runValidators: true }
+        );
     } catch (error) {
-        console.error('Update appointment error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error'
-        });
+        if (slotChanged) await trimSlots(previousSlot);
+        throw error;
+    }
+
+    if (!updated) {
+        // No longer active, so it should hold no slots at all
+        if (slotChanged) await releaseSlots(appointmentId);
+        throw changedMeanwhile();
+    }
+
+    if (slotChanged) await trimSlots(updated);
+
+    await recordEvent(updated, 'updated', { user: req.user, before });
+
+    if (slotChanged) {
+        await replanReminders(updated);
+        notifyAppointment('rescheduled', updated, { previous: previousSlot });
+        offerFreedSlot(previousSlot);
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Appointment updated successfully',
+        appointment: updated
+    });
+});
+
+// Get an appointment's change history (owning patient, assigned doctor or admin)
+router.get('/:appointmentId/history', validate(schemas.history), async (req, res) => {
+    const { appointmentId } = req.params;
+
+    const appointment = await Appointment.findOne({ appointmentId });
+
+    if (!appointment) {
+        throw new NotFoundError('Appointment not found', ERROR_CODES.APPOINTMENT_NOT_FOUND);
+    }
+
+    if (!await appointmentPolicy.canView(req.user, appointment)) {
+        throw new ForbiddenError('You do not have permission to view this appointment');
     }
+
+    const events = await AppointmentEvent.find({ appointmentId })
+        .sort({ createdAt: 1 });
+
+    res.status(200).json({
+        success: true,
+        appointmentId,
+        count: events.length,
+        events
+    });
 });
 
 // Get appointment by ID
-router.get('/:appointmentId', async (req, res) => {
-    try {
-        const { appointmentId } = req.params;
-        
-        const appointment = await Appointment.findOne({ appointmentId });
+router.get('/:appointmentId', validate(schemas.get), async (req, res) => {
+    const { appointmentId } = req.params;
 
-        if (!appointment) {
-            return res.status(404).json({
-                success: false,
-                message: 'Appointment not found'
-            });
-        }
+    const appointment = await Appointment.findOne({ appointmentId });
 
-        res.status(200).json({
-            success: true,
-            appointment
-        });
+    if (!appointment) {
+        throw new NotFoundError('Appointment not found', ERROR_CODES.APPOINTMENT_NOT_FOUND);
+    }
 
-    } catch (error) {
-        console.error('Get appointment error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error'
-        });
+    if (!await appointmentPolicy.canView(req.user, appointment)) {
+        throw new ForbiddenError('You do not have permission to view this appointment');
     }
+
+    res.status(200).json({
+        success: true,
+        appointment
+    });
 });
 
 module.exports = router;
\ No newline at end of file
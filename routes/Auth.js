@@ -1,166 +1,313 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { signToken, requireAuth } = require('../middleware/auth');
+const { createSession, rotateSession, revokeSession, revokeAllSessions } = require('../utils/sessions');
+const { issueToken, consumeToken } = require('../utils/authTokens');
+const { notifyAccount } = require('../notifications');
+const { rateLimit } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/auth');
+const { lockedFor, recordFailure, recordSuccess } = require('../rateLimit/loginLockout');
+const { LIMITS } = require('../config/rateLimit');
+const {
+    ACCESS_TOKEN_TTL,
+    EMAIL_VERIFICATION_HOURS,
+    PASSWORD_RESET_MINUTES,
+    APP_URL
+} = require('../config/auth');
+const { ERROR_CODES, BadRequestError, UnauthorizedError, TooManyRequestsError } = require('../errors');
 
-// JWT Secret Key
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-here';
+// Start a session for a user and build the token part of the response
+const issueSession = async (user, req) => {
+    const { session, refreshToken } = await createSession(user, {
+        userAgent: req.get('user-agent') || '',
+        ip: req.ip
+    });
 
-// Register Patient
-router.post('/register', async (req, res) => {
+    return {
+        token: signToken(user, session),
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL
+    };
+};
+
+// Per-IP limits
+const loginLimit = rateLimit({
+    name: 'login',
+    ...LIMITS.login,
+    message: 'Too many login attempts. Please try again later'
+});
+const registerLimit = rateLimit({
+    name: 'register',
+    ...LIMITS.register,
+    message: 'Too many registrations from this address. Please try again later'
+});
+const passwordForgotLimit = rateLimit({
+    name: 'password-forgot',
+    ...LIMITS.passwordForgot,
+    message: 'Too many password reset requests. Please try again later'
+});
+
+const ACCOUNT_LOCKED_MESSAGE = 'Too many failed login attempts. Please try again later';
+
+const sendVerificationEmail = async (user) => {
+    const token = await issueToken(user, 'email_verification', EMAIL_VERIFICATION_HOURS * 60 * 60 * 1000);
+
+    await notifyAccount('verify-email', user, {
+        link: `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`,
+        expiresIn: `${EMAIL_VERIFICATION_HOURS} hours`
+    });
+};
+
+// Tell the owner of an existing account that someone tried to register
+// with their address
+const sendAccountExistsEmail = async (user) => {
+    await notifyAccount('account-exists', user, {
+        loginLink: `${APP_URL}/login`,
+        resetLink: `${APP_URL}/forgot-password`
+    });
+};
+
+// Issue a reset token and email the link, if the address has an account.
+// Never throws: it runs after the response has been sent.
+const sendPasswordResetEmail = async (email) => {
     try {
-        const { name, email, password, phone } = req.body;
-
-        // Check if user already exists
-        const existingUser = await User.findOne({ email });
-        if (existingUser) {
-            return res.status(400).json({
-                success: false,
-                message: 'User already exists with this email'
-            });
-        }
+        const user = await User.findOne({ email: email.toLowerCase().trim() });
+        if (!user) return;
 
-        // Create new user
+        const token = await issueToken(user, 'password_reset', PASSWORD_RESET_MINUTES * 60 * 1000);
+
+        await notifyAccount('password-reset', user, {
+            link: `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`,
+            expiresIn: `${PASSWORD_RESET_MINUTES} minutes`
+        });
+    } catch (error) {
+        console.error('Password reset email error:', error);
+    }
+};
+
+const isDuplicateKeyError = (error) => error.code === 11000;
+
+// Register Patient. The response is the same whether or not the address
+// already has an account, so it cannot be used to find out who is
+// registered: the new patient confirms their address and then logs in.
+router.post('/register', registerLimit, validate(schemas.register), async (req, res) => {
+    const { name, email, password, phone } = req.body;
+
+    const existingUser = await User.findOne({ email: email.toLowerCase().trim() });
+
+    if (existingUser) {
+        // Hash the password anyway so both paths take about as long
+        await User.compareDummyPassword(password);
+        await sendAccountExistsEmail(existingUser);
+    } else {
         const user = new User({
             name,
             email,
             password,
-            phone,
+            phone: phone || '',
             role: 'patient'
         });
 
-        await user.save();
-
-        // Create token
-        const token = jwt.sign(
-            { userId: user._id, role: user.role },
-            JWT_SECRET,
-            { expiresIn: '7d' }
-        );
-
-        res.status(201).json({
-            success: true,
-            message: 'Registration successful',
-            token,
-            user: {
-                id: user._id,
-                name: user.name,
-                email: user.email,
-                phone: user.phone,
-                role: user.role
-            }
-        });
-
-    } catch (error) {
-        console.error('Registration error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error'
-        });
+        try {
+            await user.save();
+            await sendVerificationEmail(user);
+        } catch (error) {
+            // Registered by a parallel request since the lookup above
+            if (!isDuplicateKeyError(error)) throw error;
+            await sendAccountExistsEmail(await User.findOne({ email: user.email }));
+        }
     }
+
+    res.status(200).json({
+        success: true,
+        message: 'Thanks for registering. Please check your email to confirm your address, then log in'
+    });
 });
 
 // Login Patient
-router.post('/login', async (req, res) => {
-    try {
-        const { email, password } = req.body;
-
-        // Find user
-        const user = await User.findOne({ email });
-        if (!user) {
-            return res.status(401).json({
-                success: false,
-                message: 'Invalid email or password'
-            });
+router.post('/login', loginLimit, validate(schemas.login), async (req, res) => {
+    const { email, password } = req.body;
+
+    const accountKey = email.toLowerCase().trim();
+
+    // Locked after repeated wrong passwords
+    const lockMs = await lockedFor(accountKey);
+    if (lockMs > 0) {
+        throw new TooManyRequestsError(ACCOUNT_LOCKED_MESSAGE, lockMs, ERROR_CODES.ACCOUNT_LOCKED);
+    }
+
+    // Find user and check password. Unknown emails count as failures
+    // too, and are checked against a dummy hash, so neither lockouts nor
+    // response times reveal which addresses have accounts.
+    const user = await User.findOne({ email: accountKey });
+    const isPasswordValid = user
+        ? await user.comparePassword(password)
+        : await User.compareDummyPassword(password);
+    if (!isPasswordValid) {
+        const lockedForMs = await recordFailure(accountKey);
+        if (lockedForMs > 0) {
+            throw new TooManyRequestsError(ACCOUNT_LOCKED_MESSAGE, lockedForMs, ERROR_CODES.ACCOUNT_LOCKED);
         }
 
-        // Check password
-        const isPasswordValid = await user.comparePassword(password);
-        if (!isPasswordValid) {
-            return res.status(401).json({
-                success: false,
-                message: 'Invalid email or password'
-            });
+        throw new UnauthorizedError('Invalid email or password', ERROR_CODES.INVALID_CREDENTIALS);
+    }
+
+    await recordSuccess(accountKey);
+
+    // Migrate legacy plaintext password - the pre-save hook hashes it
+    if (!user.isPasswordHashed()) {
+        user.password = password;
+    }
+
+    // Update last login
+    user.lastLogin = new Date();
+    await user.save();
+
+    // Create session
+    const tokens = await issueSession(user, req);
+
+    res.status(200).json({
+        success: true,
+        message: 'Login successful',
+        ...tokens,
+        user: {
+            id: user._id,
+            name: user.name,
+            email: user.email,
+            phone: user.phone,
+            role: user.role,
+            emailVerified: user.emailVerified,
+            lastLogin: user.lastLogin
         }
+    });
+});
 
-        // Update last login
-        user.lastLogin = new Date();
-        await user.save();
-
-        // Create token
-        const token = jwt.sign(
-            { userId: user._id, role: user.role },
-            JWT_SECRET,
-            { expiresIn: '7d' }
-        );
-
-        res.status(200).json({
-            success: true,
-            message: 'Login successful',
-            token,
-            user: {
-                id: user._id,
-                name: user.name,
-                email: user.email,
-                phone: user.phone,
-                role: user.role,
-                lastLogin: user.lastLogin
-            }
-        });
+// Swap a refresh token for a new access token and refresh token. Each
+// refresh token works once; reusing an old one ends the session.
+router.post('/token/refresh', validate(schemas.refresh), async (req, res) => {
+    const { refreshToken } = req.body;
 
-    } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error'
-        });
+    const rotated = await rotateSession(refreshToken);
+    const user = rotated && await User.findById(rotated.session.user).select('-password');
+
+    if (!user) {
+        throw new UnauthorizedError('Session has ended. Please log in again', ERROR_CODES.SESSION_ENDED);
     }
+
+    res.status(200).json({
+        success: true,
+        token: signToken(user, rotated.session),
+        refreshToken: rotated.refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL
+    });
 });
 
-// Get current user profile (protected route)
-router.get('/me', async (req, res) => {
-    try {
-        // Get token from header
-        const token = req.headers.authorization?.split(' ')[1];
-        
-        if (!token) {
-            return res.status(401).json({
-                success: false,
-                message: 'No token provided'
-            });
-        }
+// Log out the current session
+router.post('/logout', requireAuth, validate(schemas.logout), async (req, res) => {
+    await revokeSession(req.sessionId);
 
-        // Verify token
-        const decoded = jwt.verify(token, JWT_SECRET);
-        
-        // Find user
-        const user = await User.findById(decoded.userId).select('-password');
-        if (!user) {
-            return res.status(404).json({
-                success: false,
-                message: 'User not found'
-            });
-        }
+    res.status(200).json({
+        success: true,
+        message: 'Logged out successfully'
+    });
+});
 
-        res.status(200).json({
-            success: true,
-            user
-        });
+// Log out every session of the current user, on every device
+router.post('/logout-all', requireAuth, validate(schemas.logoutAll), async (req, res) => {
+    const sessions = await revokeAllSessions(req.user._id);
 
-    } catch (error) {
-        if (error.name === 'JsonWebTokenError') {
-            return res.status(401).json({
-                success: false,
-                message: 'Invalid token'
-            });
-        }
-        
-        console.error('Get profile error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error'
-        });
+    res.status(200).json({
+        success: true,
+        message: 'Logged out of all devices',
+        sessions
+    });
+});
+
+// Confirm an email address with the token from the verification email
+router.post('/verify-email', validate(schemas.verifyEmail), async (req, res) => {
+    const { token } = req.body;
+
+    const userId = await consumeToken(token, 'email_verification');
+    const user = userId && await User.findById(userId);
+
+    if (!user) {
+        throw new BadRequestError('Verification link is invalid or has expired', ERROR_CODES.LINK_INVALID);
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Email address confirmed'
+    });
+});
+
+// Send a new verification email to the signed-in user
+router.post('/verify-email/resend', requireAuth, validate(schemas.resendVerification), async (req, res) => {
+    if (req.user.emailVerified) {
+        throw new BadRequestError('Email address is already confirmed', ERROR_CODES.EMAIL_ALREADY_VERIFIED);
     }
+
+    await sendVerificationEmail(req.user);
+
+    res.status(200).json({
+        success: true,
+        message: 'Verification email sent'
+    });
+});
+
+// Email a password reset link. The response is the same whether or not the
+// address has an account, so it cannot be used to find out who is registered.
+// It is sent before looking the address up, so the time it takes does not
+// tell either.
+router.post('/password/forgot', passwordForgotLimit, validate(schemas.forgotPassword), async (req, res) => {
+    res.status(200).json({
+        success: true,
+        message: 'If an account exists for this email, a reset link has been sent'
+    });
+
+    sendPasswordResetEmail(req.body.email);
+});
+
+// Set a new password with the token from the reset email. Every existing
+// session is logged out.
+router.post('/password/reset', validate(schemas.resetPassword), async (req, res) => {
+    const { token, password } = req.body;
+
+    const userId = await consumeToken(token, 'password_reset');
+    const user = userId && await User.findById(userId);
+
+    if (!user) {
+        throw new BadRequestError('Reset link is invalid or has expired', ERROR_CODES.LINK_INVALID);
+    }
+
+    // The pre-save hook hashes it. Receiving the email also proves the
+    // address is theirs.
+    user.password = password;
+    if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await revokeAllSessions(user._id, 'password_reset');
+
+    res.status(200).json({
+        success: true,
+        message: 'Password has been reset. Please log in with your new password'
+    });
+});
+
+// Get current user profile (protected route)
+router.get('/me', requireAuth, validate(schemas.me), (req, res) => {
+    res.status(200).json({
+        success: true,
+        user: req.user
+    });
 });
 
 module.exports = router;
\ No newline at end of file
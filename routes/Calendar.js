@@ -0,0 +1,93 @@
+const express = require('express');
+const router = express.Router();
+const Appointment = require('../models/Appointment');
+const CalendarFeed = require('../models/CalendarFeed');
+const { requireAuth } = require('../middleware/auth');
+const { ROLES, authorize } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/calendar');
+const dateTime = require('../utils/dateTime');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { toCalendar } = require('../utils/ical');
+const { PUBLIC_URL } = require('../config/clinic');
+const { ERROR_CODES, NotFoundError } = require('../errors');
+
+// How far back a subscription feed reaches
+const FEED_HISTORY_DAYS = 90;
+
+const feedUrl = (req, token) => {
+    const base = PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+    return `${base.replace(/\/$/, '')}/api/calendar/feed/${token}.ics`;
+};
+
+// Subscription feed. Calendar apps cannot send a bearer token, so the
+// token in the URL is the only credential.
+router.get('/feed/:token.ics', validate(schemas.feed), async (req, res) => {
+    const feed = await CalendarFeed.findOneAndUpdate(
+        { tokenHash: hashToken(req.params.token) },
+        { lastAccessedAt: new Date() }
+    );
+
+    if (!feed) {
+        throw new NotFoundError('Calendar feed not found', ERROR_CODES.CALENDAR_FEED_NOT_FOUND);
+    }
+
+    const appointments = await Appointment.find({
+        userId: String(feed.user),
+        date: { $gte: dateTime.addDays(dateTime.today(), -FEED_HISTORY_DAYS) }
+    }).sort({ date: 1, time: 1 });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, no-cache');
+    res.status(200).send(toCalendar(appointments, { name: 'Dental Bliss appointments', audience: 'patient' }));
+});
+
+// Managing the feed requires a signed-in patient
+router.use(requireAuth, authorize(ROLES.PATIENT));
+
+// Whether the patient has an active subscription URL
+router.get('/feed', validate(schemas.get), async (req, res) => {
+    const feed = await CalendarFeed.findOne({ user: req.user._id });
+
+    res.status(200).json({
+        success: true,
+        active: !!feed,
+        createdAt: feed ? feed.createdAt : null,
+        lastAccessedAt: feed ? feed.lastAccessedAt : null
+    });
+});
+
+// Create the subscription URL, or replace it if one exists. The URL is only
+// shown in this response; replacing it stops the old one from working.
+router.post('/feed', validate(schemas.create), async (req, res) => {
+    const token = generateToken();
+
+    const feed = await CalendarFeed.findOneAndUpdate(
+        { user: req.user._id },
+        { tokenHash: hashToken(token), createdAt: new Date(), lastAccessedAt: null },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(201).json({
+        success: true,
+        message: 'Calendar subscription created',
+        url: feedUrl(req, token),
+        createdAt: feed.createdAt
+    });
+});
+
+// Revoke the subscription URL
+router.delete('/feed', validate(schemas.revoke), async (req, res) => {
+    const feed = await CalendarFeed.findOneAndDelete({ user: req.user._id });
+
+    if (!feed) {
+        throw new NotFoundError('No calendar subscription to revoke', ERROR_CODES.CALENDAR_FEED_NOT_FOUND);
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Calendar subscription revoked'
+    });
+});
+
+module.exports = router;
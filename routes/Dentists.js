@@ -0,0 +1,259 @@
+const express = require('express');
+const router = express.Router();
+const Dentist = require('../models/Dentist');
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const TimeOff = require('../models/TimeOff');
+const { requireAuth } = require('../middleware/auth');
+const { ROLES, authorize } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/dentists');
+const { DEFAULT_WEEKLY_HOURS } = require('../config/clinic');
+const schedule = require('../utils/schedule');
+const { ERROR_CODES, BadRequestError, NotFoundError } = require('../errors');
+
+router.use(requireAuth);
+
+// Check that a user ID points to a doctor account
+const findDoctorAccount = async (userId) => {
+    const user = await User.findById(userId).select('-password');
+    if (!user || user.role !== ROLES.DOCTOR) return null;
+
+    return user;
+};
+
+// List dentists
+router.get('/', validate(schemas.list), async (req, res) => {
+    const { specialty, includeInactive } = req.query;
+
+    const query = {};
+
+    // Only admins can see inactive dentists
+    if (!(includeInactive === 'true' && req.user.role === ROLES.ADMIN)) {
+        query.active = true;
+    }
+
+    if (specialty) query.specialties = specialty;
+
+    const dentists = await Dentist.find(query).sort({ name: 1 });
+
+    res.status(200).json({
+        success: true,
+        count: dentists.length,
+        dentists
+    });
+});
+
+// Get dentist by ID
+router.get('/:dentistId', validate(schemas.get), async (req, res) => {
+    const { dentistId } = req.params;
+
+    const dentist = await Dentist.findById(dentistId);
+
+    if (!dentist || (!dentist.active && req.user.role !== ROLES.ADMIN)) {
+        throw new NotFoundError('Dentist not found', ERROR_CODES.DENTIST_NOT_FOUND);
+    }
+
+    res.status(200).json({
+        success: true,
+        dentist
+    });
+});
+
+// Create dentist (admin only)
+router.post('/', authorize(ROLES.ADMIN), validate(schemas.create), async (req, res) => {
+    const { name, specialties = [], active = true, userId } = req.body;
+
+    let doctor = null;
+    if (userId) {
+        doctor = await findDoctorAccount(userId);
+        if (!doctor) {
+            throw new BadRequestError('Linked user must be an existing doctor account', ERROR_CODES.INVALID_DOCTOR_ACCOUNT);
+        }
+    }
+
+    const dentist = new Dentist({
+        name,
+        specialties,
+        active,
+        user: doctor ? doctor._id : null
+    });
+
+    await dentist.save();
+
+    res.status(201).json({
+        success: true,
+        message: 'Dentist created successfully',
+        dentist
+    });
+});
+
+// Update dentist (admin only)
+router.put('/:dentistId', authorize(ROLES.ADMIN), validate(schemas.update), async (req, res) => {
+    const { dentistId } = req.params;
+    const { name, specialties, active, userId } = req.body;
+
+    const dentist = await Dentist.findById(dentistId);
+
+    if (!dentist) {
+        throw new NotFoundError('Dentist not found', ERROR_CODES.DENTIST_NOT_FOUND);
+    }
+
+    // userId: null unlinks the doctor account
+    if (userId !== undefined && userId !== null) {
+        const doctor = await findDoctorAccount(userId);
+        if (!doctor) {
+            throw new BadRequestError('Linked user must be an existing doctor account', ERROR_CODES.INVALID_DOCTOR_ACCOUNT);
+        }
+        dentist.user = doctor._id;
+    } else if (userId === null) {
+        dentist.user = null;
+    }
+
+    if (name) dentist.name = name;
+    if (specialties !== undefined) dentist.specialties = specialties;
+    if (active !== undefined) dentist.active = active;
+
+    dentist.updatedAt = new Date();
+    await dentist.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Dentist updated successfully',
+        dentist
+    });
+});
+
+// Delete dentist (admin only)
+router.delete('/:dentistId', authorize(ROLES.ADMIN), validate(schemas.remove), async (req, res) => {
+    const { dentistId } = req.params;
+
+    const dentist = await Dentist.findById(dentistId);
+
+    if (!dentist) {
+        throw new NotFoundError('Dentist not found', ERROR_CODES.DENTIST_NOT_FOUND);
+    }
+
+    // Keep appointment history intact - deactivate instead
+    const hasAppointments = await Appointment.exists({ dentist: dentist._id });
+    if (hasAppointments) {
+        throw new BadRequestError('Dentist has appointments and cannot be deleted. Set active to false instead', ERROR_CODES.HAS_APPOINTMENTS);
+    }
+
+    await dentist.deleteOne();
+
+    res.status(200).json({
+        success: true,
+        message: 'Dentist deleted successfully'
+    });
+});
+
+// Get a dentist's weekly working hours
+router.get('/:dentistId/working-hours', validate(schemas.getWorkingHours), async (req, res) => {
+    const { dentistId } = req.params;
+
+    const dentist = await Dentist.findById(dentistId);
+
+    if (!dentist) {
+        throw new NotFoundError('Dentist not found', ERROR_CODES.DENTIST_NOT_FOUND);
+    }
+
+    const usesDefault = dentist.weeklyHours.length === 0;
+
+    res.status(200).json({
+        success: true,
+        dentistId: dentist._id,
+        usesDefault,
+        weeklyHours: usesDefault ? DEFAULT_WEEKLY_HOURS : dentist.weeklyHours
+    });
+});
+
+// Replace a dentist's weekly working hours (admin only)
+// An empty array resets the dentist to the clinic default hours
+router.put('/:dentistId/working-hours', authorize(ROLES.ADMIN), validate(schemas.updateWorkingHours), async (req, res) => {
+    const { dentistId } = req.params;
+    const { weeklyHours } = req.body;
+
+    const dentist = await Dentist.findById(dentistId);
+
+    if (!dentist) {
+        throw new NotFoundError('Dentist not found', ERROR_CODES.DENTIST_NOT_FOUND);
+    }
+
+    const validationError = schedule.validateWeeklyHours(weeklyHours);
+    if (validationError) {
+        throw new BadRequestError(validationError, ERROR_CODES.INVALID_WORKING_HOURS);
+    }
+
+    dentist.weeklyHours = weeklyHours;
+    dentist.updatedAt = new Date();
+    await dentist.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Working hours updated successfully',
+        weeklyHours: dentist.weeklyHours
+    });
+});
+
+// List a dentist's time off
+router.get('/:dentistId/time-off', validate(schemas.listTimeOff), async (req, res) => {
+    const { dentistId } = req.params;
+
+    const timeOff = await TimeOff.find({ dentist: dentistId }).sort({ startDate: 1 });
+
+    res.status(200).json({
+        success: true,
+        count: timeOff.length,
+        timeOff
+    });
+});
+
+// Add time off for a dentist (admin only)
+router.post('/:dentistId/time-off', authorize(ROLES.ADMIN), validate(schemas.addTimeOff), async (req, res) => {
+    const { dentistId } = req.params;
+    const { startDate, endDate = startDate, reason = '' } = req.body;
+
+    const dentist = await Dentist.findById(dentistId);
+
+    if (!dentist) {
+        throw new NotFoundError('Dentist not found', ERROR_CODES.DENTIST_NOT_FOUND);
+    }
+
+    if (endDate < startDate) {
+        throw new BadRequestError('End date cannot be before start date', ERROR_CODES.INVALID_DATE_RANGE);
+    }
+
+    const timeOff = new TimeOff({
+        dentist: dentist._id,
+        startDate,
+        endDate,
+        reason
+    });
+
+    await timeOff.save();
+
+    res.status(201).json({
+        success: true,
+        message: 'Time off added successfully',
+        timeOff
+    });
+});
+
+// Remove time off (admin only)
+router.delete('/:dentistId/time-off/:timeOffId', authorize(ROLES.ADMIN), validate(schemas.removeTimeOff), async (req, res) => {
+    const { dentistId, timeOffId } = req.params;
+
+    const timeOff = await TimeOff.findOneAndDelete({ _id: timeOffId, dentist: dentistId });
+
+    if (!timeOff) {
+        throw new NotFoundError('Time off not found', ERROR_CODES.TIME_OFF_NOT_FOUND);
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Time off removed successfully'
+    });
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,98 @@
+const express = require('express');
+const router = express.Router();
+const Appointment = require('../models/Appointment');
+const { requireAuth } = require('../middleware/auth');
+const { ROLES, authorize } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/exports');
+const appointmentPolicy = require('../policies/appointmentPolicy');
+const dateTime = require('../utils/dateTime');
+const { STATUSES } = require('../utils/appointmentStatus');
+const { toCsv } = require('../utils/csv');
+const { toCalendar } = require('../utils/ical');
+const { ERROR_CODES, ValidationError, BadRequestError, ForbiddenError } = require('../errors');
+
+// Longest date range an export may cover
+const MAX_EXPORT_DAYS = 366;
+
+// Schedule exports are for staff: doctors get their own dentists' appointments
+router.use(requireAuth, authorize(ROLES.DOCTOR, ROLES.ADMIN));
+
+const CSV_COLUMNS = [
+    { header: 'Appointment ID', value: appointment => appointment.appointmentId },
+    { header: 'Date', value: appointment => appointment.date },
+    { header: 'Time', value: appointment => appointment.time },
+    { header: 'Duration (min)', value: appointment => appointment.duration },
+    { header: 'Dentist', value: appointment => appointment.dentistName },
+    { header: 'Service', value: appointment => appointment.serviceName },
+    { header: 'Patient', value: appointment => appointment.userName },
+    { header: 'Patient Email', value: appointment => appointment.userEmail },
+    { header: 'Status', value: appointment => appointment.status },
+    { header: 'Notes', value: appointment => appointment.notes }
+];
+
+// Check ?dentist=&from=&to=&status= and build the appointment query.
+// `from` and `to` default to today; `status` takes a comma-separated list.
+// Throws when the request is invalid.
+const buildExportQuery = async (req) => {
+    const { dentist, status } = req.query;
+    const from = req.query.from || dateTime.today();
+    const to = req.query.to || from;
+
+    if (to < from) {
+        throw new BadRequestError('"to" cannot be before "from"', ERROR_CODES.INVALID_DATE_RANGE);
+    }
+
+    if (to > dateTime.addDays(from, MAX_EXPORT_DAYS - 1)) {
+        throw new BadRequestError(`Export range cannot be longer than ${MAX_EXPORT_DAYS} days`, ERROR_CODES.INVALID_DATE_RANGE);
+    }
+
+    const query = await appointmentPolicy.scope(req.user);
+    query.date = { $gte: from, $lte: to };
+
+    if (dentist) {
+        if (!appointmentPolicy.isAdmin(req.user) && !query.dentist.$in.includes(String(dentist))) {
+            throw new ForbiddenError('You can only export your own schedule');
+        }
+        query.dentist = dentist;
+    }
+
+    if (status) {
+        const statuses = String(status).split(',').map(value => value.trim());
+        const unknown = statuses.filter(value => !Object.values(STATUSES).includes(value));
+        if (unknown.length > 0) {
+            throw new ValidationError([
+                { location: 'query', field: 'status', message: `Unknown status: ${unknown.join(', ')}` }
+            ]);
+        }
+        query.status = { $in: statuses };
+    }
+
+    return { query, from, to };
+};
+
+// Export appointments as CSV
+router.get('/appointments.csv', validate(schemas.csv), async (req, res) => {
+    const exportQuery = await buildExportQuery(req);
+
+    const appointments = await Appointment.find(exportQuery.query)
+        .sort({ date: 1, time: 1, dentistName: 1 });
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.attachment(`appointments-${exportQuery.from}-to-${exportQuery.to}.csv`);
+    res.status(200).send(toCsv(CSV_COLUMNS, appointments));
+});
+
+// Export appointments as an iCalendar file
+router.get('/appointments.ics', validate(schemas.ics), async (req, res) => {
+    const exportQuery = await buildExportQuery(req);
+
+    const appointments = await Appointment.find(exportQuery.query)
+        .sort({ date: 1, time: 1, dentistName: 1 });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.attachment(`appointments-${exportQuery.from}-to-${exportQuery.to}.ics`);
+    res.status(200).send(toCalendar(appointments, { name: 'Dental Bliss schedule', audience: 'dentist' }));
+});
+
+module.exports = router;
@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+const Holiday = require('../models/Holiday');
+const { requireAuth } = require('../middleware/auth');
+const { ROLES, authorize } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/holidays');
+const { ERROR_CODES, NotFoundError, ConflictError } = require('../errors');
+
+router.use(requireAuth);
+
+// List clinic holidays, optionally within a date range
+router.get('/', validate(schemas.list), async (req, res) => {
+    const { from, to } = req.query;
+
+    const query = {};
+    if (from || to) {
+        query.date = {};
+        if (from) query.date.$gte = from;
+        if (to) query.date.$lte = to;
+    }
+
+    const holidays = await Holiday.find(query).sort({ date: 1 });
+
+    res.status(200).json({
+        success: true,
+        count: holidays.length,
+        holidays
+    });
+});
+
+// Add a clinic holiday (admin only)
+router.post('/', authorize(ROLES.ADMIN), validate(schemas.add), async (req, res) => {
+    const { date, name } = req.body;
+
+    const existingHoliday = await Holiday.findOne({ date });
+    if (existingHoliday) {
+        throw new ConflictError('A holiday already exists on this date', ERROR_CODES.HOLIDAY_EXISTS);
+    }
+
+    const holiday = new Holiday({ date, name });
+    await holiday.save();
+
+    res.status(201).json({
+        success: true,
+        message: 'Holiday added successfully',
+        holiday
+    });
+});
+
+// Remove a clinic holiday (admin only)
+router.delete('/:holidayId', authorize(ROLES.ADMIN), validate(schemas.remove), async (req, res) => {
+    const { holidayId } = req.params;
+
+    const holiday = await Holiday.findByIdAndDelete(holidayId);
+
+    if (!holiday) {
+        throw new NotFoundError('Holiday not found', ERROR_CODES.HOLIDAY_NOT_FOUND);
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Holiday removed successfully'
+    });
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const { ROLES, authorize } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/imports');
+const { importUsers, importAppointments } = require('../imports');
+
+router.use(requireAuth, authorize(ROLES.ADMIN));
+
+// Accept the file as a raw text/csv body, or as { csv } in a JSON body.
+// The app-wide JSON parser skips this router (see routes/index.js) so both
+// take files of the same size.
+router.use(express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }));
+router.use(express.json({ limit: '5mb' }));
+
+const readRequest = (req) => {
+    const body = req.body || {};
+    const csv = typeof body === 'string' ? body : body.csv;
+    const dryRun = String(req.query.dryRun ?? body.dryRun) === 'true';
+    return { csv, dryRun };
+};
+
+// Wrap an importer as a route handler. ?dryRun=true validates without writing.
+const importHandler = (importer) => async (req, res) => {
+    const { csv, dryRun } = readRequest(req);
+    const outcome = await importer({ csv, dryRun, actor: req.user });
+
+    if (!outcome.ok) throw outcome.error;
+
+    res.status(200).json({
+        success: true,
+        message: dryRun ? 'Dry run complete, nothing was imported' : 'Import complete',
+        summary: outcome.summary,
+        rows: outcome.rows
+    });
+};
+
+// Import patient and staff accounts
+router.post('/users', validate(schemas.users), importHandler(importUsers));
+
+// Import appointments for existing patients
+router.post('/appointments', validate(schemas.appointments), importHandler(importAppointments));
+
+module.exports = router;
@@ -0,0 +1,190 @@
+const express = require('express');
+const router = express.Router();
+const Invoice = require('../models/Invoice');
+const Appointment = require('../models/Appointment');
+const { requireAuth } = require('../middleware/auth');
+const { ROLES, authorize } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/invoices');
+const appointmentPolicy = require('../policies/appointmentPolicy');
+const { STATUSES } = require('../utils/appointmentStatus');
+const {
+    PAYABLE_STATUSES,
+    validateInvoiceRequest,
+    createInvoice,
+    recordPayment,
+    outstandingBalances
+} = require('../billing');
+const { renderHtml, renderPdf } = require('../billing/render');
+const { ERROR_CODES, ValidationError, BadRequestError, ForbiddenError, NotFoundError, ConflictError } = require('../errors');
+
+// Billing is for admins and the patient being billed
+router.use(requireAuth, authorize(ROLES.PATIENT, ROLES.ADMIN));
+
+const canViewInvoice = (user, invoice) => {
+    return appointmentPolicy.isAdmin(user) || invoice.userId === String(user._id);
+};
+
+// Load the invoice named in the URL and check the user may see it.
+// Throws a NotFoundError or ForbiddenError otherwise.
+const loadInvoice = async (req) => {
+    const invoice = await Invoice.findOne({ invoiceNumber: req.params.invoiceNumber });
+
+    if (!invoice) {
+        throw new NotFoundError('Invoice not found', ERROR_CODES.INVOICE_NOT_FOUND);
+    }
+
+    if (!canViewInvoice(req.user, invoice)) {
+        throw new ForbiddenError('You can only view your own invoices');
+    }
+
+    return invoice;
+};
+
+// Create an invoice from completed appointments of one patient (admin only)
+router.post('/', authorize(ROLES.ADMIN), validate(schemas.create), async (req, res) => {
+    const { errors, input } = validateInvoiceRequest(req.body);
+    if (errors.length > 0) throw new ValidationError(errors);
+
+    const appointments = await Appointment.find({ appointmentId: { $in: input.appointmentIds } })
+        .sort({ date: 1, time: 1 });
+
+    if (appointments.length !== input.appointmentIds.length) {
+        throw new NotFoundError('Appointment not found', ERROR_CODES.APPOINTMENT_NOT_FOUND);
+    }
+
+    if (appointments.some(appointment => appointment.status !== STATUSES.COMPLETED)) {
+        throw new BadRequestError('Only completed appointments can be invoiced', ERROR_CODES.APPOINTMENT_NOT_COMPLETED);
+    }
+
+    if (new Set(appointments.map(appointment => appointment.userId)).size > 1) {
+        throw new BadRequestError('All appointments on an invoice must belong to the same patient', ERROR_CODES.MIXED_PATIENTS);
+    }
+
+    const alreadyInvoiced = await Invoice.findOne({
+        appointmentIds: { $in: input.appointmentIds },
+        status: { $in: Invoice.BILLED_STATUSES }
+    });
+    if (alreadyInvoiced) {
+        throw new ConflictError(`Appointment is already on invoice ${alreadyInvoiced.invoiceNumber}`, ERROR_CODES.ALREADY_INVOICED);
+    }
+
+    const invoice = await createInvoice({ appointments, input, actor: req.user });
+
+    res.status(201).json({
+        success: true,
+        message: 'Invoice created successfully',
+        invoice
+    });
+});
+
+// List invoices (patients see their own, admins may filter by userId)
+router.get('/', validate(schemas.list), async (req, res) => {
+    const { status, userId } = req.query;
+
+    const query = appointmentPolicy.isAdmin(req.user)
+        ? (userId ? { userId } : {})
+        : { userId: String(req.user._id) };
+
+    if (status) query.status = status;
+
+    const invoices = await Invoice.find(query)
+        .sort({ createdAt: -1 });
+
+    res.status(200).json({
+        success: true,
+        count: invoices.length,
+        invoices
+    });
+});
+
+// Outstanding balances per patient (admins see everyone, patients themselves)
+router.get('/outstanding', validate(schemas.outstanding), async (req, res) => {
+    const match = appointmentPolicy.isAdmin(req.user) ? {} : { userId: String(req.user._id) };
+
+    const balances = await outstandingBalances(match);
+
+    res.status(200).json({
+        success: true,
+        count: balances.length,
+        totalOutstanding: balances.reduce((total, row) => total + row.balance, 0),
+        balances
+    });
+});
+
+// Record a payment against an invoice (admin only). Amounts are integers in
+// minor units and cannot exceed the remaining balance.
+router.post('/:invoiceNumber/payments', authorize(ROLES.ADMIN), validate(schemas.recordPayment), async (req, res) => {
+    const { amount, method, reference = '' } = req.body;
+
+    const invoice = await loadInvoice(req);
+
+    if (!PAYABLE_STATUSES.includes(invoice.status)) {
+        throw new BadRequestError(`Cannot record a payment on a ${invoice.status} invoice`, ERROR_CODES.INVOICE_NOT_PAYABLE);
+    }
+
+    const updated = await recordPayment(invoice.invoiceNumber, { amount, method, reference, actor: req.user });
+    if (!updated) {
+        throw new ConflictError('Payment is more than the remaining balance', ERROR_CODES.OVERPAYMENT);
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Payment recorded successfully',
+        invoice: updated
+    });
+});
+
+// Void an invoice that has no payments (admin only), e.g. to reissue it
+router.put('/:invoiceNumber/void', authorize(ROLES.ADMIN), validate(schemas.void), async (req, res) => {
+    const { reason = '' } = req.body || {};
+
+    const invoice = await Invoice.findOneAndUpdate(
+        { invoiceNumber: req.params.invoiceNumber, status: 'issued', amountPaid: 0 },
+        { $set: { status: 'void', voidReason: reason, updatedAt: new Date() } },
+        { new: true }
+    );
+
+    if (!invoice) {
+        const exists = await Invoice.exists({ invoiceNumber: req.params.invoiceNumber });
+        if (!exists) throw new NotFoundError('Invoice not found', ERROR_CODES.INVOICE_NOT_FOUND);
+        throw new BadRequestError('Only unpaid invoices can be voided', ERROR_CODES.INVOICE_NOT_VOIDABLE);
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Invoice voided successfully',
+        invoice
+    });
+});
+
+// Render an invoice as a printable HTML page
+router.get('/:invoiceNumber/html', validate(schemas.html), async (req, res) => {
+    const invoice = await loadInvoice(req);
+
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    res.status(200).send(renderHtml(invoice));
+});
+
+// Render an invoice as a PDF download
+router.get('/:invoiceNumber/pdf', validate(schemas.pdf), async (req, res) => {
+    const invoice = await loadInvoice(req);
+
+    const pdf = await renderPdf(invoice);
+
+    res.set('Content-Type', 'application/pdf');
+    res.attachment(`${invoice.invoiceNumber}.pdf`);
+    res.status(200).send(pdf);
+});
+
+// Get an invoice
+router.get('/:invoiceNumber', validate(schemas.get), async (req, res) => {
+    const invoice = await loadInvoice(req);
+
+    res.status(200).json({
+        success: true,
+        invoice
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/meta');
+
+// The API describing itself. app.js builds the endpoint list, the OpenAPI
+// document and the reference page once, after every router is mounted,
+// and keeps them in app.locals.
+
+// Home route, listing every endpoint from the route schemas
+router.get('/', validate(schemas.index), (req, res) => {
+    res.json({
+        message: 'Dental Bliss API is running!',
+        version: '1.0.0',
+        docs: '/api/docs',
+        endpoints: req.app.locals.endpoints
+    });
+});
+
+// OpenAPI 3.1 document and a browsable reference built from it
+router.get('/api/openapi.json', validate(schemas.openapi), (req, res) => {
+    res.json(req.app.locals.spec);
+});
+
+router.get('/api/docs', validate(schemas.docs), (req, res) => {
+    res.type('html').send(req.app.locals.docsPage);
+});
+
+module.exports = router;
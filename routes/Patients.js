@@ -0,0 +1,180 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const PatientProfile = require('../models/PatientProfile');
+const PatientProfileVersion = require('../models/PatientProfileVersion');
+const VisitRecord = require('../models/VisitRecord');
+const { requireAuth } = require('../middleware/auth');
+const { ROLES, authorize } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/patients');
+const patientPolicy = require('../policies/patientPolicy');
+const { validateProfileUpdate, profileData, saveProfile } = require('../utils/patientProfile');
+const { buildToothChart } = require('../utils/toothChart');
+const { ERROR_CODES, ValidationError, ForbiddenError, NotFoundError } = require('../errors');
+
+router.use(requireAuth);
+
+// Resolve "me" to the signed-in user's ID
+const patientIdParam = (req) => (req.params.userId === 'me' ? String(req.user._id) : req.params.userId);
+
+const loadPatient = async (userId) => {
+    const patient = await User.findById(userId).select('name email phone role');
+    return patient && patient.role === ROLES.PATIENT ? patient : null;
+};
+
+// Load the patient named in the URL once the user is known to have access
+// to their records. Access is checked first so the 404 cannot be used to
+// find out which IDs belong to patients.
+const loadViewablePatient = async (req, forbiddenMessage) => {
+    const userId = patientIdParam(req);
+
+    if (!await patientPolicy.canViewProfile(req.user, userId)) {
+        throw new ForbiddenError(forbiddenMessage);
+    }
+
+    const patient = await loadPatient(userId);
+    if (!patient) {
+        throw new NotFoundError('Patient not found', ERROR_CODES.PATIENT_NOT_FOUND);
+    }
+
+    return { userId, patient };
+};
+
+// Response body for a profile. A patient without one yet gets an empty
+// profile at version 0.
+const profileResponse = (patient, profile) => ({
+    user: patient._id,
+    name: patient.name,
+    email: patient.email,
+    phone: patient.phone,
+    ...profileData(profile),
+    version: profile ? profile.version : 0,
+    updatedAt: profile ? profile.updatedAt : null
+});
+
+// List patients (admin: everyone, doctor: their own patients). Only contact
+// details and profile metadata are returned, never the medical fields.
+router.get('/', authorize(ROLES.DOCTOR, ROLES.ADMIN), validate(schemas.list), async (req, res) => {
+    const query = await patientPolicy.scopePatients(req.user);
+
+    const patients = await User.find(query)
+        .select('name email phone createdAt')
+        .sort({ name: 1 });
+
+    const profiles = await PatientProfile.find({ user: { $in: patients.map(patient => patient._id) } })
+        .select('user version updatedAt');
+
+    const profilesByUser = {};
+    profiles.forEach(profile => {
+        profilesByUser[profile.user] = profile;
+    });
+
+    res.status(200).json({
+        success: true,
+        count: patients.length,
+        patients: patients.map(patient => {
+            const profile = profilesByUser[patient._id];
+            return {
+                id: patient._id,
+                name: patient.name,
+                email: patient.email,
+                phone: patient.phone,
+                createdAt: patient.createdAt,
+                hasProfile: !!profile,
+                profileVersion: profile ? profile.version : 0,
+                profileUpdatedAt: profile ? profile.updatedAt : null
+            };
+        })
+    });
+});
+
+// Get a patient's profile (the patient, an assigned doctor or an admin).
+// Patients can use /me/profile.
+router.get('/:userId/profile', validate(schemas.getProfile), async (req, res) => {
+    const { userId, patient } = await loadViewablePatient(req, 'You do not have permission to view this profile');
+
+    const profile = await PatientProfile.findFullByUser(userId);
+
+    res.status(200).json({
+        success: true,
+        profile: profileResponse(patient, profile)
+    });
+});
+
+// Update a patient's profile (the patient or an admin). Send the `version`
+// that was loaded; a stale version gets a 409 instead of overwriting
+// someone else's changes.
+router.put('/:userId/profile', validate(schemas.updateProfile), async (req, res) => {
+    const userId = patientIdParam(req);
+    const body = req.body;
+
+    if (!patientPolicy.canEditProfile(req.user, userId)) {
+        throw new ForbiddenError('You can only edit your own profile');
+    }
+
+    const patient = await loadPatient(userId);
+    if (!patient) {
+        throw new NotFoundError('Patient not found', ERROR_CODES.PATIENT_NOT_FOUND);
+    }
+
+    const { errors, changes } = validateProfileUpdate(body);
+    if (errors.length > 0) throw new ValidationError(errors);
+
+    const saved = await saveProfile({ userId, changes, expectedVersion: body.version, actor: req.user });
+    if (!saved.ok) throw saved.error;
+
+    res.status(200).json({
+        success: true,
+        message: saved.changed ? 'Profile updated successfully' : 'No changes to save',
+        profile: profileResponse(patient, saved.profile)
+    });
+});
+
+// Every saved version of a patient's profile, oldest first
+router.get('/:userId/profile/history', validate(schemas.profileHistory), async (req, res) => {
+    const { userId, patient } = await loadViewablePatient(req, 'You do not have permission to view this profile');
+
+    const versions = await PatientProfileVersion.find({ user: userId })
+        .sort({ version: 1 });
+
+    res.status(200).json({
+        success: true,
+        user: patient._id,
+        count: versions.length,
+        versions
+    });
+});
+
+// A patient's visit records, most recent first (the patient, an assigned
+// doctor or an admin)
+router.get('/:userId/visits', validate(schemas.visits), async (req, res) => {
+    const { userId, patient } = await loadViewablePatient(req, 'You do not have permission to view this patient\'s records');
+
+    const visits = await VisitRecord.find({ userId })
+        .sort({ date: -1, time: -1 });
+
+    res.status(200).json({
+        success: true,
+        user: patient._id,
+        count: visits.length,
+        visits
+    });
+});
+
+// Current state and history of every tooth recorded for a patient
+router.get('/:userId/tooth-chart', validate(schemas.toothChart), async (req, res) => {
+    const { userId, patient } = await loadViewablePatient(req, 'You do not have permission to view this patient\'s records');
+
+    const visits = await VisitRecord.find({ userId })
+        .select('appointmentId date time dentistName procedures findings');
+
+    res.status(200).json({
+        success: true,
+        user: patient._id,
+        notation: 'FDI',
+        teeth: buildToothChart(visits)
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const { ROLES, authorize } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/reports');
+const dateTime = require('../utils/dateTime');
+const reports = require('../reports');
+const { ERROR_CODES, BadRequestError } = require('../errors');
+
+// Longest date range a report may cover
+const MAX_REPORT_DAYS = 366;
+
+// Range used when the request gives none: the last 30 days up to today
+const DEFAULT_REPORT_DAYS = 30;
+
+router.use(requireAuth, authorize(ROLES.ADMIN));
+
+// Default and check ?from=&to= (formats are checked by the route schema)
+// and store the range on req.range
+const reportRange = (req, res, next) => {
+    const to = req.query.to || dateTime.today();
+    const from = req.query.from || dateTime.addDays(to, 1 - DEFAULT_REPORT_DAYS);
+
+    if (to < from) {
+        throw new BadRequestError('"to" cannot be before "from"', ERROR_CODES.INVALID_DATE_RANGE);
+    }
+
+    if (to > dateTime.addDays(from, MAX_REPORT_DAYS - 1)) {
+        throw new BadRequestError(`Report range cannot be longer than ${MAX_REPORT_DAYS} days`, ERROR_CODES.INVALID_DATE_RANGE);
+    }
+
+    req.range = { from, to };
+    next();
+};
+
+// Route handlers for a report: check the range, then run the report and
+// return { success, from, to, [key]: result }
+const reportHandler = (schema, key, report) => [validate(schema), reportRange, async (req, res) => {
+    const result = await report(req.range);
+
+    res.status(200).json({
+        success: true,
+        ...req.range,
+        [key]: result
+    });
+}];
+
+// Whole dashboard in one response
+router.get('/dashboard', reportHandler(schemas.dashboard, 'report', reports.dashboard));
+
+// Appointment totals, cancellation and no-show rates
+router.get('/appointments', reportHandler(schemas.appointments, 'appointments', reports.appointmentSummary));
+
+// Appointments per dentist
+router.get('/appointments/by-dentist', reportHandler(schemas.byDentist, 'dentists', reports.appointmentsByDentist));
+
+// Appointments per service
+router.get('/appointments/by-service', reportHandler(schemas.byService, 'services', reports.appointmentsByService));
+
+// Booked chair time against bookable chair time
+router.get('/utilization', reportHandler(schemas.utilization, 'utilization', reports.chairUtilization));
+
+// New patient registrations per day
+router.get('/registrations', reportHandler(schemas.registrations, 'registrations', reports.patientRegistrations));
+
+module.exports = router;
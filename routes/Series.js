@@ -0,0 +1,478 @@
+const express = require('express');
+const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
+const Appointment = require('../models/Appointment');
+const AppointmentSeries = require('../models/AppointmentSeries');
+const Dentist = require('../models/Dentist');
+const Service = require('../models/Service');
+const { requireAuth } = require('../middleware/auth');
+const { ROLES, authorize } = require('../middleware/permissions');
+const { rateLimit, byUser } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/series');
+const { LIMITS } = require('../config/rateLimit');
+const appointmentPolicy = require('../policies/appointmentPolicy');
+const dateTime = require('../utils/dateTime');
+const { checkSlot, suggestAlternatives } = require('../utils/booking');
+const { reserveSlots, releaseSlots, reserveGroupSlots, settleGroupSlots } = require('../utils/reservations');
+const { STATUSES, ACTIVE_STATUSES, canTransition } = require('../utils/appointmentStatus');
+const { snapshot, recordEvent } = require('../utils/appointmentHistory');
+const { notifyAppointment } = require('../notifications');
+const { replanReminders } = require('../jobs/reminders');
+const { offerFreedSlot } = require('../waitlist');
+const { ERROR_CODES, BadRequestError, ForbiddenError, NotFoundError, ConflictError } = require('../errors');
+
+router.use(requireAuth);
+
+// A series counts against the same per-account cap as single bookings
+// (POST /api/appointments/book). Dry runs book nothing and are not counted.
+const bookingLimit = rateLimit({
+    name: 'booking',
+    ...LIMITS.booking,
+    keyBy: (req) => (req.body.dryRun ? null : byUser(req)),
+    message: 'Too many bookings. Please try again later'
+});
+
+// Check every occurrence and collect the ones that cannot be booked, with
+// suggested alternatives for each. `excludeAppointmentIds` are the
+// appointments being moved, which do not get in each other's way.
+const planOccurrences = async ({ dentist, duration, occurrences, excludeAppointmentIds = [] }) => {
+    const conflicts = [];
+
+    for (const occurrence of occurrences) {
+        const slotCheck = await checkSlot({
+            dentist,
+            duration,
+            date: occurrence.date,
+            time: occurrence.time,
+            excludeAppointmentIds
+        });
+
+        if (!slotCheck.ok) {
+            conflicts.push({
+                index: occurrence.index,
+                date: occurrence.date,
+                time: occurrence.time,
+                reason: slotCheck.error.message,
+                suggestions: await suggestAlternatives({
+                    dentist,
+                    duration,
+                    date: occurrence.date,
+                    time: occurrence.time
+                })
+            });
+        }
+    }
+
+    return conflicts;
+};
+
+// Load a series and check the user may see it
+const loadSeries = async (req) => {
+    const series = await AppointmentSeries.findOne({ seriesId: req.params.seriesId });
+
+    if (!series) {
+        throw new NotFoundError('Appointment series not found', ERROR_CODES.SERIES_NOT_FOUND);
+    }
+
+    const canSee = appointmentPolicy.isAdmin(req.user) ||
+        series.userId === String(req.user._id) ||
+        (await appointmentPolicy.getDentistIds(req.user)).includes(String(series.dentist));
+
+    if (!canSee) {
+        throw new ForbiddenError('You do not have permission to view this appointment series');
+    }
+
+    return series;
+};
+
+// Book a recurring series
+//
+// Occurrences that conflict are reported with suggested alternatives and
+// nothing is booked, unless allowPartial is set. A series where nothing
+// can be booked is always a conflict. Pass
+// overrides: [{ index, date, time }] to move individual occurrences, e.g.
+// to a suggested alternative. dryRun only reports the plan.
+router.post('/', authorize(ROLES.PATIENT), validate(schemas.book), bookingLimit, async (req, res) => {
+    const {
+        service,
+        dentist,
+        startDate,
+        intervalWeeks = 4,
+        count,
+        notes = '',
+        overrides = [],
+        allowPartial = false,
+        dryRun = false
+    } = req.body;
+    const time = dateTime.normalizeTime(req.body.time);
+
+    if (overrides.some(override => override.index >= count)) {
+        throw new BadRequestError('Overrides must be a list of { index, date, time } within the series', ERROR_CODES.BAD_REQUEST);
+    }
+
+    const selectedDentist = await Dentist.findActiveById(dentist);
+    if (!selectedDentist) {
+        throw new BadRequestError('Selected dentist is not available', ERROR_CODES.DENTIST_UNAVAILABLE);
+    }
+
+    const selectedService = await Service.findActiveById(service);
+    if (!selectedService) {
+        throw new BadRequestError('Selected service is not available', ERROR_CODES.SERVICE_UNAVAILABLE);
+    }
+
+    if (!selectedService.isPerformedBy(selectedDentist._id)) {
+        throw new BadRequestError('Selected dentist does not perform this service', ERROR_CODES.SERVICE_NOT_OFFERED);
+    }
+
+    const duration = selectedService.duration;
+
+    const occurrences = Array.from({ length: count }, (_, index) => {
+        const override = overrides.find(item => item.index === index);
+        return override
+            ? { index, date: override.date, time: dateTime.normalizeTime(override.time) }
+            : { index, date: dateTime.addDays(startDate, index * intervalWeeks * 7), time };
+    });
+
+    const conflicts = await planOccurrences({ dentist: selectedDentist, duration, occurrences });
+
+    if (dryRun) {
+        return res.status(200).json({
+            success: true,
+            occurrences: occurrences.map(occurrence => ({
+                ...occurrence,
+                available: !conflicts.some(conflict => conflict.index === occurrence.index)
+            })),
+            conflicts
+        });
+    }
+
+    const cannotBook = () => new ConflictError('Some occurrences in this series cannot be booked', ERROR_CODES.SERIES_CONFLICT, {
+        extra: { conflicts }
+    });
+
+    if (conflicts.length > 0 && (!allowPartial || conflicts.length === occurrences.length)) {
+        throw cannotBook();
+    }
+
+    const series = new AppointmentSeries({
+        seriesId: uuidv4(),
+        userId: String(req.user._id),
+        userName: req.user.name,
+        userEmail: req.user.email,
+        service: selectedService._id,
+        dentist: selectedDentist._id,
+        startDate,
+        time,
+        intervalWeeks,
+        count
+    });
+
+    const planned = occurrences
+        .filter(occurrence => !conflicts.some(conflict => conflict.index === occurrence.index))
+        .map(occurrence => new Appointment({
+            appointmentId: uuidv4(),
+            userId: series.userId,
+            userName: series.userName,
+            userEmail: series.userEmail,
+            service: selectedService._id,
+            serviceName: selectedService.name,
+            duration,
+            dentist: selectedDentist._id,
+            dentistName: selectedDentist.name,
+            date: occurrence.date,
+            time: occurrence.time,
+            notes,
+            seriesId: series.seriesId,
+            seriesIndex: occurrence.index,
+            status: STATUSES.PENDING
+        }));
+
+    // Hold the slots for every occurrence before saving anything. Someone
+    // may have taken one since the plan was checked.
+    const reserved = [];
+    for (const appointment of planned) {
+        if (await reserveSlots(appointment)) {
+            reserved.push(appointment);
+        } else {
+            conflicts.push({
+                index: appointment.seriesIndex,
+                date: appointment.date,
+                time: appointment.time,
+                reason: 'This time slot is already booked',
+                suggestions: []
+            });
+        }
+    }
+
+    const releaseAll = () => Promise.all(reserved.map(appointment => releaseSlots(appointment.appointmentId)));
+
+    if (reserved.length === 0 || (conflicts.length > 0 && !allowPartial)) {
+        await releaseAll();
+        throw cannotBook();
+    }
+
+    // Save the series and its appointments. If any save fails, whatever was
+    // saved is removed again so no half-booked series is left behind.
+    const booked = [];
+    try {
+        await series.save();
+        for (const appointment of reserved) {
+            await appointment.save();
+            booked.push(appointment);
+        }
+    } catch (error) {
+        await Appointment.deleteMany({ appointmentId: { $in: booked.map(appointment => appointment.appointmentId) } });
+        await AppointmentSeries.deleteOne({ seriesId: series.seriesId });
+        await releaseAll();
+        throw error;
+    }
+
+    for (const appointment of booked) {
+        await recordEvent(appointment, 'created', { user: req.user });
+        await replanReminders(appointment);
+    }
+
+    notifyAppointment('series-booked', booked[0], {
+        occurrences: booked.map(appointment => ({ date: appointment.date, time: appointment.time }))
+    });
+
+    res.status(201).json({
+        success: true,
+        message: `Booked ${booked.length} of ${count} appointments`,
+        series,
+        appointments: booked,
+        conflicts
+    });
+});
+
+// Get a series with its appointments
+router.get('/:seriesId', validate(schemas.get), async (req, res) => {
+    const series = await loadSeries(req);
+
+    const appointments = await Appointment.find({ seriesId: series.seriesId })
+        .sort({ seriesIndex: 1 });
+
+    res.status(200).json({
+        success: true,
+        series,
+        appointments
+    });
+});
+
+// Cancel the rest of a series, starting from one occurrence
+// (owning patient or admin). Patients cannot cancel occurrences less than
+// 24 hours away - those are reported as skipped.
+router.put('/:seriesId/cancel', authorize(ROLES.PATIENT, ROLES.ADMIN), validate(schemas.cancel), async (req, res) => {
+    const series = await loadSeries(req);
+
+    const { fromAppointmentId, reason = '' } = req.body || {};
+
+    if (!appointmentPolicy.isAdmin(req.user) && series.userId !== String(req.user._id)) {
+        throw new ForbiddenError('You do not have permission to cancel this appointment series');
+    }
+
+    let fromIndex = 0;
+    if (fromAppointmentId) {
+        const from = await Appointment.findOne({ appointmentId: fromAppointmentId, seriesId: series.seriesId });
+        if (!from) {
+            throw new NotFoundError('Appointment not found in this series', ERROR_CODES.APPOINTMENT_NOT_FOUND);
+        }
+        fromIndex = from.seriesIndex;
+    }
+
+    const appointments = await Appointment.find({
+        seriesId: series.seriesId,
+        seriesIndex: { $gte: fromIndex }
+    }).sort({ seriesIndex: 1 });
+
+    const cancelled = [];
+    const skipped = [];
+
+    for (const appointment of appointments) {
+        if (!canTransition(appointment.status, STATUSES.CANCELLED)) continue;
+
+        if (!appointmentPolicy.isAdmin(req.user) && dateTime.hoursUntil(appointment.date, appointment.time) < 24) {
+            skipped.push({
+                appointmentId: appointment.appointmentId,
+                reason: 'Appointments can only be cancelled at least 24 hours in advance'
+            });
+            continue;
+        }
+
+        const before = snapshot(appointment);
+        const changed = await appointment.transitionTo(STATUSES.CANCELLED, { user: req.user, reason });
+        if (!changed) {
+            skipped.push({ appointmentId: appointment.appointmentId, reason: 'Appointment was changed by someone else' });
+            continue;
+        }
+        await releaseSlots(changed.appointmentId);
+
+        await recordEvent(changed, 'cancelled', { user: req.user, before, reason });
+        await replanReminders(changed);
+        notifyAppointment('cancelled', changed);
+        offerFreedSlot(changed);
+
+        cancelled.push(changed.appointmentId);
+    }
+
+    if (fromIndex === 0 && skipped.length === 0) {
+        series.status = 'cancelled';
+        series.updatedAt = new Date();
+        await series.save();
+    }
+
+    res.status(200).json({
+        success: true,
+        message: `Cancelled ${cancelled.length} appointment(s)`,
+        cancelled,
+        skipped
+    });
+});
+
+// Reschedule the rest of a series, starting from one occurrence
+// (owning patient or admin). Every remaining active occurrence moves to the
+// new time and/or by shiftDays. If any of them conflicts nothing is changed
+// and the conflicts are reported, with suggestions where the plan found them.
+router.put('/:seriesId/reschedule', authorize(ROLES.PATIENT, ROLES.ADMIN), validate(schemas.reschedule), async (req, res) => {
+    const series = await loadSeries(req);
+
+    const { fromAppointmentId, shiftDays = 0 } = req.body || {};
+    const time = req.body && req.body.time ? dateTime.normalizeTime(req.body.time) : null;
+
+    if (!appointmentPolicy.isAdmin(req.user) && series.userId !== String(req.user._id)) {
+        throw new ForbiddenError('You do not have permission to reschedule this appointment series');
+    }
+
+    if (!time && shiftDays === 0) {
+        throw new BadRequestError('Provide a new time, shiftDays, or both', ERROR_CODES.NOTHING_TO_CHANGE);
+    }
+
+    let fromIndex = 0;
+    if (fromAppointmentId) {
+        const from = await Appointment.findOne({ appointmentId: fromAppointmentId, seriesId: series.seriesId });
+        if (!from) {
+            throw new NotFoundError('Appointment not found in this series', ERROR_CODES.APPOINTMENT_NOT_FOUND);
+        }
+        fromIndex = from.seriesIndex;
+    }
+
+    const appointments = await Appointment.find({
+        seriesId: series.seriesId,
+        seriesIndex: { $gte: fromIndex },
+        status: { $in: ACTIVE_STATUSES }
+    }).sort({ seriesIndex: 1 });
+
+    if (appointments.length === 0) {
+        throw new BadRequestError('There are no upcoming appointments to reschedule', ERROR_CODES.NOTHING_TO_CHANGE);
+    }
+
+    const dentist = await Dentist.findActiveById(series.dentist);
+    if (!dentist) {
+        throw new BadRequestError('The dentist for this series is no longer available', ERROR_CODES.DENTIST_UNAVAILABLE);
+    }
+
+    const occurrences = appointments.map(appointment => ({
+        index: appointment.seriesIndex,
+        date: dateTime.addDays(appointment.date, shiftDays),
+        time: time || appointment.time
+    }));
+    const excludeAppointmentIds = appointments.map(appointment => appointment.appointmentId);
+
+    const conflicts = await planOccurrences({
+        dentist,
+        duration: appointments[0].duration,
+        occurrences,
+        excludeAppointmentIds
+    });
+
+    if (conflicts.length > 0) {
+        throw new ConflictError('Some occurrences in this series cannot be rescheduled', ERROR_CODES.SERIES_CONFLICT, {
+            extra: { conflicts }
+        });
+    }
+
+    const moves = appointments.map(appointment => {
+        const occurrence = occurrences.find(item => item.index === appointment.seriesIndex);
+        const previousSlot = {
+            appointmentId: appointment.appointmentId,
+            dentist: appointment.dentist,
+            date: appointment.date,
+            time: appointment.time,
+            duration: appointment.duration
+        };
+        return {
+            appointment,
+            occurrence,
+            previousSlot,
+            target: { ...previousSlot, date: occurrence.date, time: occurrence.time }
+        };
+    });
+
+    // Hold the new slots for every occurrence before moving any of them, in
+    // case someone took one since the plan was checked. The old slots stay
+    // held until every move is saved, so a conflict or failed save can be
+    // undone.
+    const held = await reserveGroupSlots(moves.map(move => move.target));
+
+    if (!held.ok) {
+        moves
+            .filter(move => held.conflicts.includes(move.appointment.appointmentId))
+            .forEach(({ occurrence }) => {
+                conflicts.push({ ...occurrence, reason: 'This time slot is already booked', suggestions: [] });
+            });
+        throw new ConflictError('Some occurrences in this series cannot be rescheduled', ERROR_CODES.SERIES_CONFLICT, {
+            extra: { conflicts }
+        });
+    }
+
+    // Move every occurrence, or none: if a save fails the ones already
+    // moved are put back
+    const saved = [];
+    try {
+        for (const move of moves) {
+            move.before = snapshot(move.appointment);
+            move.appointment.date = move.occurrence.date;
+            move.appointment.time = move.occurrence.time;
+            move.appointment.updatedAt = new Date();
+            await move.appointment.save();
+            saved.push(move);
+        }
+    } catch (error) {
+        for (const { previousSlot } of saved) {
+            await Appointment.updateOne(
+                { appointmentId: previousSlot.appointmentId },
+                { $set: { date: previousSlot.date, time: previousSlot.time, updatedAt: new Date() } }
+            );
+        }
+        await held.undo();
+        throw error;
+    }
+
+    // Let go of the slots the series has left
+    await settleGroupSlots(moves.map(move => move.target));
+
+    const rescheduled = [];
+    for (const { appointment, previousSlot, before } of moves) {
+        await recordEvent(appointment, 'updated', { user: req.user, before });
+        await replanReminders(appointment);
+        notifyAppointment('rescheduled', appointment, { previous: previousSlot });
+        offerFreedSlot(previousSlot);
+
+        rescheduled.push(appointment);
+    }
+
+    if (fromIndex === 0 && time) {
+        series.time = time;
+    }
+    series.updatedAt = new Date();
+    await series.save();
+
+    res.status(200).json({
+        success: true,
+        message: `Rescheduled ${rescheduled.length} appointment(s)`,
+        appointments: rescheduled
+    });
+});
+
+module.exports = router;
\ No newline at end of file
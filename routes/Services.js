@@ -0,0 +1,156 @@
+const express = require('express');
+const router = express.Router();
+const Service = require('../models/Service');
+const Dentist = require('../models/Dentist');
+const Appointment = require('../models/Appointment');
+const { requireAuth } = require('../middleware/auth');
+const { ROLES, authorize } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/services');
+const { ERROR_CODES, BadRequestError, NotFoundError, ConflictError } = require('../errors');
+
+router.use(requireAuth);
+
+// Check that every ID in the list is an existing dentist
+const validateDentistIds = async (dentistIds) => {
+    const count = await Dentist.countDocuments({ _id: { $in: dentistIds } });
+    return count === new Set(dentistIds.map(String)).size;
+};
+
+// List services
+router.get('/', validate(schemas.list), async (req, res) => {
+    const { dentist, includeInactive } = req.query;
+
+    const query = {};
+
+    // Only admins can see inactive services
+    if (!(includeInactive === 'true' && req.user.role === ROLES.ADMIN)) {
+        query.active = true;
+    }
+
+    // Services the given dentist may perform
+    if (dentist) {
+        query.$or = [{ dentists: dentist }, { dentists: { $size: 0 } }];
+    }
+
+    const services = await Service.find(query).sort({ name: 1 });
+
+    res.status(200).json({
+        success: true,
+        count: services.length,
+        services
+    });
+});
+
+// Get service by ID
+router.get('/:serviceId', validate(schemas.get), async (req, res) => {
+    const { serviceId } = req.params;
+
+    const service = await Service.findById(serviceId).populate('dentists', 'name specialties active');
+
+    if (!service || (!service.active && req.user.role !== ROLES.ADMIN)) {
+        throw new NotFoundError('Service not found', ERROR_CODES.SERVICE_NOT_FOUND);
+    }
+
+    res.status(200).json({
+        success: true,
+        service
+    });
+});
+
+// Create service (admin only)
+router.post('/', authorize(ROLES.ADMIN), validate(schemas.create), async (req, res) => {
+    const { name, description = '', duration, price, dentists = [], active = true } = req.body;
+
+    if (!await validateDentistIds(dentists)) {
+        throw new BadRequestError('Dentists must be a list of existing dentist IDs', ERROR_CODES.INVALID_DENTISTS);
+    }
+
+    const existingService = await Service.findOne({ name: name.trim() });
+    if (existingService) {
+        throw new ConflictError('A service with this name already exists', ERROR_CODES.SERVICE_NAME_TAKEN);
+    }
+
+    const service = new Service({
+        name,
+        description,
+        duration,
+        price,
+        dentists,
+        active
+    });
+
+    await service.save();
+
+    res.status(201).json({
+        success: true,
+        message: 'Service created successfully',
+        service
+    });
+});
+
+// Update service (admin only)
+router.put('/:serviceId', authorize(ROLES.ADMIN), validate(schemas.update), async (req, res) => {
+    const { serviceId } = req.params;
+    const { name, description, duration, price, dentists, active } = req.body;
+
+    const service = await Service.findById(serviceId);
+
+    if (!service) {
+        throw new NotFoundError('Service not found', ERROR_CODES.SERVICE_NOT_FOUND);
+    }
+
+    if (dentists !== undefined && !await validateDentistIds(dentists)) {
+        throw new BadRequestError('Dentists must be a list of existing dentist IDs', ERROR_CODES.INVALID_DENTISTS);
+    }
+
+    if (name && name.trim() !== service.name) {
+        const existingService = await Service.findOne({ name: name.trim() });
+        if (existingService) {
+            throw new ConflictError('A service with this name already exists', ERROR_CODES.SERVICE_NAME_TAKEN);
+        }
+        service.name = name;
+    }
+
+    // Existing appointments keep the duration they were booked with
+    if (description !== undefined) service.description = description;
+    if (duration !== undefined) service.duration = duration;
+    if (price !== undefined) service.price = price;
+    if (dentists !== undefined) service.dentists = dentists;
+    if (active !== undefined) service.active = active;
+
+    service.updatedAt = new Date();
+    await service.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Service updated successfully',
+        service
+    });
+});
+
+// Delete service (admin only)
+router.delete('/:serviceId', authorize(ROLES.ADMIN), validate(schemas.remove), async (req, res) => {
+    const { serviceId } = req.params;
+
+    const service = await Service.findById(serviceId);
+
+    if (!service) {
+        throw new NotFoundError('Service not found', ERROR_CODES.SERVICE_NOT_FOUND);
+    }
+
+    // Keep appointment history intact - deactivate instead
+    const hasAppointments = await Appointment.exists({ service: service._id });
+    if (hasAppointments) {
+        throw new BadRequestError('Service has appointments and cannot be deleted. Set active to false instead', ERROR_CODES.HAS_APPOINTMENTS);
+    }
+
+    await service.deleteOne();
+
+    res.status(200).json({
+        success: true,
+        message: 'Service deleted successfully'
+    });
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { requireAuth } = require('../middleware/auth');
+const { ROLES, authorize } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/users');
+
+// Health check endpoint
+router.get('/health', validate(schemas.health), (req, res) => {
+    const dbStatus = mongoose.connection.readyState === 1 ? 'connected' : 'disconnected';
+
+    res.status(200).json({
+        success: true,
+        status: 'API is running',
+        database: dbStatus,
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime()
+    });
+});
+
+// Get all users (admin only)
+router.get('/users', requireAuth, authorize(ROLES.ADMIN), validate(schemas.list), async (req, res) => {
+    const users = await User.find().select('-password');
+    res.json({
+        success: true,
+        count: users.length,
+        users
+    });
+});
+
+// Check if email exists (admin only - answering this for anyone would let
+// them find out who is registered)
+router.get('/check-email/:email', requireAuth, authorize(ROLES.ADMIN), validate(schemas.checkEmail), async (req, res) => {
+    const { email } = req.params;
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+    res.json({
+        success: true,
+        exists: !!user
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,178 @@
+const express = require('express');
+const router = express.Router();
+const Appointment = require('../models/Appointment');
+const VisitRecord = require('../models/VisitRecord');
+const VisitRecordVersion = require('../models/VisitRecordVersion');
+const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/visits');
+const appointmentPolicy = require('../policies/appointmentPolicy');
+const { STATUSES } = require('../utils/appointmentStatus');
+const { ERROR_CODES, ValidationError, BadRequestError, ForbiddenError, NotFoundError, ConflictError } = require('../errors');
+
+router.use(requireAuth);
+
+// Build a visit record from a request body whose shape the route schema has
+// checked. Returns { errors: [{ location, field, message }], record }.
+const validateVisitRecord = (body) => {
+    const errors = [];
+    const { procedures = [], findings = [], followUps = [], summary = '' } = body;
+
+    const record = {
+        procedures: procedures.map(procedure => ({
+            tooth: procedure.tooth,
+            surfaces: procedure.surfaces || [],
+            name: procedure.name,
+            resultingState: procedure.resultingState || null,
+            notes: procedure.notes || ''
+        })),
+        findings: findings.map((finding, index) => {
+            if (!finding.condition && !finding.notes) {
+                errors.push({ location: 'body', field: `findings[${index}]`, message: 'A finding needs a condition or notes' });
+            }
+
+            return {
+                tooth: finding.tooth ?? null,
+                condition: finding.condition || null,
+                notes: finding.notes || ''
+            };
+        }),
+        followUps: followUps.map(followUp => ({
+            recommendation: followUp.recommendation,
+            dueDate: followUp.dueDate || null
+        })),
+        summary
+    };
+
+    return { errors, record };
+};
+
+// Load an appointment the user may see, for reading its visit record
+const loadViewableAppointment = async (req) => {
+    const appointment = await Appointment.findOne({ appointmentId: req.params.appointmentId });
+    if (!appointment) {
+        throw new NotFoundError('Appointment not found', ERROR_CODES.APPOINTMENT_NOT_FOUND);
+    }
+
+    if (!await appointmentPolicy.canView(req.user, appointment)) {
+        throw new ForbiddenError('You do not have permission to view this appointment');
+    }
+
+    return appointment;
+};
+
+const versionConflict = (message) => new ConflictError(message, ERROR_CODES.VISIT_VERSION_CONFLICT);
+
+// Get the visit record of an appointment (owning patient, assigned doctor or admin)
+router.get('/:appointmentId', validate(schemas.get), async (req, res) => {
+    const { appointmentId } = req.params;
+
+    await loadViewableAppointment(req);
+
+    const visit = await VisitRecord.findOne({ appointmentId });
+    if (!visit) {
+        throw new NotFoundError('No visit record for this appointment', ERROR_CODES.VISIT_RECORD_NOT_FOUND);
+    }
+
+    res.status(200).json({
+        success: true,
+        visit
+    });
+});
+
+// Every saved version of a visit record, oldest first
+router.get('/:appointmentId/history', validate(schemas.history), async (req, res) => {
+    const { appointmentId } = req.params;
+
+    await loadViewableAppointment(req);
+
+    const versions = await VisitRecordVersion.find({ appointmentId })
+        .sort({ version: 1 });
+
+    res.status(200).json({
+        success: true,
+        appointmentId,
+        count: versions.length,
+        versions
+    });
+});
+
+// Write the visit record of a completed appointment. Only the doctor the
+// appointment is assigned to may author it. Send the `version` that was
+// loaded (0 for a new record); a stale version gets a 409 instead of
+// overwriting the record. Every save is kept as a version.
+router.put('/:appointmentId', validate(schemas.save), async (req, res) => {
+    const { appointmentId } = req.params;
+
+    const appointment = await Appointment.findOne({ appointmentId });
+    if (!appointment) {
+        throw new NotFoundError('Appointment not found', ERROR_CODES.APPOINTMENT_NOT_FOUND);
+    }
+
+    if (!await appointmentPolicy.isAssignedDentist(req.user, appointment)) {
+        throw new ForbiddenError('Only the assigned dentist can write the visit record');
+    }
+
+    if (appointment.status !== STATUSES.COMPLETED) {
+        throw new BadRequestError('Visit records can only be written for completed appointments', ERROR_CODES.APPOINTMENT_NOT_COMPLETED);
+    }
+
+    const { errors, record } = validateVisitRecord(req.body || {});
+    if (errors.length > 0) throw new ValidationError(errors);
+
+    const existing = await VisitRecord.findOne({ appointmentId }).select('version');
+    const currentVersion = existing ? existing.version : 0;
+
+    if (req.body.version !== currentVersion) {
+        throw versionConflict(`Visit record has changed since version ${req.body.version}. Reload it and try again`);
+    }
+
+    const author = { userId: String(req.user._id), name: req.user.name };
+
+    let visit;
+    try {
+        // Matching on the version makes concurrent saves fail instead of
+        // overwriting each other
+        visit = await VisitRecord.findOneAndUpdate(
+            { appointmentId, version: currentVersion },
+            {
+                $set: {
+                    ...record,
+                    userId: appointment.userId,
+                    dentist: appointment.dentist,
+                    dentistName: appointment.dentistName,
+                    date: appointment.date,
+                    time: appointment.time,
+                    author,
+                    updatedAt: new Date()
+                },
+                $inc: { version: 1 }
+            },
+            { new: true, upsert: !existing, runValidators: true, setDefaultsOnInsert: true }
+        );
+    } catch (error) {
+        // Lost the race to create the record
+        if (error.code !== 11000) throw error;
+        visit = null;
+    }
+
+    if (!visit) {
+        throw versionConflict('Visit record was changed by someone else. Reload it and try again');
+    }
+
+    await VisitRecordVersion.create({
+        appointmentId,
+        userId: visit.userId,
+        version: visit.version,
+        data: record,
+        author
+    });
+
+    res.status(existing ? 200 : 201).json({
+        success: true,
+        message: existing ? 'Visit record updated successfully' : 'Visit record created successfully',
+        visit
+    });
+});
+
+module.exports = router;
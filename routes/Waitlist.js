@@ -0,0 +1,252 @@
+const express = require('express');
+const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Appointment = require('../models/Appointment');
+const Dentist = require('../models/Dentist');
+const Service = require('../models/Service');
+const { requireAuth } = require('../middleware/auth');
+const { ROLES, authorize } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const { rateLimit, byUser } = require('../middleware/rateLimit');
+const { LIMITS } = require('../config/rateLimit');
+const schemas = require('../schemas/waitlist');
+const dateTime = require('../utils/dateTime');
+const { transferSlots } = require('../utils/reservations');
+const { STATUSES } = require('../utils/appointmentStatus');
+const { recordEvent } = require('../utils/appointmentHistory');
+const { notifyAppointment } = require('../notifications');
+const { replanReminders } = require('../jobs/reminders');
+const scheduler = require('../jobs/scheduler');
+const waitlist = require('../waitlist');
+const { ERROR_CODES, BadRequestError, ForbiddenError, NotFoundError } = require('../errors');
+
+router.use(requireAuth);
+
+const isOwner = (user, entry) => entry.userId === String(user._id);
+
+// A claim books an appointment, so it counts against the same per-account
+// cap as single bookings (POST /api/appointments/book)
+const bookingLimit = rateLimit({
+    name: 'booking',
+    ...LIMITS.booking,
+    keyBy: byUser,
+    message: 'Too many bookings. Please try again later'
+});
+
+// Join the waitlist (patients)
+router.post('/', authorize(ROLES.PATIENT), validate(schemas.join), async (req, res) => {
+    const { dentist, service, dateFrom, dateTo = dateFrom } = req.body;
+
+    if (dateTo < dateFrom) {
+        throw new BadRequestError('dateTo cannot be before dateFrom', ERROR_CODES.INVALID_DATE_RANGE);
+    }
+
+    if (dateTime.isPastDate(dateTo)) {
+        throw new BadRequestError('Cannot join the waitlist for past dates', ERROR_CODES.DATE_IN_PAST);
+    }
+
+    const selectedDentist = await Dentist.findActiveById(dentist);
+    if (!selectedDentist) {
+        throw new BadRequestError('Selected dentist is not available', ERROR_CODES.DENTIST_UNAVAILABLE);
+    }
+
+    const selectedService = await Service.findActiveById(service);
+    if (!selectedService) {
+        throw new BadRequestError('Selected service is not available', ERROR_CODES.SERVICE_UNAVAILABLE);
+    }
+
+    if (!selectedService.isPerformedBy(selectedDentist._id)) {
+        throw new BadRequestError('Selected dentist does not perform this service', ERROR_CODES.SERVICE_NOT_OFFERED);
+    }
+
+    const entry = new WaitlistEntry({
+        userId: String(req.user._id),
+        userName: req.user.name,
+        userEmail: req.user.email,
+        dentist: selectedDentist._id,
+        service: selectedService._id,
+        dateFrom,
+        dateTo
+    });
+
+    await entry.save();
+
+    res.status(201).json({
+        success: true,
+        message: 'Added to the waitlist',
+        entry
+    });
+});
+
+// List waitlist entries - patients see their own, admins see all
+router.get('/', authorize(ROLES.PATIENT, ROLES.ADMIN), validate(schemas.list), async (req, res) => {
+    const { status, dentist } = req.query;
+
+    const query = req.user.role === ROLES.ADMIN ? {} : { userId: String(req.user._id) };
+    if (status) query.status = status;
+    if (dentist) query.dentist = dentist;
+
+    const entries = await WaitlistEntry.find(query).sort({ createdAt: 1 });
+
+    res.status(200).json({
+        success: true,
+        count: entries.length,
+        entries
+    });
+});
+
+// Claim a held slot and turn it into an appointment (owning patient)
+router.post('/:entryId/claim', authorize(ROLES.PATIENT), validate(schemas.claim), bookingLimit, async (req, res) => {
+    const entry = await WaitlistEntry.findById(req.params.entryId);
+
+    if (!entry) {
+        throw new NotFoundError('Waitlist entry not found', ERROR_CODES.WAITLIST_ENTRY_NOT_FOUND);
+    }
+
+    if (!isOwner(req.user, entry)) {
+        throw new ForbiddenError('You do not have permission to claim this slot');
+    }
+
+    if (entry.status !== 'offered' || !entry.hold || !entry.hold.date) {
+        throw new BadRequestError('There is no active hold to claim, or it has expired', ERROR_CODES.NO_ACTIVE_HOLD);
+    }
+
+    if (dateTime.isPast(entry.hold.date, entry.hold.time)) {
+        throw new BadRequestError('The held slot has already started', ERROR_CODES.DATE_IN_PAST);
+    }
+
+    // Check before taking the hold, so a claim that cannot be booked leaves
+    // the hold to expire and pass on as usual
+    const [dentist, service] = await Promise.all([
+        Dentist.findActiveById(entry.dentist),
+        Service.findActiveById(entry.service)
+    ]);
+
+    if (!dentist) {
+        throw new BadRequestError('Selected dentist is not available', ERROR_CODES.DENTIST_UNAVAILABLE);
+    }
+
+    if (!service) {
+        throw new BadRequestError('Selected service is not available', ERROR_CODES.SERVICE_UNAVAILABLE);
+    }
+
+    const appointmentId = uuidv4();
+
+    // Atomically take the hold so an expiring hold cannot pass it on
+    // meanwhile. It must still be the slot checked above.
+    const claimed = await WaitlistEntry.findOneAndUpdate(
+        {
+            _id: entry._id,
+            status: 'offered',
+            'hold.date': entry.hold.date,
+            'hold.time': entry.hold.time,
+            'hold.expiresAt': { $gt: new Date() }
+        },
+        { $set: { status: 'booked', appointmentId, updatedAt: new Date() } },
+        { new: true }
+    );
+
+    if (!claimed) {
+        throw new BadRequestError('There is no active hold to claim, or it has expired', ERROR_CODES.NO_ACTIVE_HOLD);
+    }
+
+    // The held slot reservations become the appointment's
+    await transferSlots(claimed.holdId, appointmentId);
+
+    const appointment = new Appointment({
+        appointmentId,
+        userId: claimed.userId,
+        userName: claimed.userName,
+        userEmail: claimed.userEmail,
+        service: service._id,
+        serviceName: service.name,
+        duration: service.duration,
+        dentist: dentist._id,
+        dentistName: dentist.name,
+        date: claimed.hold.date,
+        time: claimed.hold.time,
+        notes: '',
+        status: STATUSES.PENDING
+    });
+
+    try {
+        await appointment.save();
+    } catch (error) {
+        // Put the hold back as it was; its expiry job is still scheduled
+        await transferSlots(appointmentId, claimed.holdId);
+        await WaitlistEntry.updateOne(
+            { _id: claimed._id, status: 'booked', appointmentId },
+            { $set: { status: 'offered', appointmentId: null, updatedAt: new Date() } }
+        );
+        throw error;
+    }
+
+    await scheduler.cancel(waitlist.holdJobKey(claimed));
+
+    await recordEvent(appointment, 'created', { user: req.user, reason: 'Booked from waitlist' });
+    await replanReminders(appointment);
+    notifyAppointment('booked', appointment);
+
+    res.status(201).json({
+        success: true,
+        message: 'Appointment booked successfully',
+        appointment
+    });
+});
+
+// Decline a held slot and keep waiting (owning patient)
+router.post('/:entryId/decline', authorize(ROLES.PATIENT), validate(schemas.decline), async (req, res) => {
+    const entry = await WaitlistEntry.findById(req.params.entryId);
+
+    if (!entry) {
+        throw new NotFoundError('Waitlist entry not found', ERROR_CODES.WAITLIST_ENTRY_NOT_FOUND);
+    }
+
+    if (!isOwner(req.user, entry)) {
+        throw new ForbiddenError('You do not have permission to decline this slot');
+    }
+
+    if (entry.status !== 'offered') {
+        throw new BadRequestError('There is no held slot to decline', ERROR_CODES.NO_ACTIVE_HOLD);
+    }
+
+    const updated = await waitlist.releaseHold(entry, 'waiting');
+
+    res.status(200).json({
+        success: true,
+        message: 'Slot declined',
+        entry: updated || entry
+    });
+});
+
+// Leave the waitlist (owning patient or admin)
+router.delete('/:entryId', authorize(ROLES.PATIENT, ROLES.ADMIN), validate(schemas.leave), async (req, res) => {
+    const entry = await WaitlistEntry.findById(req.params.entryId);
+
+    if (!entry) {
+        throw new NotFoundError('Waitlist entry not found', ERROR_CODES.WAITLIST_ENTRY_NOT_FOUND);
+    }
+
+    if (req.user.role !== ROLES.ADMIN && !isOwner(req.user, entry)) {
+        throw new ForbiddenError('You do not have permission to remove this waitlist entry');
+    }
+
+    if (entry.status === 'offered') {
+        // Pass the held slot on to the next patient
+        await waitlist.releaseHold(entry, 'cancelled');
+    } else if (entry.status === 'waiting') {
+        entry.status = 'cancelled';
+        entry.updatedAt = new Date();
+        await entry.save();
+    } else {
+        throw new BadRequestError(`Waitlist entry is already ${entry.status}`, ERROR_CODES.WAITLIST_ENTRY_CLOSED);
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Removed from the waitlist'
+    });
+});
+
+module.exports = router;
\ No newline at end of file
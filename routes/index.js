@@ -0,0 +1,54 @@
+// Every router with the path it is mounted at, in mounting order.
+// server.js mounts this list and docs/ reads it to describe the API, using
+// `tag` to group the routes in the API reference. Routers with `parsesBody`
+// read request bodies themselves instead of through the app-wide JSON parser.
+module.exports = [
+    // Home route, OpenAPI document and API reference
+    { path: '/', router: require('./Meta'), tag: 'Meta' },
+
+    // Health check, user admin
+    { path: '/api', router: require('./Users'), tag: 'Users' },
+
+    // Auth routes (register, login, sessions, password reset)
+    { path: '/api', router: require('./Auth'), tag: 'Auth' },
+
+    // Recurring series routes (before the appointment routes so /series is
+    // not taken for an appointment ID)
+    { path: '/api/appointments/series', router: require('./Series'), tag: 'Appointment series' },
+
+    // Appointment routes
+    { path: '/api/appointments', router: require('./Appointments'), tag: 'Appointments' },
+
+    // Dentist routes
+    { path: '/api/dentists', router: require('./Dentists'), tag: 'Dentists' },
+
+    // Service routes
+    { path: '/api/services', router: require('./Services'), tag: 'Services' },
+
+    // Holiday routes
+    { path: '/api/holidays', router: require('./Holidays'), tag: 'Holidays' },
+
+    // Waitlist routes
+    { path: '/api/waitlist', router: require('./Waitlist'), tag: 'Waitlist' },
+
+    // Admin reporting routes
+    { path: '/api/reports', router: require('./Reports'), tag: 'Reports' },
+
+    // Schedule export routes (CSV and iCalendar)
+    { path: '/api/exports', router: require('./Exports'), tag: 'Exports' },
+
+    // Patient calendar subscription routes
+    { path: '/api/calendar', router: require('./Calendar'), tag: 'Calendar' },
+
+    // Bulk CSV import routes
+    { path: '/api/imports', router: require('./Imports'), tag: 'Imports', parsesBody: true },
+
+    // Patient profile routes
+    { path: '/api/patients', router: require('./Patients'), tag: 'Patients' },
+
+    // Clinical visit record routes
+    { path: '/api/visits', router: require('./Visits'), tag: 'Visits' },
+
+    // Billing routes
+    { path: '/api/invoices', router: require('./Invoices'), tag: 'Invoices' }
+];
@@ -0,0 +1,244 @@
+const { STATUSES } = require('../utils/appointmentStatus');
+const { TIME_OF_DAY } = require('../utils/slotSearch');
+const {
+    text, string, date, time, slotTime, objectId, integer, boolean, oneOf, array, object, nullable, ref, ok, appointmentParams
+} = require('./types');
+
+const status = oneOf(Object.values(STATUSES));
+
+// Optional reason recorded with a status change
+const reasonBody = object({ reason: string() });
+
+const appointmentList = ok({ count: integer(), appointments: array(ref('Appointment')) });
+
+// Response to a status change (confirm, reject, complete, no-show)
+const statusChanged = ok({ message: string(), appointment: ref('Appointment') });
+const statusErrors = {
+    400: {
+        INVALID_STATUS_TRANSITION: 'The appointment cannot move to this status',
+        APPOINTMENT_NOT_STARTED: 'The appointment has not started yet'
+    },
+    403: { FORBIDDEN: 'You do not have permission to change this appointment\'s status' },
+    404: { APPOINTMENT_NOT_FOUND: 'Appointment not found' },
+    409: { APPOINTMENT_CHANGED: 'Another change to the appointment got there first' }
+};
+
+// Why a booking or a move to a new time is refused
+const bookingErrors = {
+    DENTIST_UNAVAILABLE: 'Selected dentist is not available',
+    SERVICE_UNAVAILABLE: 'Selected service is not available',
+    SERVICE_NOT_OFFERED: 'Selected dentist does not perform this service',
+    DATE_IN_PAST: 'The time is in the past',
+    INVALID_SLOT_TIME: 'The time does not start a 30-minute slot',
+    DAY_UNAVAILABLE: 'The clinic is closed, or the dentist is on leave or does not work that day',
+    OUTSIDE_WORKING_HOURS: 'Selected time is outside the dentist\'s working hours'
+};
+
+// Search results name the service they were run for
+const searchedService = {
+    service: objectId(),
+    serviceName: string({ example: 'Dental Cleaning' }),
+    duration: integer({ description: 'Minutes', example: 30 })
+};
+
+const searchErrors = {
+    INVALID_DATE_RANGE: '"to" is before "from", or the range is too long',
+    SERVICE_UNAVAILABLE: 'Selected service is not available'
+};
+
+// Query shared by the slot search endpoints
+const searchQuery = {
+    service: objectId(),
+    dentist: objectId(),
+    specialty: text(),
+    from: date(),
+    to: date(),
+    timeOfDay: oneOf(Object.keys(TIME_OF_DAY))
+};
+
+module.exports = {
+    book: {
+        name: 'bookAppointment',
+        summary: 'Book an appointment',
+        body: object({
+            service: objectId(),
+            dentist: objectId(),
+            date: date(),
+            time: slotTime(),
+            notes: string(),
+            userId: objectId({ description: 'Admins only: the patient to book for' })
+        }, ['service', 'dentist', 'date', 'time']),
+        responses: {
+            201: ok({ message: string({ example: 'Appointment booked successfully' }), appointment: ref('Appointment') })
+        },
+        errors: {
+            400: bookingErrors,
+            404: { PATIENT_NOT_FOUND: 'Patient not found' },
+            409: { SLOT_TAKEN: 'This time slot is already booked' }
+        }
+    },
+    list: {
+        name: 'listAppointments',
+        summary: 'List appointments visible to the current user',
+        query: object({
+            status,
+            date: date(),
+            dentist: objectId({ description: 'Admins only' })
+        }),
+        responses: { 200: appointmentList }
+    },
+    listForUser: {
+        name: 'getUserAppointments',
+        summary: 'List a patient\'s appointments',
+        params: object({ userId: objectId() }, ['userId']),
+        query: object({ status }),
+        responses: { 200: appointmentList },
+        errors: { 403: { FORBIDDEN: 'You can only view your own appointments' } }
+    },
+    availability: {
+        name: 'checkAvailability',
+        summary: 'Open start times for a dentist on a date',
+        query: object({
+            date: date(),
+            dentist: objectId(),
+            service: objectId()
+        }, ['date', 'dentist']),
+        responses: {
+            200: ok({
+                date: date(),
+                dentist: objectId(),
+                dentistName: string(),
+                service: nullable(objectId()),
+                duration: integer({ description: 'Minutes' }),
+                availableSlots: array(time()),
+                totalSlots: integer(),
+                bookedSlots: integer(),
+                isPastDate: boolean(),
+                isOpen: boolean(),
+                closedReason: nullable(string({ example: 'Independence Day' }))
+            })
+        },
+        errors: {
+            400: { SERVICE_NOT_OFFERED: 'Selected dentist does not perform this service' },
+            404: { DENTIST_NOT_FOUND: 'Dentist not found', SERVICE_NOT_FOUND: 'Service not found' }
+        }
+    },
+    search: {
+        name: 'searchAvailability',
+        summary: 'Search open slots for a service across dentists',
+        query: object({
+            ...searchQuery,
+            limit: integer({ minimum: 1, maximum: 100 })
+        }, ['service']),
+        responses: {
+            200: ok({ ...searchedService, from: date(), to: date(), count: integer(), slots: array(ref('Slot')) })
+        },
+        errors: { 400: searchErrors }
+    },
+    next: {
+        name: 'nextAvailableSlot',
+        summary: 'Next open slot for a service',
+        query: object(searchQuery, ['service']),
+        responses: {
+            200: ok({ ...searchedService, slot: nullable(ref('Slot')) }, 'The earliest open slot, or null when none is found')
+        },
+        errors: { 400: searchErrors }
+    },
+    cancel: {
+        name: 'cancelAppointment',
+        summary: 'Cancel an appointment',
+        params: appointmentParams,
+        body: reasonBody,
+        responses: {
+            200: ok({ message: string({ example: 'Appointment cancelled successfully' }) })
+        },
+        errors: {
+            400: {
+                INVALID_STATUS_TRANSITION: 'The appointment cannot be cancelled in its current status',
+                CANCELLATION_WINDOW_PASSED: 'Appointments can only be cancelled at least 24 hours in advance'
+            },
+            403: { FORBIDDEN: 'You do not have permission to cancel this appointment' },
+            404: { APPOINTMENT_NOT_FOUND: 'Appointment not found' },
+            409: { APPOINTMENT_CHANGED: 'Another change to the appointment got there first' }
+        }
+    },
+    confirm: {
+        name: 'confirmAppointment',
+        summary: 'Confirm a pending appointment',
+        params: appointmentParams,
+        body: reasonBody,
+        responses: { 200: statusChanged },
+        errors: statusErrors
+    },
+    reject: {
+        name: 'rejectAppointment',
+        summary: 'Reject a pending appointment',
+        params: appointmentParams,
+        body: reasonBody,
+        responses: { 200: statusChanged },
+        errors: statusErrors
+    },
+    complete: {
+        name: 'completeAppointment',
+        summary: 'Mark an appointment as completed',
+        params: appointmentParams,
+        body: reasonBody,
+        responses: { 200: statusChanged },
+        errors: statusErrors
+    },
+    noShow: {
+        name: 'markNoShow',
+        summary: 'Mark an appointment as a no-show',
+        params: appointmentParams,
+        body: reasonBody,
+        responses: { 200: statusChanged },
+        errors: statusErrors
+    },
+    update: {
+        name: 'updateAppointment',
+        summary: 'Reschedule or edit an appointment',
+        params: appointmentParams,
+        body: object({
+            date: date(),
+            time: slotTime(),
+            service: objectId(),
+            dentist: objectId(),
+            notes: string()
+        }),
+        responses: {
+            200: ok({ message: string({ example: 'Appointment updated successfully' }), appointment: ref('Appointment') })
+        },
+        errors: {
+            400: bookingErrors,
+            403: { FORBIDDEN: 'You do not have permission to update this appointment' },
+            404: { APPOINTMENT_NOT_FOUND: 'Appointment not found' },
+            409: {
+                SLOT_TAKEN: 'New time slot is already booked',
+                APPOINTMENT_NOT_ACTIVE: 'Only pending and confirmed appointments can be changed',
+                APPOINTMENT_CHANGED: 'Appointment was changed by someone else. Reload it and try again'
+            }
+        }
+    },
+    history: {
+        name: 'getAppointmentHistory',
+        summary: 'An appointment\'s change history',
+        params: appointmentParams,
+        responses: {
+            200: ok({ appointmentId: string(), count: integer(), events: array(ref('AppointmentEvent')) })
+        },
+        errors: {
+            403: { FORBIDDEN: 'You do not have permission to view this appointment' },
+            404: { APPOINTMENT_NOT_FOUND: 'Appointment not found' }
+        }
+    },
+    get: {
+        name: 'getAppointment',
+        summary: 'Get an appointment',
+        params: appointmentParams,
+        responses: { 200: ok({ appointment: ref('Appointment') }) },
+        errors: {
+            403: { FORBIDDEN: 'You do not have permission to view this appointment' },
+            404: { APPOINTMENT_NOT_FOUND: 'Appointment not found' }
+        }
+    }
+};
@@ -0,0 +1,113 @@
+const { text, string, email, integer, boolean, oneOf, object, ref, ok } = require('./types');
+
+const password = text({
+    minLength: 6,
+    'x-message': 'Password must be at least 6 characters'
+});
+
+// Login returns the new session's tokens and a user summary
+const tokens = {
+    token: string({ description: 'Access token (JWT) for the Authorization header' }),
+    refreshToken: string({ description: 'Single-use token for POST /api/token/refresh' }),
+    expiresIn: string({ example: '15m' })
+};
+
+const session = {
+    ...tokens,
+    user: object({
+        id: string(),
+        name: string(),
+        email: email(),
+        phone: string(),
+        role: oneOf(['patient', 'doctor', 'admin']),
+        emailVerified: boolean()
+    })
+};
+
+module.exports = {
+    register: {
+        name: 'register',
+        summary: 'Register a patient account',
+        body: object({
+            name: text(),
+            email: email(),
+            password,
+            phone: string()
+        }, ['name', 'email', 'password']),
+        responses: {
+            200: ok({
+                message: string({ example: 'Thanks for registering. Please check your email to confirm your address, then log in' })
+            }, 'The same response whether or not the email already has an account')
+        }
+    },
+    login: {
+        name: 'login',
+        summary: 'Log in and start a session',
+        body: object({
+            email: text({ example: 'patient@example.com' }),
+            password: text()
+        }, ['email', 'password']),
+        responses: { 200: ok({ message: string({ example: 'Login successful' }), ...session }) },
+        errors: {
+            401: { INVALID_CREDENTIALS: 'Invalid email or password' },
+            429: { ACCOUNT_LOCKED: 'Too many failed login attempts for this account' }
+        }
+    },
+    refresh: {
+        name: 'refreshToken',
+        summary: 'Swap a refresh token for new tokens',
+        body: object({ refreshToken: text() }, ['refreshToken']),
+        responses: { 200: ok(tokens) },
+        errors: { 401: { SESSION_ENDED: 'Session has ended. Please log in again' } }
+    },
+    logout: {
+        name: 'logout',
+        summary: 'Log out the current session',
+        responses: { 200: ok({ message: string({ example: 'Logged out successfully' }) }) }
+    },
+    logoutAll: {
+        name: 'logoutAll',
+        summary: 'Log out every session of the current user',
+        responses: {
+            200: ok({
+                message: string({ example: 'Logged out of all devices' }),
+                sessions: integer({ description: 'How many sessions were ended' })
+            })
+        }
+    },
+    verifyEmail: {
+        name: 'verifyEmail',
+        summary: 'Confirm an email address',
+        body: object({ token: text() }, ['token']),
+        responses: { 200: ok({ message: string({ example: 'Email address confirmed' }) }) },
+        errors: { 400: { LINK_INVALID: 'Verification link is invalid or has expired' } }
+    },
+    resendVerification: {
+        name: 'resendVerification',
+        summary: 'Send a new verification email',
+        responses: { 200: ok({ message: string({ example: 'Verification email sent' }) }) },
+        errors: { 400: { EMAIL_ALREADY_VERIFIED: 'Email address is already confirmed' } }
+    },
+    forgotPassword: {
+        name: 'forgotPassword',
+        summary: 'Email a password reset link',
+        body: object({ email: text({ example: 'patient@example.com' }) }, ['email']),
+        responses: {
+            200: ok({ message: string({ example: 'If an account exists for this email, a reset link has been sent' }) })
+        }
+    },
+    resetPassword: {
+        name: 'resetPassword',
+        summary: 'Set a new password with a reset token',
+        body: object({ token: text(), password }, ['token', 'password']),
+        responses: {
+            200: ok({ message: string({ example: 'Password has been reset. Please log in with your new password' }) })
+        },
+        errors: { 400: { LINK_INVALID: 'Reset link is invalid or has expired' } }
+    },
+    me: {
+        name: 'me',
+        summary: 'The signed-in user',
+        responses: { 200: ok({ user: ref('User') }) }
+    }
+};
@@ -0,0 +1,35 @@
+const { text, string, boolean, timestamp, object, nullable, ok, file } = require('./types');
+
+module.exports = {
+    feed: {
+        name: 'calendarFeed',
+        summary: 'Patient calendar subscription feed (the token in the URL is the credential)',
+        params: object({ token: text() }, ['token']),
+        responses: { 200: file('text/calendar', 'The patient\'s appointments as an iCalendar feed') },
+        errors: { 404: { CALENDAR_FEED_NOT_FOUND: 'Calendar feed not found' } }
+    },
+    get: {
+        name: 'getCalendarFeed',
+        summary: 'Whether the patient has an active calendar subscription',
+        responses: {
+            200: ok({ active: boolean(), createdAt: nullable(timestamp()), lastAccessedAt: nullable(timestamp()) })
+        }
+    },
+    create: {
+        name: 'createCalendarFeed',
+        summary: 'Create or replace the calendar subscription URL',
+        responses: {
+            201: ok({
+                message: string({ example: 'Calendar subscription created' }),
+                url: string({ format: 'uri', description: 'Shown only once; add it to a calendar app' }),
+                createdAt: timestamp()
+            })
+        }
+    },
+    revoke: {
+        name: 'revokeCalendarFeed',
+        summary: 'Revoke the calendar subscription URL',
+        responses: { 200: ok({ message: string({ example: 'Calendar subscription revoked' }) }) },
+        errors: { 404: { CALENDAR_FEED_NOT_FOUND: 'No calendar subscription to revoke' } }
+    }
+};
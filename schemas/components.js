@@ -0,0 +1,385 @@
+const { STATUSES } = require('../utils/appointmentStatus');
+const { SURFACES, TOOTH_STATES } = require('../utils/toothChart');
+const Invoice = require('../models/Invoice');
+const { ERROR_CODES } = require('../errors/codes');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const {
+    text, string, date, time, objectId, email, timestamp, integer, number, boolean, amount,
+    oneOf, array, object, nullable, ref
+} = require('./types');
+
+// Shapes of the records the API returns, referenced from route responses
+// with ref('Name'). Documentation only - responses are not validated.
+
+const appointmentStatus = oneOf(Object.values(STATUSES), { example: STATUSES.PENDING });
+
+const actor = object({ userId: string(), name: string(), role: string() });
+
+const rates = {
+    total: integer(),
+    statuses: object(Object.fromEntries(Object.values(STATUSES).map(status => [status, integer()]))),
+    cancellationRate: number({ description: 'Share of appointments cancelled, 0-1' }),
+    noShowRate: number({ description: 'Share of due appointments (completed or no-show) that were no-shows, 0-1' })
+};
+
+// Every error response: { success: false, code, status, message, errors, requestId }
+const errorFields = {
+    success: boolean({ example: false }),
+    code: oneOf(Object.values(ERROR_CODES), {
+        description: 'Stable error code. Branch on this, not on the message',
+        example: ERROR_CODES.APPOINTMENT_NOT_FOUND
+    }),
+    status: integer({ description: 'The HTTP status, repeated', example: 404 }),
+    message: string({ example: 'Appointment not found' }),
+    errors: array(object({
+        location: oneOf(['params', 'query', 'body'], { example: 'body' }),
+        field: nullable(string({ example: 'date' })),
+        message: string({ example: 'Invalid date format. Use YYYY-MM-DD' })
+    }, ['location', 'field', 'message']), { description: 'Problems with individual fields; empty when there are none' }),
+    requestId: string({
+        description: 'Also sent as the X-Request-Id header. Quote it when reporting a problem',
+        example: '3f2b8c1e-6d4a-4f7b-9a2e-1c5d8e7f6a90'
+    })
+};
+
+module.exports = {
+    Error: object(errorFields, ['success', 'code', 'status', 'message', 'errors', 'requestId']),
+
+    RateLimited: object({
+        ...errorFields,
+        code: oneOf(['RATE_LIMITED', 'ACCOUNT_LOCKED'], { example: 'RATE_LIMITED' }),
+        status: integer({ example: 429 }),
+        message: string({ example: 'Too many login attempts. Please try again later' }),
+        retryAfter: integer({ description: 'Seconds until the next attempt is allowed', example: 60 })
+    }, ['success', 'code', 'status', 'message', 'errors', 'requestId', 'retryAfter']),
+
+    User: object({
+        _id: objectId(),
+        name: string({ example: 'Maria Santos' }),
+        email: email(),
+        phone: string({ example: '+63 917 555 0123' }),
+        role: oneOf(['patient', 'doctor', 'admin']),
+        emailVerified: boolean(),
+        emailVerifiedAt: nullable(timestamp()),
+        lastLogin: nullable(timestamp()),
+        createdAt: timestamp()
+    }),
+
+    Appointment: object({
+        appointmentId: string({ format: 'uuid' }),
+        userId: objectId(),
+        userName: string(),
+        userEmail: email(),
+        service: objectId(),
+        serviceName: string({ example: 'Dental Cleaning' }),
+        duration: integer({ description: 'Minutes', example: 30 }),
+        dentist: objectId(),
+        dentistName: string({ example: 'Dr. Reyes' }),
+        date: date(),
+        time: time(),
+        startsAt: timestamp(),
+        endsAt: timestamp(),
+        seriesId: nullable(string()),
+        seriesIndex: nullable(integer()),
+        notes: string(),
+        status: appointmentStatus,
+        statusHistory: array(object({
+            from: string(),
+            to: string(),
+            changedBy: string(),
+            changedByRole: string(),
+            changedAt: timestamp(),
+            reason: string()
+        })),
+        createdAt: timestamp(),
+        updatedAt: timestamp()
+    }),
+
+    AppointmentEvent: object({
+        appointmentId: string(),
+        type: oneOf(['created', 'updated', 'cancelled', 'status_changed']),
+        actor,
+        changes: array(object({ field: string(), from: {}, to: {} })),
+        reason: string(),
+        createdAt: timestamp()
+    }),
+
+    AppointmentSeries: object({
+        seriesId: string({ format: 'uuid' }),
+        userId: objectId(),
+        userName: string(),
+        userEmail: email(),
+        service: objectId(),
+        dentist: objectId(),
+        startDate: date(),
+        time: time(),
+        intervalWeeks: integer({ example: 4 }),
+        count: integer({ example: 6 }),
+        status: oneOf(['active', 'cancelled']),
+        createdAt: timestamp(),
+        updatedAt: timestamp()
+    }),
+
+    // An occurrence of a series that cannot be booked as planned
+    SeriesConflict: object({
+        index: integer(),
+        date: date(),
+        time: time(),
+        reason: string({ example: 'This time slot is already booked' }),
+        suggestions: array(object({ date: date(), time: time() }))
+    }),
+
+    Slot: object({
+        date: date(),
+        time: time(),
+        startsAt: timestamp(),
+        endsAt: timestamp(),
+        dentist: objectId(),
+        dentistName: string()
+    }),
+
+    Dentist: object({
+        _id: objectId(),
+        name: string({ example: 'Dr. Reyes' }),
+        specialties: array(string({ example: 'Orthodontics' })),
+        weeklyHours: array(ref('WorkingHours')),
+        active: boolean(),
+        user: nullable(objectId({ description: 'Linked doctor account' })),
+        createdAt: timestamp(),
+        updatedAt: timestamp()
+    }),
+
+    WorkingHours: object({
+        day: integer({ minimum: 0, maximum: 6, description: '0 = Sunday ... 6 = Saturday' }),
+        start: time(),
+        end: time({ example: '17:00' }),
+        breaks: array(object({ start: time({ example: '12:00' }), end: time({ example: '13:00' }) }))
+    }),
+
+    TimeOff: object({
+        _id: objectId(),
+        dentist: objectId(),
+        startDate: date(),
+        endDate: date(),
+        reason: string(),
+        createdAt: timestamp()
+    }),
+
+    Service: object({
+        _id: objectId(),
+        name: string({ example: 'Dental Cleaning' }),
+        description: string(),
+        duration: integer({ description: 'Minutes', example: 30 }),
+        price: amount({ description: 'Minor currency units' }),
+        dentists: array(objectId(), { description: 'Empty means any dentist' }),
+        active: boolean(),
+        createdAt: timestamp(),
+        updatedAt: timestamp()
+    }),
+
+    Holiday: object({
+        _id: objectId(),
+        date: date(),
+        name: string({ example: 'Independence Day' }),
+        createdAt: timestamp()
+    }),
+
+    WaitlistEntry: object({
+        _id: objectId(),
+        userId: objectId(),
+        userName: string(),
+        userEmail: email(),
+        dentist: objectId(),
+        service: objectId(),
+        dateFrom: date(),
+        dateTo: date(),
+        status: oneOf(WaitlistEntry.ENTRY_STATUSES),
+        hold: object({ date: date(), time: time(), expiresAt: timestamp() }),
+        appointmentId: nullable(string()),
+        createdAt: timestamp(),
+        updatedAt: timestamp()
+    }),
+
+    AppointmentSummary: object(rates),
+
+    DentistReport: object({ dentist: objectId(), dentistName: string(), ...rates }),
+
+    ServiceReport: object({ service: objectId(), serviceName: string(), bookedMinutes: integer(), ...rates }),
+
+    Utilization: object({
+        bookedMinutes: integer(),
+        availableMinutes: integer(),
+        utilization: number({ description: 'Booked share of bookable chair time, 0-1' }),
+        byDentist: array(object({
+            dentist: objectId(),
+            dentistName: string(),
+            appointments: integer(),
+            bookedMinutes: integer(),
+            availableMinutes: integer(),
+            utilization: number()
+        }))
+    }),
+
+    Registrations: object({
+        total: integer(),
+        byDate: array(object({ date: date(), count: integer() }))
+    }),
+
+    ImportSummary: object({
+        dryRun: boolean(),
+        total: integer(),
+        valid: integer(),
+        invalid: integer(),
+        imported: integer(),
+        failed: integer()
+    }),
+
+    ImportRow: object({
+        row: integer({ description: 'Line number in the file' }),
+        status: oneOf(['valid', 'invalid', 'imported', 'failed']),
+        errors: array(object({ field: nullable(string()), message: string() }))
+    }),
+
+    PatientSummary: object({
+        id: objectId(),
+        name: string(),
+        email: email(),
+        phone: string(),
+        createdAt: timestamp(),
+        hasProfile: boolean(),
+        profileVersion: integer(),
+        profileUpdatedAt: nullable(timestamp())
+    }),
+
+    PatientProfile: object({
+        user: objectId(),
+        name: string(),
+        email: email(),
+        phone: string(),
+        dateOfBirth: nullable(date({ example: '1990-05-21' })),
+        allergies: nullable(array(string({ example: 'Penicillin' }))),
+        medications: nullable(array(object({ name: string(), dosage: string(), frequency: string() }))),
+        medicalConditions: nullable(array(string())),
+        insurance: nullable(object({ provider: string(), policyNumber: string(), groupNumber: string(), holderName: string() })),
+        emergencyContact: nullable(object({ name: string(), relationship: string(), phone: string() })),
+        version: integer({ description: 'Send this back when updating', example: 3 }),
+        updatedAt: nullable(timestamp())
+    }),
+
+    PatientProfileVersion: object({
+        user: objectId(),
+        version: integer(),
+        data: object({}, [], { description: 'The profile\'s medical fields as saved in this version' }),
+        changedFields: array(string()),
+        changedBy: actor,
+        createdAt: timestamp()
+    }),
+
+    VisitRecord: object({
+        appointmentId: string(),
+        userId: objectId(),
+        dentist: objectId(),
+        dentistName: string(),
+        date: date(),
+        time: time(),
+        procedures: array(object({
+            tooth: integer({ example: 46 }),
+            surfaces: array(oneOf(SURFACES)),
+            name: string({ example: 'Composite filling' }),
+            resultingState: nullable(oneOf(TOOTH_STATES)),
+            notes: string()
+        })),
+        findings: array(object({
+            tooth: nullable(integer()),
+            condition: nullable(oneOf(TOOTH_STATES)),
+            notes: string()
+        })),
+        followUps: array(object({ recommendation: string(), dueDate: nullable(date()) })),
+        summary: string(),
+        author: object({ userId: string(), name: string() }),
+        version: integer({ description: 'Send this back when saving', example: 2 }),
+        createdAt: timestamp(),
+        updatedAt: timestamp()
+    }),
+
+    VisitRecordVersion: object({
+        appointmentId: string(),
+        userId: objectId(),
+        version: integer(),
+        data: object({}, [], { description: 'The procedures, findings, follow-ups and summary as saved in this version' }),
+        author: object({ userId: string(), name: string() }),
+        createdAt: timestamp()
+    }),
+
+    ToothChartEntry: object({
+        tooth: integer({ example: 46 }),
+        primary: boolean({ description: 'Baby tooth' }),
+        state: oneOf(TOOTH_STATES),
+        lastChangedOn: nullable(date()),
+        history: array(object({
+            appointmentId: string(),
+            date: date(),
+            dentistName: string(),
+            type: oneOf(['finding', 'procedure']),
+            condition: nullable(string()),
+            procedure: string(),
+            surfaces: array(string()),
+            resultingState: nullable(string()),
+            notes: string()
+        }))
+    }),
+
+    Invoice: object({
+        invoiceNumber: text({ example: 'INV-2025-000042' }),
+        userId: objectId(),
+        userName: string(),
+        userEmail: email(),
+        currency: string({ example: 'PHP' }),
+        appointmentIds: array(string()),
+        lineItems: array(object({
+            appointmentId: nullable(string()),
+            service: nullable(objectId()),
+            description: string(),
+            date: nullable(date()),
+            quantity: integer({ minimum: 1 }),
+            unitPrice: amount(),
+            amount: amount()
+        })),
+        discounts: array(object({
+            description: string(),
+            basisPoints: nullable(integer({ description: '1000 = 10%' })),
+            amount: amount()
+        })),
+        insurance: object({ provider: string(), claimNumber: string(), amount: amount() }),
+        payments: array(object({
+            amount: amount(),
+            method: oneOf(Invoice.PAYMENT_METHODS),
+            reference: string(),
+            receivedAt: timestamp(),
+            recordedBy: object({ userId: string(), name: string() })
+        })),
+        subtotal: amount(),
+        discountTotal: amount(),
+        insuranceTotal: amount(),
+        total: amount(),
+        amountPaid: amount(),
+        balance: amount(),
+        status: oneOf(Invoice.INVOICE_STATUSES),
+        dueDate: date(),
+        notes: string(),
+        issuedBy: object({ userId: string(), name: string() }),
+        voidReason: string(),
+        createdAt: timestamp(),
+        updatedAt: timestamp()
+    }),
+
+    OutstandingBalance: object({
+        userId: objectId(),
+        userName: string(),
+        userEmail: email(),
+        invoices: integer(),
+        balance: amount(),
+        oldestDueDate: date(),
+        overdue: boolean()
+    })
+};
@@ -0,0 +1,129 @@
+const {
+    text, string, date, time, objectId, integer, boolean, array, object, nullable, ref, ok
+} = require('./types');
+
+const dentistParams = object({ dentistId: objectId() }, ['dentistId']);
+
+const workingHours = object({
+    day: integer({ minimum: 0, maximum: 6, 'x-message': 'Day must be a number from 0 (Sunday) to 6 (Saturday)' }),
+    start: time(),
+    end: time(),
+    breaks: array(object({ start: time(), end: time() }, ['start', 'end']))
+}, ['day', 'start', 'end']);
+
+module.exports = {
+    list: {
+        name: 'listDentists',
+        summary: 'List dentists',
+        query: object({
+            specialty: text(),
+            includeInactive: boolean({ description: 'Admins only' })
+        }),
+        responses: { 200: ok({ count: integer(), dentists: array(ref('Dentist')) }) }
+    },
+    get: {
+        name: 'getDentist',
+        summary: 'Get a dentist',
+        params: dentistParams,
+        responses: { 200: ok({ dentist: ref('Dentist') }) },
+        errors: { 404: { DENTIST_NOT_FOUND: 'Dentist not found' } }
+    },
+    create: {
+        name: 'createDentist',
+        summary: 'Create a dentist',
+        body: object({
+            name: text(),
+            specialties: array(text()),
+            active: boolean(),
+            userId: objectId({ description: 'Linked doctor account' })
+        }, ['name']),
+        responses: {
+            201: ok({ message: string({ example: 'Dentist created successfully' }), dentist: ref('Dentist') })
+        },
+        errors: { 400: { INVALID_DOCTOR_ACCOUNT: 'Linked user must be an existing doctor account' } }
+    },
+    update: {
+        name: 'updateDentist',
+        summary: 'Update a dentist',
+        params: dentistParams,
+        body: object({
+            name: text(),
+            specialties: array(text()),
+            active: boolean(),
+            userId: nullable(objectId({ description: 'Linked doctor account; null unlinks it' }))
+        }),
+        responses: {
+            200: ok({ message: string({ example: 'Dentist updated successfully' }), dentist: ref('Dentist') })
+        },
+        errors: {
+            400: { INVALID_DOCTOR_ACCOUNT: 'Linked user must be an existing doctor account' },
+            404: { DENTIST_NOT_FOUND: 'Dentist not found' }
+        }
+    },
+    remove: {
+        name: 'deleteDentist',
+        summary: 'Delete a dentist without appointments',
+        params: dentistParams,
+        responses: { 200: ok({ message: string({ example: 'Dentist deleted successfully' }) }) },
+        errors: {
+            400: { HAS_APPOINTMENTS: 'Dentist has appointments and cannot be deleted. Set active to false instead' },
+            404: { DENTIST_NOT_FOUND: 'Dentist not found' }
+        }
+    },
+    getWorkingHours: {
+        name: 'getWorkingHours',
+        summary: 'A dentist\'s weekly working hours',
+        params: dentistParams,
+        responses: {
+            200: ok({
+                dentistId: objectId(),
+                usesDefault: boolean({ description: 'True when the dentist follows the clinic\'s default hours' }),
+                weeklyHours: array(ref('WorkingHours'))
+            })
+        },
+        errors: { 404: { DENTIST_NOT_FOUND: 'Dentist not found' } }
+    },
+    updateWorkingHours: {
+        name: 'updateWorkingHours',
+        summary: 'Replace a dentist\'s weekly working hours (empty resets to the clinic default)',
+        params: dentistParams,
+        body: object({ weeklyHours: array(workingHours) }, ['weeklyHours']),
+        responses: {
+            200: ok({ message: string({ example: 'Working hours updated successfully' }), weeklyHours: array(ref('WorkingHours')) })
+        },
+        errors: {
+            400: { INVALID_WORKING_HOURS: 'A day\'s hours or breaks are out of order or overlap' },
+            404: { DENTIST_NOT_FOUND: 'Dentist not found' }
+        }
+    },
+    listTimeOff: {
+        name: 'listTimeOff',
+        summary: 'List a dentist\'s time off',
+        params: dentistParams,
+        responses: { 200: ok({ count: integer(), timeOff: array(ref('TimeOff')) }) }
+    },
+    addTimeOff: {
+        name: 'addTimeOff',
+        summary: 'Add time off for a dentist',
+        params: dentistParams,
+        body: object({
+            startDate: date(),
+            endDate: date(),
+            reason: string()
+        }, ['startDate']),
+        responses: {
+            201: ok({ message: string({ example: 'Time off added successfully' }), timeOff: ref('TimeOff') })
+        },
+        errors: {
+            400: { INVALID_DATE_RANGE: 'End date cannot be before start date' },
+            404: { DENTIST_NOT_FOUND: 'Dentist not found' }
+        }
+    },
+    removeTimeOff: {
+        name: 'removeTimeOff',
+        summary: 'Remove a dentist\'s time off',
+        params: object({ dentistId: objectId(), timeOffId: objectId() }, ['dentistId', 'timeOffId']),
+        responses: { 200: ok({ message: string({ example: 'Time off removed successfully' }) }) },
+        errors: { 404: { TIME_OFF_NOT_FOUND: 'Time off not found' } }
+    }
+};
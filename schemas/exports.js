@@ -0,0 +1,35 @@
+const { STATUSES } = require('../utils/appointmentStatus');
+const { text, date, objectId, object, file } = require('./types');
+
+const exportQuery = object({
+    dentist: objectId(),
+    from: date({ description: 'Default: today' }),
+    to: date({ description: 'Default: same as "from"' }),
+    status: text({
+        description: `Comma-separated statuses: ${Object.values(STATUSES).join(', ')}`,
+        example: `${STATUSES.PENDING},${STATUSES.CONFIRMED}`
+    })
+});
+
+module.exports = {
+    csv: {
+        name: 'exportAppointmentsCsv',
+        summary: 'Export appointments as CSV',
+        query: exportQuery,
+        responses: { 200: file('text/csv', 'One row per appointment, as a file download') },
+        errors: {
+            400: { INVALID_DATE_RANGE: '"to" is before "from", or the range is too long' },
+            403: { FORBIDDEN: 'You can only export your own schedule' }
+        }
+    },
+    ics: {
+        name: 'exportAppointmentsIcs',
+        summary: 'Export appointments as an iCalendar file',
+        query: exportQuery,
+        responses: { 200: file('text/calendar', 'An iCalendar file with one event per appointment') },
+        errors: {
+            400: { INVALID_DATE_RANGE: '"to" is before "from", or the range is too long' },
+            403: { FORBIDDEN: 'You can only export your own schedule' }
+        }
+    }
+};
@@ -0,0 +1,26 @@
+const { text, string, date, objectId, integer, array, object, ref, ok } = require('./types');
+
+module.exports = {
+    list: {
+        name: 'listHolidays',
+        summary: 'List clinic holidays',
+        query: object({ from: date(), to: date() }),
+        responses: { 200: ok({ count: integer(), holidays: array(ref('Holiday')) }) }
+    },
+    add: {
+        name: 'addHoliday',
+        summary: 'Add a clinic holiday',
+        body: object({ date: date(), name: text() }, ['date', 'name']),
+        responses: {
+            201: ok({ message: string({ example: 'Holiday added successfully' }), holiday: ref('Holiday') })
+        },
+        errors: { 409: { HOLIDAY_EXISTS: 'A holiday already exists on this date' } }
+    },
+    remove: {
+        name: 'removeHoliday',
+        summary: 'Remove a clinic holiday',
+        params: object({ holidayId: objectId() }, ['holidayId']),
+        responses: { 200: ok({ message: string({ example: 'Holiday removed successfully' }) }) },
+        errors: { 404: { HOLIDAY_NOT_FOUND: 'Holiday not found' } }
+    }
+};
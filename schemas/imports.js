@@ -0,0 +1,28 @@
+const { text, string, boolean, array, object, ref, ok } = require('./types');
+
+// The file comes as a raw text/csv body or as { csv } in a JSON body
+const csvUpload = (name, summary) => ({
+    name,
+    summary,
+    query: object({ dryRun: boolean({ description: 'Validate every row without writing anything' }) }),
+    body: {
+        anyOf: [
+            text({ description: 'CSV file (text/csv)' }),
+            object({ csv: text(), dryRun: boolean() }, ['csv'])
+        ],
+        'x-message': 'Send the CSV file as a text/csv body or as { csv } in a JSON body'
+    },
+    responses: {
+        200: ok({
+            message: string({ example: 'Import complete' }),
+            summary: ref('ImportSummary'),
+            rows: array(ref('ImportRow'), { description: 'One entry per data row, with its errors' })
+        })
+    },
+    errors: { 400: { INVALID_CSV: 'The file is empty, too long, or missing required columns' } }
+});
+
+module.exports = {
+    users: csvUpload('importUsers', 'Import patient and staff accounts from CSV'),
+    appointments: csvUpload('importAppointments', 'Import appointments for existing patients from CSV')
+};
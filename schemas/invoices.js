@@ -0,0 +1,143 @@
+const Invoice = require('../models/Invoice');
+const { MAX_LINE_ITEMS } = require('../config/billing');
+const {
+    text, string, date, objectId, integer, number, amount, oneOf, array, object, nullable, ref, ok, file
+} = require('./types');
+
+const invoiceParams = object({ invoiceNumber: text({ example: 'INV-2025-000042' }) }, ['invoiceNumber']);
+
+const discount = {
+    ...object({
+        description: text(),
+        percent: number({ minimum: 0, maximum: 100, example: 10 }),
+        amount: amount({ 'x-message': 'Amount must be a non-negative integer in minor units' })
+    }, ['description']),
+    oneOf: [{ required: ['percent'] }, { required: ['amount'] }],
+    'x-message': 'Give either a percent or an amount'
+};
+
+module.exports = {
+    create: {
+        name: 'createInvoice',
+        summary: 'Invoice completed appointments of one patient',
+        body: object({
+            appointmentIds: array(text(), {
+                minItems: 1,
+                maxItems: MAX_LINE_ITEMS,
+                'x-message': `Give between 1 and ${MAX_LINE_ITEMS} appointment IDs`
+            }),
+            discounts: array(discount),
+            extraItems: array(object({
+                description: text(),
+                unitPrice: amount({ 'x-message': 'Unit price must be a non-negative integer in minor units' }),
+                quantity: integer({ minimum: 1, maximum: 1000, 'x-message': 'Quantity must be a whole number from 1 to 1000' })
+            }, ['description', 'unitPrice']), {
+                maxItems: MAX_LINE_ITEMS,
+                'x-message': `An invoice can have at most ${MAX_LINE_ITEMS} extra items`
+            }),
+            insurance: nullable(object({
+                provider: string(),
+                claimNumber: string(),
+                amount: amount({ 'x-message': 'Insurance amount must be a non-negative integer in minor units' })
+            }, ['amount'])),
+            dueDate: date({ description: 'Default: the payment terms from today' }),
+            notes: string()
+        }, ['appointmentIds']),
+        responses: {
+            201: ok({ message: string({ example: 'Invoice created successfully' }), invoice: ref('Invoice') })
+        },
+        errors: {
+            400: {
+                APPOINTMENT_NOT_COMPLETED: 'Only completed appointments can be invoiced',
+                MIXED_PATIENTS: 'All appointments on an invoice must belong to the same patient'
+            },
+            404: { APPOINTMENT_NOT_FOUND: 'Appointment not found' },
+            409: { ALREADY_INVOICED: 'Appointment is already on another invoice' }
+        }
+    },
+    list: {
+        name: 'listInvoices',
+        summary: 'List invoices',
+        query: object({
+            status: oneOf(Invoice.INVOICE_STATUSES),
+            userId: objectId({ description: 'Admins only' })
+        }),
+        responses: { 200: ok({ count: integer(), invoices: array(ref('Invoice')) }) }
+    },
+    outstanding: {
+        name: 'outstandingBalances',
+        summary: 'Outstanding balances per patient',
+        responses: {
+            200: ok({
+                count: integer(),
+                totalOutstanding: amount(),
+                balances: array(ref('OutstandingBalance'))
+            }, 'Admins see every patient with a balance, patients only themselves')
+        }
+    },
+    recordPayment: {
+        name: 'recordPayment',
+        summary: 'Record a payment against an invoice',
+        params: invoiceParams,
+        body: object({
+            amount: integer({
+                minimum: 1,
+                example: 50000,
+                'x-message': 'Amount must be a positive integer in minor units'
+            }),
+            method: oneOf(Invoice.PAYMENT_METHODS),
+            reference: string()
+        }, ['amount', 'method']),
+        responses: {
+            200: ok({ message: string({ example: 'Payment recorded successfully' }), invoice: ref('Invoice') })
+        },
+        errors: {
+            400: { INVOICE_NOT_PAYABLE: 'Cannot record a payment on a paid or void invoice' },
+            404: { INVOICE_NOT_FOUND: 'Invoice not found' },
+            409: { OVERPAYMENT: 'Payment is more than the remaining balance' }
+        }
+    },
+    void: {
+        name: 'voidInvoice',
+        summary: 'Void an unpaid invoice',
+        params: invoiceParams,
+        body: object({ reason: string() }),
+        responses: {
+            200: ok({ message: string({ example: 'Invoice voided successfully' }), invoice: ref('Invoice') })
+        },
+        errors: {
+            400: { INVOICE_NOT_VOIDABLE: 'Only unpaid invoices can be voided' },
+            404: { INVOICE_NOT_FOUND: 'Invoice not found' }
+        }
+    },
+    html: {
+        name: 'renderInvoiceHtml',
+        summary: 'Render an invoice as a printable HTML page',
+        params: invoiceParams,
+        responses: { 200: file('text/html', 'A printable invoice page') },
+        errors: {
+            403: { FORBIDDEN: 'You can only view your own invoices' },
+            404: { INVOICE_NOT_FOUND: 'Invoice not found' }
+        }
+    },
+    pdf: {
+        name: 'renderInvoicePdf',
+        summary: 'Download an invoice as a PDF',
+        params: invoiceParams,
+        responses: { 200: file('application/pdf', 'The invoice as a PDF download') },
+        errors: {
+            403: { FORBIDDEN: 'You can only view your own invoices' },
+            404: { INVOICE_NOT_FOUND: 'Invoice not found' }
+        }
+    },
+    get: {
+        name: 'getInvoice',
+        summary: 'Get an invoice',
+        params: invoiceParams,
+        responses: { 200: ok({ invoice: ref('Invoice') }) },
+        errors: {
+            403: { FORBIDDEN: 'You can only view your own invoices' },
+            404: { INVOICE_NOT_FOUND: 'Invoice not found' }
+        }
+    }
+};
@@ -0,0 +1,37 @@
+const { string, object, file } = require('./types');
+
+module.exports = {
+    index: {
+        name: 'apiIndex',
+        summary: 'API status and a list of every endpoint',
+        responses: {
+            200: {
+                description: 'Success',
+                schema: object({
+                    message: string({ example: 'Dental Bliss API is running!' }),
+                    version: string({ example: '1.0.0' }),
+                    docs: string({ example: '/api/docs' }),
+                    endpoints: object({}, [], {
+                        description: 'Route name to "METHOD path"',
+                        additionalProperties: string({ example: 'POST /api/appointments/book' })
+                    })
+                })
+            }
+        }
+    },
+    openapi: {
+        name: 'getOpenApiDocument',
+        summary: 'This API as an OpenAPI 3.1 document',
+        responses: {
+            200: {
+                description: 'The OpenAPI document',
+                schema: object({ openapi: string({ example: '3.1.0' }), info: object({}), paths: object({}) })
+            }
+        }
+    },
+    docs: {
+        name: 'apiReference',
+        summary: 'Browsable API reference',
+        responses: { 200: file('text/html', 'The reference page, built from the OpenAPI document') }
+    }
+};
@@ -0,0 +1,98 @@
+const { text, string, date, objectId, integer, array, object, nullable, ref, ok } = require('./types');
+
+// A patient's user ID, or "me" for the signed-in patient
+const patientParams = object({
+    userId: {
+        type: 'string',
+        pattern: '^(me|[0-9a-fA-F]{24})$',
+        example: 'me',
+        'x-message': 'Invalid patient ID'
+    }
+}, ['userId']);
+
+// Fields of the nested objects are free text
+const details = (keys) => nullable(object(Object.fromEntries(keys.map(key => [key, string()]))));
+
+const stringList = nullable(array(string()));
+
+module.exports = {
+    list: {
+        name: 'listPatients',
+        summary: 'List patients (contact details only)',
+        responses: { 200: ok({ count: integer(), patients: array(ref('PatientSummary')) }) }
+    },
+    getProfile: {
+        name: 'getPatientProfile',
+        summary: 'Get a patient\'s profile and medical history',
+        params: patientParams,
+        responses: { 200: ok({ profile: ref('PatientProfile') }, 'The profile; a patient without one gets an empty profile at version 0') },
+        errors: {
+            403: { FORBIDDEN: 'You do not have permission to view this patient\'s records' },
+            404: { PATIENT_NOT_FOUND: 'Patient not found' }
+        }
+    },
+    updateProfile: {
+        name: 'updatePatientProfile',
+        summary: 'Update a patient\'s profile; fields left out are unchanged and null clears one',
+        params: patientParams,
+        body: object({
+            version: integer({
+                minimum: 0,
+                description: 'The profile version being edited (0 for a new profile)',
+                'x-message': 'The profile version being edited is required'
+            }),
+            dateOfBirth: nullable(date()),
+            allergies: stringList,
+            medicalConditions: stringList,
+            medications: nullable(array(object({ name: text(), dosage: string(), frequency: string() }, ['name']))),
+            insurance: details(['provider', 'policyNumber', 'groupNumber', 'holderName']),
+            emergencyContact: details(['name', 'relationship', 'phone'])
+        }, ['version']),
+        responses: {
+            200: ok({ message: string({ example: 'Profile updated successfully' }), profile: ref('PatientProfile') })
+        },
+        errors: {
+            403: { FORBIDDEN: 'You can only edit your own profile' },
+            404: { PATIENT_NOT_FOUND: 'Patient not found' },
+            409: { PROFILE_VERSION_CONFLICT: 'Profile has changed since this version. Reload it and try again' }
+        }
+    },
+    profileHistory: {
+        name: 'getPatientProfileHistory',
+        summary: 'Every saved version of a patient\'s profile',
+        params: patientParams,
+        responses: {
+            200: ok({ user: objectId(), count: integer(), versions: array(ref('PatientProfileVersion')) })
+        },
+        errors: {
+            403: { FORBIDDEN: 'You do not have permission to view this patient\'s records' },
+            404: { PATIENT_NOT_FOUND: 'Patient not found' }
+        }
+    },
+    visits: {
+        name: 'listPatientVisits',
+        summary: 'A patient\'s visit records, most recent first',
+        params: patientParams,
+        responses: { 200: ok({ user: objectId(), count: integer(), visits: array(ref('VisitRecord')) }) },
+        errors: {
+            403: { FORBIDDEN: 'You do not have permission to view this patient\'s records' },
+            404: { PATIENT_NOT_FOUND: 'Patient not found' }
+        }
+    },
+    toothChart: {
+        name: 'getToothChart',
+        summary: 'Current state and history of every tooth recorded for a patient',
+        params: patientParams,
+        responses: {
+            200: ok({
+                user: objectId(),
+                notation: string({ example: 'FDI' }),
+                teeth: array(ref('ToothChartEntry'), { description: 'Only teeth with recorded findings or procedures' })
+            })
+        },
+        errors: {
+            403: { FORBIDDEN: 'You do not have permission to view this patient\'s records' },
+            404: { PATIENT_NOT_FOUND: 'Patient not found' }
+        }
+    }
+};
@@ -0,0 +1,31 @@
+const { date, array, object, ref, ok } = require('./types');
+
+// Every report covers ?from=&to=, by default the last 30 days
+const range = object({
+    from: date({ description: 'First day of the report (default: 30 days before "to")' }),
+    to: date({ description: 'Last day of the report (default: today)' })
+});
+
+// The response is { success, from, to, [key]: result }
+const report = (name, summary, key, result) => ({
+    name,
+    summary,
+    query: range,
+    responses: { 200: ok({ from: date(), to: date(), [key]: result }) },
+    errors: { 400: { INVALID_DATE_RANGE: 'The range is reversed or longer than 366 days' } }
+});
+
+module.exports = {
+    dashboard: report('reportDashboard', 'Whole reporting dashboard in one response', 'report', object({
+        appointments: ref('AppointmentSummary'),
+        byDentist: array(ref('DentistReport')),
+        byService: array(ref('ServiceReport')),
+        utilization: ref('Utilization'),
+        registrations: ref('Registrations')
+    })),
+    appointments: report('reportAppointments', 'Appointment totals, cancellation and no-show rates', 'appointments', ref('AppointmentSummary')),
+    byDentist: report('reportAppointmentsByDentist', 'Appointments per dentist', 'dentists', array(ref('DentistReport'))),
+    byService: report('reportAppointmentsByService', 'Appointments per service', 'services', array(ref('ServiceReport'))),
+    utilization: report('reportUtilization', 'Booked chair time against bookable chair time', 'utilization', ref('Utilization')),
+    registrations: report('reportRegistrations', 'New patient registrations per day', 'registrations', ref('Registrations'))
+};
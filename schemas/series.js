@@ -0,0 +1,123 @@
+const {
+    text, string, date, time, slotTime, objectId, integer, boolean, array, object, ref, ok, failure
+} = require('./types');
+
+const MAX_OCCURRENCES = 52;
+const MAX_INTERVAL_WEEKS = 52;
+
+const seriesParams = object({ seriesId: text() }, ['seriesId']);
+
+const conflicts = array(ref('SeriesConflict'));
+
+const notInSeries = {
+    403: { FORBIDDEN: 'You do not have permission to change this appointment series' },
+    404: {
+        SERIES_NOT_FOUND: 'Appointment series not found',
+        APPOINTMENT_NOT_FOUND: 'Appointment not found in this series'
+    }
+};
+
+module.exports = {
+    book: {
+        name: 'bookSeries',
+        summary: 'Book a recurring appointment series',
+        body: object({
+            service: objectId(),
+            dentist: objectId(),
+            startDate: date(),
+            time: slotTime(),
+            count: integer({
+                minimum: 2,
+                maximum: MAX_OCCURRENCES,
+                'x-message': `Count must be a whole number from 2 to ${MAX_OCCURRENCES}`
+            }),
+            intervalWeeks: integer({
+                minimum: 1,
+                maximum: MAX_INTERVAL_WEEKS,
+                'x-message': `Interval must be a whole number of weeks from 1 to ${MAX_INTERVAL_WEEKS}`
+            }),
+            notes: string(),
+            overrides: array(object({
+                index: integer({ minimum: 0 }),
+                date: date(),
+                time: slotTime()
+            }, ['index', 'date', 'time']), { description: 'Move individual occurrences, e.g. to a suggested alternative' }),
+            allowPartial: boolean({ description: 'Book the occurrences that fit and report the rest' }),
+            dryRun: boolean({ description: 'Only report the plan' })
+        }, ['service', 'dentist', 'startDate', 'time', 'count']),
+        responses: {
+            200: ok({
+                occurrences: array(object({ index: integer(), date: date(), time: time(), available: boolean() })),
+                conflicts
+            }, 'Dry run: the planned occurrences and which of them can be booked'),
+            201: ok({
+                message: string({ example: 'Booked 6 of 6 appointments' }),
+                series: ref('AppointmentSeries'),
+                appointments: array(ref('Appointment')),
+                conflicts: array(ref('SeriesConflict'), { description: 'Occurrences left out when allowPartial is set' })
+            })
+        },
+        errors: {
+            400: {
+                BAD_REQUEST: 'Overrides must be a list of { index, date, time } within the series',
+                DENTIST_UNAVAILABLE: 'Selected dentist is not available',
+                SERVICE_UNAVAILABLE: 'Selected service is not available',
+                SERVICE_NOT_OFFERED: 'Selected dentist does not perform this service'
+            },
+            409: failure({ SERIES_CONFLICT: 'Some occurrences in this series cannot be booked' }, { conflicts })
+        }
+    },
+    get: {
+        name: 'getSeries',
+        summary: 'Get a series with its appointments',
+        params: seriesParams,
+        responses: {
+            200: ok({ series: ref('AppointmentSeries'), appointments: array(ref('Appointment')) })
+        },
+        errors: {
+            403: { FORBIDDEN: 'You do not have permission to view this appointment series' },
+            404: { SERIES_NOT_FOUND: 'Appointment series not found' }
+        }
+    },
+    cancel: {
+        name: 'cancelSeries',
+        summary: 'Cancel the rest of a series',
+        params: seriesParams,
+        body: object({
+            fromAppointmentId: text(),
+            reason: string()
+        }),
+        responses: {
+            200: ok({
+                message: string({ example: 'Cancelled 4 appointment(s)' }),
+                cancelled: array(string(), { description: 'IDs of the cancelled appointments' }),
+                skipped: array(object({ appointmentId: string(), reason: string() }))
+            })
+        },
+        errors: notInSeries
+    },
+    reschedule: {
+        name: 'rescheduleSeries',
+        summary: 'Move the rest of a series to a new time and/or by a number of days',
+        params: seriesParams,
+        body: object({
+            fromAppointmentId: text(),
+            time: slotTime(),
+            shiftDays: integer()
+        }),
+        responses: {
+            200: ok({
+                message: string({ example: 'Rescheduled 4 appointment(s)' }),
+                appointments: array(ref('Appointment'))
+            })
+        },
+        errors: {
+            400: {
+                NOTHING_TO_CHANGE: 'Nothing to change, or no upcoming appointments to reschedule',
+                DENTIST_UNAVAILABLE: 'The dentist for this series is no longer available'
+            },
+            ...notInSeries,
+            409: failure({ SERIES_CONFLICT: 'Some occurrences in this series cannot be rescheduled' }, { conflicts })
+        }
+    }
+};
@@ -0,0 +1,83 @@
+const { text, string, objectId, integer, boolean, amount, array, object, ref, ok } = require('./types');
+
+const serviceParams = object({ serviceId: objectId() }, ['serviceId']);
+
+const duration = integer({
+    minimum: 1,
+    description: 'Minutes',
+    example: 30,
+    'x-message': 'Duration must be a positive whole number of minutes'
+});
+
+const price = amount({ 'x-message': 'Price must be a non-negative integer in minor units' });
+
+const dentists = array(objectId(), { description: 'Dentists who perform the service; empty means any dentist' });
+
+module.exports = {
+    list: {
+        name: 'listServices',
+        summary: 'List services',
+        query: object({
+            dentist: objectId({ description: 'Only services this dentist performs' }),
+            includeInactive: boolean({ description: 'Admins only' })
+        }),
+        responses: { 200: ok({ count: integer(), services: array(ref('Service')) }) }
+    },
+    get: {
+        name: 'getService',
+        summary: 'Get a service',
+        params: serviceParams,
+        responses: { 200: ok({ service: ref('Service') }, 'The service, with its dentists\' name, specialties and active flag') },
+        errors: { 404: { SERVICE_NOT_FOUND: 'Service not found' } }
+    },
+    create: {
+        name: 'createService',
+        summary: 'Create a service',
+        body: object({
+            name: text(),
+            description: string(),
+            duration,
+            price,
+            dentists,
+            active: boolean()
+        }, ['name', 'duration', 'price']),
+        responses: {
+            201: ok({ message: string({ example: 'Service created successfully' }), service: ref('Service') })
+        },
+        errors: {
+            400: { INVALID_DENTISTS: 'Dentists must be a list of existing dentist IDs' },
+            409: { SERVICE_NAME_TAKEN: 'A service with this name already exists' }
+        }
+    },
+    update: {
+        name: 'updateService',
+        summary: 'Update a service',
+        params: serviceParams,
+        body: object({
+            name: text(),
+            description: string(),
+            duration,
+            price,
+            dentists,
+            active: boolean()
+        }),
+        responses: {
+            200: ok({ message: string({ example: 'Service updated successfully' }), service: ref('Service') })
+        },
+        errors: {
+            400: { INVALID_DENTISTS: 'Dentists must be a list of existing dentist IDs' },
+            404: { SERVICE_NOT_FOUND: 'Service not found' },
+            409: { SERVICE_NAME_TAKEN: 'A service with this name already exists' }
+        }
+    },
+    remove: {
+        name: 'deleteService',
+        summary: 'Delete a service without appointments',
+        params: serviceParams,
+        responses: { 200: ok({ message: string({ example: 'Service deleted successfully' }) }) },
+        errors: {
+            400: { HAS_APPOINTMENTS: 'Service has appointments and cannot be deleted. Set active to false instead' },
+            404: { SERVICE_NOT_FOUND: 'Service not found' }
+        }
+    }
+};
@@ -0,0 +1,135 @@
+const { MAX_AMOUNT } = require('../config/billing');
+
+// Building blocks for the request schemas. Each is a plain JSON Schema
+// fragment, so routes can spread them and add their own keywords.
+
+const string = (extra = {}) => ({ type: 'string', ...extra });
+
+// Non-empty text, e.g. a required name
+const text = (extra = {}) => ({ type: 'string', minLength: 1, ...extra });
+
+const date = (extra = {}) => ({
+    type: 'string',
+    format: 'date',
+    example: '2025-03-14',
+    'x-message': 'Invalid date format. Use YYYY-MM-DD',
+    ...extra
+});
+
+// 24-hour clinic time; "9:30" is accepted and normalized by the handlers
+const time = (extra = {}) => ({
+    type: 'string',
+    pattern: '^([01]?\\d|2[0-3]):[0-5]\\d$',
+    example: '09:30',
+    'x-message': 'Invalid time format. Use HH:mm (24-hour)',
+    ...extra
+});
+
+// Start time of a booking, on the 30-minute slot grid (utils/schedule.js)
+const slotTime = (extra = {}) => time({
+    pattern: '^([01]?\\d|2[0-3]):(00|30)$',
+    'x-message': 'Time must be on the hour or half hour, e.g. 09:00 or 09:30',
+    ...extra
+});
+
+// MongoDB ObjectId, e.g. a dentist or service
+const objectId = (extra = {}) => ({
+    type: 'string',
+    pattern: '^[0-9a-fA-F]{24}$',
+    example: '65f1c2a9e4b0a1b2c3d4e5f6',
+    'x-message': 'Invalid ID',
+    ...extra
+});
+
+const email = (extra = {}) => ({
+    type: 'string',
+    format: 'email',
+    example: 'patient@example.com',
+    'x-message': 'Please provide a valid email address',
+    ...extra
+});
+
+// An instant, e.g. createdAt, as an ISO 8601 string
+const timestamp = (extra = {}) => ({ type: 'string', format: 'date-time', ...extra });
+
+const integer = (extra = {}) => ({ type: 'integer', ...extra });
+
+const number = (extra = {}) => ({ type: 'number', ...extra });
+
+const boolean = (extra = {}) => ({ type: 'boolean', ...extra });
+
+// Money is an integer in minor currency units
+const amount = (extra = {}) => ({
+    type: 'integer',
+    minimum: 0,
+    maximum: MAX_AMOUNT,
+    example: 150000,
+    ...extra
+});
+
+const oneOf = (values, extra = {}) => ({ type: 'string', enum: [...values], ...extra });
+
+const array = (items, extra = {}) => ({ type: 'array', items, ...extra });
+
+const object = (properties, required = [], extra = {}) => ({
+    type: 'object',
+    properties,
+    ...(required.length > 0 ? { required } : {}),
+    ...extra
+});
+
+// Also allow null, e.g. to clear a field. A $ref has no type to extend.
+const nullable = (schema) => {
+    if (schema.$ref) return { anyOf: [schema, { type: 'null' }] };
+
+    return {
+        ...schema,
+        type: [].concat(schema.type, 'null'),
+        ...(schema.enum ? { enum: [...schema.enum, null] } : {})
+    };
+};
+
+// Reference to a shared schema in schemas/components.js
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// A JSON success response, e.g. ok({ appointment: ref('Appointment') })
+const ok = (properties = {}, description = 'Success') => ({
+    description,
+    schema: object({ success: boolean({ example: true }), ...properties }, ['success'])
+});
+
+// An error response that carries more than the standard error fields,
+// e.g. failure({ SERIES_CONFLICT: 'Some occurrences cannot be booked' }, { conflicts }).
+// Plain entries in a route's errors map are { CODE: description } and use
+// the Error shape.
+const failure = (codes, properties) => ({ codes, properties });
+
+// A non-JSON response such as a CSV download
+const file = (contentType, description) => ({ description, contentType });
+
+// Path parameter schema for routes keyed by an appointment ID
+const appointmentParams = object({ appointmentId: text() }, ['appointmentId']);
+
+module.exports = {
+    string,
+    text,
+    date,
+    time,
+    slotTime,
+    objectId,
+    email,
+    timestamp,
+    integer,
+    number,
+    boolean,
+    amount,
+    oneOf,
+    array,
+    object,
+    nullable,
+    ref,
+    ok,
+    failure,
+    file,
+    appointmentParams
+};
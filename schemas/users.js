@@ -0,0 +1,27 @@
+const { text, string, boolean, number, timestamp, integer, oneOf, array, object, ref, ok } = require('./types');
+
+module.exports = {
+    health: {
+        name: 'health',
+        summary: 'API and database status',
+        responses: {
+            200: ok({
+                status: string({ example: 'API is running' }),
+                database: oneOf(['connected', 'disconnected']),
+                timestamp: timestamp(),
+                uptime: number({ description: 'Seconds since the server started' })
+            })
+        }
+    },
+    list: {
+        name: 'users',
+        summary: 'List every user account',
+        responses: { 200: ok({ count: integer(), users: array(ref('User')) }) }
+    },
+    checkEmail: {
+        name: 'checkEmail',
+        summary: 'Whether an account exists for an email address',
+        params: object({ email: text({ example: 'patient@example.com' }) }, ['email']),
+        responses: { 200: ok({ exists: boolean() }) }
+    }
+};
@@ -0,0 +1,85 @@
+const { PERMANENT_TEETH, PRIMARY_TEETH, SURFACES, TOOTH_STATES } = require('../utils/toothChart');
+const { text, string, date, integer, array, object, nullable, ref, ok, appointmentParams } = require('./types');
+
+const tooth = {
+    type: 'integer',
+    enum: [...PERMANENT_TEETH, ...PRIMARY_TEETH],
+    example: 46,
+    'x-message': 'Tooth must be an FDI tooth number, e.g. 11 or 46'
+};
+
+const toothState = nullable({
+    type: 'string',
+    enum: TOOTH_STATES,
+    'x-message': `Must be one of: ${TOOTH_STATES.join(', ')}`
+});
+
+module.exports = {
+    get: {
+        name: 'getVisitRecord',
+        summary: 'Get the visit record of an appointment',
+        params: appointmentParams,
+        responses: { 200: ok({ visit: ref('VisitRecord') }) },
+        errors: {
+            403: { FORBIDDEN: 'You do not have permission to view this appointment' },
+            404: {
+                APPOINTMENT_NOT_FOUND: 'Appointment not found',
+                VISIT_RECORD_NOT_FOUND: 'No visit record for this appointment'
+            }
+        }
+    },
+    save: {
+        name: 'saveVisitRecord',
+        summary: 'Write the visit record of a completed appointment',
+        params: appointmentParams,
+        body: object({
+            version: integer({
+                minimum: 0,
+                description: 'The record version being edited (0 for a new record)',
+                'x-message': 'The visit record version being edited is required'
+            }),
+            procedures: array(object({
+                tooth,
+                surfaces: array({
+                    type: 'string',
+                    enum: SURFACES,
+                    'x-message': `Surfaces must be from: ${SURFACES.join(', ')}`
+                }),
+                name: text(),
+                resultingState: toothState,
+                notes: string()
+            }, ['tooth', 'name'])),
+            findings: array(object({
+                tooth: nullable(tooth),
+                condition: toothState,
+                notes: string()
+            })),
+            followUps: array(object({
+                recommendation: text(),
+                dueDate: nullable(date())
+            }, ['recommendation'])),
+            summary: string()
+        }, ['version']),
+        responses: {
+            200: ok({ message: string({ example: 'Visit record created successfully' }), visit: ref('VisitRecord') })
+        },
+        errors: {
+            400: { APPOINTMENT_NOT_COMPLETED: 'Visit records can only be written for completed appointments' },
+            403: { FORBIDDEN: 'Only the assigned dentist can write the visit record' },
+            404: { APPOINTMENT_NOT_FOUND: 'Appointment not found' },
+            409: { VISIT_VERSION_CONFLICT: 'Visit record has changed since this version. Reload it and try again' }
+        }
+    },
+    history: {
+        name: 'getVisitRecordHistory',
+        summary: 'Every saved version of a visit record',
+        params: appointmentParams,
+        responses: {
+            200: ok({ appointmentId: string(), count: integer(), versions: array(ref('VisitRecordVersion')) })
+        },
+        errors: {
+            403: { FORBIDDEN: 'You do not have permission to view this appointment' },
+            404: { APPOINTMENT_NOT_FOUND: 'Appointment not found' }
+        }
+    }
+};
@@ -0,0 +1,80 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { string, date, objectId, integer, oneOf, array, object, ref, ok } = require('./types');
+
+const entryParams = object({ entryId: objectId() }, ['entryId']);
+
+module.exports = {
+    join: {
+        name: 'joinWaitlist',
+        summary: 'Join the waitlist for a dentist and service',
+        body: object({
+            dentist: objectId(),
+            service: objectId(),
+            dateFrom: date(),
+            dateTo: date()
+        }, ['dentist', 'service', 'dateFrom']),
+        responses: {
+            201: ok({ message: string({ example: 'Added to the waitlist' }), entry: ref('WaitlistEntry') })
+        },
+        errors: {
+            400: {
+                INVALID_DATE_RANGE: 'dateTo cannot be before dateFrom',
+                DATE_IN_PAST: 'Cannot join the waitlist for past dates',
+                DENTIST_UNAVAILABLE: 'Selected dentist is not available',
+                SERVICE_UNAVAILABLE: 'Selected service is not available',
+                SERVICE_NOT_OFFERED: 'Selected dentist does not perform this service'
+            }
+        }
+    },
+    list: {
+        name: 'listWaitlist',
+        summary: 'List waitlist entries',
+        query: object({
+            status: oneOf(WaitlistEntry.ENTRY_STATUSES),
+            dentist: objectId()
+        }),
+        responses: { 200: ok({ count: integer(), entries: array(ref('WaitlistEntry')) }) }
+    },
+    claim: {
+        name: 'claimWaitlistSlot',
+        summary: 'Claim a held slot as an appointment',
+        params: entryParams,
+        responses: {
+            201: ok({ message: string({ example: 'Appointment booked successfully' }), appointment: ref('Appointment') })
+        },
+        errors: {
+            400: {
+                NO_ACTIVE_HOLD: 'There is no active hold to claim, or it has expired',
+                DATE_IN_PAST: 'The held slot has already started',
+                DENTIST_UNAVAILABLE: 'Selected dentist is not available',
+                SERVICE_UNAVAILABLE: 'Selected service is not available'
+            },
+            403: { FORBIDDEN: 'You do not have permission to claim this slot' },
+            404: { WAITLIST_ENTRY_NOT_FOUND: 'Waitlist entry not found' }
+        }
+    },
+    decline: {
+        name: 'declineWaitlistSlot',
+        summary: 'Decline a held slot and keep waiting',
+        params: entryParams,
+        responses: {
+            200: ok({ message: string({ example: 'Slot declined' }), entry: ref('WaitlistEntry') })
+        },
+        errors: {
+            400: { NO_ACTIVE_HOLD: 'There is no held slot to decline' },
+            403: { FORBIDDEN: 'You do not have permission to decline this slot' },
+            404: { WAITLIST_ENTRY_NOT_FOUND: 'Waitlist entry not found' }
+        }
+    },
+    leave: {
+        name: 'leaveWaitlist',
+        summary: 'Leave the waitlist',
+        params: entryParams,
+        responses: { 200: ok({ message: string({ example: 'Removed from the waitlist' }) }) },
+        errors: {
+            400: { WAITLIST_ENTRY_CLOSED: 'Waitlist entry is already booked, cancelled or expired' },
+            403: { FORBIDDEN: 'You do not have permission to remove this waitlist entry' },
+            404: { WAITLIST_ENTRY_NOT_FOUND: 'Waitlist entry not found' }
+        }
+    }
+};
@@ -0,0 +1,47 @@
+// Creates slot reservations for active appointments booked before
+// reservations existed. Double-booked slots found in old data are reported
+// and left for staff to resolve.
+//
+// Usage: npm run migrate:reservations
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const SlotReservation = require('../models/SlotReservation');
+const { reserveSlots } = require('../utils/reservations');
+const { ACTIVE_STATUSES } = require('../utils/appointmentStatus');
+const { MONGODB_URI, mongooseOptions } = require('../config/database');
+
+const backfill = async () => {
+    await mongoose.connect(MONGODB_URI, mongooseOptions);
+    console.log('✅ MongoDB Connected Successfully');
+
+    // Make sure the unique index exists before inserting anything
+    await SlotReservation.syncIndexes();
+
+    const appointments = await Appointment.find({ status: { $in: ACTIVE_STATUSES } })
+        .sort({ createdAt: 1 });
+
+    let reserved = 0;
+    const conflicts = [];
+
+    for (const appointment of appointments) {
+        if (await reserveSlots(appointment)) {
+            reserved++;
+        } else {
+            conflicts.push(appointment.appointmentId);
+        }
+    }
+
+    console.log(`Reserved slots for ${reserved} appointment(s).`);
+    if (conflicts.length > 0) {
+        console.log(`⚠️  ${conflicts.length} appointment(s) overlap an earlier booking:`);
+        conflicts.forEach(appointmentId => console.log(`  - ${appointmentId}`));
+    }
+};
+
+backfill()
+    .catch(error => {
+        console.error('Backfill error:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
\ No newline at end of file
@@ -0,0 +1,63 @@
+// Converts appointments that store the dentist as a name string into
+// references to Dentist documents, creating a Dentist for each name found.
+//
+// Usage: npm run migrate:dentists
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Dentist = require('../models/Dentist');
+const Appointment = require('../models/Appointment');
+const { MONGODB_URI, mongooseOptions } = require('../config/database');
+
+// Names from the old hardcoded dentist enum
+const LEGACY_DENTISTS = [
+    'Dra. Villaflor',
+    'Dr. Smith',
+    'Dr. Cruz',
+    'Dr. Lee',
+    'Dr. Santos'
+];
+
+const findOrCreateDentist = async (name) => {
+    const existing = await Dentist.findOne({ name });
+    if (existing) return existing;
+
+    const dentist = new Dentist({ name });
+    await dentist.save();
+    console.log(`Created dentist "${name}"`);
+    return dentist;
+};
+
+const migrate = async () => {
+    await mongoose.connect(MONGODB_URI, mongooseOptions);
+    console.log('✅ MongoDB Connected Successfully');
+
+    for (const name of LEGACY_DENTISTS) {
+        await findOrCreateDentist(name);
+    }
+
+    // Read through the raw collection - the schema now expects an ObjectId
+    const collection = Appointment.collection;
+    const names = await collection.distinct('dentist', { dentist: { $type: 'string' } });
+
+    let migrated = 0;
+    for (const name of names) {
+        const dentist = await findOrCreateDentist(name);
+
+        const result = await collection.updateMany(
+            { dentist: name },
+            { $set: { dentist: dentist._id, dentistName: dentist.name } }
+        );
+
+        migrated += result.modifiedCount;
+        console.log(`Migrated ${result.modifiedCount} appointment(s) for "${name}"`);
+    }
+
+    console.log(`Done. ${migrated} appointment(s) migrated.`);
+};
+
+migrate()
+    .catch(error => {
+        console.error('Migration error:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
\ No newline at end of file
@@ -0,0 +1,75 @@
+// Converts appointments that store the service as a name string into
+// references to Service documents, creating a Service for each name found.
+// Prices start at 0 and should be set by an admin through /api/services.
+//
+// Usage: npm run migrate:services
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Service = require('../models/Service');
+const Appointment = require('../models/Appointment');
+const { MONGODB_URI, mongooseOptions } = require('../config/database');
+
+// Services from the old hardcoded enum, with their usual length in minutes
+const LEGACY_SERVICES = {
+    'Teeth Cleaning': 60,
+    'Tooth Extraction': 60,
+    'Root Canal': 90,
+    'Dental Checkup': 30,
+    'Braces': 90,
+    'Adjust': 30
+};
+
+const DEFAULT_DURATION = 30;
+
+const findOrCreateService = async (name) => {
+    const existing = await Service.findOne({ name });
+    if (existing) return existing;
+
+    const service = new Service({
+        name,
+        duration: LEGACY_SERVICES[name] || DEFAULT_DURATION,
+        price: 0
+    });
+    await service.save();
+    console.log(`Created service "${name}"`);
+    return service;
+};
+
+const migrate = async () => {
+    await mongoose.connect(MONGODB_URI, mongooseOptions);
+    console.log('✅ MongoDB Connected Successfully');
+
+    for (const name of Object.keys(LEGACY_SERVICES)) {
+        await findOrCreateService(name);
+    }
+
+    // Read through the raw collection - the schema now expects an ObjectId
+    const collection = Appointment.collection;
+    const names = await collection.distinct('service', { service: { $type: 'string' } });
+
+    let migrated = 0;
+    for (const name of names) {
+        const service = await findOrCreateService(name);
+
+        // Old appointments were all single 30-minute slots
+        const result = await collection.updateMany(
+            { service: name },
+            {
+                $set: { service: service._id, serviceName: service.name },
+                $max: { duration: DEFAULT_DURATION }
+            }
+        );
+
+        migrated += result.modifiedCount;
+        console.log(`Migrated ${result.modifiedCount} appointment(s) for "${name}"`);
+    }
+
+    console.log(`Done. ${migrated} appointment(s) migrated.`);
+};
+
+migrate()
+    .catch(error => {
+        console.error('Migration error:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
\ No newline at end of file
@@ -0,0 +1,103 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const app = require('../app');
+const mounts = require('../routes');
+const { describeRoutes, buildSpec } = require('../docs');
+const { toOpenApiPath } = require('../docs/openapi');
+const { ERROR_CODES } = require('../errors/codes');
+
+// The OpenAPI document is generated from the route schemas, so a route
+// added without one, or mounted outside routes/index.js, would silently
+// go undocumented. These checks fail the build instead.
+
+const routes = describeRoutes(mounts);
+const spec = buildSpec(routes);
+
+const label = route => `${route.method} ${route.path}`;
+const pathParams = (path) => (path.match(/:(\w+)/g) || []).map(param => param.slice(1));
+const inSpec = (path, method) => Boolean((spec.paths[toOpenApiPath(path)] || {})[method.toLowerCase()]);
+
+describe('API docs', () => {
+    it('gives every route a name, a summary and its success responses', () => {
+        const problems = routes.flatMap(route => [
+            !route.name && `${label(route)}: no route schema (pass one to validate())`,
+            !route.summary && `${label(route)}: no summary`,
+            Object.keys(route.responses || {}).length === 0 && `${label(route)}: no success responses`
+        ]).filter(Boolean);
+
+        assert.deepEqual(problems, []);
+    });
+
+    it('declares every path parameter', () => {
+        const problems = routes.flatMap(route => {
+            const declared = route.params ? Object.keys(route.params.properties) : [];
+            return pathParams(route.path)
+                .filter(param => !declared.includes(param))
+                .map(param => `${label(route)}: path parameter "${param}" is not in the params schema`);
+        });
+
+        assert.deepEqual(problems, []);
+    });
+
+    it('puts every mounted route in the OpenAPI document', () => {
+        const missing = routes.filter(route => !inSpec(route.path, route.method)).map(label);
+
+        assert.deepEqual(missing, []);
+    });
+
+    it('mounts every router and route through routes/index.js', () => {
+        const routers = new Set(mounts.map(({ router }) => router));
+        const problems = [];
+
+        app.router.stack.forEach(layer => {
+            if (layer.route) {
+                Object.keys(layer.route.methods)
+                    .filter(method => !inSpec(layer.route.path, method))
+                    .forEach(method => problems.push(`${method.toUpperCase()} ${layer.route.path}: defined on the app, not in the OpenAPI document`));
+            } else if (layer.handle.stack && !routers.has(layer.handle)) {
+                problems.push(`A router mounted on the app is not in routes/index.js`);
+            }
+        });
+
+        assert.deepEqual(problems, []);
+    });
+
+    // Operation IDs are what client generators name their methods after
+    it('gives every route a unique name', () => {
+        const names = routes.map(route => route.name).filter(Boolean);
+        const duplicates = names.filter((name, index) => names.indexOf(name) !== index);
+
+        assert.deepEqual(duplicates, []);
+    });
+
+    // Clients branch on the codes, so a typo here would document a code the
+    // API never sends
+    it('documents only error codes from errors/codes.js', () => {
+        const problems = Object.entries(spec.paths).flatMap(([path, operations]) =>
+            Object.entries(operations).flatMap(([method, operation]) =>
+                Object.entries(operation.responses).flatMap(([status, response]) =>
+                    Object.keys(response['x-error-codes'] || {})
+                        .filter(code => !ERROR_CODES[code])
+                        .map(code => `${method.toUpperCase()} ${path}: unknown error code ${code} (${status})`))));
+
+        assert.deepEqual(problems, []);
+    });
+
+    it('only references schemas from schemas/components.js', () => {
+        const references = JSON.stringify(spec).match(/"\$ref":"[^"]+"/g) || [];
+        const unknown = [...new Set(references)]
+            .map(reference => reference.split('/').pop().replace('"', ''))
+            .filter(name => !spec.components.schemas[name]);
+
+        assert.deepEqual(unknown, []);
+    });
+
+    it('serves the home route, the OpenAPI document and the reference page', () => {
+        ['/', '/api/openapi.json', '/api/docs'].forEach(path => {
+            assert.ok(inSpec(path, 'GET'), `GET ${path} is not in the OpenAPI document`);
+        });
+    });
+});
@@ -0,0 +1,101 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const { STATUSES, ACTIVE_STATUSES, TRANSITIONS, isActive, canTransition } = require('../utils/appointmentStatus');
+const { restoreStubs, useAppointments } = require('./helpers/memoryModels');
+
+const appointments = useAppointments();
+
+after(restoreStubs);
+
+const { PENDING, CONFIRMED, CANCELLED, COMPLETED, NO_SHOW, REJECTED, EXPIRED } = STATUSES;
+
+// Every move the workflow allows, as 'from > to'
+const ALLOWED = [
+    `${PENDING} > ${CONFIRMED}`,
+    `${PENDING} > ${REJECTED}`,
+    `${PENDING} > ${CANCELLED}`,
+    `${PENDING} > ${EXPIRED}`,
+    `${CONFIRMED} > ${COMPLETED}`,
+    `${CONFIRMED} > ${NO_SHOW}`,
+    `${CONFIRMED} > ${CANCELLED}`
+];
+
+const everyMove = Object.values(STATUSES).flatMap(from => Object.values(STATUSES).map(to => [from, to]));
+
+describe('status workflow', () => {
+    it('has a row for every status', () => {
+        assert.deepEqual(Object.keys(TRANSITIONS).sort(), Object.values(STATUSES).sort());
+    });
+
+    it('allows exactly the documented moves', () => {
+        const allowed = everyMove.filter(([from, to]) => canTransition(from, to)).map(([from, to]) => `${from} > ${to}`);
+        assert.deepEqual(allowed.sort(), [...ALLOWED].sort());
+    });
+
+    it('ends at every status that is not active', () => {
+        Object.values(STATUSES)
+            .filter(status => !isActive(status))
+            .forEach(status => assert.deepEqual(TRANSITIONS[status], [], status));
+    });
+
+    it('holds slots only while pending or confirmed', () => {
+        assert.deepEqual([...ACTIVE_STATUSES].sort(), [CONFIRMED, PENDING]);
+    });
+
+    it('allows nothing from an unknown status', () => {
+        assert.equal(canTransition('Archived', CANCELLED), false);
+    });
+});
+
+describe('Appointment.transitionTo', () => {
+    const staff = { _id: new mongoose.Types.ObjectId(), role: 'doctor' };
+    let appointmentId = 0;
+
+    // Store an appointment with the given status and load it
+    const load = async (status) => {
+        appointmentId += 1;
+        appointments.docs.push({ _id: new mongoose.Types.ObjectId(), appointmentId: `a${appointmentId}`, status, statusHistory: [] });
+        return Appointment.findOne({ appointmentId: `a${appointmentId}` });
+    };
+
+    beforeEach(() => {
+        appointments.docs = [];
+    });
+
+    for (const [from, to] of everyMove) {
+        const allowed = ALLOWED.includes(`${from} > ${to}`);
+
+        it(`${allowed ? 'moves' : 'refuses to move'} ${from} to ${to}`, async () => {
+            const appointment = await load(from);
+            const updated = await appointment.transitionTo(to, { user: staff, reason: 'test' });
+
+            if (!allowed) {
+                assert.equal(updated, null);
+                assert.equal(appointments.docs[0].status, from);
+                return;
+            }
+
+            assert.equal(updated.status, to);
+            assert.equal(appointments.docs[0].status, to);
+            assert.deepEqual(
+                { ...appointments.docs[0].statusHistory[0], changedAt: undefined },
+                { from, to, changedBy: String(staff._id), changedByRole: 'doctor', changedAt: undefined, reason: 'test' }
+            );
+        });
+    }
+
+    it('lets only one of two concurrent changes apply', async () => {
+        const first = await load(PENDING);
+        const second = await Appointment.findOne({ appointmentId: first.appointmentId });
+
+        const results = await Promise.all([
+            first.transitionTo(CONFIRMED, { user: staff }),
+            second.transitionTo(CANCELLED, { user: staff })
+        ]);
+
+        assert.equal(results.filter(Boolean).length, 1);
+        assert.equal(appointments.docs[0].statusHistory.length, 1);
+    });
+});
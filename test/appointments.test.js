@@ -0,0 +1,131 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { reserveSlots } = require('../utils/reservations');
+const { stub, restoreStubs, query, useSlotReservations, useAppointments } = require('./helpers/memoryModels');
+const { serveApp } = require('./helpers/routes');
+
+// Booking and rescheduling through the HTTP routes, with the models held in
+// memory (see helpers/)
+const reservations = useSlotReservations();
+const appointments = useAppointments();
+const date = '2030-03-14';
+
+let patient;
+let dentist;
+let service;
+let request;
+let stop;
+
+// An existing appointment for the patient, holding its slots
+const seedAppointment = async (appointmentId, time) => {
+    const appointment = {
+        appointmentId,
+        userId: String(patient._id),
+        userName: patient.name,
+        userEmail: patient.email,
+        service: service._id,
+        serviceName: service.name,
+        duration: service.duration,
+        dentist: dentist._id,
+        dentistName: dentist.name,
+        date,
+        time,
+        status: 'Pending'
+    };
+    appointments.docs.push(appointment);
+    await reserveSlots(appointment);
+};
+
+const heldTimes = (appointmentId) => reservations.rows
+    .filter(row => row.appointmentId === appointmentId)
+    .map(row => row.time)
+    .sort();
+
+before(async () => {
+    ({ user: patient, dentist, service, request, stop } = await serveApp());
+});
+
+after(() => {
+    stop();
+    restoreStubs();
+});
+
+beforeEach(() => {
+    reservations.rows = [];
+    appointments.docs = [];
+    appointments.failAfter = null;
+});
+
+describe('POST /api/appointments/book', () => {
+    it('books only one of two overlapping requests', async () => {
+        const booking = (time) => ({ service: String(service._id), dentist: String(dentist._id), date, time });
+
+        const results = await Promise.all([
+            request('POST', '/api/appointments/book', booking('09:00')),
+            request('POST', '/api/appointments/book', booking('09:30'))
+        ]);
+
+        assert.deepEqual(results.map(result => result.status).sort(), [201, 409]);
+        assert.equal(results.find(result => result.status === 409).body.code, 'SLOT_TAKEN');
+        assert.equal(appointments.docs.length, 1);
+        assert.deepEqual(new Set(reservations.rows.map(row => row.appointmentId)), new Set([appointments.docs[0].appointmentId]));
+    });
+});
+
+describe('PUT /api/appointments/:appointmentId', () => {
+    beforeEach(async () => {
+        await seedAppointment('first', '09:00');
+        await seedAppointment('second', '14:00');
+    });
+
+    it('moves only one of two appointments rescheduled onto the same slot', async () => {
+        const results = await Promise.all([
+            request('PUT', '/api/appointments/first', { time: '10:30' }),
+            request('PUT', '/api/appointments/second', { time: '10:30' })
+        ]);
+
+        assert.deepEqual(results.map(result => result.status).sort(), [200, 409]);
+
+        const [moved, stayed] = results[0].status === 200 ? ['first', 'second'] : ['second', 'first'];
+        assert.deepEqual(heldTimes(moved), ['10:30', '11:00']);
+        assert.deepEqual(heldTimes(stayed), stayed === 'first' ? ['09:00', '09:30'] : ['14:00', '14:30']);
+    });
+
+    it('keeps the original reservation when the save fails', async () => {
+        // While the save is in flight another booking goes for the old slot
+        const Appointment = mongoose.model('Appointment');
+        const failingWrite = async () => {
+            await reserveSlots({ appointmentId: 'intruder', dentist: dentist._id, date, time: '09:00', duration: 30 });
+            throw new Error('Write failed');
+        };
+        const undo = [
+            stub(Appointment, 'findOneAndUpdate', () => query(failingWrite)),
+            stub(Appointment.prototype, 'save', failingWrite)
+        ];
+
+        const result = await request('PUT', '/api/appointments/first', { time: '10:30' });
+        undo.forEach(restore => restore());
+
+        assert.equal(result.status, 500);
+        assert.deepEqual(heldTimes('first'), ['09:00', '09:30']);
+        assert.deepEqual(heldTimes('intruder'), []);
+    });
+
+    it('holds no slots for an appointment cancelled during the reschedule', async () => {
+        // A cancel lands between loading the appointment and saving the move
+        const Appointment = mongoose.model('Appointment');
+        const update = Appointment.findOneAndUpdate;
+        const restore = stub(Appointment, 'findOneAndUpdate', (filter, changes, options) => {
+            appointments.docs.find(doc => doc.appointmentId === 'first').status = 'Cancelled';
+            return update(filter, changes, options);
+        });
+
+        const result = await request('PUT', '/api/appointments/first', { time: '10:30' });
+        restore();
+
+        assert.equal(result.status, 409);
+        assert.equal(result.body.code, 'APPOINTMENT_CHANGED');
+        assert.deepEqual(heldTimes('first'), []);
+    });
+});
@@ -0,0 +1,171 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const Service = require('../models/Service');
+const { computeTotals, statusFor, createInvoice, recordPayment } = require('../billing');
+const { ValidationError } = require('../errors');
+const { stub, restoreStubs, query, tick } = require('./helpers/memoryModels');
+
+after(restoreStubs);
+
+const lines = (...amounts) => amounts.map(amount => ({ amount }));
+
+describe('computeTotals', () => {
+    it('rounds percentage discounts half up', () => {
+        const totals = computeTotals({ lineItems: lines(333), discounts: [{ basisPoints: 1250 }] });
+
+        assert.equal(totals.discounts[0].amount, 42);
+        assert.equal(totals.total, 291);
+    });
+
+    it('caps discounts at the subtotal', () => {
+        const totals = computeTotals({
+            lineItems: lines(1000, 250),
+            discounts: [{ amount: 1000 }, { basisPoints: 5000 }]
+        });
+
+        assert.equal(totals.subtotal, 1250);
+        assert.equal(totals.discountTotal, 1250);
+        assert.equal(totals.total, 0);
+        assert.equal(totals.balance, 0);
+    });
+
+    it('caps insurance at what the discounts leave', () => {
+        const totals = computeTotals({
+            lineItems: lines(10000),
+            discounts: [{ basisPoints: 1000 }],
+            insuranceAmount: 20000
+        });
+
+        assert.equal(totals.discountTotal, 1000);
+        assert.equal(totals.insuranceTotal, 9000);
+        assert.equal(totals.total, 0);
+    });
+
+    it('leaves the patient the rest after discounts and insurance', () => {
+        const totals = computeTotals({
+            lineItems: lines(6000, 4000),
+            discounts: [{ amount: 2500 }],
+            insuranceAmount: 5000,
+            amountPaid: 1000
+        });
+
+        assert.equal(totals.insuranceTotal, 5000);
+        assert.equal(totals.total, 2500);
+        assert.equal(totals.balance, 1500);
+    });
+});
+
+describe('payments', () => {
+    let invoices;
+
+    const matchesBalance = (balance, expected) => (typeof expected === 'number' ? balance === expected : balance > expected.$gt);
+
+    beforeEach(() => {
+        invoices = [{ invoiceNumber: 'INV-2030-000001', status: 'issued', total: 1000, amountPaid: 0, balance: 1000, payments: [] }];
+
+        // Invoice.findOneAndUpdate over plain documents, for the filters and
+        // updates recordPayment uses
+        stub(Invoice, 'findOneAndUpdate', async (filter, update) => {
+            await tick();
+            const doc = invoices.find(invoice => invoice.invoiceNumber === filter.invoiceNumber &&
+                filter.status.$in.includes(invoice.status) &&
+                matchesBalance(invoice.balance, filter.balance));
+            if (!doc) return null;
+
+            Object.entries(update.$inc).forEach(([field, value]) => {
+                doc[field] += value;
+            });
+            doc.payments.push(update.$push.payments);
+            Object.assign(doc, update.$set);
+            return doc;
+        });
+    });
+
+    const pay = (amount) => recordPayment('INV-2030-000001', { amount, method: 'cash', actor: { _id: 'admin', name: 'Admin' } });
+
+    it('marks an invoice paid by a payment of exactly the balance', async () => {
+        const invoice = await pay(1000);
+
+        assert.equal(invoice.status, 'paid');
+        assert.equal(invoice.balance, 0);
+        assert.equal(statusFor(invoice), 'paid');
+    });
+
+    it('marks an invoice partially paid by a smaller payment', async () => {
+        const invoice = await pay(400);
+
+        assert.equal(invoice.status, 'partially_paid');
+        assert.equal(invoice.balance, 600);
+        assert.equal(statusFor(invoice), 'partially_paid');
+
+        assert.equal((await pay(600)).status, 'paid');
+    });
+
+    it('refuses a payment larger than the balance', async () => {
+        assert.equal(await pay(1001), null);
+        assert.equal(invoices[0].amountPaid, 0);
+    });
+
+    it('lets only one of two payments settle the same balance', async () => {
+        const results = await Promise.all([pay(1000), pay(1000)]);
+
+        assert.equal(results.filter(Boolean).length, 1);
+        assert.equal(invoices[0].amountPaid, 1000);
+    });
+});
+
+describe('createInvoice', () => {
+    const priced = new Service({ name: 'Cleaning', duration: 30, price: 150000 });
+    const legacy = new Service({ name: 'Consultation', duration: 30, price: 0 });
+    const input = { extraItems: [], discounts: [], insurance: { provider: '', claimNumber: '', amount: 0 }, dueDate: null, notes: '' };
+    const actor = { _id: new mongoose.Types.ObjectId(), name: 'Admin' };
+    let saved;
+
+    const appointment = (appointmentId, service) => ({
+        appointmentId,
+        userId: 'patient',
+        userName: 'Pat Patient',
+        userEmail: 'pat@example.com',
+        service: service ? service._id : new mongoose.Types.ObjectId(),
+        serviceName: service ? service.name : 'Retired service',
+        dentistName: 'Dr. Molar',
+        date: '2030-03-14'
+    });
+
+    beforeEach(() => {
+        saved = [];
+        stub(Service, 'find', () => query(() => [priced, legacy]));
+        stub(Counter, 'next', async () => 1);
+        stub(Invoice.prototype, 'save', async function() {
+            saved.push(this);
+            return this;
+        });
+    });
+
+    it('prices each appointment from its service', async () => {
+        const invoice = await createInvoice({ appointments: [appointment('a1', priced)], input, actor });
+
+        assert.equal(invoice.lineItems[0].amount, 150000);
+        assert.equal(invoice.total, 150000);
+        assert.equal(saved.length, 1);
+    });
+
+    it('rejects an appointment whose service has no price', async () => {
+        await assert.rejects(
+            createInvoice({ appointments: [appointment('a1', priced), appointment('a2', legacy)], input, actor }),
+            (error) => error instanceof ValidationError && error.details.length === 1 && /a2/.test(error.message)
+        );
+        assert.equal(saved.length, 0);
+    });
+
+    it('rejects an appointment whose service is gone', async () => {
+        await assert.rejects(
+            createInvoice({ appointments: [appointment('a3', null)], input, actor }),
+            ValidationError
+        );
+        assert.equal(saved.length, 0);
+    });
+});
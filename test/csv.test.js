@@ -0,0 +1,99 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeCell, toCsv, normalizeHeader, parseCsv } = require('../utils/csv');
+
+describe('escapeCell', () => {
+    it('leaves plain values unquoted', () => {
+        assert.equal(escapeCell('Dr. Molar'), 'Dr. Molar');
+        assert.equal(escapeCell(42), '42');
+    });
+
+    it('quotes values with commas, quotes or line breaks', () => {
+        assert.equal(escapeCell('Molar, Ana'), '"Molar, Ana"');
+        assert.equal(escapeCell('The "usual"'), '"The ""usual"""');
+        assert.equal(escapeCell('Line one\nLine two'), '"Line one\nLine two"');
+        assert.equal(escapeCell('Line one\r\nLine two'), '"Line one\r\nLine two"');
+    });
+
+    it('keeps spreadsheets from running values as formulas', () => {
+        assert.equal(escapeCell('=SUM(A1:A2)'), '\'=SUM(A1:A2)');
+        assert.equal(escapeCell('+63 912 345 6789'), '\'+63 912 345 6789');
+        assert.equal(escapeCell('-1'), '\'-1');
+        assert.equal(escapeCell('@home'), '\'@home');
+        assert.equal(escapeCell('=HYPERLINK("x","y")'), '"\'=HYPERLINK(""x"",""y"")"');
+    });
+
+    it('writes missing values as empty cells', () => {
+        assert.equal(escapeCell(null), '');
+        assert.equal(escapeCell(undefined), '');
+    });
+});
+
+describe('toCsv', () => {
+    it('writes a header row and one CRLF-terminated line per row', () => {
+        const columns = [
+            { header: 'Patient', value: row => row.name },
+            { header: 'Notes', value: row => row.notes }
+        ];
+        const csv = toCsv(columns, [
+            { name: 'Pat Patient', notes: 'Sensitive, "upper left"\nBring x-rays' },
+            { name: 'Sam Smile', notes: null }
+        ]);
+
+        assert.equal(csv, 'Patient,Notes\r\n' +
+            'Pat Patient,"Sensitive, ""upper left""\nBring x-rays"\r\n' +
+            'Sam Smile,\r\n');
+    });
+});
+
+describe('parseCsv', () => {
+    it('reads quoted fields with commas and doubled quotes', () => {
+        const { rows } = parseCsv('name,notes\n"Molar, Ana","Prefers the ""early"" slot"\n');
+
+        assert.deepEqual(rows, [{ line: 2, values: { name: 'Molar, Ana', notes: 'Prefers the "early" slot' } }]);
+    });
+
+    it('keeps line breaks inside quoted fields and numbers records by their first line', () => {
+        const { rows } = parseCsv('name,notes\r\nPat,"Line one\r\nLine two\nLine three"\r\nSam,none\r\n');
+
+        assert.deepEqual(rows, [
+            { line: 2, values: { name: 'Pat', notes: 'Line one\r\nLine two\nLine three' } },
+            { line: 5, values: { name: 'Sam', notes: 'none' } }
+        ]);
+    });
+
+    it('reads what toCsv writes', () => {
+        const people = [{ name: 'Molar, Ana', notes: 'Says "hi"\nTwice' }, { name: 'Sam', notes: '' }];
+        const csv = toCsv([
+            { header: 'Name', value: row => row.name },
+            { header: 'Notes', value: row => row.notes }
+        ], people);
+
+        assert.deepEqual(parseCsv(csv).rows.map(row => row.values), people);
+    });
+
+    it('skips a byte order mark and blank lines, and trims values', () => {
+        const { headers, rows } = parseCsv('\uFEFFPatient Email,first_name\n\n  pat@example.com , Pat\n\n');
+
+        assert.deepEqual(headers, ['patientemail', 'firstname']);
+        assert.deepEqual(rows, [{ line: 3, values: { patientemail: 'pat@example.com', firstname: 'Pat' } }]);
+    });
+
+    it('fills missing trailing cells with empty strings', () => {
+        const { rows } = parseCsv('a,b,c\n1\n');
+        assert.deepEqual(rows[0].values, { a: '1', b: '', c: '' });
+    });
+
+    it('reads a last record without a line break and an empty file', () => {
+        assert.deepEqual(parseCsv('a\n1').rows, [{ line: 2, values: { a: '1' } }]);
+        assert.deepEqual(parseCsv(''), { headers: [], rows: [] });
+    });
+});
+
+describe('normalizeHeader', () => {
+    it('ignores case, spaces and punctuation', () => {
+        assert.equal(normalizeHeader('Patient Email'), 'patientemail');
+        assert.equal(normalizeHeader('patient_email'), 'patientemail');
+        assert.equal(normalizeHeader('patientEmail'), 'patientemail');
+    });
+});
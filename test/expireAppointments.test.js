@@ -0,0 +1,45 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const appointmentHistory = require('../utils/appointmentHistory');
+const { stub, restoreStubs, query, useSlotReservations, useAppointments } = require('./helpers/memoryModels');
+
+const reservations = useSlotReservations();
+const appointments = useAppointments();
+
+stub(appointmentHistory, 'recordEvent', async () => null);
+const expireAppointments = require('../jobs/handlers/expireAppointments');
+
+after(restoreStubs);
+
+describe('expireAppointments', () => {
+    it('counts only the appointments it expired', async () => {
+        const logged = [];
+
+        appointments.docs = ['stale', 'confirmed-meanwhile'].map(appointmentId => ({
+            _id: new mongoose.Types.ObjectId(),
+            appointmentId,
+            date: '2020-03-14',
+            time: '09:00',
+            status: 'Pending',
+            statusHistory: []
+        }));
+        reservations.rows = [{ dentist: 'd1', date: '2020-03-14', time: '09:00', appointmentId: 'stale' }];
+
+        // One of the two is confirmed after the job has loaded them
+        const loaded = appointments.docs.map(doc => Appointment.hydrate({ ...doc }));
+        stub(Appointment, 'find', () => query(() => {
+            appointments.docs[1].status = 'Confirmed';
+            return loaded;
+        }));
+
+        const restoreLog = stub(console, 'log', (message) => logged.push(message));
+        await expireAppointments();
+        restoreLog();
+
+        assert.deepEqual(appointments.docs.map(doc => doc.status), ['Expired', 'Confirmed']);
+        assert.deepEqual(reservations.rows, []);
+        assert.deepEqual(logged, ['⏰ Expired 1 unconfirmed appointment(s)']);
+    });
+});
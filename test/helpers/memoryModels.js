@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const Appointment = require('../../models/Appointment');
+const SlotReservation = require('../../models/SlotReservation');
+
+// No database runs in the test environment, so the model methods a test
+// touches are swapped for in-memory versions. Every call yields first, the
+// way a round trip to MongoDB would, so concurrent requests interleave.
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+const originals = [];
+
+// Replace target[key] until restoreStubs() puts every original back.
+// Returns a function that puts back just this one.
+const stub = (target, key, value) => {
+    const original = target[key];
+    originals.push([target, key, original]);
+    target[key] = value;
+    return () => {
+        target[key] = original;
+    };
+};
+
+const restoreStubs = () => {
+    while (originals.length > 0) {
+        const [target, key, value] = originals.pop();
+        target[key] = value;
+    }
+};
+
+// A query result that also takes the chained helpers routes call, such as
+// .select() and .sort()
+const query = (load) => {
+    const chain = {
+        select: () => chain,
+        sort: () => chain,
+        lean: () => chain,
+        populate: () => chain,
+        then: (resolve, reject) => tick().then(load).then(resolve, reject)
+    };
+    return chain;
+};
+
+const OPERATORS = {
+    $in: (value, list) => list.map(String).includes(String(value)),
+    $nin: (value, list) => !list.map(String).includes(String(value)),
+    $ne: (value, other) => String(value) !== String(other),
+    $gte: (value, other) => value >= other,
+    $lte: (value, other) => value <= other
+};
+
+// Whether a stored document matches a filter of plain values and the
+// operators above
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+    const value = doc[field];
+    const isOperator = condition !== null && typeof condition === 'object' &&
+        !(condition instanceof mongoose.Types.ObjectId);
+
+    if (isOperator) {
+        return Object.entries(condition).every(([operator, operand]) => OPERATORS[operator](value, operand));
+    }
+    return String(value) === String(condition);
+});
+
+const duplicateKeyError = (key) => {
+    const error = new Error(`E11000 duplicate key error dup key: ${key}`);
+    error.code = 11000;
+    return error;
+};
+
+// SlotReservation with its unique index on { dentist, date, time }.
+// Returns the store; its rows are the reservations.
+const useSlotReservations = () => {
+    const store = { rows: [] };
+    const key = ({ dentist, date, time }) => `${dentist}|${date}|${time}`;
+
+    stub(SlotReservation, 'find', (filter) => query(() => store.rows.filter(row => matches(row, filter))));
+
+    stub(SlotReservation, 'insertMany', async (docs) => {
+        for (const doc of docs) {
+            await tick();
+            if (store.rows.some(row => key(row) === key(doc))) throw duplicateKeyError(key(doc));
+            store.rows.push({ _id: new mongoose.Types.ObjectId(), ...doc });
+        }
+    });
+
+    stub(SlotReservation, 'updateMany', async (filter, update) => {
+        await tick();
+        const updated = store.rows.filter(row => matches(row, filter));
+        updated.forEach(row => Object.assign(row, update.$set));
+        return { modifiedCount: updated.length };
+    });
+
+    stub(SlotReservation, 'deleteMany', async (filter) => {
+        await tick();
+        store.rows = store.rows.filter(row => !matches(row, filter));
+    });
+
+    return store;
+};
+
+// Appointment reads and writes. Returns the store; its docs are plain
+// objects. Saves and updates fail once failAfter of them have gone
+// through (0 fails them all); the deletes and updateOne used to undo
+// changes always work.
+const useAppointments = () => {
+    const store = { docs: [], failAfter: null };
+
+    const hydrate = (doc) => (doc ? Appointment.hydrate({ ...doc }) : null);
+    const findDoc = (filter) => store.docs.find(doc => matches(doc, filter));
+
+    const write = async () => {
+        await tick();
+        if (store.failAfter === null) return;
+        if (store.failAfter === 0) throw new Error('Write failed');
+        store.failAfter -= 1;
+    };
+
+    stub(Appointment, 'find', (filter) => query(() => store.docs.filter(doc => matches(doc, filter)).map(hydrate)));
+    stub(Appointment, 'findOne', (filter) => query(() => hydrate(findDoc(filter))));
+
+    stub(Appointment, 'findOneAndUpdate', (filter, update) => query(async () => {
+        await write();
+        const doc = findDoc(filter);
+        if (!doc) return null;
+
+        Object.assign(doc, update.$set || {});
+        Object.entries(update.$push || {}).forEach(([field, value]) => {
+            doc[field] = [...(doc[field] || []), value];
+        });
+        return hydrate(doc);
+    }));
+
+    stub(Appointment, 'updateOne', async (filter, update) => {
+        await tick();
+        const doc = findDoc(filter);
+        if (doc) Object.assign(doc, update.$set);
+    });
+
+    stub(Appointment, 'deleteMany', async (filter) => {
+        await tick();
+        store.docs = store.docs.filter(doc => !matches(doc, filter));
+    });
+
+    stub(Appointment.prototype, 'save', async function() {
+        await write();
+        const doc = this.toObject({ virtuals: false });
+        store.docs = store.docs.filter(stored => stored.appointmentId !== doc.appointmentId).concat(doc);
+        return this;
+    });
+
+    return store;
+};
+
+module.exports = {
+    tick,
+    stub,
+    restoreStubs,
+    query,
+    useSlotReservations,
+    useAppointments
+};
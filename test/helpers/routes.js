@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const Dentist = require('../../models/Dentist');
+const Service = require('../../models/Service');
+const Session = require('../../models/Session');
+const Holiday = require('../../models/Holiday');
+const TimeOff = require('../../models/TimeOff');
+const appointmentHistory = require('../../utils/appointmentHistory');
+const reminders = require('../../jobs/reminders');
+const notifications = require('../../notifications');
+const waitlist = require('../../waitlist');
+const { stub, query } = require('./memoryModels');
+
+// Serve the app for route tests: one signed-in user (a patient unless
+// `role` says otherwise), one dentist
+// working the default weekly hours and one 60-minute service, all held in
+// memory. The side effects that follow a saved change (history, reminders,
+// emails, waitlist offers) are switched off; routes take them from their
+// modules when they load, so this runs before the app is required.
+// Returns the fixtures, request(method, path, body, headers) and stop().
+const serveApp = async ({ role = 'patient' } = {}) => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+    stub(appointmentHistory, 'recordEvent', async () => null);
+    stub(reminders, 'replanReminders', async () => {});
+    stub(notifications, 'notifyAppointment', async () => {});
+    stub(waitlist, 'offerFreedSlot', async () => {});
+
+    const app = require('../../app');
+    const { signToken } = require('../../middleware/auth');
+
+    const user = new User({ name: 'Pat Patient', email: 'pat@example.com', password: 'secret1', role });
+    const dentist = new Dentist({ name: 'Dr. Molar' });
+    const service = new Service({ name: 'Filling', duration: 60, price: 150000 });
+
+    stub(Session, 'exists', async () => ({ _id: new mongoose.Types.ObjectId() }));
+    stub(User, 'findById', () => query(() => user));
+    stub(Dentist, 'findActiveById', async (id) => (String(id) === String(dentist._id) ? dentist : null));
+    stub(Dentist, 'findById', () => query(() => dentist));
+    stub(Service, 'findActiveById', async (id) => (String(id) === String(service._id) ? service : null));
+    stub(Service, 'findById', () => query(() => service));
+    stub(Holiday, 'findOne', () => query(() => null));
+    stub(TimeOff, 'findOne', () => query(() => null));
+
+    const token = signToken(user, { _id: new mongoose.Types.ObjectId() });
+
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const request = async (method, path, body, headers = {}) => {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}`, ...headers },
+            body: typeof body === 'string' ? body : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    const stop = () => {
+        server.closeAllConnections();
+        server.close();
+    };
+
+    return { user, dentist, service, request, stop };
+};
+
+module.exports = {
+    serveApp
+};
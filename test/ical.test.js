@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeText, foldLine, formatInstant, toCalendar } = require('../utils/ical');
+
+const octets = (line) => Buffer.byteLength(line);
+const unfold = (text) => text.replace(/\r\n /g, '');
+
+describe('escapeText', () => {
+    it('escapes backslashes, semicolons, commas and newlines', () => {
+        assert.equal(escapeText('a\\b;c,d\ne\r\nf'), 'a\\\\b\\;c\\,d\\ne\\nf');
+    });
+
+    it('escapes a backslash before the characters it then escapes', () => {
+        assert.equal(escapeText('\\;'), '\\\\\\;');
+    });
+
+    it('turns missing values into an empty string', () => {
+        assert.equal(escapeText(null), '');
+        assert.equal(escapeText(undefined), '');
+    });
+});
+
+describe('foldLine', () => {
+    it('leaves lines of up to 75 octets alone', () => {
+        const line = 'X'.repeat(75);
+        assert.equal(foldLine(line), line);
+    });
+
+    it('folds longer lines into lines of at most 75 octets', () => {
+        const line = `DESCRIPTION:${'x'.repeat(200)}`;
+        const folded = foldLine(line).split('\r\n');
+
+        assert.equal(folded.length, 3);
+        assert.equal(octets(folded[0]), 75);
+        folded.slice(1).forEach(part => {
+            assert.ok(part.startsWith(' '));
+            assert.ok(octets(part) <= 75);
+        });
+        assert.equal(unfold(foldLine(line)), line);
+    });
+
+    it('counts octets, not characters, and never splits a character', () => {
+        const line = `SUMMARY:${'ñ'.repeat(40)}${'😁'.repeat(10)}`;
+        const folded = foldLine(line);
+
+        folded.split('\r\n').forEach(part => assert.ok(octets(part) <= 75));
+        assert.equal(unfold(folded), line);
+        assert.ok(!folded.includes('�'));
+    });
+});
+
+describe('toCalendar', () => {
+    const appointment = {
+        appointmentId: 'a1b2c3',
+        serviceName: 'Root canal, molar',
+        dentistName: 'Dr. Molar',
+        userName: 'Pat Patient',
+        date: '2030-03-14',
+        time: '09:00',
+        duration: 90,
+        status: 'Confirmed',
+        notes: `Bring x-rays; ${'allergic to latex '.repeat(6)}\nCall ahead`
+    };
+
+    it('writes CRLF-terminated lines of at most 75 octets', () => {
+        const calendar = toCalendar([appointment], { audience: 'patient' });
+
+        assert.ok(calendar.endsWith('END:VCALENDAR\r\n'));
+        calendar.slice(0, -2).split('\r\n').forEach(line => assert.ok(octets(line) <= 75, line));
+    });
+
+    it('escapes the event text so it unfolds to the original', () => {
+        const lines = unfold(toCalendar([appointment], { audience: 'patient' })).split('\r\n');
+
+        assert.ok(lines.includes('SUMMARY:Root canal\\, molar with Dr. Molar'));
+        assert.ok(lines.includes(`DESCRIPTION:${escapeText(`Appointment ID: a1b2c3\nStatus: Confirmed\nNotes: ${appointment.notes}`)}`));
+        assert.ok(lines.includes('UID:a1b2c3@dentalbliss'));
+        assert.ok(lines.includes('STATUS:CONFIRMED'));
+    });
+
+    it('marks appointments that will not happen as cancelled', () => {
+        const lines = toCalendar([{ ...appointment, status: 'Cancelled' }]).split('\r\n');
+        assert.ok(lines.includes('STATUS:CANCELLED'));
+    });
+});
+
+describe('formatInstant', () => {
+    it('writes UTC date-times without separators or milliseconds', () => {
+        assert.equal(formatInstant('2030-03-14T01:30:00.000Z'), '20300314T013000Z');
+    });
+});
@@ -0,0 +1,61 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const imports = require('../imports');
+const { stub, restoreStubs } = require('./helpers/memoryModels');
+const { serveApp } = require('./helpers/routes');
+
+// Import request bodies: a CSV file is accepted up to 5mb whether it comes
+// as text/csv or as { csv } in JSON. The importer itself is faked.
+const received = [];
+let request;
+let stop;
+
+// A CSV of roughly `bytes` bytes
+const csvOf = (bytes) => `name,email\n${'Pat Patient,pat@example.com\n'.repeat(Math.ceil(bytes / 27))}`;
+
+before(async () => {
+    stub(imports, 'importUsers', async ({ csv, dryRun }) => {
+        received.push(csv);
+        return { ok: true, summary: { dryRun }, rows: [] };
+    });
+    ({ request, stop } = await serveApp({ role: 'admin' }));
+});
+
+after(() => {
+    stop();
+    restoreStubs();
+});
+
+describe('POST /api/imports/users', () => {
+    it('takes a CSV file over 100kb in a JSON body', async () => {
+        const csv = csvOf(1024 * 1024);
+        const result = await request('POST', '/api/imports/users?dryRun=true', { csv });
+
+        assert.equal(result.status, 200);
+        assert.equal(received.at(-1), csv);
+    });
+
+    it('takes the same file as text/csv', async () => {
+        const csv = csvOf(1024 * 1024);
+        const result = await request('POST', '/api/imports/users?dryRun=true', csv, { 'Content-Type': 'text/csv' });
+
+        assert.equal(result.status, 200);
+        assert.equal(received.at(-1), csv);
+    });
+
+    it('refuses files over 5mb', async () => {
+        const result = await request('POST', '/api/imports/users?dryRun=true', { csv: csvOf(6 * 1024 * 1024) });
+
+        assert.equal(result.status, 413);
+        assert.equal(result.body.code, 'PAYLOAD_TOO_LARGE');
+    });
+});
+
+describe('other routes', () => {
+    it('keep the default JSON limit', async () => {
+        const result = await request('POST', '/api/appointments/book', { notes: 'x'.repeat(200 * 1024) });
+
+        assert.equal(result.status, 413);
+        assert.equal(result.body.code, 'PAYLOAD_TOO_LARGE');
+    });
+});
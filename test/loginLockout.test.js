@@ -0,0 +1,49 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { getStore, setStore } = require('../rateLimit');
+const { lockedFor, recordFailure, recordSuccess } = require('../rateLimit/loginLockout');
+const { LOGIN_LOCKOUT } = require('../config/rateLimit');
+
+const failingStore = {
+    name: 'failing',
+    increment: async () => { throw new Error('store is down'); },
+    get: async () => { throw new Error('store is down'); },
+    set: async () => { throw new Error('store is down'); },
+    reset: async () => { throw new Error('store is down'); }
+};
+
+describe('login lockout', () => {
+    const original = getStore();
+    const errors = [];
+    const consoleError = console.error;
+
+    before(() => {
+        console.error = (...args) => errors.push(args);
+    });
+
+    after(() => {
+        console.error = consoleError;
+        setStore(original);
+    });
+
+    it('locks an account after too many failures', async () => {
+        setStore(original);
+        const email = 'guessed@example.com';
+
+        for (let attempt = 1; attempt < LOGIN_LOCKOUT.maxFailures; attempt++) {
+            assert.equal(await recordFailure(email), 0);
+        }
+        assert.equal(await recordFailure(email), LOGIN_LOCKOUT.baseLockMs);
+        assert.ok(await lockedFor(email) > 0);
+    });
+
+    it('lets logins through when the store fails', async () => {
+        setStore(failingStore);
+        const email = 'anyone@example.com';
+
+        assert.equal(await lockedFor(email), 0);
+        assert.equal(await recordFailure(email), 0);
+        await recordSuccess(email);
+        assert.equal(errors.length, 3);
+    });
+});
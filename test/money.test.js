@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { isAmount, sum, percentOf, toBasisPoints } = require('../utils/money');
+
+describe('percentOf', () => {
+    it('rounds half a minor unit up', () => {
+        assert.equal(percentOf(1, 5000), 1);
+        assert.equal(percentOf(10001, 5000), 5001);
+        assert.equal(percentOf(333, 1250), 42);
+    });
+
+    it('rounds less than half a minor unit down', () => {
+        assert.equal(percentOf(1, 4999), 0);
+        assert.equal(percentOf(10003, 1000), 1000);
+    });
+
+    it('takes whole and no percentages exactly', () => {
+        assert.equal(percentOf(123456, 10000), 123456);
+        assert.equal(percentOf(123456, 0), 0);
+    });
+});
+
+describe('toBasisPoints', () => {
+    it('converts percentages with up to two decimals', () => {
+        assert.equal(toBasisPoints(0), 0);
+        assert.equal(toBasisPoints(12.5), 1250);
+        assert.equal(toBasisPoints(12.34), 1234);
+        assert.equal(toBasisPoints(100), 10000);
+    });
+
+    it('rejects more than two decimals', () => {
+        assert.equal(toBasisPoints(12.345), null);
+        assert.equal(toBasisPoints(0.001), null);
+    });
+
+    it('rejects percentages outside 0 to 100', () => {
+        assert.equal(toBasisPoints(100.01), null);
+        assert.equal(toBasisPoints(-1), null);
+    });
+
+    it('rejects anything but a number', () => {
+        assert.equal(toBasisPoints('12'), null);
+        assert.equal(toBasisPoints(null), null);
+    });
+});
+
+describe('amounts', () => {
+    it('accepts only non-negative whole minor units', () => {
+        assert.equal(isAmount(0), true);
+        assert.equal(isAmount(150000), true);
+        assert.equal(isAmount(-1), false);
+        assert.equal(isAmount(12.5), false);
+        assert.equal(isAmount(Number.MAX_SAFE_INTEGER + 1), false);
+    });
+
+    it('sums to zero when there is nothing to add', () => {
+        assert.equal(sum([]), 0);
+        assert.equal(sum([100, 250, 5]), 355);
+    });
+});
@@ -0,0 +1,73 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const authTokens = require('../utils/authTokens');
+const notifications = require('../notifications');
+const { stub, restoreStubs, tick } = require('./helpers/memoryModels');
+const { serveApp } = require('./helpers/routes');
+
+// POST /api/password/forgot answers before it looks the address up, so
+// known and unknown addresses cannot be told apart by how long they take
+const emails = [];
+let request;
+let stop;
+let lookups;
+
+const account = new User({ name: 'Pat Patient', email: 'pat@example.com', password: 'secret1', role: 'patient' });
+
+// Resolve once the background work has had the chance to finish
+const settle = async () => {
+    for (let round = 0; round < 10; round++) await tick();
+};
+
+before(async () => {
+    stub(authTokens, 'issueToken', async () => 'reset-token');
+    stub(notifications, 'notifyAccount', async (event, user, context) => {
+        emails.push({ event, email: user.email, link: context.link });
+    });
+    ({ request, stop } = await serveApp());
+
+    // Each lookup waits until the test lets it finish
+    stub(User, 'findOne', (filter) => new Promise(resolve => {
+        lookups.push(() => resolve(filter.email === account.email ? account : null));
+    }));
+});
+
+after(() => {
+    stop();
+    restoreStubs();
+});
+
+beforeEach(() => {
+    emails.length = 0;
+    lookups = [];
+});
+
+describe('POST /api/password/forgot', () => {
+    it('answers before looking up the account, then emails the link', async () => {
+        const result = await request('POST', '/api/password/forgot', { email: ' Pat@Example.com ' });
+
+        assert.equal(result.status, 200);
+        assert.equal(lookups.length, 1);
+        assert.equal(emails.length, 0);
+
+        lookups[0]();
+        await settle();
+
+        assert.deepEqual(emails.map(email => [email.event, email.email]), [['password-reset', 'pat@example.com']]);
+        assert.match(emails[0].link, /reset-password\?token=reset-token$/);
+    });
+
+    it('gives an unknown address the same answer and sends nothing', async () => {
+        const known = request('POST', '/api/password/forgot', { email: 'pat@example.com' });
+        const unknown = request('POST', '/api/password/forgot', { email: 'nobody@example.com' });
+        const [knownResult, unknownResult] = await Promise.all([known, unknown]);
+
+        assert.deepEqual(unknownResult, knownResult);
+
+        lookups.forEach(finish => finish());
+        await settle();
+
+        assert.deepEqual(emails.map(email => email.email), ['pat@example.com']);
+    });
+});
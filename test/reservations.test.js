@@ -0,0 +1,113 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { reserveSlots, trimSlots } = require('../utils/reservations');
+const { useSlotReservations, restoreStubs } = require('./helpers/memoryModels');
+
+// The in-memory SlotReservation enforces the same unique index on
+// { dentist, date, time } as MongoDB, and inserts yield between documents,
+// so parallel bookings interleave.
+const reservations = useSlotReservations();
+
+after(restoreStubs);
+
+const dentist = new mongoose.Types.ObjectId();
+const date = '2030-03-14';
+
+// Fire the bookings at once and return how many got their slots
+const bookInParallel = async (bookings) => {
+    const results = await Promise.all(bookings.map((booking, index) => reserveSlots({
+        appointmentId: `appointment-${index}`,
+        dentist,
+        date,
+        ...booking
+    })));
+    return results.filter(Boolean).length;
+};
+
+describe('reserveSlots under concurrent bookings', () => {
+    beforeEach(() => {
+        reservations.rows = [];
+    });
+
+    it('lets exactly one of several bookings for the same slot through', async () => {
+        const booked = await bookInParallel(Array.from({ length: 5 }, () => ({ time: '09:00', duration: 60 })));
+
+        assert.equal(booked, 1);
+        assert.equal(reservations.rows.length, 2);
+        assert.equal(new Set(reservations.rows.map(row => row.appointmentId)).size, 1);
+    });
+
+    it('lets exactly one of two overlapping bookings through', async () => {
+        const booked = await bookInParallel([
+            { time: '09:00', duration: 60 },
+            { time: '09:30', duration: 30 }
+        ]);
+
+        assert.equal(booked, 1);
+        assert.equal(new Set(reservations.rows.map(row => row.appointmentId)).size, 1);
+    });
+
+    it('keys an off-grid booking on the grid slots it overlaps', async () => {
+        const booked = await bookInParallel([
+            { time: '09:00', duration: 30 },
+            { time: '09:15', duration: 30 }
+        ]);
+
+        assert.equal(booked, 1);
+    });
+
+    it('lets bookings that do not overlap all through', async () => {
+        const booked = await bookInParallel([
+            { time: '09:00', duration: 30 },
+            { time: '09:30', duration: 30 },
+            { time: '10:00', duration: 60 }
+        ]);
+
+        assert.equal(booked, 3);
+        assert.equal(reservations.rows.length, 4);
+    });
+});
+
+describe('reserveSlots moving an appointment', () => {
+    beforeEach(() => {
+        reservations.rows = [];
+    });
+
+    const heldTimes = (appointmentId) => reservations.rows
+        .filter(row => row.appointmentId === appointmentId)
+        .map(row => row.time)
+        .sort();
+
+    it('keeps the old slots with release: false until they are given back', async () => {
+        const previous = { appointmentId: 'moving', dentist, date, time: '09:00', duration: 30 };
+        await reserveSlots(previous);
+
+        assert.equal(await reserveSlots({ ...previous, time: '11:00' }, { release: false }), true);
+        assert.deepEqual(heldTimes('moving'), ['09:00', '11:00']);
+
+        // Undo the move
+        assert.equal(await reserveSlots(previous), true);
+        assert.deepEqual(heldTimes('moving'), ['09:00']);
+    });
+
+    it('gives back only the old slots once the move is saved', async () => {
+        const previous = { appointmentId: 'moving', dentist, date, time: '09:00', duration: 60 };
+        await reserveSlots(previous);
+        const next = { ...previous, time: '09:30' };
+
+        await reserveSlots(next, { release: false });
+        await trimSlots(next);
+
+        assert.deepEqual(heldTimes('moving'), ['09:30', '10:00']);
+    });
+
+    it('leaves the old slots alone when the new ones are taken', async () => {
+        await reserveSlots({ appointmentId: 'other', dentist, date, time: '11:00', duration: 30 });
+        const previous = { appointmentId: 'moving', dentist, date, time: '09:00', duration: 30 };
+        await reserveSlots(previous);
+
+        assert.equal(await reserveSlots({ ...previous, time: '10:30', duration: 60 }, { release: false }), false);
+        assert.deepEqual(heldTimes('moving'), ['09:00']);
+    });
+});
@@ -0,0 +1,165 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const AppointmentSeries = require('../models/AppointmentSeries');
+const { reserveSlots } = require('../utils/reservations');
+const { stub, restoreStubs, query, useSlotReservations, useAppointments } = require('./helpers/memoryModels');
+const { serveApp } = require('./helpers/routes');
+
+// Booking and moving recurring series through the HTTP routes, with the
+// models held in memory (see helpers/)
+const reservations = useSlotReservations();
+const appointments = useAppointments();
+const dates = ['2030-03-14', '2030-03-21', '2030-03-28'];
+
+let patient;
+let dentist;
+let service;
+let request;
+let stop;
+let seriesDocs = [];
+
+stub(AppointmentSeries, 'findOne', (filter) => query(() => {
+    const doc = seriesDocs.find(stored => stored.seriesId === filter.seriesId);
+    return doc ? AppointmentSeries.hydrate({ ...doc }) : null;
+}));
+stub(AppointmentSeries, 'deleteOne', async (filter) => {
+    seriesDocs = seriesDocs.filter(doc => doc.seriesId !== filter.seriesId);
+});
+stub(AppointmentSeries.prototype, 'save', async function() {
+    const doc = this.toObject({ virtuals: false });
+    seriesDocs = seriesDocs.filter(stored => stored.seriesId !== doc.seriesId).concat(doc);
+    return this;
+});
+
+// A weekly series of three 09:00 visits, each holding its slots
+const seedSeries = async () => {
+    seriesDocs.push({
+        seriesId: 'weekly',
+        userId: String(patient._id),
+        userName: patient.name,
+        userEmail: patient.email,
+        service: service._id,
+        dentist: dentist._id,
+        startDate: dates[0],
+        time: '09:00',
+        intervalWeeks: 1,
+        count: dates.length
+    });
+
+    for (const [index, date] of dates.entries()) {
+        const appointment = {
+            appointmentId: `visit-${index}`,
+            userId: String(patient._id),
+            userName: patient.name,
+            userEmail: patient.email,
+            service: service._id,
+            serviceName: service.name,
+            duration: service.duration,
+            dentist: dentist._id,
+            dentistName: dentist.name,
+            date,
+            time: '09:00',
+            seriesId: 'weekly',
+            seriesIndex: index,
+            status: 'Pending'
+        };
+        appointments.docs.push(appointment);
+        await reserveSlots(appointment);
+    }
+};
+
+// Which appointment holds each slot, as 'date time' => appointmentId
+const heldSlots = () => Object.fromEntries(reservations.rows
+    .map(row => [`${row.date} ${row.time}`, row.appointmentId])
+    .sort(([a], [b]) => a.localeCompare(b)));
+
+const visitDates = () => Object.fromEntries(appointments.docs.map(doc => [doc.appointmentId, doc.date]));
+
+before(async () => {
+    ({ user: patient, dentist, service, request, stop } = await serveApp());
+});
+
+after(() => {
+    stop();
+    restoreStubs();
+});
+
+beforeEach(() => {
+    reservations.rows = [];
+    appointments.docs = [];
+    appointments.failAfter = null;
+    seriesDocs = [];
+});
+
+describe('POST /api/appointments/series', () => {
+    const booking = () => ({
+        service: String(service._id),
+        dentist: String(dentist._id),
+        startDate: dates[0],
+        time: '09:00',
+        intervalWeeks: 1,
+        count: dates.length
+    });
+
+    it('books every occurrence and holds their slots', async () => {
+        const result = await request('POST', '/api/appointments/series', booking());
+
+        assert.equal(result.status, 201);
+        assert.deepEqual(appointments.docs.map(doc => doc.date).sort(), dates);
+        assert.equal(reservations.rows.length, dates.length * 2);
+    });
+
+    it('leaves nothing behind when an appointment fails to save', async () => {
+        appointments.failAfter = 1;
+
+        const result = await request('POST', '/api/appointments/series', booking());
+
+        assert.equal(result.status, 500);
+        assert.deepEqual(appointments.docs, []);
+        assert.deepEqual(seriesDocs, []);
+        assert.deepEqual(reservations.rows, []);
+    });
+});
+
+describe('PUT /api/appointments/series/:seriesId/reschedule', () => {
+    beforeEach(seedSeries);
+
+    it('pushes the series back one visit, onto slots its own appointments are leaving', async () => {
+        const result = await request('PUT', '/api/appointments/series/weekly/reschedule', { shiftDays: 7 });
+
+        assert.equal(result.status, 200);
+        assert.deepEqual(visitDates(), { 'visit-0': dates[1], 'visit-1': dates[2], 'visit-2': '2030-04-04' });
+        assert.deepEqual(heldSlots(), {
+            [`${dates[1]} 09:00`]: 'visit-0',
+            [`${dates[1]} 09:30`]: 'visit-0',
+            [`${dates[2]} 09:00`]: 'visit-1',
+            [`${dates[2]} 09:30`]: 'visit-1',
+            '2030-04-04 09:00': 'visit-2',
+            '2030-04-04 09:30': 'visit-2'
+        });
+    });
+
+    it('moves nothing when one occurrence is taken', async () => {
+        await reserveSlots({ appointmentId: 'other', dentist: dentist._id, date: '2030-04-04', time: '09:30', duration: 30 });
+        const before = heldSlots();
+
+        const result = await request('PUT', '/api/appointments/series/weekly/reschedule', { shiftDays: 7 });
+
+        assert.equal(result.status, 409);
+        assert.equal(result.body.code, 'SERIES_CONFLICT');
+        assert.deepEqual(result.body.conflicts.map(conflict => conflict.index), [2]);
+        assert.deepEqual(visitDates(), { 'visit-0': dates[0], 'visit-1': dates[1], 'visit-2': dates[2] });
+        assert.deepEqual(heldSlots(), before);
+    });
+
+    it('puts back the occurrences already moved when a save fails', async () => {
+        const before = heldSlots();
+        appointments.failAfter = 1;
+
+        const result = await request('PUT', '/api/appointments/series/weekly/reschedule', { time: '11:00' });
+
+        assert.equal(result.status, 500);
+        assert.deepEqual(appointments.docs.map(doc => doc.time), ['09:00', '09:00', '09:00']);
+        assert.deepEqual(heldSlots(), before);
+    });
+});
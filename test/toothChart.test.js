@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PERMANENT_TEETH, PRIMARY_TEETH, isValidTooth, buildToothChart } = require('../utils/toothChart');
+
+const visit = (appointmentId, date, time, { findings = [], procedures = [] } = {}) => ({
+    appointmentId,
+    date,
+    time,
+    dentistName: 'Dr. Molar',
+    findings,
+    procedures
+});
+
+const stateOf = (chart, tooth) => chart.find(entry => entry.tooth === tooth).state;
+
+describe('buildToothChart', () => {
+    it('applies findings before procedures within a visit', () => {
+        const chart = buildToothChart([visit('a1', '2030-03-14', '09:00', {
+            procedures: [{ tooth: 36, name: 'Composite filling', surfaces: ['O'], resultingState: 'filled' }],
+            findings: [{ tooth: 36, condition: 'caries' }]
+        })]);
+
+        assert.equal(stateOf(chart, 36), 'filled');
+        assert.deepEqual(chart[0].history.map(entry => entry.type), ['finding', 'procedure']);
+    });
+
+    it('applies visits oldest first, whatever order they come in', () => {
+        const chart = buildToothChart([
+            visit('later', '2030-04-01', '09:00', { procedures: [{ tooth: 11, name: 'Crown', resultingState: 'crowned' }] }),
+            visit('same-day-afternoon', '2030-03-14', '15:00', { procedures: [{ tooth: 11, name: 'Root canal', resultingState: 'root_canal_treated' }] }),
+            visit('same-day-morning', '2030-03-14', '09:00', { findings: [{ tooth: 11, condition: 'fractured' }] })
+        ]);
+
+        const [entry] = chart;
+        assert.equal(entry.state, 'crowned');
+        assert.equal(entry.lastChangedOn, '2030-04-01');
+        assert.deepEqual(entry.history.map(item => item.appointmentId), ['same-day-morning', 'same-day-afternoon', 'later']);
+    });
+
+    it('records findings without a condition without changing the state', () => {
+        const chart = buildToothChart([
+            visit('a1', '2030-03-14', '09:00', { procedures: [{ tooth: 21, name: 'Sealant', resultingState: 'sealed' }] }),
+            visit('a2', '2030-04-01', '09:00', { findings: [{ tooth: 21, notes: 'Sealant intact' }] })
+        ]);
+
+        assert.equal(stateOf(chart, 21), 'sealed');
+        assert.equal(chart[0].lastChangedOn, '2030-03-14');
+        assert.equal(chart[0].history.length, 2);
+    });
+
+    it('lists only the teeth mentioned, by tooth number, marking primary teeth', () => {
+        const chart = buildToothChart([visit('a1', '2030-03-14', '09:00', {
+            findings: [{ tooth: 85, condition: 'caries' }, { tooth: 48, condition: 'missing' }, { tooth: 11, condition: 'watch' }]
+        })]);
+
+        assert.deepEqual(chart.map(entry => entry.tooth), [11, 48, 85]);
+        assert.deepEqual(chart.map(entry => entry.primary), [false, false, true]);
+    });
+
+    it('is empty without visit records', () => {
+        assert.deepEqual(buildToothChart([]), []);
+    });
+});
+
+describe('FDI tooth numbers', () => {
+    it('has 32 permanent and 20 primary teeth', () => {
+        assert.equal(PERMANENT_TEETH.length, 32);
+        assert.equal(PRIMARY_TEETH.length, 20);
+    });
+
+    it('accepts only teeth that exist', () => {
+        [11, 18, 28, 38, 48, 51, 55, 85].forEach(tooth => assert.equal(isValidTooth(tooth), true, tooth));
+        [10, 19, 49, 56, 86, 9, 91].forEach(tooth => assert.equal(isValidTooth(tooth), false, tooth));
+    });
+});
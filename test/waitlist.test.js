@@ -0,0 +1,75 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { LIMITS } = require('../config/rateLimit');
+const dateTime = require('../utils/dateTime');
+const { setStore } = require('../rateLimit');
+const createMemoryStore = require('../rateLimit/stores/memory');
+const { stub, restoreStubs, query } = require('./helpers/memoryModels');
+const { serveApp } = require('./helpers/routes');
+
+// Claiming a held waitlist slot, with the entry held in memory
+let user;
+let dentist;
+let service;
+let request;
+let stop;
+let entry;
+let claims;
+
+const holdOn = (date, time) => WaitlistEntry.hydrate({
+    _id: new WaitlistEntry()._id,
+    userId: String(user._id),
+    userName: user.name,
+    userEmail: user.email,
+    dentist: dentist._id,
+    service: service._id,
+    dateFrom: date,
+    dateTo: date,
+    status: 'offered',
+    hold: { date, time, expiresAt: new Date(Date.now() + 60 * 60 * 1000) }
+});
+
+before(async () => {
+    ({ user, dentist, service, request, stop } = await serveApp());
+
+    stub(WaitlistEntry, 'findById', () => query(() => entry));
+    stub(WaitlistEntry, 'findOneAndUpdate', () => query(() => {
+        claims += 1;
+        return null;
+    }));
+});
+
+after(() => {
+    stop();
+    restoreStubs();
+});
+
+beforeEach(() => {
+    claims = 0;
+    setStore(createMemoryStore());
+});
+
+describe('POST /api/waitlist/:entryId/claim', () => {
+    it('refuses a hold on a slot that has already started, without taking it', async () => {
+        entry = holdOn(dateTime.today(), '00:00');
+
+        const result = await request('POST', `/api/waitlist/${entry._id}/claim`);
+
+        assert.equal(result.status, 400);
+        assert.equal(result.body.code, 'DATE_IN_PAST');
+        assert.equal(claims, 0);
+    });
+
+    it('counts claims against the booking limit', async () => {
+        entry = holdOn('2030-03-14', '09:00');
+
+        const statuses = [];
+        for (let attempt = 0; attempt <= LIMITS.booking.max; attempt++) {
+            statuses.push((await request('POST', `/api/waitlist/${entry._id}/claim`)).status);
+        }
+
+        assert.ok(statuses.slice(0, -1).every(status => status !== 429));
+        assert.equal(statuses.at(-1), 429);
+    });
+});
@@ -0,0 +1,75 @@
+const AppointmentEvent = require('../models/AppointmentEvent');
+
+// Appointment fields whose changes are recorded in the history
+const TRACKED_FIELDS = [
+    'service',
+    'serviceName',
+    'duration',
+    'dentist',
+    'dentistName',
+    'date',
+    'time',
+    'notes',
+    'status'
+];
+
+// Plain copy of the tracked fields, with ObjectIds turned into strings
+const snapshot = (appointment) => {
+    const values = {};
+    if (!appointment) return values;
+
+    TRACKED_FIELDS.forEach(field => {
+        const value = appointment[field];
+        values[field] = value !== null && value !== undefined && typeof value === 'object'
+            ? String(value)
+            : value;
+    });
+    return values;
+};
+
+// Field-level differences between two snapshots
+const diff = (before, after) => {
+    return TRACKED_FIELDS
+        .filter(field => before[field] !== after[field])
+        .map(field => ({
+            field,
+            from: before[field] === undefined ? null : before[field],
+            to: after[field] === undefined ? null : after[field]
+        }));
+};
+
+// Append an event for an appointment. `before` is the snapshot taken before
+// the change (omit it for a newly created appointment).
+// Nothing is recorded when no tracked field changed. A failure here is
+// logged but never fails the request that made the change.
+const recordEvent = async (appointment, type, { user, before = {}, reason = '' }) => {
+    const changes = diff(before, snapshot(appointment));
+    if (changes.length === 0) return null;
+
+    try {
+        const event = new AppointmentEvent({
+            appointmentId: appointment.appointmentId,
+            type,
+            actor: {
+                userId: String(user._id),
+                name: user.name,
+                role: user.role
+            },
+            changes,
+            reason
+        });
+
+        await event.save();
+        return event;
+    } catch (error) {
+        console.error('Record appointment event error:', error);
+        return null;
+    }
+};
+
+module.exports = {
+    TRACKED_FIELDS,
+    snapshot,
+    diff,
+    recordEvent
+};
\ No newline at end of file
@@ -0,0 +1,61 @@
+// Appointment status workflow
+//
+//   Pending ──> Confirmed ──> Completed
+//      │            ├──────> NoShow
+//      │            └──────> Cancelled
+//      ├──> Rejected
+//      ├──> Cancelled
+//      └──> Expired (start time passed without confirmation)
+const STATUSES = {
+    PENDING: 'Pending',
+    CONFIRMED: 'Confirmed',
+    CANCELLED: 'Cancelled',
+    COMPLETED: 'Completed',
+    NO_SHOW: 'NoShow',
+    REJECTED: 'Rejected',
+    EXPIRED: 'Expired'
+};
+
+// Statuses that hold a dentist's slot
+const ACTIVE_STATUSES = [STATUSES.PENDING, STATUSES.CONFIRMED];
+
+const TRANSITIONS = {
+    [STATUSES.PENDING]: [STATUSES.CONFIRMED, STATUSES.REJECTED, STATUSES.CANCELLED, STATUSES.EXPIRED],
+    [STATUSES.CONFIRMED]: [STATUSES.COMPLETED, STATUSES.NO_SHOW, STATUSES.CANCELLED],
+    [STATUSES.CANCELLED]: [],
+    [STATUSES.COMPLETED]: [],
+    [STATUSES.NO_SHOW]: [],
+    [STATUSES.REJECTED]: [],
+    [STATUSES.EXPIRED]: []
+};
+
+// Actor recorded for changes made by background jobs
+const SYSTEM_ACTOR = {
+    _id: 'system',
+    name: 'System',
+    role: 'system'
+};
+
+const isActive = (status) => ACTIVE_STATUSES.includes(status);
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+// statusHistory entry recording who moved an appointment and why
+const statusChange = (from, to, { user, reason = '', at = new Date() }) => ({
+    from,
+    to,
+    changedBy: String(user._id),
+    changedByRole: user.role,
+    changedAt: at,
+    reason
+});
+
+module.exports = {
+    STATUSES,
+    ACTIVE_STATUSES,
+    TRANSITIONS,
+    SYSTEM_ACTOR,
+    isActive,
+    canTransition,
+    statusChange
+};
\ No newline at end of file
@@ -0,0 +1,38 @@
+const AuthToken = require('../models/AuthToken');
+const { generateToken, hashToken } = require('./tokens');
+
+// Create a single-use token of `type` for a user, valid for `ttlMs`.
+// Any earlier unused token of the same type stops working, so only the
+// most recent email's link is valid. Returns the raw token for the email.
+const issueToken = async (user, type, ttlMs) => {
+    const token = generateToken();
+
+    await AuthToken.deleteMany({ user: user._id, type, usedAt: null });
+    await AuthToken.create({
+        user: user._id,
+        type,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ttlMs)
+    });
+
+    return token;
+};
+
+// Spend a token. Marking it used and checking it is unused and unexpired
+// happen in one update, so it works exactly once.
+// Returns the user ID it was issued to, or null.
+const consumeToken = async (token, type) => {
+    if (typeof token !== 'string' || token === '') return null;
+
+    const authToken = await AuthToken.findOneAndUpdate(
+        { tokenHash: hashToken(token), type, usedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { usedAt: new Date() } }
+    );
+
+    return authToken ? authToken.user : null;
+};
+
+module.exports = {
+    issueToken,
+    consumeToken
+};
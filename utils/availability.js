@@ -0,0 +1,52 @@
+const Holiday = require('../models/Holiday');
+const TimeOff = require('../models/TimeOff');
+const { DEFAULT_WEEKLY_HOURS } = require('../config/clinic');
+const schedule = require('./schedule');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Work out a dentist's working day from already-loaded data. `holiday` is
+// the clinic holiday on that date, if any, and `timeOff` the dentist's leave
+// covering it, if any.
+// Returns { isOpen, reason, intervals } where reason explains a closed day.
+const resolveWorkingDay = (dentist, date, { holiday = null, timeOff = null } = {}) => {
+    if (holiday) {
+        return { isOpen: false, reason: `Clinic is closed for ${holiday.name}`, intervals: [] };
+    }
+
+    if (timeOff) {
+        return { isOpen: false, reason: `${dentist.name} is on leave`, intervals: [] };
+    }
+
+    const weeklyHours = dentist.weeklyHours && dentist.weeklyHours.length > 0
+        ? dentist.weeklyHours
+        : DEFAULT_WEEKLY_HOURS;
+
+    const intervals = schedule.workingIntervals(weeklyHours, date);
+    if (intervals.length === 0) {
+        const dayName = DAY_NAMES[schedule.dayOfWeek(date)];
+        return { isOpen: false, reason: `${dentist.name} does not work on ${dayName}s`, intervals: [] };
+    }
+
+    return { isOpen: true, reason: null, intervals };
+};
+
+// Work out when a dentist is working on a date.
+// Returns { isOpen, reason, intervals } where reason explains a closed day.
+const getWorkingDay = async (dentist, date) => {
+    const [holiday, timeOff] = await Promise.all([
+        Holiday.findOne({ date }),
+        TimeOff.findOne({
+            dentist: dentist._id,
+            startDate: { $lte: date },
+            endDate: { $gte: date }
+        })
+    ]);
+
+    return resolveWorkingDay(dentist, date, { holiday, timeOff });
+};
+
+module.exports = {
+    resolveWorkingDay,
+    getWorkingDay
+};
\ No newline at end of file
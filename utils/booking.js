@@ -0,0 +1,89 @@
+const Appointment = require('../models/Appointment');
+const schedule = require('./schedule');
+const dateTime = require('./dateTime');
+const { getWorkingDay } = require('./availability');
+const { ACTIVE_STATUSES } = require('./appointmentStatus');
+const { ERROR_CODES, BadRequestError, ConflictError } = require('../errors');
+
+// Check whether a dentist can take an appointment of `duration` minutes at
+// a clinic-local date and time. `excludeAppointmentIds` ignores the
+// appointments being rescheduled.
+// Returns { ok: true } or { ok: false, error } with the error to answer with
+// (a ConflictError when the slot is taken).
+const checkSlot = async ({ dentist, duration, date, time, excludeAppointmentIds = [] }) => {
+    // Bookings start on the slot grid, which reservations are keyed on
+    if (!schedule.isOnSlotGrid(time)) {
+        return { ok: false, error: new BadRequestError(`Time must start on a ${schedule.SLOT_MINUTES}-minute slot, e.g. 09:00 or 09:30`, ERROR_CODES.INVALID_SLOT_TIME) };
+    }
+
+    // Check if date is in the past (in the clinic's timezone)
+    if (dateTime.isPastDate(date)) {
+        return { ok: false, error: new BadRequestError('Cannot book appointments for past dates', ERROR_CODES.DATE_IN_PAST) };
+    }
+
+    // Check if it's today and time is in the past
+    if (dateTime.isPast(date, time)) {
+        return { ok: false, error: new BadRequestError('Cannot book appointments for past times today', ERROR_CODES.DATE_IN_PAST) };
+    }
+
+    // Check if dentist is working at this time
+    const workingDay = await getWorkingDay(dentist, date);
+    if (!workingDay.isOpen) {
+        return { ok: false, error: new BadRequestError(workingDay.reason, ERROR_CODES.DAY_UNAVAILABLE) };
+    }
+
+    if (!schedule.fitsWithin(schedule.toInterval({ time, duration }), workingDay.intervals)) {
+        return { ok: false, error: new BadRequestError('Selected time is outside the dentist\'s working hours', ERROR_CODES.OUTSIDE_WORKING_HOURS) };
+    }
+
+    // Check if the slots this service needs are free
+    const query = {
+        dentist: dentist._id,
+        date,
+        status: { $in: ACTIVE_STATUSES }
+    };
+    if (excludeAppointmentIds.length > 0) query.appointmentId = { $nin: excludeAppointmentIds };
+
+    const dayAppointments = await Appointment.find(query).select('time duration');
+
+    if (schedule.findOverlap({ time, duration }, dayAppointments)) {
+        return { ok: false, error: new ConflictError('This time slot is already booked', ERROR_CODES.SLOT_TAKEN) };
+    }
+
+    return { ok: true };
+};
+
+// Open start times near a requested slot: the same day first, closest to
+// the requested time, then the following days. Returns up to `limit`
+// { date, time } pairs.
+const suggestAlternatives = async ({ dentist, duration, date, time, limit = 3, searchDays = 7 }) => {
+    const suggestions = [];
+    const requested = schedule.toMinutes(time);
+
+    for (let offset = 0; offset <= searchDays && suggestions.length < limit; offset++) {
+        const day = dateTime.addDays(date, offset);
+        if (dateTime.isPastDate(day)) continue;
+
+        const workingDay = await getWorkingDay(dentist, day);
+        if (!workingDay.isOpen) continue;
+
+        const dayAppointments = await Appointment.find({
+            dentist: dentist._id,
+            date: day,
+            status: { $in: ACTIVE_STATUSES }
+        }).select('time duration');
+
+        schedule.availableStartTimes(duration, dayAppointments, workingDay.intervals)
+            .filter(slot => !dateTime.isPast(day, slot))
+            .sort((a, b) => Math.abs(schedule.toMinutes(a) - requested) - Math.abs(schedule.toMinutes(b) - requested))
+            .slice(0, limit - suggestions.length)
+            .forEach(slot => suggestions.push({ date: day, time: slot }));
+    }
+
+    return suggestions;
+};
+
+module.exports = {
+    checkSlot,
+    suggestAlternatives
+};
\ No newline at end of file
@@ -0,0 +1,112 @@
+// Minimal RFC 4180 CSV reading and writing
+
+// Quote a value if it contains a comma, quote or line break. Values starting
+// with =, +, - or @ are prefixed with a quote so spreadsheets do not run
+// them as formulas.
+const escapeCell = (value) => {
+    if (value === null || value === undefined) return '';
+
+    let text = String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build a CSV document from column definitions and rows.
+// columns: [{ header, value: (row) => any }]
+const toCsv = (columns, rows) => {
+    const lines = [columns.map(column => escapeCell(column.header)).join(',')];
+
+    rows.forEach(row => {
+        lines.push(columns.map(column => escapeCell(column.value(row))).join(','));
+    });
+
+    return lines.join('\r\n') + '\r\n';
+};
+
+// Split CSV text into records of raw cell values. Handles quoted cells
+// containing commas, doubled quotes and line breaks, CRLF or LF line endings
+// and a leading byte order mark.
+// Returns [{ line, cells }] where line is the 1-based line the record starts on.
+const parseRecords = (text) => {
+    const records = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const input = text.replace(/^\uFEFF/, '');
+
+    const endRecord = () => {
+        cells.push(cell);
+        // Skip blank lines
+        if (cells.length > 1 || cells[0].trim() !== '') {
+            records.push({ line: recordLine, cells });
+        }
+        cells = [];
+        cell = '';
+    };
+
+    for (let index = 0; index < input.length; index++) {
+        const char = input[index];
+
+        if (quoted) {
+            if (char === '"' && input[index + 1] === '"') {
+                cell += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[index + 1] === '\n') index++;
+            endRecord();
+            line++;
+            recordLine = line;
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || cells.length > 0) endRecord();
+
+    return records;
+};
+
+// Header names are compared loosely: "Patient Email", "patient_email" and
+// "patientEmail" all become "patientemail"
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Parse CSV text with a header row into objects keyed by normalized header.
+// Cell values are trimmed. Returns { headers, rows: [{ line, values }] }.
+const parseCsv = (text) => {
+    const [headerRecord, ...records] = parseRecords(text);
+    if (!headerRecord) return { headers: [], rows: [] };
+
+    const headers = headerRecord.cells.map(normalizeHeader);
+
+    const rows = records.map(({ line, cells }) => {
+        const values = {};
+        headers.forEach((header, index) => {
+            values[header] = (cells[index] || '').trim();
+        });
+        return { line, values };
+    });
+
+    return { headers, rows };
+};
+
+module.exports = {
+    escapeCell,
+    toCsv,
+    normalizeHeader,
+    parseCsv
+};
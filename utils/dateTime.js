@@ -0,0 +1,140 @@
+const { TIMEZONE } = require('../config/clinic');
+
+// Appointment dates and times are clinic wall-clock values, e.g. "2025-03-14"
+// and "09:30" in the clinic's timezone. Everything that compares them with
+// the current moment goes through this module so the server's own timezone
+// never matters.
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const pad = (value) => value.toString().padStart(2, '0');
+
+// Wall-clock parts of an instant in the given timezone
+const partsInZone = (instant, timeZone) => {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    });
+
+    const parts = {};
+    formatter.formatToParts(instant).forEach(({ type, value }) => {
+        parts[type] = Number(value);
+    });
+    return parts;
+};
+
+// Minutes the timezone is ahead of UTC at the given instant
+const offsetMinutes = (instant, timeZone) => {
+    const parts = partsInZone(instant, timeZone);
+    const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUTC - instant.getTime()) / 60000);
+};
+
+// Whether "YYYY-MM-DD" is a real calendar date
+const isValidDate = (date) => {
+    if (typeof date !== 'string' || !DATE_REGEX.test(date)) return false;
+
+    const [year, month, day] = date.split('-').map(Number);
+    const parsed = new Date(Date.UTC(year, month - 1, day));
+    return parsed.getUTCFullYear() === year && parsed.getUTCMonth() === month - 1 && parsed.getUTCDate() === day;
+};
+
+// Whether "HH:mm" is a valid 24-hour time
+const isValidTime = (time) => typeof time === 'string' && TIME_REGEX.test(time);
+
+// Accepts "H:mm" or "HH:mm" and returns "HH:mm", or null if invalid
+const normalizeTime = (time) => {
+    if (typeof time !== 'string') return null;
+
+    const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(time);
+    return match ? `${pad(Number(match[1]))}:${match[2]}` : null;
+};
+
+// The instant at which a clinic-local date and time occurs
+const toInstant = (date, time = '00:00', timeZone = TIMEZONE) => {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+    // Correct by the zone offset, then once more in case the first guess
+    // landed on the other side of a DST change
+    let instant = wallClock - offsetMinutes(new Date(wallClock), timeZone) * 60000;
+    instant = wallClock - offsetMinutes(new Date(instant), timeZone) * 60000;
+
+    return new Date(instant);
+};
+
+// Current clinic-local date and time as { date: "YYYY-MM-DD", time: "HH:mm" }
+const clinicNow = (timeZone = TIMEZONE) => {
+    const parts = partsInZone(new Date(), timeZone);
+    return {
+        date: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+        time: `${pad(parts.hour)}:${pad(parts.minute)}`
+    };
+};
+
+const today = () => clinicNow().date;
+
+// Whether a clinic-local date is before today in the clinic
+const isPastDate = (date) => date < today();
+
+// Whether a clinic-local date and time has already started
+const isPast = (date, time) => toInstant(date, time) <= new Date();
+
+// Hours from now until a clinic-local date and time (negative if past)
+const hoursUntil = (date, time) => (toInstant(date, time) - new Date()) / (1000 * 60 * 60);
+
+// Shift a "YYYY-MM-DD" date by a number of days
+const addDays = (date, days) => {
+    const [year, month, day] = date.split('-').map(Number);
+    const shifted = new Date(Date.UTC(year, month - 1, day + days));
+    return `${shifted.getUTCFullYear()}-${pad(shifted.getUTCMonth() + 1)}-${pad(shifted.getUTCDate())}`;
+};
+
+// Every "YYYY-MM-DD" date from `from` to `to` inclusive
+const datesBetween = (from, to) => {
+    const dates = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+        dates.push(date);
+    }
+    return dates;
+};
+
+// ISO start and end instants of an appointment-like { date, time, duration }.
+// Both are null when the stored date or time is malformed.
+const appointmentWindow = ({ date, time, duration }) => {
+    if (!isValidDate(date) || !isValidTime(time)) {
+        return { startsAt: null, endsAt: null };
+    }
+
+    const start = toInstant(date, time);
+    const end = new Date(start.getTime() + (duration || 30) * 60000);
+    return {
+        startsAt: start.toISOString(),
+        endsAt: end.toISOString()
+    };
+};
+
+module.exports = {
+    DATE_REGEX,
+    TIME_REGEX,
+    isValidDate,
+    isValidTime,
+    normalizeTime,
+    toInstant,
+    clinicNow,
+    today,
+    isPastDate,
+    isPast,
+    hoursUntil,
+    addDays,
+    datesBetween,
+    appointmentWindow
+};
\ No newline at end of file
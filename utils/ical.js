@@ -0,0 +1,110 @@
+const dateTime = require('./dateTime');
+const { STATUSES } = require('./appointmentStatus');
+
+// iCalendar (RFC 5545) output for appointments
+
+const PRODUCT_ID = '-//Dental Bliss//Appointments//EN';
+const UID_DOMAIN = 'dentalbliss';
+
+// Escape a TEXT value: backslashes, semicolons, commas and newlines
+const escapeText = (value) => String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Fold a content line to at most 75 octets per line, continuation lines
+// starting with a space. Multi-byte characters are never split.
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+
+    for (const char of line) {
+        const bytes = Buffer.byteLength(char);
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentBytes + bytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += bytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+};
+
+// UTC DATE-TIME value, e.g. 20250314T013000Z
+const formatInstant = (instant) => new Date(instant).toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+
+const EVENT_STATUS = {
+    [STATUSES.PENDING]: 'TENTATIVE',
+    [STATUSES.CONFIRMED]: 'CONFIRMED',
+    [STATUSES.COMPLETED]: 'CONFIRMED'
+};
+
+// Stable per appointment, so re-importing a feed updates events in place
+const eventUid = (appointment) => `${appointment.appointmentId}@${UID_DOMAIN}`;
+
+// VEVENT lines for one appointment. `audience` picks whose point of view
+// the summary is written from: 'patient' or 'dentist'.
+const eventLines = (appointment, audience) => {
+    const { startsAt, endsAt } = dateTime.appointmentWindow(appointment);
+    if (!startsAt) return [];
+
+    const summary = audience === 'patient'
+        ? `${appointment.serviceName} with ${appointment.dentistName}`
+        : `${appointment.serviceName} - ${appointment.userName}`;
+
+    const description = [
+        `Appointment ID: ${appointment.appointmentId}`,
+        `Status: ${appointment.status}`,
+        appointment.notes ? `Notes: ${appointment.notes}` : null
+    ].filter(Boolean).join('\n');
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:${eventUid(appointment)}`,
+        `DTSTAMP:${formatInstant(new Date())}`,
+        `LAST-MODIFIED:${formatInstant(appointment.updatedAt || appointment.createdAt || new Date())}`,
+        `DTSTART:${formatInstant(startsAt)}`,
+        `DTEND:${formatInstant(endsAt)}`,
+        `SUMMARY:${escapeText(summary)}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        `STATUS:${EVENT_STATUS[appointment.status] || 'CANCELLED'}`,
+        'END:VEVENT'
+    ];
+};
+
+// A complete VCALENDAR document for a list of appointments
+const toCalendar = (appointments, { name, audience = 'dentist' } = {}) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+
+    if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+    appointments.forEach(appointment => {
+        lines.push(...eventLines(appointment, audience));
+    });
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    escapeText,
+    foldLine,
+    formatInstant,
+    eventUid,
+    toCalendar
+};
@@ -0,0 +1,38 @@
+const { CURRENCY, MINOR_UNITS } = require('../config/billing');
+
+// Money is always an integer number of minor units (e.g. centavos). Keeping
+// every sum, discount and balance in integers means totals never pick up
+// floating point rounding errors; the only division happens when an amount
+// is formatted for display.
+
+// Whether a value is a valid non-negative amount in minor units
+const isAmount = (value) => Number.isSafeInteger(value) && value >= 0;
+
+const sum = (amounts) => amounts.reduce((total, amount) => total + amount, 0);
+
+// `basisPoints` hundredths of a percent of an amount (1250 = 12.5%),
+// rounded half up to a whole minor unit using integer arithmetic only
+const percentOf = (amount, basisPoints) => Math.floor((amount * basisPoints + 5000) / 10000);
+
+// A percentage given as a number (e.g. 12.5) in basis points, or null if
+// it is not between 0 and 100 with at most two decimal places
+const toBasisPoints = (percent) => {
+    if (typeof percent !== 'number' || percent < 0 || percent > 100) return null;
+
+    const basisPoints = Math.round(percent * 100);
+    return Math.abs(basisPoints - percent * 100) < 1e-6 ? basisPoints : null;
+};
+
+// Display string such as "₱1,250.50", or "PHP 1,250.50" with
+// currencyDisplay 'code' (for output without the currency symbol's glyph)
+const formatMoney = (amount, currency = CURRENCY, currencyDisplay = 'symbol') => {
+    return new Intl.NumberFormat('en-PH', { style: 'currency', currency, currencyDisplay }).format(amount / MINOR_UNITS);
+};
+
+module.exports = {
+    isAmount,
+    sum,
+    percentOf,
+    toBasisPoints,
+    formatMoney
+};
@@ -0,0 +1,141 @@
+const PatientProfile = require('../models/PatientProfile');
+const PatientProfileVersion = require('../models/PatientProfileVersion');
+const dateTime = require('./dateTime');
+const { ERROR_CODES, ConflictError } = require('../errors');
+
+const { SENSITIVE_FIELDS } = PatientProfile;
+
+// Only these keys may appear in the nested objects
+const INSURANCE_KEYS = ['provider', 'policyNumber', 'groupNumber', 'holderName'];
+const EMERGENCY_CONTACT_KEYS = ['name', 'relationship', 'phone'];
+const MEDICATION_KEYS = ['name', 'dosage', 'frequency'];
+
+const pick = (value, keys) => {
+    const picked = {};
+    keys.forEach(key => {
+        if (value[key] !== undefined) picked[key] = value[key];
+    });
+    return picked;
+};
+
+// Collect the profile fields present in a request body whose shape the
+// route schema has checked. Fields left out are not changed; null clears a
+// field.
+// Returns { errors: [{ location, field, message }], changes }.
+const validateProfileUpdate = (body) => {
+    const errors = [];
+    const changes = {};
+
+    const { dateOfBirth, allergies, medications, medicalConditions, insurance, emergencyContact } = body;
+
+    if (dateOfBirth !== undefined) {
+        if (dateOfBirth !== null && dateOfBirth > dateTime.today()) {
+            errors.push({ location: 'body', field: 'dateOfBirth', message: 'Date of birth cannot be in the future' });
+        } else {
+            changes.dateOfBirth = dateOfBirth;
+        }
+    }
+
+    [['allergies', allergies], ['medicalConditions', medicalConditions]].forEach(([field, value]) => {
+        if (value === undefined) return;
+        changes[field] = (value || []).map(item => item.trim()).filter(Boolean);
+    });
+
+    if (medications !== undefined) {
+        changes.medications = (medications || []).map(item => pick(item, MEDICATION_KEYS));
+    }
+
+    [
+        ['insurance', insurance, INSURANCE_KEYS],
+        ['emergencyContact', emergencyContact, EMERGENCY_CONTACT_KEYS]
+    ].forEach(([field, value, keys]) => {
+        if (value === undefined) return;
+        changes[field] = value === null ? null : pick(value, keys);
+    });
+
+    return { errors, changes };
+};
+
+// The medical data of a profile as a plain object
+const profileData = (profile) => {
+    const data = {};
+    SENSITIVE_FIELDS.forEach(field => {
+        const value = profile ? profile.get(field) : undefined;
+        data[field] = value === undefined ? null : JSON.parse(JSON.stringify(value));
+    });
+    return data;
+};
+
+// Apply changes to a patient's profile, creating it on first save.
+// `expectedVersion` is the version the client edited (0 for a new profile);
+// if someone saved in between, nothing is written.
+// Returns { ok: true, profile } or { ok: false, error }.
+const saveProfile = async ({ userId, changes, expectedVersion, actor }) => {
+    const current = await PatientProfile.findFullByUser(userId);
+    const currentVersion = current ? current.version : 0;
+
+    if (expectedVersion !== currentVersion) {
+        return {
+            ok: false,
+            error: new ConflictError(
+                `Profile has changed since version ${expectedVersion}. Reload it and try again`,
+                ERROR_CODES.PROFILE_VERSION_CONFLICT
+            )
+        };
+    }
+
+    const before = profileData(current);
+    const changedFields = Object.keys(changes)
+        .filter(field => JSON.stringify(before[field]) !== JSON.stringify(changes[field]));
+
+    if (changedFields.length === 0) {
+        return { ok: true, profile: current, changed: false };
+    }
+
+    const update = {};
+    changedFields.forEach(field => {
+        update[field] = changes[field];
+    });
+
+    let profile;
+    try {
+        // Matching on the version makes concurrent saves fail instead of
+        // overwriting each other
+        profile = await PatientProfile.findOneAndUpdate(
+            { user: userId, version: currentVersion },
+            { $set: { ...update, updatedAt: new Date() }, $inc: { version: 1 } },
+            { new: true, upsert: !current, setDefaultsOnInsert: true }
+        ).select(SENSITIVE_FIELDS.map(field => `+${field}`).join(' '));
+    } catch (error) {
+        // Lost the race to create the profile
+        if (error.code !== 11000) throw error;
+        profile = null;
+    }
+
+    if (!profile) {
+        return {
+            ok: false,
+            error: new ConflictError('Profile was changed by someone else. Reload it and try again', ERROR_CODES.PROFILE_VERSION_CONFLICT)
+        };
+    }
+
+    await PatientProfileVersion.create({
+        user: userId,
+        version: profile.version,
+        data: profileData(profile),
+        changedFields,
+        changedBy: {
+            userId: String(actor._id),
+            name: actor.name,
+            role: actor.role
+        }
+    });
+
+    return { ok: true, profile, changed: true };
+};
+
+module.exports = {
+    validateProfileUpdate,
+    profileData,
+    saveProfile
+};
@@ -0,0 +1,165 @@
+const SlotReservation = require('../models/SlotReservation');
+const schedule = require('./schedule');
+
+const isDuplicateKeyError = (error) => {
+    return error.code === 11000 ||
+        (Array.isArray(error.writeErrors) && error.writeErrors.some(writeError => writeError.code === 11000));
+};
+
+const slotKey = ({ dentist, date, time }) => `${dentist}|${date}|${time}`;
+
+// Make the reservations held by an appointment match its dentist, date, time
+// and duration. Slots it already holds are kept, new ones are inserted and
+// ones it no longer covers are released - unless release is false, which
+// keeps them too until a later call, e.g. while a move may still be undone.
+// Resolves to false, leaving the previous reservations untouched, when any
+// new slot is already held by another appointment.
+const reserveSlots = async ({ appointmentId, dentist, date, time, duration }, { release = true } = {}) => {
+    const wanted = schedule.coveredSlotTimes({ time, duration })
+        .map(slot => ({ dentist, date, time: slot, appointmentId }));
+
+    const held = await SlotReservation.find({ appointmentId });
+    const heldKeys = new Set(held.map(slotKey));
+    const wantedKeys = new Set(wanted.map(slotKey));
+
+    const toInsert = wanted.filter(reservation => !heldKeys.has(slotKey(reservation)));
+    const toRelease = held.filter(reservation => !wantedKeys.has(slotKey(reservation)));
+
+    if (toInsert.length > 0) {
+        try {
+            await SlotReservation.insertMany(toInsert, { ordered: true });
+        } catch (error) {
+            if (!isDuplicateKeyError(error)) throw error;
+
+            // Roll back whatever part of this attempt got in before the conflict
+            await SlotReservation.deleteMany({
+                appointmentId,
+                dentist,
+                date,
+                time: { $in: toInsert.map(reservation => reservation.time) }
+            });
+            return false;
+        }
+    }
+
+    if (release && toRelease.length > 0) {
+        await SlotReservation.deleteMany({ _id: { $in: toRelease.map(reservation => reservation._id) } });
+    }
+
+    return true;
+};
+
+// Release the slots an appointment holds beyond the ones it now covers,
+// without taking any new ones. Used once a move made with
+// reserveSlots(..., { release: false }) has been saved.
+const trimSlots = async ({ appointmentId, dentist, date, time, duration }) => {
+    const wantedKeys = new Set(schedule.coveredSlotTimes({ time, duration })
+        .map(slot => slotKey({ dentist, date, time: slot })));
+
+    const held = await SlotReservation.find({ appointmentId });
+    const toRelease = held.filter(reservation => !wantedKeys.has(slotKey(reservation)));
+
+    if (toRelease.length > 0) {
+        await SlotReservation.deleteMany({ _id: { $in: toRelease.map(reservation => reservation._id) } });
+    }
+};
+
+// Hold the new slots for a group of appointments moving together, e.g. the
+// rest of a series pushed back one visit, where one may move into a slot
+// another is leaving. Slots held by any appointment in the group count as
+// free, and the old slots stay held until settleGroupSlots.
+// Resolves to { ok, conflicts, undo }: conflicts lists the appointment IDs
+// whose new slots are taken (by someone outside the group, or by another
+// move in it), in which case nothing is kept. undo gives back what this
+// call took, e.g. when saving the moves fails.
+const reserveGroupSlots = async (targets) => {
+    const groupIds = targets.map(target => target.appointmentId);
+    const groupHeld = new Set((await SlotReservation.find({ appointmentId: { $in: groupIds } })).map(slotKey));
+    const claimed = new Set();
+    const taken = [];
+    const conflicts = [];
+
+    const release = (appointmentId, dentist, date, times) => SlotReservation.deleteMany({
+        appointmentId,
+        dentist,
+        date,
+        time: { $in: times }
+    });
+
+    const undo = async () => {
+        for (const { appointmentId, dentist, date, times } of taken) {
+            await release(appointmentId, dentist, date, times);
+        }
+        taken.length = 0;
+    };
+
+    for (const { appointmentId, dentist, date, time, duration } of targets) {
+        const wanted = schedule.coveredSlotTimes({ time, duration })
+            .map(slot => ({ dentist, date, time: slot, appointmentId }));
+
+        if (wanted.some(reservation => claimed.has(slotKey(reservation)))) {
+            conflicts.push(appointmentId);
+            continue;
+        }
+        wanted.forEach(reservation => claimed.add(slotKey(reservation)));
+
+        const toInsert = wanted.filter(reservation => !groupHeld.has(slotKey(reservation)));
+        if (toInsert.length === 0) continue;
+
+        const times = toInsert.map(reservation => reservation.time);
+        try {
+            await SlotReservation.insertMany(toInsert, { ordered: true });
+            taken.push({ appointmentId, dentist, date, times });
+        } catch (error) {
+            // Roll back whatever part of this attempt got in before the conflict
+            await release(appointmentId, dentist, date, times);
+            if (!isDuplicateKeyError(error)) {
+                await undo();
+                throw error;
+            }
+            conflicts.push(appointmentId);
+        }
+    }
+
+    if (conflicts.length > 0) await undo();
+
+    return { ok: conflicts.length === 0, conflicts, undo };
+};
+
+// Once a group move is saved, hand each slot to the appointment that now
+// covers it and release the slots the group has left
+const settleGroupSlots = async (targets) => {
+    const groupIds = targets.map(target => target.appointmentId);
+
+    for (const { appointmentId, dentist, date, time, duration } of targets) {
+        await SlotReservation.updateMany(
+            { dentist, date, time: { $in: schedule.coveredSlotTimes({ time, duration }) }, appointmentId: { $in: groupIds } },
+            { $set: { appointmentId } }
+        );
+    }
+
+    for (const target of targets) {
+        await trimSlots(target);
+    }
+};
+
+// Free every slot held by an appointment
+const releaseSlots = async (appointmentId) => {
+    await SlotReservation.deleteMany({ appointmentId });
+};
+
+// Hand every slot held under one ID to another in a single update, e.g.
+// turning a waitlist hold into a booked appointment
+const transferSlots = async (fromId, toId) => {
+    const result = await SlotReservation.updateMany({ appointmentId: fromId }, { $set: { appointmentId: toId } });
+    return result.modifiedCount;
+};
+
+module.exports = {
+    reserveSlots,
+    trimSlots,
+    reserveGroupSlots,
+    settleGroupSlots,
+    releaseSlots,
+    transferSlots
+};
\ No newline at end of file
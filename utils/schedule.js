@@ -0,0 +1,163 @@
+const { TIME_REGEX } = require('./dateTime');
+
+// Length of one bookable slot in minutes
+const SLOT_MINUTES = 30;
+
+// "HH:mm" -> minutes from midnight
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+// minutes from midnight -> "HH:mm"
+const fromMinutes = (totalMinutes) => {
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+};
+
+// Whether a time starts a slot, e.g. 09:00 or 09:30 but not 09:15
+const isOnSlotGrid = (time) => toMinutes(time) % SLOT_MINUTES === 0;
+
+// Weekday of a "YYYY-MM-DD" date, 0 = Sunday ... 6 = Saturday
+const dayOfWeek = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+// Number of consecutive slots a service of the given duration occupies
+const slotsNeeded = (duration) => Math.max(1, Math.ceil(duration / SLOT_MINUTES));
+
+// Minutes an appointment blocks, rounded up to whole slots
+const blockedMinutes = (duration) => slotsNeeded(duration) * SLOT_MINUTES;
+
+// Interval [start, end) in minutes for an appointment-like { time, duration }
+const toInterval = ({ time, duration }) => {
+    const start = toMinutes(time);
+    return { start, end: start + blockedMinutes(duration || SLOT_MINUTES) };
+};
+
+// Start times of every grid slot an appointment-like { time, duration }
+// overlaps. Keys are always on the grid, so two overlapping appointments
+// share at least one of them even if one starts off the grid.
+const coveredSlotTimes = ({ time, duration }) => {
+    const { start, end } = toInterval({ time, duration });
+    const first = Math.floor(start / SLOT_MINUTES) * SLOT_MINUTES;
+    return Array.from({ length: Math.ceil((end - first) / SLOT_MINUTES) }, (_, index) => {
+        return fromMinutes(first + index * SLOT_MINUTES);
+    });
+};
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+// Returns the first appointment whose interval overlaps the candidate
+const findOverlap = (candidate, appointments) => {
+    const interval = toInterval(candidate);
+    return appointments.find(appointment => overlaps(interval, toInterval(appointment))) || null;
+};
+
+// Working intervals for one day of a weekly schedule, with breaks cut out
+const workingIntervals = (weeklyHours, date) => {
+    const day = dayOfWeek(date);
+    const intervals = [];
+
+    weeklyHours
+        .filter(hours => hours.day === day)
+        .forEach(hours => {
+            let pieces = [{ start: toMinutes(hours.start), end: toMinutes(hours.end) }];
+
+            (hours.breaks || []).forEach(pause => {
+                const breakStart = toMinutes(pause.start);
+                const breakEnd = toMinutes(pause.end);
+
+                pieces = pieces.flatMap(piece => {
+                    if (!overlaps(piece, { start: breakStart, end: breakEnd })) return [piece];
+                    return [
+                        { start: piece.start, end: breakStart },
+                        { start: breakEnd, end: piece.end }
+                    ].filter(part => part.end > part.start);
+                });
+            });
+
+            intervals.push(...pieces);
+        });
+
+    return intervals.sort((a, b) => a.start - b.start);
+};
+
+// Whether the interval lies entirely inside one working interval
+const fitsWithin = (interval, intervals) => {
+    return intervals.some(working => interval.start >= working.start && interval.end <= working.end);
+};
+
+// Every slot start time inside the working intervals. Slots keep to the
+// grid, so hours starting at 09:15 offer 09:30 first.
+const allSlotTimes = (intervals) => {
+    const slots = [];
+    intervals.forEach(({ start, end }) => {
+        const first = Math.ceil(start / SLOT_MINUTES) * SLOT_MINUTES;
+        for (let minutes = first; minutes + SLOT_MINUTES <= end; minutes += SLOT_MINUTES) {
+            slots.push(fromMinutes(minutes));
+        }
+    });
+    return slots;
+};
+
+// Start times at which a service of `duration` fits inside the working
+// intervals without overlapping any of the given appointments
+const availableStartTimes = (duration, appointments, intervals) => {
+    return allSlotTimes(intervals).filter(time => {
+        if (!fitsWithin(toInterval({ time, duration }), intervals)) return false;
+        return !findOverlap({ time, duration }, appointments);
+    });
+};
+
+// Returns an error message for an invalid weekly schedule, or null
+const validateWeeklyHours = (weeklyHours) => {
+    if (!Array.isArray(weeklyHours)) return 'Weekly hours must be an array';
+
+    for (const hours of weeklyHours) {
+        if (!Number.isInteger(hours.day) || hours.day < 0 || hours.day > 6) {
+            return 'Day must be a number from 0 (Sunday) to 6 (Saturday)';
+        }
+
+        if (!TIME_REGEX.test(hours.start) || !TIME_REGEX.test(hours.end)) {
+            return 'Start and end must use HH:mm (24-hour)';
+        }
+
+        if (toMinutes(hours.start) >= toMinutes(hours.end)) {
+            return 'Start must be before end';
+        }
+
+        const breaks = hours.breaks || [];
+        if (!Array.isArray(breaks)) return 'Breaks must be an array';
+
+        for (const pause of breaks) {
+            if (!TIME_REGEX.test(pause.start) || !TIME_REGEX.test(pause.end)) {
+                return 'Break start and end must use HH:mm (24-hour)';
+            }
+
+            if (toMinutes(pause.start) >= toMinutes(pause.end)) {
+                return 'Break start must be before break end';
+            }
+        }
+    }
+
+    return null;
+};
+
+module.exports = {
+    SLOT_MINUTES,
+    toMinutes,
+    fromMinutes,
+    isOnSlotGrid,
+    dayOfWeek,
+    slotsNeeded,
+    blockedMinutes,
+    toInterval,
+    coveredSlotTimes,
+    overlaps,
+    findOverlap,
+    workingIntervals,
+    fitsWithin,
+    allSlotTimes,
+    availableStartTimes,
+    validateWeeklyHours
+};
\ No newline at end of file
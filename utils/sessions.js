@@ -0,0 +1,84 @@
+const Session = require('../models/Session');
+const { REFRESH_TOKEN_DAYS } = require('../config/auth');
+const { generateToken, hashToken } = require('./tokens');
+
+// Keep this many swapped-out refresh token hashes for reuse detection
+const ROTATED_HASH_LIMIT = 20;
+
+// Start a session for a user signing in. Returns { session, refreshToken };
+// the refresh token is only ever returned here and by rotateSession.
+const createSession = async (user, { userAgent = '', ip = '' } = {}) => {
+    const refreshToken = generateToken();
+
+    const session = await Session.create({
+        user: user._id,
+        refreshTokenHash: hashToken(refreshToken),
+        userAgent,
+        ip,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    return { session, refreshToken };
+};
+
+// Swap a refresh token for a new one. The swap is a single atomic update,
+// so a token can only be used once even by concurrent requests. Presenting
+// an already swapped-out token revokes the session: it was copied.
+// Returns { session, refreshToken } or null if the token is not usable.
+const rotateSession = async (refreshToken) => {
+    const tokenHash = hashToken(refreshToken);
+    const nextToken = generateToken();
+    const now = new Date();
+
+    const session = await Session.findOneAndUpdate(
+        { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+            $set: { refreshTokenHash: hashToken(nextToken), lastUsedAt: now },
+            $push: { rotatedTokenHashes: { $each: [tokenHash], $slice: -ROTATED_HASH_LIMIT } }
+        },
+        { new: true }
+    );
+
+    if (session) return { session, refreshToken: nextToken };
+
+    await Session.updateOne(
+        { rotatedTokenHashes: tokenHash, revokedAt: null },
+        { $set: { revokedAt: now, revokedReason: 'refresh_token_reuse' } }
+    );
+
+    return null;
+};
+
+// Whether a session is still signed in
+const isSessionActive = async (sessionId, userId) => {
+    return !!await Session.exists({
+        _id: sessionId,
+        user: userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+const revokeSession = async (sessionId, reason = 'logout') => {
+    await Session.updateOne(
+        { _id: sessionId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+};
+
+// Sign a user out everywhere. Returns how many sessions were ended.
+const revokeAllSessions = async (userId, reason = 'logout_all') => {
+    const result = await Session.updateMany(
+        { user: userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount;
+};
+
+module.exports = {
+    createSession,
+    rotateSession,
+    isSessionActive,
+    revokeSession,
+    revokeAllSessions
+};
@@ -0,0 +1,118 @@
+const Appointment = require('../models/Appointment');
+const Dentist = require('../models/Dentist');
+const Holiday = require('../models/Holiday');
+const TimeOff = require('../models/TimeOff');
+const SlotReservation = require('../models/SlotReservation');
+const schedule = require('./schedule');
+const dateTime = require('./dateTime');
+const { resolveWorkingDay } = require('./availability');
+const { ACTIVE_STATUSES } = require('./appointmentStatus');
+
+// Time-of-day preferences as [from, to) in minutes from midnight
+const TIME_OF_DAY = {
+    morning: [0, 12 * 60],
+    afternoon: [12 * 60, 17 * 60],
+    evening: [17 * 60, 24 * 60]
+};
+
+// Find open slots for a service across every eligible dentist.
+//
+// The whole range is loaded with one query per collection (dentists,
+// holidays, time off, appointments, reservations) and the slots are worked
+// out in memory, so the cost does not grow with days x dentists.
+//
+// Options: service (Service document), dentistId, specialty, from, to
+// (YYYY-MM-DD), timeOfDay ('morning' | 'afternoon' | 'evening') and limit.
+// Returns slots ordered earliest first:
+// [{ date, time, startsAt, endsAt, dentist, dentistName }]
+const searchSlots = async ({ service, dentistId = null, specialty = null, from, to, timeOfDay = null, limit = 20 }) => {
+    const dentistQuery = { active: true };
+    if (dentistId) dentistQuery._id = dentistId;
+    if (specialty) dentistQuery.specialties = specialty;
+    if (service.dentists.length > 0) {
+        dentistQuery._id = dentistId
+            ? (service.isPerformedBy(dentistId) ? dentistId : { $in: [] })
+            : { $in: service.dentists };
+    }
+
+    const dentists = await Dentist.find(dentistQuery).sort({ name: 1 });
+    if (dentists.length === 0) return [];
+
+    const dentistIds = dentists.map(dentist => dentist._id);
+
+    const [holidays, timeOffs, appointments, reservations] = await Promise.all([
+        Holiday.find({ date: { $gte: from, $lte: to } }),
+        TimeOff.find({
+            dentist: { $in: dentistIds },
+            startDate: { $lte: to },
+            endDate: { $gte: from }
+        }),
+        Appointment.find({
+            dentist: { $in: dentistIds },
+            date: { $gte: from, $lte: to },
+            status: { $in: ACTIVE_STATUSES }
+        }).select('dentist date time duration'),
+        // Covers waitlist holds, which have no appointment yet
+        SlotReservation.find({
+            dentist: { $in: dentistIds },
+            date: { $gte: from, $lte: to }
+        }).select('dentist date time')
+    ]);
+
+    // Busy intervals per dentist and day
+    const busy = {};
+    const addBusy = (item) => {
+        const key = `${item.dentist}|${item.date}`;
+        (busy[key] = busy[key] || []).push({ time: item.time, duration: item.duration || schedule.SLOT_MINUTES });
+    };
+    appointments.forEach(addBusy);
+    reservations.forEach(addBusy);
+
+    const holidaysByDate = {};
+    holidays.forEach(holiday => {
+        holidaysByDate[holiday.date] = holiday;
+    });
+
+    const [preferredFrom, preferredTo] = TIME_OF_DAY[timeOfDay] || [0, 24 * 60];
+    const slots = [];
+
+    for (const date of dateTime.datesBetween(from, to)) {
+        if (dateTime.isPastDate(date)) continue;
+
+        for (const dentist of dentists) {
+            const timeOff = timeOffs.find(entry =>
+                String(entry.dentist) === String(dentist._id) && entry.startDate <= date && entry.endDate >= date);
+
+            const workingDay = resolveWorkingDay(dentist, date, { holiday: holidaysByDate[date], timeOff });
+            if (!workingDay.isOpen) continue;
+
+            schedule.availableStartTimes(service.duration, busy[`${dentist._id}|${date}`] || [], workingDay.intervals)
+                .filter(time => {
+                    const minutes = schedule.toMinutes(time);
+                    return minutes >= preferredFrom && minutes < preferredTo && !dateTime.isPast(date, time);
+                })
+                .forEach(time => {
+                    slots.push({
+                        date,
+                        time,
+                        ...dateTime.appointmentWindow({ date, time, duration: service.duration }),
+                        dentist: dentist._id,
+                        dentistName: dentist.name
+                    });
+                });
+        }
+
+        // Dates are visited in order, so once enough slots are found the
+        // later dates cannot rank higher
+        if (slots.length >= limit) break;
+    }
+
+    return slots
+        .sort((a, b) => a.startsAt.localeCompare(b.startsAt) || a.dentistName.localeCompare(b.dentistName))
+        .slice(0, limit);
+};
+
+module.exports = {
+    TIME_OF_DAY,
+    searchSlots
+};
\ No newline at end of file
@@ -0,0 +1,12 @@
+const crypto = require('crypto');
+
+// Random URL-safe secret handed to the user. Only its hash is stored, so a
+// database leak does not expose working tokens.
+const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+module.exports = {
+    generateToken,
+    hashToken
+};
@@ -0,0 +1,102 @@
+// Teeth are identified with FDI two-digit notation: the first digit is the
+// quadrant (1-4 permanent, 5-8 primary, clockwise from the patient's upper
+// right), the second the position counted from the midline.
+//
+//   Permanent: 11-18, 21-28, 31-38, 41-48
+//   Primary:   51-55, 61-65, 71-75, 81-85
+
+const PERMANENT_QUADRANTS = [1, 2, 3, 4];
+const PRIMARY_QUADRANTS = [5, 6, 7, 8];
+
+const teethIn = (quadrants, count) => quadrants.flatMap(quadrant =>
+    Array.from({ length: count }, (_, index) => quadrant * 10 + index + 1));
+
+const PERMANENT_TEETH = teethIn(PERMANENT_QUADRANTS, 8);
+const PRIMARY_TEETH = teethIn(PRIMARY_QUADRANTS, 5);
+
+// Mesial, occlusal, distal, buccal, lingual, incisal, palatal
+const SURFACES = ['M', 'O', 'D', 'B', 'L', 'I', 'P'];
+
+// What a tooth looks like after a finding or procedure
+const TOOTH_STATES = [
+    'healthy',
+    'caries',
+    'filled',
+    'sealed',
+    'crowned',
+    'root_canal_treated',
+    'fractured',
+    'bridge',
+    'implant',
+    'missing',
+    'watch'
+];
+
+const isValidTooth = (tooth) => PERMANENT_TEETH.includes(tooth) || PRIMARY_TEETH.includes(tooth);
+
+const isPrimaryTooth = (tooth) => PRIMARY_TEETH.includes(tooth);
+
+// Roll visit records up into the current state of every tooth mentioned.
+// Records are applied oldest visit first; within a visit findings come
+// before procedures, so "caries found, filled" ends as filled.
+// Returns [{ tooth, primary, state, lastChangedOn, history: [...] }] sorted
+// by tooth number.
+const buildToothChart = (records) => {
+    const teeth = new Map();
+
+    const entryFor = (tooth) => {
+        if (!teeth.has(tooth)) {
+            teeth.set(tooth, { tooth, primary: isPrimaryTooth(tooth), state: 'healthy', lastChangedOn: null, history: [] });
+        }
+        return teeth.get(tooth);
+    };
+
+    const ordered = [...records].sort((a, b) =>
+        `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`));
+
+    ordered.forEach(record => {
+        const visit = {
+            appointmentId: record.appointmentId,
+            date: record.date,
+            dentistName: record.dentistName
+        };
+
+        (record.findings || []).forEach(finding => {
+            if (!finding.tooth) return;
+            const entry = entryFor(finding.tooth);
+            entry.history.push({ ...visit, type: 'finding', condition: finding.condition, notes: finding.notes });
+            if (finding.condition) {
+                entry.state = finding.condition;
+                entry.lastChangedOn = record.date;
+            }
+        });
+
+        (record.procedures || []).forEach(procedure => {
+            const entry = entryFor(procedure.tooth);
+            entry.history.push({
+                ...visit,
+                type: 'procedure',
+                procedure: procedure.name,
+                surfaces: procedure.surfaces,
+                resultingState: procedure.resultingState,
+                notes: procedure.notes
+            });
+            if (procedure.resultingState) {
+                entry.state = procedure.resultingState;
+                entry.lastChangedOn = record.date;
+            }
+        });
+    });
+
+    return [...teeth.values()].sort((a, b) => a.tooth - b.tooth);
+};
+
+module.exports = {
+    PERMANENT_TEETH,
+    PRIMARY_TEETH,
+    SURFACES,
+    TOOTH_STATES,
+    isValidTooth,
+    isPrimaryTooth,
+    buildToothChart
+};
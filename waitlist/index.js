@@ -0,0 +1,150 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Appointment = require('../models/Appointment');
+const Dentist = require('../models/Dentist');
+const Service = require('../models/Service');
+const scheduler = require('../jobs/scheduler');
+const schedule = require('../utils/schedule');
+const dateTime = require('../utils/dateTime');
+const { getWorkingDay } = require('../utils/availability');
+const { reserveSlots, releaseSlots } = require('../utils/reservations');
+const { ACTIVE_STATUSES } = require('../utils/appointmentStatus');
+const { notifyPatient } = require('../notifications');
+
+// How long a freed slot is held for a waitlisted patient
+const HOLD_MINUTES = 30;
+
+const holdJobKey = (entry) => `waitlist-hold:${entry._id}`;
+
+// Try to hold a slot for one waitlist entry. Resolves to false if the
+// entry's service does not fit there or someone else got the slot first.
+const offerSlot = async (entry, { date, time }) => {
+    const [dentist, service] = await Promise.all([
+        Dentist.findById(entry.dentist),
+        Service.findById(entry.service)
+    ]);
+    if (!dentist || !dentist.active || !service || !service.active) return false;
+
+    const duration = service.duration;
+
+    const workingDay = await getWorkingDay(dentist, date);
+    if (!workingDay.isOpen) return false;
+    if (!schedule.fitsWithin(schedule.toInterval({ time, duration }), workingDay.intervals)) return false;
+
+    const dayAppointments = await Appointment.find({
+        dentist: dentist._id,
+        date,
+        status: { $in: ACTIVE_STATUSES }
+    }).select('time duration');
+    if (schedule.findOverlap({ time, duration }, dayAppointments)) return false;
+
+    // Hold the slot the same way a booking does, under the entry's hold ID
+    const reserved = await reserveSlots({ appointmentId: entry.holdId, dentist: dentist._id, date, time, duration });
+    if (!reserved) return false;
+
+    const expiresAt = new Date(Date.now() + HOLD_MINUTES * 60 * 1000);
+    const offered = await WaitlistEntry.findOneAndUpdate(
+        { _id: entry._id, status: 'waiting' },
+        { $set: { status: 'offered', hold: { date, time, expiresAt }, updatedAt: new Date() } },
+        { new: true }
+    );
+
+    if (!offered) {
+        await releaseSlots(entry.holdId);
+        return false;
+    }
+
+    await scheduler.schedule('waitlist-hold-expiry', holdJobKey(entry), expiresAt, { entryId: String(entry._id) });
+
+    notifyPatient('waitlist-offer', { name: entry.userName, email: entry.userEmail }, {
+        appointment: { serviceName: service.name, dentistName: dentist.name, date, time },
+        holdMinutes: HOLD_MINUTES
+    });
+
+    return true;
+};
+
+// Offer the first waiting patient a slot starting at the given time
+const offerStartTime = async (dentist, date, time) => {
+    const entries = await WaitlistEntry.find({
+        dentist,
+        status: 'waiting',
+        dateFrom: { $lte: date },
+        dateTo: { $gte: date },
+        passedSlots: { $not: { $elemMatch: { date, time } } }
+    }).sort({ createdAt: 1 });
+
+    for (const entry of entries) {
+        if (await offerSlot(entry, { date, time })) return true;
+    }
+
+    return false;
+};
+
+// Called when an appointment gives up its slot. Every 30-minute slot it
+// covered is offered, in order, to the first eligible waiting patient.
+// Never throws - the waitlist must not fail the request that freed the slot.
+const offerFreedSlot = async ({ dentist, date, time, duration }) => {
+    try {
+        for (const slotTime of schedule.coveredSlotTimes({ time, duration })) {
+            if (dateTime.isPast(date, slotTime)) continue;
+            await offerStartTime(dentist, date, slotTime);
+        }
+    } catch (error) {
+        console.error('Waitlist offer error:', error);
+    }
+};
+
+// End an entry's hold and offer the slot to the next patient.
+// `nextStatus` is 'waiting' when the hold lapsed or was declined, or
+// 'cancelled' when the patient left the waitlist.
+const releaseHold = async (entry, nextStatus) => {
+    const { date, time } = entry.hold;
+
+    const released = await WaitlistEntry.findOneAndUpdate(
+        { _id: entry._id, status: 'offered' },
+        {
+            $set: {
+                status: nextStatus === 'waiting' && entry.dateTo < dateTime.today() ? 'expired' : nextStatus,
+                updatedAt: new Date()
+            },
+            $unset: { hold: 1 },
+            $push: { passedSlots: { date, time } }
+        },
+        { new: true }
+    );
+    if (!released) return null;
+
+    await releaseSlots(entry.holdId);
+    await scheduler.cancel(holdJobKey(entry));
+
+    const service = await Service.findById(entry.service).select('duration');
+    await offerFreedSlot({ dentist: entry.dentist, date, time, duration: service ? service.duration : undefined });
+
+    return released;
+};
+
+// Job handler: the patient did not claim the hold in time
+const expireHold = async ({ entryId }) => {
+    const entry = await WaitlistEntry.findById(entryId);
+    if (!entry || entry.status !== 'offered') return;
+    if (entry.hold.expiresAt > new Date()) return;
+
+    await releaseHold(entry, 'waiting');
+};
+
+// Job handler: stop waiting once an entry's date range has passed
+const expireEntries = async () => {
+    await WaitlistEntry.updateMany(
+        { status: 'waiting', dateTo: { $lt: dateTime.today() } },
+        { $set: { status: 'expired', updatedAt: new Date() } }
+    );
+};
+
+module.exports = {
+    HOLD_MINUTES,
+    holdJobKey,
+    offerFreedSlot,
+    releaseHold,
+    expireHold,
+    expireEntries
+};
\ No newline at end of file